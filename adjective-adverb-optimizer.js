@@ -5,6 +5,17 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'unnecessary adjective',
+  'unnecessary adverb',
+  'weak verb',
+  'weak noun',
+  'overused qualifier',
+  'cliche',
+  'redundancy'
+];
+
 /**
  * Adjective Adverb Optimizer Tool
  * Analyzes manuscript for adjective and adverb usage using the Claude API.
@@ -32,8 +43,8 @@ class AdjectiveAdverbOptimizer extends BaseTool {
     
     // Extract options
     let manuscriptFile = options.manuscript_file;
-    const analysisLevel = options.analysis_level || 'standard';
-    const focusAreas = options.focus_areas || ['qualifiers', 'adverbs', 'adjectives', 'imagery'];
+    const analysisLevel = options.analysis_level;
+    const focusAreas = options.focus_areas;
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
     if (!saveDir) {
@@ -63,9 +74,12 @@ class AdjectiveAdverbOptimizer extends BaseTool {
       // Create the prompt
       const prompt = this.createModifierAnalysisPrompt(manuscriptContent, analysisLevel, focusAreas);
 
+      // Create system prompt to avoid markdown
+      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
+
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -111,9 +125,6 @@ class AdjectiveAdverbOptimizer extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt to avoid markdown
-      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
-
       // Use the calculated values in the API call
       try {
         await this.claudeService.streamWithThinking(
@@ -172,6 +183,10 @@ class AdjectiveAdverbOptimizer extends BaseTool {
       
       // Add all output files to the result
       outputFiles.push(...outputFile);
+
+      // Ask for the report's findings as structured data and save them next to it
+      const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+      outputFiles.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
       
       // Add files to the cache
       const toolName = 'adjective_adverb_optimizer';
@@ -0,0 +1,42 @@
+// ai-providers.js
+const ClaudeAPIService = require('./client');
+const GeminiAPIService = require('./gemini-client');
+const { MockAPIService, recordFixtures, getFixturesDir } = require('./mock-client');
+
+// Providers selectable in API Settings, keyed by the `provider` setting
+const PROVIDERS = {
+  claude: ClaudeAPIService,
+  gemini: GeminiAPIService,
+  // Offline fixture responses for testing tools without an API key
+  mock: MockAPIService
+};
+
+const DEFAULT_PROVIDER = 'claude';
+
+/**
+ * Create the AI service for the provider chosen in API Settings
+ * WRITERS_TOOLKIT_PROVIDER overrides the setting (e.g. "mock" for offline
+ * test runs), and WRITERS_TOOLKIT_RECORD_FIXTURES=1 saves every response
+ * from a real provider as a mock fixture for replaying later.
+ * @param {Object} settings - Complete API settings
+ * @returns {LLMProvider} - Claude, Gemini or mock service
+ */
+function createAIService(settings = {}) {
+  const providerId = process.env.WRITERS_TOOLKIT_PROVIDER || settings.provider || DEFAULT_PROVIDER;
+  const Provider = PROVIDERS[providerId];
+  if (!Provider) {
+    throw new Error(`Unknown AI provider "${providerId}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  
+  const service = new Provider(settings);
+  if (process.env.WRITERS_TOOLKIT_RECORD_FIXTURES && Provider !== MockAPIService) {
+    recordFixtures(service, getFixturesDir(settings));
+  }
+  return service;
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  createAIService
+};
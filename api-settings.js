@@ -128,6 +128,7 @@ function renderSettingsForm(schema, values) {
     // Store reference to the input
     settingInputs[setting.name] = {
       element: input,
+      group: settingGroup,
       errorElement: errorText,
       schema: setting
     };
@@ -135,6 +136,23 @@ function renderSettingsForm(schema, values) {
     // Add the setting group to the container
     settingsContainer.appendChild(settingGroup);
   });
+  
+  // Only show the settings that apply to the selected provider
+  if (settingInputs.provider) {
+    settingInputs.provider.element.addEventListener('change', updateProviderSettings);
+  }
+  updateProviderSettings();
+}
+
+// Show the settings for the selected provider and hide the others
+function updateProviderSettings() {
+  const provider = settingInputs.provider ? settingInputs.provider.element.value : null;
+  
+  for (const settingName in settingInputs) {
+    const { group, schema } = settingInputs[settingName];
+    const applies = !schema.provider || !provider || schema.provider === provider;
+    group.style.display = applies ? '' : 'none';
+  }
 }
 
 // Handle save button click
@@ -206,6 +224,11 @@ function validateAllInputs() {
     // Reset error state
     errorElement.style.display = 'none';
     
+    // Settings for another provider are kept as they are
+    if (settingInputs[settingName].group.style.display === 'none') {
+      continue;
+    }
+    
     // Get value
     let value = input.value;
     
@@ -1,6 +1,8 @@
 // base-tool.js
 const fs = require('fs/promises');
 const path = require('path');
+const { FINDINGS_SYSTEM_PROMPT, createFindingsTool, createFindingsPrompt, normalizeFindings, locateFindings } = require('./findings');
+const snapshots = require('./snapshots');
 
 /**
  * Base class for all tools
@@ -15,6 +17,8 @@ class BaseTool {
   constructor(name, config = {}) {
     this.name = name;
     this.config = config;
+    // Set by the tool runner for each run so a Stop request can cancel it
+    this.abortSignal = null;
     // console.log(`BaseTool initialized: ${name}`);
   }
   
@@ -78,6 +82,9 @@ class BaseTool {
       // Path to the output file
       const outputPath = path.join(saveDir, fileName);
       
+      // Keep a version of a project file this overwrites
+      await snapshots.snapshotFile(outputPath, `Before ${this.config.title || this.name}`);
+      
       // Write the file
       await fs.writeFile(outputPath, content, 'utf-8');
       
@@ -98,6 +105,43 @@ class BaseTool {
     // console.log(text);
   }
 
+  /**
+   * Throw if the current run has been cancelled
+   * Tools with long loops should call this between steps
+   */
+  throwIfCancelled() {
+    if (this.abortSignal && this.abortSignal.aborted) {
+      throw new Error(`Tool ${this.name} was cancelled`);
+    }
+  }
+
+  /**
+   * Wait for a number of seconds, ending early if the run is cancelled
+   * @param {number} seconds - Seconds to wait
+   * @returns {Promise<void>}
+   */
+  sleep(seconds) {
+    this.throwIfCancelled();
+    const signal = this.abortSignal;
+    
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error(`Tool ${this.name} was cancelled`));
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, seconds * 1000);
+      
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
   /**
    * Remove Markdown formatting from text
    * @param {string} text - Text with Markdown formatting
@@ -178,6 +222,74 @@ class BaseTool {
     return output;
   }
 
+  /**
+   * Ask the AI for a report's findings as structured data (see findings.js)
+   * A separate request whose answer must fit the findings schema. If no valid
+   * findings come back the run fails, after the report has been saved, so
+   * there is never a findings file that silently lists nothing.
+   * @param {string} report - Report text
+   * @param {string} manuscriptContent - Manuscript the report is about
+   * @param {string[]} categories - Finding categories for the tool
+   * @returns {Promise<Object[]>} - Checked findings
+   * @throws {Error} - If the findings could not be obtained
+   */
+  async requestFindings(report, manuscriptContent, categories) {
+    this.emitOutput(`\nRequesting structured findings...\n`);
+    const prompt = createFindingsPrompt(report, manuscriptContent);
+
+    let input;
+    try {
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: FINDINGS_SYSTEM_PROMPT });
+      const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
+      if (tokenBudgets.availableTokens <= tokenBudgets.desiredOutputTokens) {
+        throw new Error(`the manuscript and report (${promptTokens} tokens) leave too little room for the findings`);
+      }
+      input = await this.claudeService.completeWithTool(
+        prompt,
+        { system: FINDINGS_SYSTEM_PROMPT, max_tokens: tokenBudgets.maxTokens },
+        createFindingsTool(categories)
+      );
+    } catch (error) {
+      if (this.abortSignal && this.abortSignal.aborted) {
+        throw error;
+      }
+      throw new Error(`Structured findings could not be obtained (${error.message}); the report was saved without a findings file`);
+    }
+
+    const { findings, error } = normalizeFindings(input, categories);
+    if (error) {
+      throw new Error(`Structured findings could not be obtained (${error}); the report was saved without a findings file`);
+    }
+    return findings;
+  }
+
+  /**
+   * Save structured findings next to the report, as <report name>.findings.json
+   * @param {Object[]} requested - Findings from requestFindings
+   * @param {string[]} reportFiles - Files saved by saveReport (the report and its thinking file)
+   * @param {string} manuscriptFile - Manuscript the findings refer to
+   * @param {string} manuscriptContent - Manuscript text, for locating the findings
+   * @returns {Promise<string>} - Path to the findings file
+   */
+  async saveFindings(requested, reportFiles, manuscriptFile, manuscriptContent) {
+    const reportPath = reportFiles.find(file => !file.endsWith('_thinking.txt')) || reportFiles[0];
+    const fileName = `${path.basename(reportPath, path.extname(reportPath))}.findings.json`;
+    const findings = locateFindings(requested, manuscriptContent);
+
+    const data = {
+      tool: this.name,
+      report: path.basename(reportPath),
+      manuscript: manuscriptFile,
+      createdAt: new Date().toISOString(),
+      count: findings.length,
+      findings
+    };
+
+    const findingsPath = await this.writeOutputFile(JSON.stringify(data, null, 2), path.dirname(reportPath), fileName);
+    this.emitOutput(`Findings (${findings.length}) saved to: ${findingsPath}\n`);
+    return findingsPath;
+  }
+
 }
 
 module.exports = BaseTool;
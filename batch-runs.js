@@ -0,0 +1,152 @@
+// batch-runs.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Persistent record of tool runs submitted through the Message Batches API
+ * Every batch run is stored in the project's hidden .toolkit/batches folder
+ * as <runId>.json, holding the tool, its options and the id of each batch
+ * request the run has submitted. A run that is still 'running' when the app
+ * closes is resumed at the next launch: the tool runs again with the same
+ * options, and its requests pick up the saved batches instead of submitting
+ * new ones, so the report is written once the results arrive. A tool with a
+ * resume option runs with it checked, so it skips the work it already did.
+ * This is a singleton used by the main process and the command-line runner
+ */
+const batchRuns = {
+  /**
+   * Get the batch folder for a project
+   * @param {string} projectPath - Project directory
+   * @returns {string} - Path to the batch runs folder
+   */
+  getBatchDir(projectPath) {
+    return path.join(projectPath, '.toolkit', 'batches');
+  },
+
+  /**
+   * Record a new batch run
+   * save_dir is pinned to the project, so a resumed run reads and writes the
+   * same files even if another project is current by then.
+   * @param {string} projectPath - Project directory
+   * @param {Object} run - Run details
+   * @param {string} run.runId - Run ID (also the job and run history ID)
+   * @param {string} run.toolId - Tool ID
+   * @param {string} run.toolTitle - Tool title for display
+   * @param {Object} run.options - Option values the tool is run with
+   * @returns {Object} - The new batch run record
+   */
+  createRun(projectPath, { runId, toolId, toolTitle, options }) {
+    if (!projectPath) {
+      throw new Error('Batch runs need a project; please select a project first.');
+    }
+
+    const record = {
+      runId,
+      toolId,
+      toolTitle: toolTitle || toolId,
+      options: { ...(options || {}), save_dir: (options && options.save_dir) || projectPath },
+      projectPath,
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      endedAt: null,
+      requests: []
+    };
+
+    fs.mkdirSync(this.getBatchDir(projectPath), { recursive: true });
+    this._writeRecord(record);
+    return record;
+  },
+
+  /**
+   * Record how a batch run ended, so it is not resumed again
+   * @param {Object} record - Batch run record
+   * @param {string} status - 'finished', 'error' or 'cancelled'
+   */
+  finishRun(record, status) {
+    record.status = status;
+    record.endedAt = new Date().toISOString();
+    try {
+      this._writeRecord(record);
+    } catch (error) {
+      console.error(`Error saving batch run ${record.runId}:`, error);
+    }
+  },
+
+  /**
+   * Find batch runs in every project that were still running when the app closed
+   * @param {string} projectsDir - Folder containing the projects
+   * @returns {Promise<Object[]>} - Batch run records, oldest first
+   */
+  async listPending(projectsDir) {
+    let projects;
+    try {
+      projects = await fs.promises.readdir(projectsDir, { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+
+    const pending = [];
+    for (const project of projects.filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))) {
+      const batchDir = this.getBatchDir(path.join(projectsDir, project.name));
+      let files;
+      try {
+        files = await fs.promises.readdir(batchDir);
+      } catch (error) {
+        continue;
+      }
+
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        try {
+          const record = JSON.parse(await fs.promises.readFile(path.join(batchDir, file), 'utf8'));
+          if (record.status === 'running') {
+            pending.push(record);
+          }
+        } catch (error) {
+          console.warn(`Skipping unreadable batch run file ${file}:`, error.message);
+        }
+      }
+    }
+
+    return pending.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  },
+
+  /**
+   * Create the session a Claude service uses to submit and find its batches
+   * Requests are numbered in the order the tool makes them, which is the same
+   * every time the tool runs with the same options and files. A tool that
+   * skips work an earlier run finished (Chapter Writer's resume) skips past
+   * the requests that work made with skipTo, so the numbers still line up.
+   * @param {Object} record - Batch run record
+   * @returns {Object} - Session: { runId, nextIndex(), currentIndex(), skipTo(index),
+   *   getRequest(index), saveRequest(index, request) }
+   */
+  createSession(record) {
+    let index = 0;
+    return {
+      runId: record.runId,
+      nextIndex: () => index++,
+      currentIndex: () => index,
+      skipTo: (requestIndex) => {
+        index = Math.max(index, requestIndex);
+      },
+      getRequest: (requestIndex) => record.requests.find(request => request.index === requestIndex) || null,
+      saveRequest: (requestIndex, request) => {
+        record.requests = record.requests.filter(saved => saved.index !== requestIndex);
+        record.requests.push({ ...request, index: requestIndex });
+        record.requests.sort((a, b) => a.index - b.index);
+        this._writeRecord(record);
+      }
+    };
+  },
+
+  /**
+   * Write a batch run record to disk
+   * @param {Object} record - Batch run record
+   */
+  _writeRecord(record) {
+    const recordPath = path.join(this.getBatchDir(record.projectPath), `${record.runId}.json`);
+    fs.writeFileSync(recordPath, JSON.stringify(record, null, 2), 'utf8');
+  }
+};
+
+module.exports = batchRuns;
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+// batch-stub-server.js - local stand-in for the Anthropic Message Batches API
+//
+// Lets batch runs be tested without an API key or token spend, including
+// resuming a run after the app restarts (the stub keeps its batches while
+// it runs):
+//
+//   node batch-stub-server.js --port 4010 --polls 2
+//   ANTHROPIC_BASE_URL=http://localhost:4010 ANTHROPIC_API_KEY=stub npm start
+//
+// Each batch reports "in_progress" for --polls checks, then "ended" with a
+// canned response for every request. A request that forces a tool call (the
+// structured findings request) gets a call to that tool with canned input.
+// Token counting is answered too, so tools run end to end.
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Approximate token count (about four characters a token)
+ * @param {*} value - Request content
+ * @returns {number} - Token count
+ */
+function estimateTokens(value) {
+  return Math.ceil(JSON.stringify(value || '').length / 4);
+}
+
+// Canned input for a forced tool call: one finding that isn't tied to a passage
+const DEFAULT_TOOL_INPUT = {
+  findings: [{
+    category: 'other',
+    severity: 'low',
+    chapter: null,
+    original: null,
+    explanation: 'Stub batch server: no real model was called.',
+    suggestion: null
+  }]
+};
+
+/**
+ * Build the stub's reply to one batch request
+ * @param {Object} request - { custom_id, params }
+ * @param {string} text - Canned response text
+ * @param {Object} toolInput - Canned input for a forced tool call
+ * @returns {Object} - Batch result line
+ */
+function buildResult(request, text, toolInput) {
+  const params = request.params || {};
+  const forcedTool = params.tool_choice && params.tool_choice.type === 'tool' ? params.tool_choice.name : null;
+  const content = forcedTool
+    ? [{ type: 'tool_use', id: `toolu_stub_${crypto.randomBytes(6).toString('hex')}`, name: forcedTool, input: toolInput }]
+    : [
+      { type: 'thinking', thinking: 'Stub batch server: no real model was called.', signature: 'stub' },
+      { type: 'text', text }
+    ];
+  return {
+    custom_id: request.custom_id,
+    result: {
+      type: 'succeeded',
+      message: {
+        id: `msg_stub_${crypto.randomBytes(6).toString('hex')}`,
+        type: 'message',
+        role: 'assistant',
+        model: params.model || 'stub',
+        content,
+        stop_reason: forcedTool ? 'tool_use' : 'end_turn',
+        stop_sequence: null,
+        usage: {
+          input_tokens: estimateTokens([params.system, params.messages]),
+          output_tokens: estimateTokens(forcedTool ? toolInput : text),
+          cache_creation_input_tokens: 0,
+          cache_read_input_tokens: 0
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Start the stub server
+ * @param {Object} [settings] - Stub settings
+ * @param {number} [settings.port] - Port to listen on (0 picks a free port)
+ * @param {number} [settings.polls] - Checks a batch stays in progress before it ends
+ * @param {string} [settings.text] - Response text for every request
+ * @param {Object} [settings.toolInput] - Input of every forced tool call
+ * @returns {Promise<{server: http.Server, url: string, batches: Map}>} - Running server and its base URL
+ */
+function startBatchStubServer({ port = 0, polls = 1, text = 'Stub batch response.\n', toolInput = DEFAULT_TOOL_INPUT } = {}) {
+  const batches = new Map();
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      const send = (status, data, type = 'application/json') => {
+        res.writeHead(status, { 'Content-Type': type });
+        res.end(type === 'application/json' ? JSON.stringify(data) : data);
+      };
+      const summary = (batch) => ({
+        id: batch.id,
+        type: 'message_batch',
+        processing_status: batch.status,
+        request_counts: {
+          processing: batch.status === 'ended' ? 0 : batch.requests.length,
+          succeeded: batch.status === 'ended' && !batch.cancelled ? batch.requests.length : 0,
+          errored: 0,
+          canceled: batch.cancelled ? batch.requests.length : 0,
+          expired: 0
+        },
+        created_at: batch.createdAt,
+        ended_at: batch.status === 'ended' ? new Date().toISOString() : null,
+        expires_at: new Date(Date.parse(batch.createdAt) + 24 * 60 * 60 * 1000).toISOString(),
+        cancel_initiated_at: batch.cancelled ? batch.createdAt : null,
+        results_url: batch.status === 'ended' ? `http://${req.headers.host}/v1/messages/batches/${batch.id}/results` : null
+      });
+
+      let json = {};
+      try {
+        json = body ? JSON.parse(body) : {};
+      } catch (error) {
+        send(400, { type: 'error', error: { type: 'invalid_request_error', message: 'Invalid JSON body' } });
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/v1/messages/count_tokens') {
+        send(200, { input_tokens: estimateTokens([json.system, json.messages]) });
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/v1/messages/batches') {
+        const batch = {
+          id: `msgbatch_stub_${crypto.randomBytes(8).toString('hex')}`,
+          requests: json.requests || [],
+          status: 'in_progress',
+          checks: 0,
+          cancelled: false,
+          createdAt: new Date().toISOString()
+        };
+        batches.set(batch.id, batch);
+        console.log(`Created ${batch.id} with ${batch.requests.length} request(s)`);
+        send(200, summary(batch));
+        return;
+      }
+
+      const match = /^\/v1\/messages\/batches\/([^/]+)(\/results|\/cancel)?$/.exec(url.pathname);
+      const batch = match && batches.get(match[1]);
+      if (!batch) {
+        send(404, { type: 'error', error: { type: 'not_found_error', message: `Not found: ${url.pathname}` } });
+        return;
+      }
+
+      if (req.method === 'GET' && !match[2]) {
+        batch.checks++;
+        if (batch.status !== 'ended' && batch.checks > polls) {
+          batch.status = 'ended';
+          console.log(`${batch.id} has ended`);
+        }
+        send(200, summary(batch));
+      } else if (req.method === 'POST' && match[2] === '/cancel') {
+        batch.cancelled = true;
+        batch.status = 'ended';
+        console.log(`${batch.id} was cancelled`);
+        send(200, summary(batch));
+      } else if (req.method === 'GET' && match[2] === '/results' && batch.status === 'ended') {
+        const lines = batch.requests.map(request => batch.cancelled
+          ? { custom_id: request.custom_id, result: { type: 'canceled' } }
+          : buildResult(request, text, toolInput));
+        send(200, lines.map(line => JSON.stringify(line)).join('\n') + '\n', 'application/binary');
+      } else {
+        send(400, { type: 'error', error: { type: 'invalid_request_error', message: `Unsupported request: ${req.method} ${url.pathname}` } });
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({ server, url: `http://localhost:${server.address().port}`, batches });
+    });
+  });
+}
+
+if (require.main === module) {
+  const argValue = (name, fallback) => {
+    const index = process.argv.indexOf(name);
+    return index > -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : fallback;
+  };
+
+  startBatchStubServer({
+    port: parseInt(argValue('--port', '4010'), 10),
+    polls: parseInt(argValue('--polls', '1'), 10),
+    text: argValue('--text', undefined)
+  }).then(({ url }) => {
+    console.log(`Batch stub server listening on ${url}`);
+    console.log(`Use it with: ANTHROPIC_BASE_URL=${url} ANTHROPIC_API_KEY=stub`);
+  }).catch(error => {
+    console.error(`Could not start the batch stub server: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { startBatchStubServer };
@@ -2,6 +2,7 @@
 const BaseTool = require('./base-tool');
 const path = require('path');
 const fileCache = require('./file-cache');
+const snapshots = require('./snapshots');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
@@ -34,8 +35,8 @@ class BrainstormTool extends BaseTool {
     // Extract options
     const ideasFile = options.ideas_file;
     const outputFiles = [];
-    const conceptOnly = options.concept_only || false;
-    const charactersOnly = options.characters_only || false;
+    const conceptOnly = options.concept_only;
+    const charactersOnly = options.characters_only;
     let saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
     // Validate save directory
@@ -129,9 +130,12 @@ class BrainstormTool extends BaseTool {
 
     this.emitOutput(`\n*** Working on: ${promptType}.txt file...\n`);
 
+    // Create system prompt to avoid markdown
+    const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
+
     // Count tokens in the prompt
     this.emitOutput(`Counting tokens in prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
     // Call the shared token budget calculator
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -164,9 +168,6 @@ class BrainstormTool extends BaseTool {
     let fullResponse = "";
     let thinkingContent = "";
     
-    // Create system prompt to avoid markdown
-    const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
-
     // Use the calculated values in the API call
     try {
       await this.claudeService.streamWithThinking(
@@ -286,7 +287,8 @@ ${stats}`;
       // Format new content to append
       const contentToAppend = `\n\n# ${formattedType} (Generated ${timestamp})\n\n${newContent}`;
       
-      // Append to file
+      // Append to file, keeping a version of it as it was
+      await snapshots.snapshotFile(filepath, `Before ${this.config.title || this.name}`);
       await fs.writeFile(filepath, existingContent + contentToAppend);
     } catch (error) {
       this.emitOutput(`Error appending to ideas file: ${error.message}\n`);
@@ -306,8 +308,8 @@ ${stats}`;
     
     const titleSuggestion = options.title ? `TITLE: ${options.title}` : "";
     const genreSuggestion = options.genre ? `GENRE: ${options.genre}` : "";
-    const lang = options.lang || "English";
-    const worldbuildingDepth = options.worldbuilding_depth || 3;
+    const lang = options.lang;
+    const worldbuildingDepth = options.worldbuilding_depth;
     
     return `You are a skilled novelist and worldbuilder helping to create a detailed concept document in fluent, authentic ${lang}.
 Draw upon your knowledge of worldwide literary traditions, narrative structure, and worldbuilding approaches from across cultures,
@@ -356,8 +358,8 @@ IMPORTANT FORMATTING INSTRUCTIONS:
     
     const titleSuggestion = options.title ? `TITLE: ${options.title}` : "";
     const genreSuggestion = options.genre ? `GENRE: ${options.genre}` : "";
-    const lang = options.lang || "English";
-    const numCharacters = options.num_characters || 5;
+    const lang = options.lang;
+    const numCharacters = options.num_characters;
     const includeRelationships = options.character_relationships;
     
     // Determine character name handling based on arguments
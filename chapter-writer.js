@@ -4,6 +4,13 @@ const path = require('path');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
+const { parseChapterHeading } = require('./manuscript');
+const snapshots = require('./snapshots');
+
+// Backoff before retrying a chapter request after a temporary API error:
+// 30 seconds, then 60, 120... up to 5 minutes
+const RETRY_BASE_DELAY = 30;
+const RETRY_MAX_DELAY = 300;
 
 /**
  * ChapterWriter Tool
@@ -33,18 +40,21 @@ class ChapterWriter extends BaseTool {
     const toolName = 'chapter_writer';
     fileCache.clear(toolName);
     
-    // Extract options
+    // Extract options; they arrive coerced, with defaults filled in, by the option schema
     const request = options.request;
     const chaptersToWrite = options.chapters_to_write;
-    const manuscriptFile = options.manuscript || 'manuscript.txt';
-    const outlineFile = options.outline || 'outline.txt';
-    const worldFile = options.world || 'world.txt';
-    const language = options.lang || 'English';
-    const chapterDelay = options.chapter_delay || 15;
-    const noDialogueEmphasis = options.no_dialogue_emphasis || false;
-    const noAppend = options.no_append || false;
-    const backup = options.backup || false;
-    const showTokenStats = options.show_token_stats || false;
+    const manuscriptFile = options.manuscript;
+    const outlineFile = options.outline;
+    const worldFile = options.world;
+    const language = options.lang;
+    const chapterDelay = options.chapter_delay;
+    const noDialogueEmphasis = options.no_dialogue_emphasis;
+    const noAppend = options.no_append;
+    const backup = options.backup;
+    const showTokenStats = options.show_token_stats;
+    const resume = options.resume;
+    // Used by callWithRetries for every API request in this run
+    this.chapterRetries = options.chapter_retries;
     
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     const outputFiles = [];
@@ -89,42 +99,106 @@ class ChapterWriter extends BaseTool {
           this.emitOutput(`  ${index + 1}. ${chapter}\n`);
         });
         
+        // Token stats runs write nothing, so they don't touch the progress file
+        const progressPath = this.getProgressPath(chaptersPath, saveDir);
+        const progress = showTokenStats
+          ? null
+          : await this.startProgress(progressPath, chapterList, chaptersPath, manuscriptFile, resume);
+        
+        // Batch session, when the run's requests go through the Message Batches API
+        const batch = this.claudeService.batch || null;
+        
         // Process each chapter with a delay between them
+        let requestsMade = 0;
         for (let i = 0; i < chapterList.length; i++) {
           const chapterRequest = chapterList[i];
+          const entry = progress ? progress.chapters[i] : null;
           
-          this.emitOutput(`\nProcessing chapter ${i + 1} of ${chapterList.length}: ${chapterRequest}\n`);
+          // A resumed batch run skips the batch requests of chapters it skips
+          if (batch && entry && entry.batchIndex) {
+            batch.skipTo(entry.batchIndex);
+          }
           
-          const result = await this.processChapter(
-            chapterRequest,
-            manuscriptFile,
-            outlineFile,
-            worldFile,
-            language,
-            noDialogueEmphasis,
-            noAppend,
-            backup,
-            showTokenStats,
-            saveDir,
-            i + 1,
-            chapterList.length
-          );
+          if (entry && entry.status === 'done') {
+            this.emitOutput(`\nSkipping chapter ${i + 1} of ${chapterList.length}: ${chapterRequest} (already written)\n`);
+            continue;
+          }
           
-          if (result) {
-            outputFiles.push(result.chapterFile);
-            if (result.thinkingFile) {
-              outputFiles.push(result.thinkingFile);
+          // Cancelling, like any other error, stops the run with its progress saved
+          let result;
+          try {
+            // Stop between chapters if the run was cancelled
+            this.throwIfCancelled();
+            
+            // Written by an earlier run that stopped before appending it
+            if (entry && entry.status === 'written') {
+              this.emitOutput(`\nFinishing chapter ${i + 1} of ${chapterList.length}: ${chapterRequest} (already written)\n`);
+              if (!noAppend) {
+                await this.appendWrittenChapter(entry.chapterFile, this.ensureAbsolutePath(manuscriptFile, saveDir), backup);
+              }
+              await this.updateProgress(progressPath, progress, i, { status: 'done', completedAt: new Date().toISOString() });
+              continue;
             }
-            summary.push(result);
+            
+            // If this isn't the first chapter requested, wait before processing it
+            if (requestsMade > 0) {
+              this.emitOutput(`Waiting ${chapterDelay} seconds before next chapter...\n`);
+              await this.sleep(chapterDelay);
+            }
+            requestsMade++;
+            
+            this.emitOutput(`\nProcessing chapter ${i + 1} of ${chapterList.length}: ${chapterRequest}\n`);
+            
+            result = await this.processChapter(
+              chapterRequest,
+              manuscriptFile,
+              outlineFile,
+              worldFile,
+              language,
+              noDialogueEmphasis,
+              noAppend,
+              backup,
+              showTokenStats,
+              saveDir,
+              i + 1,
+              chapterList.length,
+              // Saved before appending, so a resumed run never appends it twice
+              progress ? (written) => this.updateProgress(progressPath, progress, i, {
+                status: 'written',
+                ...written,
+                batchIndex: batch ? batch.currentIndex() : null
+              }) : null
+            );
+          } catch (error) {
+            if (progress) {
+              // A chapter already written stays written, so resuming appends it instead of writing it again
+              const changes = entry.status === 'written' ? { error: error.message } : { status: 'failed', error: error.message };
+              await this.updateProgress(progressPath, progress, i, changes, 'stopped');
+              this.emitOutput(`\nProgress saved to: ${progressPath}\n`);
+              this.emitOutput(`Run Chapter Writer again with "resume" checked to continue from chapter ${i + 1}.\n`);
+            }
+            throw error;
           }
           
-          // If this isn't the last chapter, wait before processing the next one
-          if (i < chapterList.length - 1) {
-            this.emitOutput(`Waiting ${chapterDelay} seconds before next chapter...\n`);
-            await new Promise(resolve => setTimeout(resolve, chapterDelay * 1000));
+          if (result) {
+            this.recordChapterFiles(result, outputFiles);
+            summary.push(result);
+            if (progress) {
+              await this.updateProgress(progressPath, progress, i, {
+                status: 'done',
+                wordCount: result.wordCount,
+                error: null,
+                completedAt: new Date().toISOString()
+              });
+            }
           }
         }
         
+        if (progress) {
+          progress.status = 'finished';
+          await this.saveProgress(progressPath, progress);
+        }
+        
         // Output summary of all processed chapters
         this.emitOutput("\n" + "=".repeat(80) + "\n");
         this.emitOutput("SUMMARY OF ALL CHAPTERS PROCESSED\n");
@@ -168,19 +242,11 @@ class ChapterWriter extends BaseTool {
         );
         
         if (result) {
-          outputFiles.push(result.chapterFile);
-          if (result.thinkingFile) {
-            outputFiles.push(result.thinkingFile);
-          }
+          this.recordChapterFiles(result, outputFiles);
           summary.push(result);
         }
       }
       
-      // Add all files to the cache
-      for (const file of outputFiles) {
-        fileCache.addFile(toolName, file);
-      }
-      
       return {
         success: true,
         outputFiles,
@@ -212,6 +278,8 @@ class ChapterWriter extends BaseTool {
    * @param {string} saveDir - Directory to save output files
    * @param {number} currentIdx - Current chapter index (for multiple chapters)
    * @param {number} totalChapters - Total number of chapters (for multiple chapters)
+   * @param {Function} onWritten - Awaited with { chapterFile } once the chapter
+   *   file is saved, before it is appended to the manuscript
    * @returns {Promise<Object>} - Result of chapter processing
    */
   async processChapter(
@@ -226,7 +294,8 @@ class ChapterWriter extends BaseTool {
     showTokenStats,
     saveDir,
     currentIdx = null,
-    totalChapters = null
+    totalChapters = null,
+    onWritten = null
   ) {
     try {
       // Extract chapter number and formatted chapter number
@@ -271,15 +340,19 @@ class ChapterWriter extends BaseTool {
         await fs.writeFile(this.ensureAbsolutePath(manuscriptFile, saveDir), "");
       }
       
-      // Read world file (optional)
+      // Read world file (optional; the option is blank when the default world.txt doesn't exist)
       let worldContent = "";
-      try {
-        this.emitOutput(`Reading world file: ${worldFile}\n`);
-        worldContent = await this.readInputFile(this.ensureAbsolutePath(worldFile, saveDir));
-      } catch (error) {
-        this.emitOutput(`Note: World file not found: ${worldFile}\n`);
-        this.emitOutput("Continuing without world information.\n");
-        // Don't throw an error - continue with empty worldContent
+      if (!worldFile) {
+        this.emitOutput("No world file, continuing without world information.\n");
+      } else {
+        try {
+          this.emitOutput(`Reading world file: ${worldFile}\n`);
+          worldContent = await this.readInputFile(this.ensureAbsolutePath(worldFile, saveDir));
+        } catch (error) {
+          this.emitOutput(`Note: World file not found: ${worldFile}\n`);
+          this.emitOutput("Continuing without world information.\n");
+          // Don't throw an error - continue with empty worldContent
+        }
       }
       
       // Format chapter request for consistency in prompt
@@ -304,9 +377,12 @@ class ChapterWriter extends BaseTool {
         noDialogueEmphasis
       );
       
+      // Create system prompt to avoid markdown
+      const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
+
       // Count tokens in prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.callWithRetries('Token counting', () => this.claudeService.countTokens(prompt, { system: systemPrompt }));
       
       // Calculate available tokens after prompt
       const contextWindow = this.config.context_window || 200000;
@@ -360,32 +436,33 @@ class ChapterWriter extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt to avoid markdown
-      const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
-      
       try {
-        // Use streaming API call
-        await this.claudeService.streamWithThinking(
-          prompt,
-          {
-            model: "claude-3-7-sonnet-20250219",
-            system: systemPrompt,
-            max_tokens: maxTokens,
-            thinking: {
-              type: "enabled",
-              budget_tokens: thinkingBudget
+        // Use streaming API call; a retry starts the chapter over
+        await this.callWithRetries('Chapter generation', () => {
+          fullResponse = "";
+          thinkingContent = "";
+          return this.claudeService.streamWithThinking(
+            prompt,
+            {
+              model: "claude-3-7-sonnet-20250219",
+              system: systemPrompt,
+              max_tokens: maxTokens,
+              thinking: {
+                type: "enabled",
+                budget_tokens: thinkingBudget
+              },
+              betas: ["output-128k-2025-02-19"]
             },
-            betas: ["output-128k-2025-02-19"]
-          },
-          // Callback for thinking content
-          (thinkingDelta) => {
-            thinkingContent += thinkingDelta;
-          },
-          // Callback for response text - simply accumulate without progress indicators
-          (textDelta) => {
-            fullResponse += textDelta;
-          }
-        );
+            // Callback for thinking content
+            (thinkingDelta) => {
+              thinkingContent += thinkingDelta;
+            },
+            // Callback for response text - simply accumulate without progress indicators
+            (textDelta) => {
+              fullResponse += textDelta;
+            }
+          );
+        });
       } catch (error) {
         this.emitOutput(`\n*** Error during generation:\n${error.message}\n`);
         throw error;
@@ -406,12 +483,15 @@ class ChapterWriter extends BaseTool {
       
       // Write chapter to file
       await this.writeOutputFile(cleanedResponse, saveDir, chapterFilename);
+      if (onWritten) {
+        await onWritten({ chapterFile: chapterPath });
+      }
       
       // Count words in chapter
       const chapterWordCount = this.countWords(cleanedResponse);
       
       // Count tokens in chapter
-      const chapterTokenCount = await this.claudeService.countTokens(cleanedResponse);
+      const chapterTokenCount = await this.callWithRetries('Token counting', () => this.claudeService.countTokens(cleanedResponse));
       
       // Append the new chapter to the manuscript file if not disabled
       if (!noAppend) {
@@ -445,7 +525,7 @@ Chapter ${chapterNum} token count: ${chapterTokenCount}
       // Save thinking content if available
       let thinkingPath = null;
       if (thinkingContent) {
-        const thinkingTokenCount = await this.claudeService.countTokens(thinkingContent);
+        const thinkingTokenCount = await this.callWithRetries('Token counting', () => this.claudeService.countTokens(thinkingContent));
         const thinkingEfficiency = (thinkingTokenCount / thinkingBudget) * 100;
         const thinkingToOutputRatio = thinkingTokenCount / chapterTokenCount;
         
@@ -514,37 +594,207 @@ ${analytics}
     }
   }
   
+  /**
+   * Make an API request, retrying temporary errors with a growing delay
+   * Overloaded, rate limited, server and connection errors are retried up to
+   * the chapter_retries option; anything else, or a cancelled run, fails at once.
+   * @param {string} description - What the request does, for messages
+   * @param {Function} request - Async function making the request
+   * @returns {Promise<*>} - Result of the request
+   */
+  async callWithRetries(description, request) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        const cancelled = this.abortSignal && this.abortSignal.aborted;
+        if (cancelled || !this.isTransientError(error) || attempt >= this.chapterRetries) {
+          throw error;
+        }
+        
+        const delay = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+        this.emitOutput(`\n${description} failed: ${error.message}\n`);
+        this.emitOutput(`Retrying in ${delay} seconds (retry ${attempt + 1} of ${this.chapterRetries})...\n`);
+        await this.sleep(delay);
+      }
+    }
+  }
+  
+  /**
+   * Check whether an API error is likely to go away if the request is retried
+   * @param {Error} error - Error from the AI service
+   * @returns {boolean} - True for overloaded, rate limit, server and network errors
+   */
+  isTransientError(error) {
+    if ([408, 409, 429, 500, 502, 503, 504, 529].includes(error.status)) {
+      return true;
+    }
+    if (error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError') {
+      return true;
+    }
+    return /\b(429|500|502|503|504|529)\b|overloaded|timed? ?out|ECONNRESET|ETIMEDOUT|socket hang up/i.test(String(error.message));
+  }
+  
+  /**
+   * Get the progress file for a chapters list
+   * @param {string} chaptersPath - Path to the chapters_to_write file
+   * @param {string} saveDir - Project directory
+   * @returns {string} - Path to .toolkit/chapter-writer/<chapters file>.progress.json
+   */
+  getProgressPath(chaptersPath, saveDir) {
+    return path.join(saveDir, '.toolkit', 'chapter-writer', `${path.basename(chaptersPath)}.progress.json`);
+  }
+  
+  /**
+   * Start the progress file for a run
+   * When resuming, chapters the last run finished (matched by their line in
+   * the chapters file) keep their status and are skipped.
+   * @param {string} progressPath - Progress file path
+   * @param {string[]} chapterList - Chapter requests in this run
+   * @param {string} chaptersPath - Path to the chapters_to_write file
+   * @param {string} manuscriptFile - Manuscript the chapters are appended to
+   * @param {boolean} resume - Continue from the last run's progress
+   * @returns {Promise<Object>} - Progress for this run
+   */
+  async startProgress(progressPath, chapterList, chaptersPath, manuscriptFile, resume) {
+    let previous = null;
+    try {
+      previous = JSON.parse(await fs.readFile(progressPath, 'utf8'));
+    } catch (error) {
+      // No earlier run for this chapters file
+    }
+    
+    if (resume && !previous) {
+      this.emitOutput(`\nNo progress found for ${path.basename(chaptersPath)}, starting with the first chapter.\n`);
+    } else if (!resume && previous && previous.status !== 'finished') {
+      this.emitOutput(`\nNote: the last run of ${path.basename(chaptersPath)} did not finish; it is replaced by this run.\n`);
+      this.emitOutput(`Check "resume" to continue a stopped run instead.\n`);
+    }
+    
+    const earlier = resume && previous ? previous.chapters : [];
+    const progress = {
+      chaptersFile: chaptersPath,
+      manuscript: manuscriptFile,
+      startedAt: new Date().toISOString(),
+      updatedAt: null,
+      status: 'running',
+      chapters: chapterList.map(request => {
+        const match = earlier.find(chapter => chapter.request === request &&
+          (chapter.status === 'done' || chapter.status === 'written'));
+        return match || {
+          request,
+          status: 'pending',
+          chapterFile: null,
+          wordCount: null,
+          error: null,
+          batchIndex: null,
+          completedAt: null
+        };
+      })
+    };
+    
+    if (resume && previous) {
+      const finished = progress.chapters.filter(chapter => chapter.status === 'done').length;
+      this.emitOutput(`\nResuming: ${finished} of ${chapterList.length} chapters were already written.\n`);
+    }
+    
+    await this.saveProgress(progressPath, progress);
+    return progress;
+  }
+  
+  /**
+   * Update one chapter's progress and save it
+   * @param {string} progressPath - Progress file path
+   * @param {Object} progress - Progress for this run
+   * @param {number} index - Chapter index in the chapters list
+   * @param {Object} changes - Fields to change on the chapter
+   * @param {string} [runStatus] - New status for the run
+   * @returns {Promise<void>}
+   */
+  async updateProgress(progressPath, progress, index, changes, runStatus = null) {
+    Object.assign(progress.chapters[index], changes);
+    if (runStatus) {
+      progress.status = runStatus;
+    }
+    await this.saveProgress(progressPath, progress);
+  }
+  
+  /**
+   * Write the progress file
+   * @param {string} progressPath - Progress file path
+   * @param {Object} progress - Progress for this run
+   * @returns {Promise<void>}
+   */
+  async saveProgress(progressPath, progress) {
+    progress.updatedAt = new Date().toISOString();
+    await fs.mkdir(path.dirname(progressPath), { recursive: true });
+    await fs.writeFile(progressPath, JSON.stringify(progress, null, 2), 'utf8');
+  }
+  
+  /**
+   * Append a chapter written by an earlier run, unless it is already in the manuscript
+   * @param {string} chapterFile - Saved chapter file
+   * @param {string} manuscriptPath - Path to the manuscript file
+   * @param {boolean} backup - Whether to create a backup
+   * @returns {Promise<void>}
+   */
+  async appendWrittenChapter(chapterFile, manuscriptPath, backup) {
+    const chapterText = await fs.readFile(chapterFile, 'utf8');
+    let manuscriptContent = '';
+    try {
+      manuscriptContent = await fs.readFile(manuscriptPath, 'utf8');
+    } catch (error) {
+      await fs.writeFile(manuscriptPath, '');
+    }
+    
+    if (chapterText.trim() && manuscriptContent.includes(chapterText.trim())) {
+      this.emitOutput(`Chapter is already in the manuscript file\n`);
+      return;
+    }
+    
+    if (await this.appendToManuscript(chapterText, manuscriptPath, backup)) {
+      this.emitOutput(`Chapter appended to manuscript file: ${path.basename(manuscriptPath)}\n`);
+    }
+  }
+  
+  /**
+   * Record the files written for a chapter as soon as it completes,
+   * so they are still reported if a later chapter is cancelled
+   * @param {Object} result - Result of chapter processing
+   * @param {string[]} outputFiles - Output files collected so far
+   */
+  recordChapterFiles(result, outputFiles) {
+    const files = [result.chapterFile];
+    if (result.thinkingFile) {
+      files.push(result.thinkingFile);
+    }
+    
+    for (const file of files) {
+      outputFiles.push(file);
+      fileCache.addFile(this.name, file);
+    }
+  }
+  
   /**
    * Extract chapter number from request
    * @param {string} request - Chapter request text
    * @returns {Object} - Chapter number and formatted chapter number
    */
   extractChapterNum(request) {
-    // Check for the different formats
-    const fullPattern = /^Chapter\s+(\d+)[:\.]?\s+(.+)$/i;
-    const colonPattern = /^(\d+):\s+(.+)$/;
-    const periodPattern = /^(\d+)\.\s+(.+)$/;
-    
-    let chapterNum;
-    let fullMatch = request.match(fullPattern);
-    let colonMatch = request.match(colonPattern);
-    let periodMatch = request.match(periodPattern);
+    // Chapter headings are recognized the same way the other tools number chapters
+    const heading = parseChapterHeading(request, { explicit: true });
     
-    if (fullMatch) {
-      chapterNum = fullMatch[1];
-    } else if (colonMatch) {
-      chapterNum = colonMatch[1];
-    } else if (periodMatch) {
-      chapterNum = periodMatch[1];
-    } else {
+    if (!heading || heading.value === null) {
       this.emitOutput("\nERROR: it's best to copy your next chapter number and title from your outline, as\n");
-      this.emitOutput("'--request' must be like:\n\t--request \"Chapter X: Title\"\n...or\n\t--request \"X: Title\"\n...or\n\t--request \"X. Title\"\n... where X is a number.\n");
+      this.emitOutput("'--request' must be like:\n\t--request \"Chapter X: Title\"\n...or\n\t--request \"X: Title\"\n...or\n\t--request \"X. Title\"\n... where X is a number (digits, a roman numeral or words).\n");
       this.emitOutput(`But your request was: '${request}'\n\n`);
       throw new Error('Invalid chapter request format');
     }
     
+    const chapterNum = String(heading.value);
+    
     // Format the chapter number as 3-digit
-    const formattedChapter = String(parseInt(chapterNum)).padStart(3, '0');
+    const formattedChapter = chapterNum.padStart(3, '0');
     
     return { chapterNum, formattedChapter };
   }
@@ -555,20 +805,19 @@ ${analytics}
    * @returns {string} - Formatted chapter request
    */
   formatChapterRequest(request) {
-    // Check if already in "Chapter X: Title" format
-    if (/^Chapter\s+\d+/i.test(request)) {
+    const heading = parseChapterHeading(request, { explicit: true });
+    
+    // Fallback (should never happen due to extractChapterNum validation)
+    if (!heading) {
       return request;
     }
     
-    // Extract number and title
-    const match = request.match(/^(\d+)[:\.]?\s+(.+)$/);
-    if (match) {
-      const [, num, title] = match;
-      return `Chapter ${num}: ${title}`;
+    // Already in "Chapter X: Title" format
+    if (heading.marker) {
+      return request.trim();
     }
     
-    // Fallback (should never happen due to extractChapterNum validation)
-    return request;
+    return heading.title ? `Chapter ${heading.label}: ${heading.title}` : `Chapter ${heading.label}`;
   }
   
   /**
@@ -577,21 +826,16 @@ ${analytics}
    * @returns {string} - Formatted outline request
    */
   formatOutlineRequest(request) {
-    // Check if already in "Chapter X: Title" format
-    if (/^Chapter\s+\d+/i.test(request)) {
-      // Convert to "Chapter X. Title" format
-      return request.replace(/^(Chapter\s+\d+):\s+(.+)$/i, '$1. $2');
-    }
+    const heading = parseChapterHeading(request, { explicit: true });
     
-    // Extract number and title
-    const match = request.match(/^(\d+)[:\.]?\s+(.+)$/);
-    if (match) {
-      const [, num, title] = match;
-      return `Chapter ${num}. ${title}`;
+    // Fallback
+    if (!heading) {
+      return request;
     }
     
-    // Fallback
-    return request;
+    // Outlines use the "Chapter X. Title" format
+    const chapter = `${heading.marker || 'Chapter'} ${heading.label}`;
+    return heading.title ? `${chapter}. ${heading.title}` : chapter;
   }
   
   /**
@@ -733,6 +977,9 @@ note: The actual prompt included the outline, world, manuscript which are not lo
         await fs.writeFile(backupPath, manuscriptContent);
       }
       
+      // Keep a version of the manuscript as it was
+      await snapshots.snapshotFile(manuscriptPath, `Before ${this.config.title || this.name}`);
+      
       // Ensure manuscript ends with exactly one newline
       manuscriptContent = manuscriptContent.trim() + '\n';
       
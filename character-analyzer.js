@@ -5,6 +5,14 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'name inconsistency',
+  'missing character',
+  'trait inconsistency',
+  'role inconsistency'
+];
+
 /**
  * Character Analyzer Tool
  * Analyzes manuscript, outline, and world files to identify 
@@ -95,9 +103,12 @@ class CharacterAnalyzer extends BaseTool {
       // Create the prompt
       const prompt = this.createCharacterAnalysisPrompt(manuscriptContent, outlineContent, worldContent);
 
+      // Create system prompt to avoid markdown
+      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
+
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -143,9 +154,6 @@ class CharacterAnalyzer extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt to avoid markdown
-      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
-
       // Use the calculated values in the API call
       try {
         await this.claudeService.streamWithThinkingAndMessageStart(
@@ -214,6 +222,10 @@ class CharacterAnalyzer extends BaseTool {
       
       // Add all output files to the result
       outputFiles.push(...outputFile);
+
+      // Ask for the report's findings as structured data and save them next to it
+      const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+      outputFiles.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
       
       // Add files to the cache
       const toolName = 'character_analyzer';
@@ -0,0 +1,56 @@
+// claude-api-settings.js
+// Shared by the Electron app (main.js) and the command-line runner (cli.js)
+const appState = require('./state.js');
+const { DEFAULT_PROVIDER } = require('./ai-providers');
+
+// API settings schema, shown in the API Settings dialog
+// Settings with a `provider` only apply to (and are only shown for) that provider
+const CLAUDE_API_SCHEMA = [
+  { name: 'provider',               label: 'AI Provider',                       type: 'select', default: DEFAULT_PROVIDER, required: true, description: 'Model that runs the AI tools. Claude needs ANTHROPIC_API_KEY, Gemini needs GEMINI_API_KEY.',
+    options: [{ value: 'claude', label: 'Claude (Anthropic)' }, { value: 'gemini', label: 'Gemini (Google)' }, { value: 'mock', label: 'Mock (offline testing)' }] },
+  { name: 'max_retries',            label: 'Max Retries',                       type: 'number', default: 1,       required: true,  description: 'Maximum retry attempts if an API call fails.' },
+  { name: 'request_timeout',        label: 'Request Timeout (seconds)',         type: 'number', default: 300,     required: true,  description: 'Seconds to wait for the API to respond.' },
+  { name: 'desired_output_tokens',  label: 'Desired Output Tokens',             type: 'number', default: 12000,   required: true,  description: 'Approximate size of the visible reply.' },
+  { name: 'context_window',         label: 'Context Window (tokens)',           type: 'number', default: 200000,  required: true,  description: 'Maximum tokens the model can see at once.', provider: 'claude' },
+  { name: 'thinking_budget_tokens', label: 'Thinking Budget (tokens)',          type: 'number', default: 32000,   required: true,  description: 'Private "thinking" tokens before the reply.' },
+  { name: 'betas_max_tokens',       label: 'Beta Max Tokens',                   type: 'number', default: 128000,  required: true,  description: 'Upper limit when enabling beta features.', provider: 'claude' },
+  { name: 'model_name',             label: 'Model Name',                        type: 'text',   default: 'claude-3-7-sonnet-20250219', required: true, description: 'Exact model identifier.', provider: 'claude' },
+  { name: 'betas',                  label: 'Beta Features (comma‑separated)',   type: 'text',   default: 'output-128k-2025-02-19',     required: true, description: 'List of beta flags.', provider: 'claude' },
+  { name: 'max_thinking_budget',    label: 'Max Thinking Budget (tokens)',      type: 'number', default: 32000,   required: true,  description: 'Absolute cap for thinking tokens.' },
+  { name: 'max_tokens',             label: 'Max Tokens',                   type: 'number', default: 128000,  required: true,  description: 'Absolute cap for output tokens.', provider: 'claude' },
+  { name: 'prompt_caching',         label: 'Prompt Caching',                    type: 'boolean', default: true,   required: false, description: 'Cache the manuscript, outline and world files so tools run back-to-back on them read them at a fraction of the cost.', provider: 'claude' },
+  { name: 'batch_poll_interval',    label: 'Batch Poll Interval (seconds)',     type: 'number', default: 60,      required: false, min: 1, description: 'How often batch runs check whether their results are ready.', provider: 'claude' },
+  { name: 'gemini_model_name',      label: 'Gemini Model Name',                 type: 'text',   default: 'gemini-2.5-pro-preview-05-06', required: true, description: 'Exact Gemini model identifier.', provider: 'gemini' },
+  { name: 'gemini_context_window',  label: 'Gemini Context Window (tokens)',    type: 'number', default: 1048576, required: true,  description: 'Maximum tokens the Gemini model can see at once.', provider: 'gemini' },
+  { name: 'gemini_max_output_tokens', label: 'Gemini Max Output Tokens',        type: 'number', default: 65536,   required: true,  description: 'Absolute cap for output tokens, including thinking.', provider: 'gemini' },
+  { name: 'mock_fixtures_dir',      label: 'Mock Fixtures Folder',              type: 'text',   default: '',      required: false, description: 'Folder of JSON fixture responses (default: ~/writing/.toolkit/mock-fixtures).', provider: 'mock' }
+];
+
+/**
+ * Get the complete API settings
+ * Schema defaults overridden by the user's saved settings
+ * @returns {Object} - Settings for the AI service (see ai-providers.js) and the tools
+ */
+function getCompleteClaudeSettings() {
+  // Start with an empty settings object
+  const completeSettings = {};
+  
+  // Add all default values from the schema
+  CLAUDE_API_SCHEMA.forEach(setting => {
+    completeSettings[setting.name] = setting.default;
+  });
+  
+  // Override with any existing user settings
+  if (appState.settings_claude_api_configuration) {
+    for (const key in appState.settings_claude_api_configuration) {
+      completeSettings[key] = appState.settings_claude_api_configuration[key];
+    }
+  }
+  
+  return completeSettings;
+}
+
+module.exports = {
+  CLAUDE_API_SCHEMA,
+  getCompleteClaudeSettings
+};
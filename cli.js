@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+// cli.js - Writer's Toolkit command-line runner
+//
+// Runs any registered tool without Electron, for scripts, cron jobs and SSH:
+//
+//   writers-toolkit list
+//   writers-toolkit run line_editing --help
+//   writers-toolkit run line_editing --project my-novel --chapter-number 3
+//
+// Tool output is written to stdout; diagnostics go to stderr with --verbose.
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+// The app's modules log their progress with console.log; keep stdout for
+// tool output only, and show the rest on stderr when asked
+const verbose = process.argv.includes('--verbose');
+console.log = verbose ? (...args) => console.error(...args) : () => {};
+console.info = console.log;
+
+require('dotenv').config({ path: path.join(os.homedir(), '.env') });
+
+const { Command, Option } = require('commander');
+const { v4: uuidv4 } = require('uuid');
+const appState = require('./state.js');
+const toolSystem = require('./tool-system');
+const fileCache = require('./file-cache');
+const runHistory = require('./run-history');
+const batchRuns = require('./batch-runs');
+const { getCompleteClaudeSettings } = require('./claude-api-settings');
+const packageInfo = require('./package.json');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_INVALID_OPTIONS = 2;
+const EXIT_CANCELLED = 130;
+
+/**
+ * Convert a schema option name to its command-line flag
+ * @param {string} name - Option name (e.g. manuscript_file)
+ * @returns {string} - Flag (e.g. --manuscript-file)
+ */
+function toFlag(name) {
+  return `--${name.replace(/_/g, '-')}`;
+}
+
+/**
+ * Build a commander option from a tool option definition
+ * Values are passed on as given; the option schema coerces and validates them.
+ * @param {Object} def - Option definition from the tool's options schema
+ * @returns {Option} - Commander option
+ */
+function createCliOption(def) {
+  let description = (def.description || def.label || '').replace(/\s*\n\s*/g, ' ');
+  // Many descriptions already mention their default
+  if (def.default !== undefined && def.default !== null && def.default !== '' && !/default/i.test(description)) {
+    description += ` (default: ${def.default})`;
+  }
+  if (def.required) {
+    description += ' (required)';
+  }
+
+  let option;
+  if (def.type === 'boolean') {
+    // --backup turns a flag on, --backup false turns it off
+    option = new Option(`${toFlag(def.name)} [value]`, description);
+  } else {
+    option = new Option(`${toFlag(def.name)} <value>`, description);
+  }
+
+  // Options such as no_append are names, not negations of "append"
+  option.negate = false;
+
+  if (def.type === 'select' && Array.isArray(def.choices)) {
+    option.choices(def.choices.map(choice => String(choice.value)));
+  }
+
+  return option;
+}
+
+/**
+ * Make a project the current project for this run only
+ * @param {string} project - Project name in ~/writing, or a path to a folder
+ */
+function selectProject(project) {
+  const projectPath = path.isAbsolute(project) || project.startsWith('.')
+    ? path.resolve(project)
+    : path.join(appState.PROJECTS_DIR, project);
+
+  if (!fs.existsSync(projectPath) || !fs.statSync(projectPath).isDirectory()) {
+    throw new Error(`Project folder not found: ${projectPath}`);
+  }
+
+  // Not saved to the settings store, so the app's current project is unchanged
+  appState.CURRENT_PROJECT = path.basename(projectPath);
+  appState.CURRENT_PROJECT_PATH = projectPath;
+  appState.DEFAULT_SAVE_DIR = projectPath;
+}
+
+/**
+ * Print the registered tools
+ * @param {boolean} asJson - Print JSON instead of a table
+ */
+function listTools(asJson) {
+  const tools = toolSystem.toolRegistry.getAllToolIds().map(toolId => {
+    const tool = toolSystem.toolRegistry.getTool(toolId);
+    return {
+      id: toolId,
+      title: tool.config.title || toolId,
+      ai: tool.config.ai !== false,
+      custom: Boolean(tool.config.custom)
+    };
+  });
+
+  if (asJson) {
+    process.stdout.write(`${JSON.stringify(tools, null, 2)}\n`);
+    return;
+  }
+
+  const width = Math.max(...tools.map(tool => tool.id.length));
+  const groups = [
+    ['AI tools', tools.filter(tool => tool.ai && !tool.custom)],
+    ['Non-AI tools', tools.filter(tool => !tool.ai && !tool.custom)],
+    ['Your tools', tools.filter(tool => tool.custom)]
+  ];
+  for (const [heading, groupTools] of groups) {
+    if (groupTools.length === 0) continue;
+    process.stdout.write(`${heading}:\n`);
+    groupTools.forEach(tool => {
+      process.stdout.write(`  ${tool.id.padEnd(width)}  ${tool.title}\n`);
+    });
+    process.stdout.write('\n');
+  }
+  process.stdout.write(`Run "writers-toolkit run <tool> --help" to see a tool's options.\n`);
+}
+
+/**
+ * Run a tool with its output streamed to stdout
+ * The run is recorded in the project's run history like runs from the app.
+ * Ctrl+C cancels the run; a second Ctrl+C exits immediately.
+ * @param {string} toolId - Tool ID
+ * @param {Object} tool - Registered tool instance
+ * @param {Object} options - Option values from the command line
+ * @param {boolean} [asBatch] - Submit through the Message Batches API and wait
+ *   for the results; if this process ends first, the app resumes the run
+ * @returns {Promise<number>} - Exit code
+ */
+async function runTool(toolId, tool, options, asBatch = false) {
+  const runId = uuidv4();
+  const controller = new AbortController();
+
+  const onInterrupt = () => {
+    if (controller.signal.aborted) {
+      process.exit(EXIT_CANCELLED);
+    }
+    process.stderr.write('\nCancelling... (press Ctrl+C again to exit now)\n');
+    controller.abort();
+  };
+  process.on('SIGINT', onInterrupt);
+
+  const emitOutput = (text) => {
+    runHistory.appendOutput(runId, text);
+    process.stdout.write(text);
+  };
+
+  // Report bad options before a run is recorded
+  const { errors } = toolSystem.validateToolOptions(toolId, options);
+  if (errors.length > 0) {
+    printOptionErrors(toolId, errors);
+    process.removeListener('SIGINT', onInterrupt);
+    return EXIT_INVALID_OPTIONS;
+  }
+
+  let batch = null;
+  if (asBatch) {
+    batch = batchRuns.createRun(appState.CURRENT_PROJECT_PATH, {
+      runId,
+      toolId,
+      toolTitle: tool.config.title || toolId,
+      options
+    });
+    options = batch.options;
+  }
+
+  runHistory.startRun(appState.CURRENT_PROJECT_PATH, {
+    runId,
+    toolId,
+    toolTitle: tool.config.title || toolId,
+    options
+  });
+
+  try {
+    const result = await fileCache.trackRun(runId, () => toolSystem.executeToolById(toolId, options, {
+      signal: controller.signal,
+      emitOutput,
+      batch: batch ? batchRuns.createSession(batch) : null
+    }));
+    if (batch) {
+      batchRuns.finishRun(batch, 'finished');
+    }
+
+    const createdFiles = [...new Set([
+      ...((result && result.outputFiles) || []),
+      ...fileCache.getRunFiles(runId)
+    ])];
+    runHistory.finishRun(runId, {
+      status: 'finished',
+      createdFiles,
+      stats: (result && result.stats) || null
+    });
+
+    if (createdFiles.length > 0) {
+      process.stderr.write(`\nFiles created:\n${createdFiles.map(file => `  ${file}`).join('\n')}\n`);
+    }
+    return EXIT_OK;
+  } catch (error) {
+    const createdFiles = fileCache.getRunFiles(runId);
+
+    if (controller.signal.aborted) {
+      if (batch) {
+        batchRuns.finishRun(batch, 'cancelled');
+      }
+      runHistory.finishRun(runId, { status: 'cancelled', createdFiles });
+      process.stderr.write(`Tool ${toolId} was cancelled\n`);
+      return EXIT_CANCELLED;
+    }
+
+    if (batch) {
+      batchRuns.finishRun(batch, 'error');
+    }
+    runHistory.finishRun(runId, { status: 'error', createdFiles, error: error.message });
+    process.stderr.write(`Error running ${toolId}: ${error.message}\n`);
+    return EXIT_ERROR;
+  } finally {
+    fileCache.releaseRun(runId);
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+/**
+ * Print option errors using the command-line flag names
+ * @param {string} toolId - Tool ID
+ * @param {Object[]} errors - Field errors from the option schema
+ */
+function printOptionErrors(toolId, errors) {
+  process.stderr.write(`Invalid options for ${toolId}:\n`);
+  errors.forEach(({ field, message }) => {
+    process.stderr.write(`  ${field ? toFlag(field) : ''}: ${message}\n`);
+  });
+  process.stderr.write(`Run "writers-toolkit run ${toolId} --help" to see its options.\n`);
+}
+
+/**
+ * Build the command-line program from the registered tools
+ * @returns {Command} - Commander program
+ */
+function buildProgram() {
+  const program = new Command();
+  program
+    .name('writers-toolkit')
+    .description(`Run Writer's Toolkit tools from the command line`)
+    .version(packageInfo.version)
+    .option('--verbose', 'show diagnostic logging on stderr')
+    .showHelpAfterError();
+
+  program
+    .command('list')
+    .description('list the available tools')
+    .option('--json', 'print the tools as JSON')
+    .action((cmdOptions) => {
+      listTools(Boolean(cmdOptions.json));
+    });
+
+  const run = program
+    .command('run')
+    .description('run a tool; use "run <tool> --help" to see its options');
+
+  for (const toolId of toolSystem.toolRegistry.getAllToolIds()) {
+    const tool = toolSystem.toolRegistry.getTool(toolId);
+    const optionDefs = tool.config.options || [];
+
+    const command = run
+      .command(toolId)
+      .summary(tool.config.title || toolId)
+      .description((tool.config.description || tool.config.title || toolId).trim())
+      .option('-p, --project <name>', 'project name in ~/writing or path to a project folder (default: current project)')
+      .option('--save-dir <dir>', 'folder for reports (default: the project folder)');
+    if (tool.config.ai !== false) {
+      command.option('--batch', 'submit as a Message Batches request (half price, can take hours) and wait for the results');
+    }
+
+    const flagNames = new Map();
+    optionDefs.forEach(def => {
+      const option = createCliOption(def);
+      command.addOption(option);
+      flagNames.set(option.attributeName(), def.name);
+    });
+
+    command.action(async (cmdOptions) => {
+      if (cmdOptions.project) {
+        selectProject(cmdOptions.project);
+      }
+
+      // Only pass what was given; the schema fills in defaults
+      const options = {};
+      for (const [attribute, name] of flagNames) {
+        if (cmdOptions[attribute] !== undefined) {
+          options[name] = cmdOptions[attribute];
+        }
+      }
+      if (cmdOptions.saveDir) {
+        options.save_dir = path.resolve(cmdOptions.saveDir);
+      }
+
+      process.exitCode = await runTool(toolId, tool, options, Boolean(cmdOptions.batch));
+    });
+  }
+
+  return program;
+}
+
+async function main() {
+  await appState.initialize();
+
+  const { pluginErrors } = await toolSystem.initializeToolSystem(getCompleteClaudeSettings());
+  (pluginErrors || []).forEach(({ plugin, message }) => {
+    process.stderr.write(`Warning: plugin ${plugin} was skipped: ${message}\n`);
+  });
+
+  await buildProgram().parseAsync(process.argv);
+}
+
+main().catch((error) => {
+  process.stderr.write(`Error: ${error.message}\n`);
+  process.exitCode = EXIT_ERROR;
+});
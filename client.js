@@ -1,18 +1,28 @@
 // claude-api/client.js
 const anthropic = require('@anthropic-ai/sdk');
+const LLMProvider = require('./llm-provider');
+
+// Documents tools send ahead of their instructions, in the order they are
+// cached; each becomes its own cache breakpoint (the API allows four)
+const CACHEABLE_DOCUMENTS = ['MANUSCRIPT', 'OUTLINE', 'WORLD', 'CHARACTERS'];
+const DOCUMENT_SECTION = new RegExp(`^=== (${CACHEABLE_DOCUMENTS.join('|')}) ===\\n([\\s\\S]*?)\\n=== END \\1 ===[ \\t]*\\n?`, 'gm');
 
 /**
  * Claude API Service
  * Handles interactions with the Claude AI API
  * Uses UI settings with no hardcoded values
  */
-class ClaudeAPIService {
+class ClaudeAPIService extends LLMProvider {
+  static label = 'Claude';
+  static apiKeyEnv = 'ANTHROPIC_API_KEY';
 
   /**
    * Constructor
    * @param {Object} config - API configuration from UI settings
    */
   constructor(config = {}) {
+    super();
+
     // Validate required settings
     this.validateConfig(config);
     
@@ -27,9 +37,16 @@ class ClaudeAPIService {
       model_name: config.model_name,
       betas: config.betas,
       max_thinking_budget: config.max_thinking_budget,
-      max_tokens: config.max_tokens
+      max_tokens: config.max_tokens,
+      // On unless turned off in API Settings
+      prompt_caching: config.prompt_caching !== false,
+      // Seconds between checks on a submitted batch
+      batch_poll_interval: config.batch_poll_interval || 60
     };
 
+    // Batch session set by useBatchMode; requests then go through the Message Batches API
+    this.batch = null;
+
     const apiKey = process.env.ANTHROPIC_API_KEY;
     if (!apiKey) {
       console.error('ANTHROPIC_API_KEY environment variable not found');
@@ -64,6 +81,151 @@ class ClaudeAPIService {
       .filter(beta => beta.length > 0);
   }
 
+  /**
+   * Split a prompt into its document sections and the remaining instructions
+   * Sections look like "=== MANUSCRIPT ===\n...\n=== END MANUSCRIPT ===".
+   * @param {string} prompt - Prompt built by a tool
+   * @returns {{documents: Object[], instructions: string}} - Documents ({ name, text })
+   *   in CACHEABLE_DOCUMENTS order, and the prompt without them
+   */
+  _splitDocuments(prompt) {
+    const documents = [];
+    const instructions = prompt.replace(DOCUMENT_SECTION, (section, name) => {
+      // A document repeated in one prompt is only cached once
+      if (!documents.some(document => document.name === name)) {
+        documents.push({ name, text: section.trimEnd() });
+      }
+      return '';
+    });
+    
+    documents.sort((a, b) => CACHEABLE_DOCUMENTS.indexOf(a.name) - CACHEABLE_DOCUMENTS.indexOf(b.name));
+    return { documents, instructions: instructions.trim() };
+  }
+
+  /**
+   * Build the system and messages for a request
+   * With prompt caching the manuscript, outline and world documents go first
+   * in the system prompt, each marked as a cache breakpoint, followed by the
+   * tool's own system prompt; the tool's instructions are the user message.
+   * The cached prefix is then the same for every tool run on the same files.
+   * @param {string} prompt - Prompt built by a tool
+   * @param {string} [system] - Tool system prompt
+   * @returns {{system: (string|Object[]), messages: Object[]}} - Request fields
+   */
+  _buildPromptContent(prompt, system) {
+    const { documents, instructions } = this.config.prompt_caching
+      ? this._splitDocuments(prompt)
+      : { documents: [], instructions: prompt };
+    
+    if (documents.length === 0) {
+      return {
+        system,
+        messages: [{ role: "user", content: prompt }]
+      };
+    }
+    
+    const systemBlocks = documents.map(document => ({
+      type: "text",
+      text: document.text,
+      cache_control: { type: "ephemeral" }
+    }));
+    if (system) {
+      systemBlocks.push({ type: "text", text: system });
+    }
+    
+    return {
+      system: systemBlocks,
+      messages: [{ role: "user", content: instructions || "Follow the instructions above." }]
+    };
+  }
+
+  /**
+   * Build the model options for a request
+   * @param {string} prompt - Prompt built by a tool
+   * @param {Object} options - API options (only system is allowed to be overridden)
+   * @returns {Object} - Options for messages.stream (or, without betas, a batch request)
+   */
+  _buildModelOptions(prompt, options) {
+    // Only allow system prompt to be overridden
+    const { system, messages } = this._buildPromptContent(prompt, options.system);
+    const modelOptions = {
+      model: this.config.model_name,
+      max_tokens: options.max_tokens,
+      messages,
+      thinking: {
+        type: "enabled",
+        budget_tokens: options.thinking.budget_tokens
+      },
+      betas: this._getBetasArray()
+    };
+
+    if (system) {
+      modelOptions.system = system;
+    }
+    return modelOptions;
+  }
+
+  /**
+   * Add a response's token usage to the totals for this service
+   * @param {Object} usage - Usage from a message_start or message_delta event
+   */
+  _recordUsage(usage) {
+    if (!usage) return;
+    if (!this.usage) {
+      this.usage = { requests: 0, inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+    }
+    if (usage.input_tokens !== undefined) {
+      // message_start: one per request
+      this.usage.requests++;
+      this.usage.inputTokens += usage.input_tokens || 0;
+      this.usage.cacheReadTokens += usage.cache_read_input_tokens || 0;
+      this.usage.cacheWriteTokens += usage.cache_creation_input_tokens || 0;
+    } else if (usage.output_tokens !== undefined) {
+      // message_delta: cumulative output for the request
+      this.usage.outputTokens += usage.output_tokens || 0;
+    }
+  }
+
+  /**
+   * Describe the prompt cache use of the most recent request
+   * With prompt caching on, a request that neither read nor wrote the cache
+   * is reported too, since that means the cached prefix was missed.
+   * @param {Object} usage - Usage from a message_start event
+   * @returns {string|null} - Cache summary, or null without caching
+   */
+  _describeCacheUsage(usage) {
+    if (!usage) {
+      return null;
+    }
+    if (!this.config.prompt_caching && !usage.cache_read_input_tokens && !usage.cache_creation_input_tokens) {
+      return null;
+    }
+    return `Prompt cache: ${usage.cache_read_input_tokens || 0} tokens read, ` +
+      `${usage.cache_creation_input_tokens || 0} tokens written, ${usage.input_tokens || 0} uncached input tokens`;
+  }
+
+  /**
+   * Report a status line to the request's onStatus callback, or else to the
+   * tool's output through emitStatus
+   * @param {string} message - Status text
+   * @param {Function} [onStatus] - Status callback passed by the tool
+   */
+  _reportStatus(message, onStatus) {
+    if (onStatus && typeof onStatus === 'function') {
+      onStatus(message);
+    } else if (this.emitStatus && typeof this.emitStatus === 'function') {
+      this.emitStatus(message);
+    }
+  }
+
+  /**
+   * Helper method to build per-request options for API calls
+   * @returns {Object} Request options including the abort signal, if any
+   */
+  _getRequestOptions() {
+    return this.abortSignal ? { signal: this.abortSignal } : {};
+  }
+
   validateConfig(config) {
     // Check if config exists at all
     if (!config || Object.keys(config).length === 0) {
@@ -94,20 +256,28 @@ class ClaudeAPIService {
   
   /**
    * Count tokens in a text string
+   * A prompt is counted as the request that sends it: with the same system
+   * prompt and, with prompt caching, the same split into cached documents.
    * @param {string} text - Text to count tokens in
+   * @param {Object} [options] - { system } - System prompt the text is sent with
    * @returns {Promise<number>} - Token count
    */
-  async countTokens(text) {
+  async countTokens(text, options = {}) {
     try {
-      const response = await this.client.beta.messages.countTokens({
+      const { system, messages } = this._buildPromptContent(text, options.system);
+      const params = {
         model: this.config.model_name,
-        messages: [{ role: "user", content: text }],
+        messages,
         thinking: {
           type: "enabled",
           budget_tokens: this.config.thinking_budget_tokens
         },
         betas: this._getBetasArray()
-      });
+      };
+      if (system) {
+        params.system = system;
+      }
+      const response = await this.client.beta.messages.countTokens(params, this._getRequestOptions());
       
       return response.input_tokens;
     } catch (error) {
@@ -125,26 +295,26 @@ class ClaudeAPIService {
    * @returns {Promise<void>}
    */
   async streamWithThinking(prompt, options = {}, onThinking, onText) {
-    const modelOptions = {
-      model: this.config.model_name,
-      max_tokens: options.max_tokens,
-      messages: [{ role: "user", content: prompt }],
-      thinking: {
-        type: "enabled",
-        budget_tokens: options.thinking.budget_tokens
-      },
-      betas: this._getBetasArray()
-    };
-
-    // Only allow system prompt to be overridden
-    if (options.system) {
-      modelOptions.system = options.system;
+    const modelOptions = this._buildModelOptions(prompt, options);
+    if (this.batch) {
+      return this._completeViaBatch(modelOptions, { onThinking, onText });
     }
     
     try {
-      const stream = await this.client.beta.messages.stream(modelOptions);
+      const stream = await this.client.beta.messages.stream(modelOptions, this._getRequestOptions());
       
       for await (const event of stream) {
+        if (event.type === "message_start") {
+          this._recordUsage(event.message.usage);
+          
+          const cacheUsage = this._describeCacheUsage(event.message.usage);
+          if (cacheUsage) {
+            this._reportStatus(`\n${cacheUsage}\n`);
+          }
+        } else if (event.type === "message_delta") {
+          this._recordUsage(event.usage);
+        }
+        
         if (event.type === "content_block_delta") {
           if (event.delta.type === "thinking_delta") {
             // Call thinking callback with delta
@@ -174,20 +344,9 @@ class ClaudeAPIService {
    * @returns {Promise<void>}
    */
   async streamWithThinkingAndMessageStart(prompt, options = {}, onThinking, onText, onMessageStart, onResponseHeaders, onStatus) {
-    const modelOptions = {
-      model: this.config.model_name,
-      max_tokens: options.max_tokens,
-      messages: [{ role: "user", content: prompt }],
-      thinking: {
-        type: "enabled",
-        budget_tokens: options.thinking.budget_tokens
-      },
-      betas: this._getBetasArray()
-    };
-
-    // Only allow system prompt to be overridden
-    if (options.system) {
-      modelOptions.system = options.system;
+    const modelOptions = this._buildModelOptions(prompt, options);
+    if (this.batch) {
+      return this._completeViaBatch(modelOptions, { onThinking, onText, onMessageStart, onStatus });
     }
     
     try {
@@ -202,7 +361,7 @@ class ClaudeAPIService {
 
       // const stream = await this.client.beta.messages.stream(modelOptions);
       const { data: stream, response: rawResponse } = await this.client.beta.messages
-        .stream(modelOptions)
+        .stream(modelOptions, this._getRequestOptions())
         .withResponse();
 
       // display all headers from the raw response
@@ -265,8 +424,16 @@ class ClaudeAPIService {
 
       for await (const event of stream) {
         if (event.type === "message_start") {
+          this._recordUsage(event.message.usage);
           onMessageStart(`\n=== MESSAGE START ===`);
           onMessageStart(`${JSON.stringify(event.message)}`);
+          
+          const cacheUsage = this._describeCacheUsage(event.message.usage);
+          if (cacheUsage) {
+            this._reportStatus(`\n${cacheUsage}\n`, onStatus);
+          }
+        } else if (event.type === "message_delta") {
+          this._recordUsage(event.usage);
         }
 
         if (event.type === "content_block_start") {
@@ -300,75 +467,255 @@ class ClaudeAPIService {
       throw error;
     }
   }
-
+  
   /**
-   * Calculate token budgets and validate prompt size
-   * @param {number} promptTokens - Number of tokens in the prompt
-   * @returns {Object} - Calculated token budgets and limits
+   * Get a response in a fixed shape by making the model call a tool
+   * tool_choice forces the call, so the answer is the tool's input, which the
+   * API checks against the tool's input schema. Extended thinking can't be
+   * used with a forced tool, so this request has none.
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - { max_tokens, system }
+   * @param {Object} tool - { name, description, schema } - schema is the JSON schema of the input
+   * @returns {Promise<Object>} - The tool input
    */
-  calculateTokenBudgets(promptTokens) {
-    // Use configuration settings directly
-    const contextWindow = this.config.context_window;
-    const desiredOutputTokens = this.config.desired_output_tokens;
-    const configuredThinkingBudget = this.config.thinking_budget_tokens;
-    const betasMaxTokens = this.config.betas_max_tokens;
-    const maxThinkingBudget = this.config.max_thinking_budget;
-    let maxTokens = this.config.maxTokens;
+  async completeWithTool(prompt, options, tool) {
+    const { system, messages } = this._buildPromptContent(prompt, options.system);
+    const modelOptions = {
+      model: this.config.model_name,
+      max_tokens: options.max_tokens,
+      messages,
+      tools: [{ name: tool.name, description: tool.description, input_schema: tool.schema }],
+      tool_choice: { type: "tool", name: tool.name },
+      betas: this._getBetasArray()
+    };
+    if (system) {
+      modelOptions.system = system;
+    }
     
-    // Calculate available tokens after prompt
-    const availableTokens = contextWindow - promptTokens;
-
-    // For API call, max_tokens must respect the API limit
-    maxTokens = Math.min(availableTokens, betasMaxTokens);
-    if (maxTokens > contextWindow) {
-      maxTokens = availableTokens
+    let message;
+    if (this.batch) {
+      message = await this._runBatchRequest(modelOptions);
+    } else {
+      try {
+        // Streamed, since a long list of findings can take longer than the
+        // SDK allows a non-streaming request
+        message = await this.client.beta.messages.stream(modelOptions, this._getRequestOptions()).finalMessage();
+      } catch (error) {
+        console.error('API tool call error:', error);
+        throw error;
+      }
+      this._recordUsage({
+        input_tokens: message.usage.input_tokens,
+        cache_read_input_tokens: message.usage.cache_read_input_tokens,
+        cache_creation_input_tokens: message.usage.cache_creation_input_tokens
+      });
+      this._recordUsage({ output_tokens: message.usage.output_tokens });
     }
     
-    // Thinking budget must be LESS than max_tokens to leave room for visible output
-    let thinkingBudget = maxTokens - desiredOutputTokens;
+    const cacheUsage = this._describeCacheUsage(message.usage);
+    if (cacheUsage) {
+      this._reportStatus(`\n${cacheUsage}\n`);
+    }
     
-    // Cap thinking budget if it's too large - use configurable limit
-    const capThinkingBudget = thinkingBudget > maxThinkingBudget;
-    if (capThinkingBudget) {
-      thinkingBudget = maxThinkingBudget;
+    if (message.stop_reason === "max_tokens") {
+      throw new Error(`the ${tool.name} call was cut off at ${options.max_tokens} tokens`);
+    }
+    const call = message.content.find(block => block.type === "tool_use" && block.name === tool.name);
+    if (!call) {
+      throw new Error(`the response did not call ${tool.name}`);
     }
+    return call.input;
+  }
 
-    // client.js: execute:
-    // API Error: 400 {
-    //     "type":"error",
-    //     "error":{
-    //       "type":"invalid_request_error",
-    //       "message":"input length and `max_tokens` exceed 
-    //          context limit: 107398 + 128000 > 200000, 
-    //          decrease input length or `max_tokens` and try again"
-    //     }}
-
-    // ---------------------------------------------------------------
-    // May 2025: Claude 3.7 Sonnet with 32K extended thinking & betas
-    // _______________________________________________________________
-    // OUTPUT  =  contextWindow - promptTokens     =  availableTokens
-    //                                ↓ THINKING ↓
-    // VISIBLE =  availableTokens  -    32000      =  maxTokens
-    // ---------------------------------------------------------------
-    
-    // Check if prompt is too large for the configured thinking budget
-    const isPromptTooLarge = thinkingBudget < configuredThinkingBudget;
-    
-    // Return all calculated values for use in API calls and logging
-    return {
-      contextWindow,
-      promptTokens,
-      availableTokens,
-      maxTokens,
-      thinkingBudget,
-      desiredOutputTokens,
-      betasMaxTokens,
-      configuredThinkingBudget,
-      capThinkingBudget,
-      isPromptTooLarge
+  /**
+   * Send requests through the Message Batches API instead of streaming
+   * Batches cost half as much but can take up to a day; each request is
+   * submitted, saved to the session, and polled until its results arrive.
+   * @param {Object} session - Batch session from batchRuns.createSession
+   */
+  useBatchMode(session) {
+    this.batch = session;
+  }
+
+  /**
+   * Complete a request as a batch and hand its result to the callbacks
+   * A request the session already has a batch for (a resumed run) is not
+   * submitted again; its saved batch is polled instead.
+   * @param {Object} modelOptions - Options from _buildModelOptions
+   * @param {Object} callbacks - { onThinking, onText, onMessageStart, onStatus }
+   * @returns {Promise<void>}
+   */
+  async _completeViaBatch(modelOptions, { onThinking, onText, onMessageStart, onStatus }) {
+    const message = await this._runBatchRequest(modelOptions, onStatus);
+
+    if (onMessageStart && typeof onMessageStart === 'function') {
+      onMessageStart(`\n=== MESSAGE START ===`);
+      onMessageStart(`${JSON.stringify({ ...message, content: [] })}`);
+    }
+    const cacheUsage = this._describeCacheUsage(message.usage);
+    if (cacheUsage) {
+      this._reportStatus(`${cacheUsage}\n`, onStatus);
+    }
+
+    for (const block of message.content) {
+      if (block.type === "thinking" && onThinking && typeof onThinking === 'function') {
+        onThinking(block.thinking);
+      } else if (block.type === "text" && onText && typeof onText === 'function') {
+        onText(block.text);
+      }
+    }
+  }
+
+  /**
+   * Submit a request as a batch (or find its saved batch) and wait for its result
+   * @param {Object} modelOptions - Request options, including betas
+   * @param {Function} [onStatus] - Callback for progress messages
+   * @returns {Promise<Object>} - The resulting message, with its usage recorded
+   */
+  async _runBatchRequest(modelOptions, onStatus) {
+    const { betas, ...params } = modelOptions;
+    const status = (message) => {
+      console.log(message);
+      this._reportStatus(`${message}\n`, onStatus);
     };
+
+    const index = this.batch.nextIndex();
+    let request = this.batch.getRequest(index);
+    if (request) {
+      status(`Resuming batch ${request.batchId}...`);
+    } else {
+      const customId = `${this.batch.runId}-${index}`;
+      const batch = await this.client.beta.messages.batches.create({
+        requests: [{ custom_id: customId, params }],
+        betas
+      }, this._getRequestOptions());
+      request = { batchId: batch.id, customId, submittedAt: new Date().toISOString() };
+      this.batch.saveRequest(index, request);
+      status(`Submitted batch ${batch.id}; results usually arrive within an hour and are checked every ${this.config.batch_poll_interval} seconds.`);
+    }
+
+    await this._waitForBatch(request.batchId, betas, status);
+
+    const message = await this._getBatchResult(request.batchId, request.customId, betas);
+    this._recordUsage({
+      input_tokens: message.usage.input_tokens,
+      cache_read_input_tokens: message.usage.cache_read_input_tokens,
+      cache_creation_input_tokens: message.usage.cache_creation_input_tokens
+    });
+    this._recordUsage({ output_tokens: message.usage.output_tokens });
+    return message;
   }
-  
+
+  /**
+   * Poll a batch until it has ended
+   * Connection and server errors are retried at the next poll, so a batch
+   * outlives network hiccups. Cancelling the run cancels the batch.
+   * @param {string} batchId - Message batch ID
+   * @param {string[]} betas - Beta features
+   * @param {Function} status - Reports progress
+   * @returns {Promise<void>}
+   */
+  async _waitForBatch(batchId, betas, status) {
+    let lastStatus = null;
+    for (;;) {
+      try {
+        const batch = await this.client.beta.messages.batches.retrieve(batchId, { betas }, this._getRequestOptions());
+        if (batch.processing_status === 'ended') {
+          status(`Batch ${batchId} has ended.`);
+          return;
+        }
+        if (batch.processing_status !== lastStatus) {
+          lastStatus = batch.processing_status;
+          status(`Batch ${batchId} is ${lastStatus.replace(/_/g, ' ')}...`);
+        }
+      } catch (error) {
+        if (this.abortSignal && this.abortSignal.aborted) {
+          await this._cancelBatch(batchId, betas);
+          throw error;
+        }
+        if (!(error instanceof anthropic.APIConnectionError) && !(error.status >= 500)) {
+          throw error;
+        }
+        console.warn(`Could not check batch ${batchId} (${error.message}), retrying...`);
+      }
+
+      try {
+        await this._sleep(this.config.batch_poll_interval * 1000);
+      } catch (error) {
+        await this._cancelBatch(batchId, betas);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Find one request's result in an ended batch
+   * @param {string} batchId - Message batch ID
+   * @param {string} customId - custom_id of the request
+   * @param {string[]} betas - Beta features
+   * @returns {Promise<Object>} - The response message
+   */
+  async _getBatchResult(batchId, customId, betas) {
+    const results = await this.client.beta.messages.batches.results(batchId, { betas }, this._getRequestOptions());
+    for await (const entry of results) {
+      if (entry.custom_id !== customId) {
+        continue;
+      }
+      if (entry.result.type === 'succeeded') {
+        return entry.result.message;
+      }
+      if (entry.result.type === 'errored') {
+        const detail = entry.result.error && entry.result.error.error;
+        throw new Error(`Batch request failed: ${detail ? detail.message : 'unknown error'}`);
+      }
+      throw new Error(`Batch request was ${entry.result.type}`);
+    }
+    throw new Error(`No result for ${customId} in batch ${batchId}`);
+  }
+
+  /**
+   * Cancel a batch when its run is stopped; failures are only logged
+   * @param {string} batchId - Message batch ID
+   * @param {string[]} betas - Beta features
+   */
+  async _cancelBatch(batchId, betas) {
+    try {
+      await this.client.beta.messages.batches.cancel(batchId, { betas });
+      console.log(`Cancelled batch ${batchId}`);
+    } catch (error) {
+      console.warn(`Could not cancel batch ${batchId}:`, error.message);
+    }
+  }
+
+  /**
+   * Wait between polls, waking early if the run is cancelled
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<void>} - Rejects with an AbortError when cancelled
+   */
+  _sleep(ms) {
+    return new Promise((resolve, reject) => {
+      const signal = this.abortSignal;
+      const abortError = () => {
+        const error = new Error('Request was aborted.');
+        error.name = 'AbortError';
+        return error;
+      };
+      if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
   // /**
   //  * Complete a prompt with thinking
   //  * @param {string} prompt - Prompt to complete
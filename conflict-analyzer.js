@@ -4,6 +4,16 @@ const path = require('path');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
+const { parseManuscript, listScenes, formatSceneIndex, formatFindingsByScene } = require('./manuscript');
+
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'missing conflict',
+  'weak conflict',
+  'escalation',
+  'resolution',
+  'conflict structure'
+];
 
 /**
  * ConflictAnalyzer Tool
@@ -75,6 +85,11 @@ class ConflictAnalyzer extends BaseTool {
         outlineContent = await this.readInputFile(outlineFile);
       }
       
+      // Split into scenes so conflicts can be tied to scene IDs
+      const manuscript = parseManuscript(manuscriptContent);
+      const sceneIndex = formatSceneIndex(manuscript);
+      this.emitOutput(`Found ${listScenes(manuscript).length} scenes in ${manuscript.chapters.length} chapters.\n`);
+      
       // Handle "all" analysis level
       const analysisLevels = analysisLevel === "all" 
         ? ["scene", "chapter", "arc"] 
@@ -82,14 +97,18 @@ class ConflictAnalyzer extends BaseTool {
       
       // Run each analysis level
       for (const level of analysisLevels) {
+        this.throwIfCancelled();
         this.emitOutput(`\nRunning ${level.toUpperCase()} conflict analysis...\n`);
         
         // Create the prompt for this level
-        const prompt = this.createPrompt(level, outlineContent, manuscriptContent, conflictTypes);
+        const prompt = this.createPrompt(level, outlineContent, manuscriptContent, conflictTypes, sceneIndex);
+
+        // Create system prompt to avoid markdown
+        const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
 
         // Count tokens in the prompt
         this.emitOutput(`Counting tokens in prompt...\n`);
-        const promptTokens = await this.claudeService.countTokens(prompt);
+        const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
         // Call the shared token budget calculator
         const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -136,9 +155,6 @@ class ConflictAnalyzer extends BaseTool {
         let fullResponse = "";
         let thinkingContent = "";
         
-        // Create system prompt to avoid markdown
-        const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
-
         // Use the calculated values in the API call
         try {
           await this.claudeService.streamWithThinking(
@@ -182,6 +198,9 @@ class ConflictAnalyzer extends BaseTool {
         // Remove any markdown formatting
         fullResponse = this.removeMarkdown(fullResponse);
 
+        // Index the conflicts scene by scene
+        fullResponse += formatFindingsByScene(fullResponse, manuscript);
+
         // Save the report
         const outputFile = await this.saveReport(
           level,
@@ -194,6 +213,10 @@ class ConflictAnalyzer extends BaseTool {
         
         // Add the output files to the result
         outputFiles.push(...outputFile);
+
+        // Ask for the report's findings as structured data and save them next to it
+        const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+        outputFiles.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
       }
       
       // Add files to the cache
@@ -223,9 +246,10 @@ class ConflictAnalyzer extends BaseTool {
    * @param {string} outlineContent - Outline content
    * @param {string} manuscriptContent - Manuscript content
    * @param {Array|string} conflictTypes - Types of conflicts to analyze
+   * @param {string} sceneIndex - Scene IDs with their opening words (see formatSceneIndex)
    * @returns {string} - Prompt for Claude API
    */
-  createPrompt(analysisLevel, outlineContent, manuscriptContent, conflictTypes) {
+  createPrompt(analysisLevel, outlineContent, manuscriptContent, conflictTypes, sceneIndex = "") {
     const noMarkdown = "IMPORTANT: - NO Markdown formatting";
     
     // Convert conflictTypes to comma-separated string if it's an array
@@ -240,11 +264,15 @@ ${outlineContent}
 ${manuscriptContent}
 === END MANUSCRIPT ===
 
+=== SCENE INDEX ===
+${sceneIndex}
+=== END SCENE INDEX ===
+
 ${noMarkdown}
 
 You are an expert fiction editor specializing in conflict analysis. Analyze the manuscript to identify and evaluate conflicts at the SCENE level. Focus on these conflict types: ${conflictTypesList}.
 
-For each scene in the manuscript:
+For each scene listed in the SCENE INDEX:
 
 1. CONFLICT IDENTIFICATION:
    - Identify the primary conflict driving the scene
@@ -265,7 +293,7 @@ For each scene in the manuscript:
    - Note if any scenes lack meaningful conflict
 
 Organize your analysis by scene, using clear scene boundaries and key identifying text. For each scene, provide:
-- Scene location in the manuscript (beginning and ending text)
+- Scene ID from the SCENE INDEX in square brackets, e.g. [Ch 4, Scene 2]
 - Main conflict identification and classification
 - Analysis of conflict dynamics and progression
 - Assessment of conflict effectiveness
@@ -282,6 +310,10 @@ ${outlineContent}
 ${manuscriptContent}
 === END MANUSCRIPT ===
 
+=== SCENE INDEX ===
+${sceneIndex}
+=== END SCENE INDEX ===
+
 ${noMarkdown}
 
 You are an expert fiction editor specializing in conflict analysis. Analyze the manuscript to identify and evaluate conflicts at the CHAPTER level. Focus on these conflict types: ${conflictTypesList}.
@@ -308,6 +340,7 @@ For each chapter or major section in the manuscript:
 
 Organize your analysis by chapter/section, providing:
 - Chapter identification (heading or beginning text)
+- The scene IDs from the SCENE INDEX, in square brackets, of the scenes where the conflict turns, e.g. [Ch 4, Scene 2]
 - Main conflict analysis and classification
 - Conflict progression through the chapter
 - Assessment of conflict structure and effectiveness
@@ -324,6 +357,10 @@ ${outlineContent}
 ${manuscriptContent}
 === END MANUSCRIPT ===
 
+=== SCENE INDEX ===
+${sceneIndex}
+=== END SCENE INDEX ===
+
 ${noMarkdown}
 
 You are an expert fiction editor specializing in conflict analysis. Analyze the manuscript to identify and evaluate conflicts at the ARC level. Focus on these conflict types: ${conflictTypesList}.
@@ -338,7 +375,7 @@ Analyze the major conflict arcs that span multiple chapters or the entire manusc
 
 2. ARC PROGRESSION:
    - For each major conflict arc, trace its development across the manuscript
-   - Identify key escalation points and their manuscript locations
+   - Identify key escalation points and their scene IDs from the SCENE INDEX, e.g. [Ch 4, Scene 2]
    - Track how the conflicts evolve, intensify, and interconnect
    - Map the climactic moments for each conflict arc
    - Analyze resolution patterns for each arc
@@ -6,6 +6,16 @@ const appState = require('./state.js');
 const fs = require('fs/promises');
 const textProcessor = require('./textProcessor');
 
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'grammar',
+  'spelling',
+  'punctuation',
+  'consistency',
+  'style',
+  'word choice'
+];
+
 /**
  * CopyEditing Tool
   * COPYEDITING: TECHNICAL CORRECTNESS
@@ -52,7 +62,7 @@ class CopyEditing extends BaseTool {
     
     // Extract options
     let manuscriptFile = options.manuscript_file;
-    const language = options.language || 'English';
+    const language = options.language;
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
     if (!saveDir) {
@@ -79,9 +89,12 @@ class CopyEditing extends BaseTool {
       // Create prompt using the template with language substitution
       const prompt = this.createPrompt(manuscriptWithoutChapterHeaders, language);
 
+      // Create system prompt - more explicit guidance
+      const systemPrompt = "You are a meticulous copy editor. Be thorough and careful. DO NOT use any Markdown formatting - no headers, bullets, numbering, asterisks, hyphens, or any formatting symbols. Plain text only. You must find and report ALL errors and issues, even small ones.";
+
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -122,9 +135,6 @@ class CopyEditing extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt - more explicit guidance
-      const systemPrompt = "You are a meticulous copy editor. Be thorough and careful. DO NOT use any Markdown formatting - no headers, bullets, numbering, asterisks, hyphens, or any formatting symbols. Plain text only. You must find and report ALL errors and issues, even small ones.";
-
       // Use the calculated values in the API call
       try {
         await this.claudeService.streamWithThinking(
@@ -180,6 +190,10 @@ class CopyEditing extends BaseTool {
       
       // Add the output files to the result
       outputFiles.push(...outputFile);
+
+      // Ask for the report's findings as structured data and save them next to it
+      const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+      outputFiles.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
       
       // Add files to the cache
       outputFiles.forEach(file => {
@@ -4,6 +4,15 @@ const path = require('path');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
+const { parseManuscript, listScenes, formatSceneIndex, formatFindingsByScene } = require('./manuscript');
+
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'crowding',
+  'leaping',
+  'transition',
+  'pacing'
+];
 
 /**
  * CrowdingLeapingEvaluator Tool
@@ -62,18 +71,26 @@ class CrowdingLeapingEvaluator extends BaseTool {
       this.emitOutput(`Reading manuscript file: ${manuscriptFile}\n`);
       const manuscriptContent = await this.readInputFile(manuscriptFile);
       
+      // Split into scenes so pacing issues can be tied to scene IDs
+      const manuscript = parseManuscript(manuscriptContent);
+      this.emitOutput(`Found ${listScenes(manuscript).length} scenes in ${manuscript.chapters.length} chapters.\n`);
+      
       // Create the prompt
       const prompt = this.createCrowdingLeapingPrompt(
         manuscriptContent, 
         analysisLevel, 
         focusAreas, 
         sensitivity,
-        includeVisualization
+        includeVisualization,
+        formatSceneIndex(manuscript)
       );
 
+      // Create system prompt to avoid markdown
+      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
+
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -119,9 +136,6 @@ class CrowdingLeapingEvaluator extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt to avoid markdown
-      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
-
       // Use the calculated values in the API call - following pattern from rhythm-analyzer.js
       try {
         await this.claudeService.streamWithThinking(
@@ -165,6 +179,9 @@ class CrowdingLeapingEvaluator extends BaseTool {
       // Remove any markdown formatting
       fullResponse = this.removeMarkdown(fullResponse);
 
+      // Index the pacing issues scene by scene
+      fullResponse += formatFindingsByScene(fullResponse, manuscript);
+
       // Save the report
       const outputFile = await this.saveReport(
         analysisLevel,
@@ -180,6 +197,10 @@ class CrowdingLeapingEvaluator extends BaseTool {
       
       // Add all output files to the result
       outputFiles.push(...outputFile);
+
+      // Ask for the report's findings as structured data and save them next to it
+      const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+      outputFiles.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
       
       // Add files to the cache
       const toolName = 'crowding_leaping_evaluator';
@@ -215,9 +236,10 @@ class CrowdingLeapingEvaluator extends BaseTool {
    * @param {Array|string} focusAreas - Areas to focus on
    * @param {string} sensitivity - Sensitivity level (low, medium, high)
    * @param {boolean} includeVisualization - Whether to include visualization
+   * @param {string} sceneIndex - Scene IDs with their opening words (see formatSceneIndex)
    * @returns {string} - Prompt for Claude API
    */
-  createCrowdingLeapingPrompt(manuscriptContent, analysisLevel = "standard", focusAreas = ["crowding", "leaping", "transitions", "pacing"], sensitivity = "medium", includeVisualization = false) {
+  createCrowdingLeapingPrompt(manuscriptContent, analysisLevel = "standard", focusAreas = ["crowding", "leaping", "transitions", "pacing"], sensitivity = "medium", includeVisualization = false, sceneIndex = "") {
     // Build instruction section based on analysis level
     const basicInstructions = `
 1. PACING OVERVIEW:
@@ -350,6 +372,7 @@ Pay special attention to:
    Suggestion: Vary detail level to emphasize key moments and quicken pace for transitions
 
 For each pacing issue you identify, provide:
+- The scene ID from the SCENE INDEX in square brackets, e.g. [Ch 4, Scene 2]; a leap between scenes names both
 - The relevant passage with the crowding or leaping pattern
 - An analysis of its effect on reader experience and narrative flow
 - A suggested revision approach that maintains the author's voice and intent
@@ -363,7 +386,7 @@ Be specific in your examples and suggestions, showing how crowding and leaping c
 `;
 
     // Combine all sections
-    return `=== MANUSCRIPT ===\n${manuscriptContent}\n=== END MANUSCRIPT ===\n\n${instructions}`;
+    return `=== MANUSCRIPT ===\n${manuscriptContent}\n=== END MANUSCRIPT ===\n\n=== SCENE INDEX ===\n${sceneIndex}\n=== END SCENE INDEX ===\n\n${instructions}`;
   }
 
   /**
@@ -6,6 +6,14 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'dangling modifier',
+  'misplaced modifier',
+  'squinting modifier',
+  'limiting modifier'
+];
+
 /**
  * DanglingModifierChecker Tool
  * Analyzes manuscript for dangling and misplaced modifiers using the Claude API.
@@ -69,9 +77,12 @@ class DanglingModifierChecker extends BaseTool {
       // Create the prompt
       const prompt = this.createModifierAnalysisPrompt(manuscriptContent, analysisLevel, modifierTypes, sensitivity);
 
+      // Create system prompt to avoid markdown
+      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
+
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -117,9 +128,6 @@ class DanglingModifierChecker extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt to avoid markdown
-      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
-
       // Use the calculated values in the API call - FIXED to match narrative-integrity.js pattern
       try {
         await this.claudeService.streamWithThinking(
@@ -178,6 +186,10 @@ class DanglingModifierChecker extends BaseTool {
       
       // Add all output files to the result
       outputFiles.push(...outputFile);
+
+      // Ask for the report's findings as structured data and save them next to it
+      const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+      outputFiles.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
       
       // Add files to the cache
       const toolName = 'dangling_modifier_checker';
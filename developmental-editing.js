@@ -6,6 +6,18 @@ const appState = require('./state.js');
 const fs = require('fs/promises');
 const textProcessor = require('./textProcessor');
 
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'plot',
+  'plot hole',
+  'structure',
+  'character',
+  'pacing',
+  'point of view',
+  'setting',
+  'theme'
+];
+
 /**
  * DevelopmentalEditing Tool
  * Analyzes a manuscript for structural foundation issues, including plot holes,
@@ -36,7 +48,7 @@ class DevelopmentalEditing extends BaseTool {
     
     // Extract options
     let manuscriptFile = options.manuscript_file;
-    const language = options.language || 'English';
+    const language = options.language;
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
     if (!saveDir) {
@@ -62,9 +74,12 @@ class DevelopmentalEditing extends BaseTool {
       // Create prompt using the template with language substitution
       const prompt = this.createPrompt(manuscriptWithoutChapterHeaders, language);
 
+      // Create system prompt - more explicit guidance
+      const systemPrompt = "You are a professional developmental editor focused on the structural foundations of storytelling. Provide clear, specific feedback on plot structure, character development, pacing, worldbuilding, and thematic elements. DO NOT use any Markdown formatting - no headers, bullets, numbering, asterisks, hyphens, or any formatting symbols. Plain text only. Focus on substantive issues rather than line-level editing.";
+
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -112,9 +127,6 @@ class DevelopmentalEditing extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt - more explicit guidance
-      const systemPrompt = "You are a professional developmental editor focused on the structural foundations of storytelling. Provide clear, specific feedback on plot structure, character development, pacing, worldbuilding, and thematic elements. DO NOT use any Markdown formatting - no headers, bullets, numbering, asterisks, hyphens, or any formatting symbols. Plain text only. Focus on substantive issues rather than line-level editing.";
-
       // Use the calculated values in the API call
       try {
         await this.claudeService.streamWithThinking(
@@ -170,6 +182,10 @@ class DevelopmentalEditing extends BaseTool {
       
       // Add the output files to the result
       outputFiles.push(...outputFile);
+
+      // Ask for the report's findings as structured data and save them next to it
+      const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+      outputFiles.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
       
       // Add files to the cache
       outputFiles.forEach(file => {
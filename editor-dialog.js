@@ -4,6 +4,7 @@ const positionDisplay = document.getElementById('position');
 const statsDisplay = document.getElementById('statistics');
 const currentFileDisplay = document.getElementById('currentFile');
 const saveAsButton = document.getElementById('btnSaveAs');
+const versionsButton = document.getElementById('btnVersions');
 const fontSizeSelect = document.getElementById('fontSize');
 const wordWrapSelect = document.getElementById('wordWrap');
 const closeBtn = document.getElementById('close-btn');
@@ -80,6 +81,9 @@ function setupEventListeners() {
   // Save As button handler
   saveAsButton.addEventListener('click', saveFileAs);
   
+  // Versions button
+  versionsButton.addEventListener('click', showVersions);
+  
   // Font size changes
   fontSizeSelect.addEventListener('change', function() {
     editor.style.fontSize = `${this.value}px`;
@@ -94,6 +98,7 @@ function setupEventListeners() {
   // IPC events from main process
   if (window.electronAPI) {
     window.electronAPI.onFileOpened && window.electronAPI.onFileOpened(handleFileOpened);
+    window.electronAPI.onFileRestored && window.electronAPI.onFileRestored(handleFileRestored);
   }
 }
 
@@ -133,6 +138,16 @@ async function saveFileAs() {
   }
 }
 
+// Show the saved versions of the current file
+async function showVersions() {
+  if (window.electronAPI && window.electronAPI.showSnapshots) {
+    const result = await window.electronAPI.showSnapshots(currentFilePath);
+    if (result && !result.success) {
+      alert(result.message);
+    }
+  }
+}
+
 // Show a brief notification
 function showNotification(message, duration = 2000) {
   // Create notification element if it doesn't exist
@@ -176,6 +191,18 @@ function handleFileOpened(data) {
   }
 }
 
+// Reload the file when it was restored to an earlier version
+function handleFileRestored(data) {
+  if (!data || data.filePath !== currentFilePath) {
+    return;
+  }
+  if (documentChanged && !confirm('This file was restored to an earlier version. Discard your unsaved changes and load it?')) {
+    return;
+  }
+  handleFileOpened(data);
+  showNotification('File restored');
+}
+
 // Initialize the editor when the document is ready
 document.addEventListener('DOMContentLoaded', initEditor);
 
@@ -2,6 +2,11 @@ const { app, BrowserWindow, dialog, ipcMain, Menu, screen } = require('electron'
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const appState = require('./state.js');
+const snapshots = require('./snapshots');
+const editorRecovery = require('./editor-recovery');
+const { findAllMatches, replaceAllMatches } = require('./text-search');
+const { mergeTexts } = require('./text-diff');
 
 // Define the restricted directory
 const WRITING_DIR = path.join(os.homedir(), 'writing');
@@ -11,8 +16,125 @@ if (!fs.existsSync(WRITING_DIR)) {
   fs.mkdirSync(WRITING_DIR, { recursive: true });
 }
 
+// Files shown in the project sidebar
+const PROJECT_FILE_EXTENSIONS = ['.txt', '.md'];
+
+// How many folders deep the project sidebar lists files
+const MAX_TREE_DEPTH = 4;
+
+// Matches shown for each file in a project-wide replace preview
+const PREVIEW_MATCHES_PER_FILE = 5;
+
+// Characters of context shown either side of a previewed match
+const PREVIEW_CONTEXT = 40;
+
+// How often (ms) the open files are checked for changes made by other programs
+const WATCH_INTERVAL = 2000;
+
 let mainWindow;
 
+// Project folder shown in the sidebar
+let currentProjectPath = null;
+
+// Files open in the editor's tabs that are watched for changes on disk
+const watchedFiles = new Set();
+
+// Check that a path is inside the writing directory
+function isInWritingDir(filePath) {
+  const relative = path.relative(WRITING_DIR, path.resolve(filePath));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// The project folder (first folder under ~/writing) holding a file
+function findProjectFolder(filePath) {
+  if (!isInWritingDir(filePath)) return null;
+  const parts = path.relative(WRITING_DIR, path.resolve(filePath)).split(path.sep);
+  return parts.length > 1 ? path.join(WRITING_DIR, parts[0]) : null;
+}
+
+// Show a file's project in the sidebar
+function useProjectOf(filePath) {
+  const projectPath = findProjectFolder(filePath);
+  if (projectPath) {
+    currentProjectPath = projectPath;
+  }
+}
+
+/**
+ * List the text files in a folder for the project sidebar
+ * Hidden files and folders (such as .toolkit) are skipped, as are folders
+ * with no text files.
+ * @param {string} dir - Folder to list
+ * @param {number} depth - Depth of the folder below the project
+ * @returns {Promise<Object[]>} - Entries: { name, path, type: 'file' | 'directory', children }
+ */
+async function listProjectFiles(dir, depth = 0) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const directories = [];
+  const files = [];
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const entryPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory() && depth < MAX_TREE_DEPTH) {
+      const children = await listProjectFiles(entryPath, depth + 1);
+      if (children.length > 0) {
+        directories.push({ name: entry.name, path: entryPath, type: 'directory', children });
+      }
+    } else if (entry.isFile() && PROJECT_FILE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push({ name: entry.name, path: entryPath, type: 'file' });
+    }
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name, undefined, { numeric: true });
+  return [...directories.sort(byName), ...files.sort(byName)];
+}
+
+// Every .txt file in the current project, for a project-wide replace
+async function listProjectTextFiles() {
+  const flatten = (entries) => entries.flatMap(entry =>
+    entry.type === 'directory' ? flatten(entry.children) : [entry.path]);
+  const files = flatten(await listProjectFiles(currentProjectPath));
+  return files.filter(filePath => path.extname(filePath).toLowerCase() === '.txt');
+}
+
+/**
+ * Preview a replace across the project's .txt files
+ * @param {Object} search - { query, replacement, options: { regex, matchCase, wholeWord } }
+ * @returns {Promise<Object[]>} - Files with matches: { filePath, name, count, samples }
+ *   where each sample is { line, before, match, replacement, after }
+ */
+async function previewProjectReplace({ query, replacement, options }) {
+  const previews = [];
+  for (const filePath of await listProjectTextFiles()) {
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    const matches = findAllMatches(text, query, options, replacement);
+    if (matches.length === 0) continue;
+
+    previews.push({
+      filePath,
+      name: path.relative(currentProjectPath, filePath),
+      count: matches.length,
+      samples: matches.slice(0, PREVIEW_MATCHES_PER_FILE).map(match => {
+        const lineStart = match.start > 0 ? text.lastIndexOf('\n', match.start - 1) + 1 : 0;
+        const nextNewline = text.indexOf('\n', match.end);
+        const lineEnd = nextNewline === -1 ? text.length : nextNewline;
+        const contextStart = Math.max(lineStart, match.start - PREVIEW_CONTEXT);
+        const contextEnd = Math.min(lineEnd, match.end + PREVIEW_CONTEXT);
+        return {
+          line: text.slice(0, match.start).split('\n').length,
+          before: (contextStart > lineStart ? '…' : '') + text.slice(contextStart, match.start),
+          match: match.text,
+          replacement: match.replacement,
+          after: text.slice(match.end, contextEnd) + (contextEnd < lineEnd ? '…' : '')
+        };
+      })
+    });
+  }
+  return previews;
+}
+
 function createWindow() {
   // Get the primary display's work area dimensions
   const primaryDisplay = screen.getPrimaryDisplay();
@@ -47,8 +169,17 @@ function createWindow() {
 
   mainWindow.loadFile(path.join(__dirname, 'renderer', 'editor', 'index.html'));
   
+  // Reload after a renderer crash; the reloaded page offers the autosaved text
+  mainWindow.webContents.on('render-process-gone', (event, details) => {
+    console.error('Editor page crashed:', details.reason);
+    if (details.reason !== 'clean-exit' && mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.reload();
+    }
+  });
+  
   // Handle window closed
   mainWindow.on('closed', () => {
+    watchOpenFiles([]);
     mainWindow = null;
   });
 }
@@ -61,7 +192,7 @@ async function openFile() {
     title: 'Open File',
     defaultPath: WRITING_DIR,
     filters: [
-      { name: 'Text Files', extensions: ['txt'] },
+      { name: 'Text Files', extensions: ['txt', 'md'] },
       { name: 'All Files', extensions: ['*'] }
     ],
     properties: ['openFile']
@@ -72,7 +203,7 @@ async function openFile() {
   const filePath = filePaths[0];
   
   // Verify file is within the allowed directory
-  if (!filePath.startsWith(WRITING_DIR)) {
+  if (!isInWritingDir(filePath)) {
     dialog.showErrorBox(
       'Access Denied',
       `Files can only be opened from the ${WRITING_DIR} directory.`
@@ -82,6 +213,7 @@ async function openFile() {
 
   try {
     const content = fs.readFileSync(filePath, 'utf8');
+    useProjectOf(filePath);
     mainWindow.webContents.send('file-opened', { filePath, content });
   } catch (error) {
     dialog.showErrorBox('Error', `Failed to open file: ${error.message}`);
@@ -96,7 +228,7 @@ async function saveFile(event, { filePath, content, saveAs = false }) {
   if (!finalPath || saveAs) {
     const { canceled, filePath: newPath } = await dialog.showSaveDialog(mainWindow, {
       title: 'Save File',
-      defaultPath: WRITING_DIR,
+      defaultPath: currentProjectPath || WRITING_DIR,
       filters: [
         { name: 'Text Files', extensions: ['txt'] },
         { name: 'All Files', extensions: ['*'] }
@@ -108,7 +240,7 @@ async function saveFile(event, { filePath, content, saveAs = false }) {
   }
 
   // Verify file is within the allowed directory
-  if (!finalPath.startsWith(WRITING_DIR)) {
+  if (!isInWritingDir(finalPath)) {
     dialog.showErrorBox(
       'Access Denied',
       `Files can only be saved to the ${WRITING_DIR} directory.`
@@ -117,7 +249,10 @@ async function saveFile(event, { filePath, content, saveAs = false }) {
   }
 
   try {
+    // Version the file both as it was and as saved
+    await snapshots.snapshotFile(finalPath, 'Before editor save');
     fs.writeFileSync(finalPath, content, 'utf8');
+    await snapshots.snapshotFile(finalPath, 'Editor save');
     return { success: true, filePath: finalPath };
   } catch (error) {
     dialog.showErrorBox('Error', `Failed to save file: ${error.message}`);
@@ -125,6 +260,78 @@ async function saveFile(event, { filePath, content, saveAs = false }) {
   }
 }
 
+/**
+ * Read the JSON of a tool run's findings file, checking that it is one
+ * @param {string} findingsPath - Path to a .findings.json file
+ * @returns {Promise<Object>} - The file's contents
+ * @throws {Error} - If the file is not a findings file saved by a tool run
+ */
+async function loadFindingsData(findingsPath) {
+  if (!findingsPath.endsWith('.findings.json')) {
+    throw new Error('This is not a findings file saved by a tool run.');
+  }
+  const data = JSON.parse(await fs.promises.readFile(findingsPath, 'utf8'));
+  if (!data || !data.manuscript || !Array.isArray(data.findings)) {
+    throw new Error('This is not a findings file saved by a tool run.');
+  }
+  return data;
+}
+
+/**
+ * Read a tool run's findings file
+ * @param {string} findingsPath - Path to a .findings.json file
+ * @returns {Promise<Object>} - { findingsPath, tool, report, manuscript, createdAt, findings }
+ */
+async function readFindingsFile(findingsPath) {
+  const data = await loadFindingsData(findingsPath);
+  return {
+    findingsPath,
+    tool: data.tool,
+    report: data.report,
+    manuscript: data.manuscript,
+    createdAt: data.createdAt,
+    findings: data.findings
+  };
+}
+
+/**
+ * Watch the files open in the editor, and stop watching any that were closed
+ * Polling (fs.watchFile) also notices files replaced by a rename, as some
+ * programs save that way.
+ * @param {string[]} filePaths - Files open in the editor
+ */
+function watchOpenFiles(filePaths) {
+  const wanted = new Set(filePaths.filter(filePath => filePath && isInWritingDir(filePath)));
+
+  for (const filePath of watchedFiles) {
+    if (!wanted.has(filePath)) {
+      fs.unwatchFile(filePath);
+      watchedFiles.delete(filePath);
+    }
+  }
+
+  for (const filePath of wanted) {
+    if (watchedFiles.has(filePath)) continue;
+    watchedFiles.add(filePath);
+    fs.watchFile(filePath, { interval: WATCH_INTERVAL }, async (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+      if (!mainWindow || mainWindow.isDestroyed()) return;
+
+      // A missing file has all-zero stats
+      if (current.mtimeMs === 0) {
+        mainWindow.webContents.send('file-changed-on-disk', { filePath, deleted: true });
+        return;
+      }
+      try {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        mainWindow.webContents.send('file-changed-on-disk', { filePath, content, deleted: false });
+      } catch (error) {
+        console.error(`Error reading changed file ${filePath}:`, error);
+      }
+    });
+  }
+}
+
 // Handle IPC events
 function setupIPC() {
   ipcMain.handle('save-file', saveFile);
@@ -132,6 +339,174 @@ function setupIPC() {
   ipcMain.handle('open-file-dialog', async () => {
     return await openFile();
   });
+  
+  // Files in the current project for the sidebar
+  ipcMain.handle('get-project-files', async () => {
+    if (!currentProjectPath) {
+      return { success: true, projectPath: null, files: [] };
+    }
+    try {
+      return {
+        success: true,
+        projectPath: currentProjectPath,
+        projectName: path.basename(currentProjectPath),
+        files: await listProjectFiles(currentProjectPath)
+      };
+    } catch (error) {
+      console.error('Error listing project files:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Matches for a replace across the project, to preview before replacing
+  ipcMain.handle('preview-project-replace', async (event, search) => {
+    if (!currentProjectPath) {
+      return { success: false, message: 'Open a file from a project first.' };
+    }
+    try {
+      return { success: true, files: await previewProjectReplace(search) };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Replace in the chosen project files, saving a version of each first
+  ipcMain.handle('apply-project-replace', async (event, { query, replacement, options, filePaths }) => {
+    const projectFiles = new Set(currentProjectPath ? await listProjectTextFiles() : []);
+    const results = [];
+    try {
+      for (const filePath of filePaths) {
+        if (!projectFiles.has(filePath)) {
+          results.push({ filePath, count: 0, error: 'Not a text file in the current project' });
+          continue;
+        }
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        const replaced = replaceAllMatches(text, query, replacement, options);
+        if (replaced.count > 0) {
+          await snapshots.snapshotFile(filePath, 'Before replace in project');
+          await fs.promises.writeFile(filePath, replaced.text, 'utf8');
+        }
+        results.push({ filePath, count: replaced.count });
+      }
+      return { success: true, results };
+    } catch (error) {
+      console.error('Error replacing in project files:', error);
+      return { success: false, message: error.message, results };
+    }
+  });
+  
+  // Pick a tool run's findings file to show over its manuscript
+  ipcMain.handle('open-findings', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Show Findings',
+      defaultPath: currentProjectPath || WRITING_DIR,
+      filters: [
+        { name: 'Findings Files', extensions: ['json'] }
+      ],
+      properties: ['openFile']
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    
+    const findingsPath = filePaths[0];
+    if (!isInWritingDir(findingsPath)) {
+      return { success: false, message: `Files can only be opened from the ${WRITING_DIR} directory.` };
+    }
+    try {
+      return { success: true, ...await readFindingsFile(findingsPath) };
+    } catch (error) {
+      return { success: false, message: `Failed to read the findings: ${error.message}` };
+    }
+  });
+  
+  // Mark a finding as dismissed in its findings file, so it isn't shown again
+  ipcMain.handle('dismiss-finding', async (event, { findingsPath, index }) => {
+    if (!findingsPath || !isInWritingDir(findingsPath)) {
+      return { success: false, message: `Files can only be changed in the ${WRITING_DIR} directory.` };
+    }
+    try {
+      const data = await loadFindingsData(findingsPath);
+      const finding = Number.isInteger(index) ? data.findings[index] : null;
+      if (!finding || typeof finding !== 'object') {
+        return { success: false, message: `Finding ${index} is not in ${findingsPath}` };
+      }
+      finding.dismissed = true;
+      await fs.promises.writeFile(findingsPath, JSON.stringify(data, null, 2), 'utf8');
+      return { success: true };
+    } catch (error) {
+      console.error('Error dismissing finding:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Keep a recovery copy of a tab with unsaved changes
+  ipcMain.handle('autosave', async (event, { tabId, filePath, content }) => {
+    try {
+      await editorRecovery.save(tabId, filePath, content);
+      return { success: true };
+    } catch (error) {
+      console.error('Error autosaving:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // A tab was saved or closed, so its recovery copy isn't needed
+  ipcMain.handle('discard-autosave', async (event, tabId) => {
+    try {
+      await editorRecovery.discard(tabId);
+      return { success: true };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Unsaved text left by an editor that crashed
+  ipcMain.handle('get-recovery', async () => {
+    try {
+      return { success: true, records: await editorRecovery.listRecoverable() };
+    } catch (error) {
+      console.error('Error listing recovery files:', error);
+      return { success: false, message: error.message, records: [] };
+    }
+  });
+  
+  // Recovery copies that were restored or declined
+  ipcMain.handle('discard-recovery', async (event, ids) => {
+    try {
+      await editorRecovery.remove(ids);
+      return { success: true };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Watch the files open in tabs for changes by other programs (such as a tool run)
+  ipcMain.on('watch-files', (event, filePaths) => {
+    watchOpenFiles(filePaths);
+  });
+  
+  // Merge unsaved edits with the changes made to the file on disk
+  ipcMain.handle('merge-text', (event, { base, mine, theirs }) => {
+    try {
+      return { success: true, ...mergeTexts(base, mine, theirs, { mine: 'Your changes', theirs: 'On disk' }) };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Read a file picked in the sidebar
+  ipcMain.handle('read-file', async (event, filePath) => {
+    if (!filePath || !isInWritingDir(filePath)) {
+      return { success: false, message: `Files can only be opened from the ${WRITING_DIR} directory.` };
+    }
+    try {
+      const content = await fs.promises.readFile(filePath, 'utf8');
+      return { success: true, filePath, content };
+    } catch (error) {
+      return { success: false, message: `Failed to open file: ${error.message}` };
+    }
+  });
 
   // Fix for the Quit button - make sure it's properly registered
   ipcMain.on('app-quit', () => {
@@ -141,7 +516,17 @@ function setupIPC() {
 }
 
 // App lifecycle events
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
+  // Start with the project selected in Writer's Toolkit
+  try {
+    await appState.initialize();
+    if (appState.CURRENT_PROJECT_PATH && fs.existsSync(appState.CURRENT_PROJECT_PATH)) {
+      currentProjectPath = appState.CURRENT_PROJECT_PATH;
+    }
+  } catch (error) {
+    console.error('Could not load the current project:', error);
+  }
+  
   createWindow();
   setupIPC();
   
@@ -169,10 +554,11 @@ app.whenReady().then(() => {
     console.log('Resolved file path:', filePath);
     
     // Only open if in allowed directory
-    if (filePath.startsWith(WRITING_DIR)) {
+    if (isInWritingDir(filePath)) {
       try {
         console.log('Reading file contents from:', filePath);
         const content = fs.readFileSync(filePath, 'utf8');
+        useProjectOf(filePath);
         
         // Wait for window to be ready
         if (mainWindow.webContents.isLoading()) {
@@ -200,6 +586,11 @@ app.whenReady().then(() => {
   });
 });
 
+// Quitting normally, so the recovery copies aren't needed
+app.on('will-quit', () => {
+  editorRecovery.discardSession();
+});
+
 app.on('window-all-closed', function () {
   if (process.platform !== 'darwin') app.quit();
 });
\ No newline at end of file
@@ -20,11 +20,24 @@ contextBridge.exposeInMainWorld(
     // File operations
     saveFile: (data) => ipcRenderer.invoke('save-file', data),
     openFileDialog: () => ipcRenderer.invoke('open-file-dialog'),
+    readFile: (filePath) => ipcRenderer.invoke('read-file', filePath),
+    getProjectFiles: () => ipcRenderer.invoke('get-project-files'),
+    previewProjectReplace: (search) => ipcRenderer.invoke('preview-project-replace', search),
+    applyProjectReplace: (replace) => ipcRenderer.invoke('apply-project-replace', replace),
+    openFindings: () => ipcRenderer.invoke('open-findings'),
+    dismissFinding: (dismissal) => ipcRenderer.invoke('dismiss-finding', dismissal),
+    autosave: (data) => ipcRenderer.invoke('autosave', data),
+    discardAutosave: (tabId) => ipcRenderer.invoke('discard-autosave', tabId),
+    getRecovery: () => ipcRenderer.invoke('get-recovery'),
+    discardRecovery: (ids) => ipcRenderer.invoke('discard-recovery', ids),
+    watchFiles: (filePaths) => ipcRenderer.send('watch-files', filePaths),
+    mergeText: (texts) => ipcRenderer.invoke('merge-text', texts),
     
     // Event listeners
     onFileNew: (callback) => ipcRenderer.on('file-new', () => callback()),
     onFileSaveRequest: (callback) => ipcRenderer.on('file-save-request', () => callback()),
     onFileSaveAsRequest: (callback) => ipcRenderer.on('file-save-as-request', () => callback()),
-    onFileOpened: (callback) => ipcRenderer.on('file-opened', (_, data) => callback(data))
+    onFileOpened: (callback) => ipcRenderer.on('file-opened', (_, data) => callback(data)),
+    onFileChangedOnDisk: (callback) => ipcRenderer.on('file-changed-on-disk', (_, data) => callback(data))
   }
 );
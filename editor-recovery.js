@@ -0,0 +1,160 @@
+// editor-recovery.js
+const fs = require('fs');
+const path = require('path');
+const appState = require('./state.js');
+
+// Whether a process is still running
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Recovery copies of the editor's unsaved tabs
+ * The editor autosaves each tab with unsaved changes to the hidden
+ * ~/writing/.toolkit/editor-recovery folder as <pid>-<tabId>.json:
+ *   { id, pid, tabId, filePath, content, savedAt }
+ * A copy is removed when its tab is saved or closed, and all of them when the
+ * editor quits normally, so any left behind by an editor process that is no
+ * longer running are from a crash and are offered for restoring.
+ * This is a singleton used by the editor's main process
+ */
+const editorRecovery = {
+  /**
+   * Get the recovery folder
+   * @returns {string} - ~/writing/.toolkit/editor-recovery
+   */
+  getRecoveryDir() {
+    return path.join(appState.PROJECTS_DIR, '.toolkit', 'editor-recovery');
+  },
+
+  /**
+   * Check that a recovery id is safe to use as a filename
+   * @param {string} id - Recovery ID
+   * @returns {boolean} - True if the id is valid
+   */
+  isValidId(id) {
+    return typeof id === 'string' && /^\d+-\d+$/.test(id);
+  },
+
+  /**
+   * Save a recovery copy of a tab
+   * Written to a temporary file first, so a crash mid-write can't leave a
+   * half-written copy in place of the last good one.
+   * @param {number} tabId - Editor tab ID
+   * @param {string|null} filePath - File open in the tab, or null if untitled
+   * @param {string} content - Unsaved text
+   * @returns {Promise<Object>} - The recovery record
+   */
+  async save(tabId, filePath, content) {
+    const record = {
+      id: `${process.pid}-${Number(tabId)}`,
+      pid: process.pid,
+      tabId: Number(tabId),
+      filePath: filePath || null,
+      content,
+      savedAt: new Date().toISOString()
+    };
+
+    const recoveryDir = this.getRecoveryDir();
+    const recoveryPath = path.join(recoveryDir, `${record.id}.json`);
+    await fs.promises.mkdir(recoveryDir, { recursive: true });
+    await fs.promises.writeFile(`${recoveryPath}.tmp`, JSON.stringify(record), 'utf8');
+    await fs.promises.rename(`${recoveryPath}.tmp`, recoveryPath);
+    return record;
+  },
+
+  /**
+   * Remove a tab's recovery copy
+   * @param {number} tabId - Editor tab ID
+   */
+  async discard(tabId) {
+    await this.remove([`${process.pid}-${Number(tabId)}`]);
+  },
+
+  /**
+   * Remove recovery copies
+   * @param {string[]} ids - Recovery IDs
+   */
+  async remove(ids) {
+    for (const id of ids.filter(candidate => this.isValidId(candidate))) {
+      await fs.promises.rm(path.join(this.getRecoveryDir(), `${id}.json`), { force: true });
+    }
+  },
+
+  /**
+   * Remove this editor's recovery copies when it quits normally
+   * Synchronous, as the process is exiting.
+   */
+  discardSession() {
+    try {
+      const prefix = `${process.pid}-`;
+      for (const name of fs.readdirSync(this.getRecoveryDir())) {
+        if (name.startsWith(prefix)) {
+          fs.rmSync(path.join(this.getRecoveryDir(), name), { force: true });
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error removing editor recovery files:', error);
+      }
+    }
+  },
+
+  /**
+   * List the recovery copies left by a crash, oldest first
+   * Copies from another editor that is still running are left alone; this
+   * editor's own copies are included, as its window reloads after a crash.
+   * Each record gets the file's text on disk as diskContent (null for an
+   * untitled tab or a missing file); copies identical to the file are removed.
+   * @returns {Promise<Object[]>} - Recovery records
+   */
+  async listRecoverable() {
+    const recoveryDir = this.getRecoveryDir();
+    let names;
+    try {
+      names = await fs.promises.readdir(recoveryDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const records = [];
+    for (const name of names.filter(candidate => candidate.endsWith('.json'))) {
+      let record;
+      try {
+        record = JSON.parse(await fs.promises.readFile(path.join(recoveryDir, name), 'utf8'));
+      } catch (error) {
+        console.warn(`Skipping unreadable recovery file ${name}:`, error.message);
+        continue;
+      }
+      if (!this.isValidId(record.id) || (record.pid !== process.pid && isRunning(record.pid))) {
+        continue;
+      }
+
+      record.diskContent = null;
+      if (record.filePath) {
+        try {
+          record.diskContent = await fs.promises.readFile(record.filePath, 'utf8');
+        } catch (error) {
+          // The file was moved or deleted; its text can still be recovered
+        }
+      }
+      if (record.diskContent === record.content) {
+        await this.remove([record.id]);
+        continue;
+      }
+      records.push(record);
+    }
+
+    return records.sort((a, b) => a.savedAt.localeCompare(b.savedAt));
+  }
+};
+
+module.exports = editorRecovery;
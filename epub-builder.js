@@ -0,0 +1,633 @@
+// epub-builder.js
+const BaseTool = require('./base-tool');
+const path = require('path');
+const fsPromises = require('fs/promises');
+const JSZip = require('jszip');
+const { JSDOM } = require('jsdom');
+const { v5: uuidv5 } = require('uuid');
+const fileCache = require('./file-cache');
+const appState = require('./state.js');
+const projectSettings = require('./project-settings');
+const { parseManuscript } = require('./manuscript');
+const { parseMarkup } = require('./manuscript-docx');
+
+// Folder in the EPUB holding the package document and content
+const CONTENT_DIR = 'OEBPS';
+
+// Cover images EPUB readers and KDP accept
+const COVER_MEDIA_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+// Line that separates the pages of a front or back matter file
+const PAGE_SEPARATOR = /^={3,}\s*$/;
+
+// Language tags such as "en", "en-US" or "pt-BR"
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/i;
+
+const STYLESHEET = `body { margin: 0 5%; font-family: serif; line-height: 1.4; }
+h1 { text-align: center; font-size: 1.4em; font-weight: normal; margin: 3em 0 2em; }
+p { margin: 0; text-indent: 1.5em; text-align: justify; }
+p.first { text-indent: 0; }
+hr.scene-break { border: 0; border-top: 1px solid; width: 20%; margin: 1.5em auto; }
+.title-page { text-align: center; margin-top: 30%; }
+.title-page h1 { font-size: 2em; margin: 0 0 1em; }
+.title-page p { text-align: center; text-indent: 0; }
+body.cover { margin: 0; text-align: center; }
+body.cover img { max-width: 100%; max-height: 100%; }
+`;
+
+// Escape text for XML
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// A paragraph's text, with *italics* and **bold** markup, as XHTML
+function markupToXhtml(text) {
+  return parseMarkup(text.trim()).map(run => {
+    let html = escapeXml(run.text).replace(/\s*\n\s*/g, '<br/>');
+    if (run.italics) html = `<em>${html}</em>`;
+    if (run.bold) html = `<strong>${html}</strong>`;
+    return html;
+  }).join('');
+}
+
+// A complete XHTML content document
+function xhtmlDocument(title, language, body, bodyAttributes = '') {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="../css/book.css"/>
+</head>
+<body${bodyAttributes}>
+${body}
+</body>
+</html>
+`;
+}
+
+// Parse XML strictly, collecting an error instead of throwing
+function parseXml(xml, errors, fileName, contentType = 'application/xml') {
+  try {
+    return new JSDOM(xml, { contentType }).window.document;
+  } catch (error) {
+    errors.push(`${fileName} is not well-formed: ${error.message.split('\n')[0].replace(/^about:blank:/, 'line ')}`);
+    return null;
+  }
+}
+
+/**
+ * EpubBuilder Tool
+ * Builds an EPUB 3 ebook from a manuscript: a title page, optional cover and
+ * front and back matter pages, then one spine item per chapter, with a
+ * generated table of contents. The title, author and language come from the
+ * project settings and the description and keywords from the latest KDP
+ * Publishing Prep report. A validation pass checks the finished EPUB's
+ * structure and reports problems before it is uploaded.
+ */
+class EpubBuilder extends BaseTool {
+  /**
+   * Constructor
+   * @param {string} name - Tool name
+   * @param {Object} config - Tool configuration
+   */
+  constructor(name, config = {}) {
+    super(name, config);
+  }
+
+  /**
+   * Execute the tool
+   * @param {Object} options - Tool options
+   * @returns {Promise<Object>} - Execution result
+   */
+  async execute(options) {
+    console.log('Executing EPUB Builder with options:', options);
+
+    const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
+    if (!saveDir) {
+      const errorMsg = 'Error: No project selected. Please select a project first.';
+      this.emitOutput(errorMsg);
+      throw new Error('No project selected');
+    }
+
+    const manuscriptFile = this.ensureAbsolutePath(options.manuscript_file, saveDir);
+    const outputFiles = [];
+
+    try {
+      let cover = null;
+      if (options.cover_image) {
+        const coverPath = this.ensureAbsolutePath(options.cover_image, saveDir);
+        const extension = path.extname(coverPath).toLowerCase();
+        // Readers and stores reject an EPUB whose cover is in another format
+        if (!COVER_MEDIA_TYPES[extension]) {
+          throw new Error(`The cover image must be a JPEG or PNG file (${Object.keys(COVER_MEDIA_TYPES).join(', ')}), ` +
+            `as EPUB readers and KDP expect; convert ${path.basename(coverPath)} and choose it again.`);
+        }
+        cover = {
+          extension,
+          data: await fsPromises.readFile(coverPath)
+        };
+      }
+
+      this.emitOutput(`Reading manuscript file: ${manuscriptFile}\n`);
+      const manuscript = parseManuscript(await this.readInputFile(manuscriptFile));
+      const settings = await projectSettings.load(saveDir);
+
+      // Description and keywords from KDP Publishing Prep
+      const kdpFile = options.kdp_file
+        ? this.ensureAbsolutePath(options.kdp_file, saveDir)
+        : await this.findLatestKdpReport(saveDir);
+      let kdp = { description: '', keywords: [] };
+      if (kdpFile) {
+        this.emitOutput(`Reading description and keywords from: ${kdpFile}\n`);
+        kdp = this.readKdpMetadata(await fsPromises.readFile(kdpFile, 'utf8'));
+      } else {
+        this.emitOutput('No KDP Publishing Prep report found; the EPUB will have no description.\n');
+      }
+
+      const frontMatter = await this.readMatterPages(options.front_matter_file, saveDir, 'front matter');
+      const backMatter = await this.readMatterPages(options.back_matter_file, saveDir, 'back matter');
+      if (manuscript.frontMatter) {
+        this.emitOutput('Left out the text before the first chapter; put front matter pages in the front matter file.\n');
+      }
+
+      this.emitOutput(`Building EPUB with ${manuscript.chapters.length} chapters...\n`);
+      const book = {
+        title: settings.title,
+        author: settings.penName || settings.authorName,
+        language: settings.language,
+        description: kdp.description,
+        keywords: kdp.keywords,
+        cover,
+        frontMatter,
+        backMatter
+      };
+      const epub = await this.buildEpub(manuscript, book);
+
+      // Write the EPUB, named after the title
+      const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 15);
+      const baseFileName = settings.title.replace(/[^\p{L}\p{N}]+/gu, '_').replace(/^_+|_+$/g, '') || 'book';
+      const outputPath = path.join(saveDir, `${baseFileName}_${timestamp}.epub`);
+      await fsPromises.writeFile(outputPath, epub);
+      this.emitOutput(`\nEPUB saved to: ${outputPath}\n`);
+      outputFiles.push(outputPath);
+      fileCache.addFile(this.name, outputPath);
+
+      // Check the EPUB as it was written
+      this.emitOutput('\nValidating EPUB structure...\n');
+      const { errors, warnings } = await this.validateEpub(epub);
+      errors.forEach(message => this.emitOutput(`ERROR: ${message}\n`));
+      warnings.forEach(message => this.emitOutput(`WARNING: ${message}\n`));
+      if (errors.length === 0 && warnings.length === 0) {
+        this.emitOutput('No problems found.\n');
+      } else {
+        this.emitOutput(`${errors.length} errors, ${warnings.length} warnings.\n`);
+      }
+
+      return {
+        success: true,
+        outputFiles,
+        stats: {
+          chapterCount: manuscript.chapters.length,
+          errorCount: errors.length,
+          warningCount: warnings.length
+        }
+      };
+    } catch (error) {
+      console.error('Error in EPUB Builder:', error);
+      this.emitOutput(`\nError: ${error.message}\n`);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the newest KDP Publishing Prep report in the project
+   * @param {string} saveDir - Project directory
+   * @returns {Promise<string|null>} - Report path, or null if there is none
+   */
+  async findLatestKdpReport(saveDir) {
+    const reports = (await fsPromises.readdir(saveDir))
+      .filter(name => /^kdp_publishing_prep_\d{8}T\d{6}\.txt$/.test(name))
+      .sort();
+    return reports.length > 0 ? path.join(saveDir, reports[reports.length - 1]) : null;
+  }
+
+  /**
+   * Read the book description and keywords from a KDP Publishing Prep report
+   * @param {string} report - Report text
+   * @returns {{description: string, keywords: string[]}} - Metadata; empty if not found
+   */
+  readKdpMetadata(report) {
+    // A section runs from its heading to the next numbered heading
+    const section = (heading) => {
+      const lines = report.split('\n');
+      const start = lines.findIndex(line => new RegExp(`^\\W*(\\d+\\.\\s*)?${heading}\\b`, 'i').test(line));
+      if (start === -1) return [];
+      const end = lines.findIndex((line, index) => index > start && /^\W*\d+\.\s+[A-Z][A-Z ]{3,}/.test(line));
+      return lines.slice(start + 1, end === -1 ? lines.length : end);
+    };
+
+    const description = section('BOOK DESCRIPTION')
+      .filter(line => !/^\W*character count\b/i.test(line))
+      .join('\n')
+      .replace(/[*#]/g, '')
+      .trim();
+    const keywords = section('KEYWORD SUGGESTIONS')
+      .map(line => line.replace(/^\s*([-*•]|\d+[.)])\s*/, '').replace(/^["“]|["”]$/g, '').trim())
+      .filter(line => line && line.length <= 50 && !line.endsWith(':'))
+      .slice(0, 7);
+
+    return { description, keywords };
+  }
+
+  /**
+   * Read front or back matter pages from a text file
+   * Pages are separated by a line of "===", and each starts with its title.
+   * @param {string} file - File path (relative to the project), or empty for none
+   * @param {string} saveDir - Project directory
+   * @param {string} label - What the pages are, for the output
+   * @returns {Promise<Array<{title: string, paragraphs: string[]}>>} - Pages in order
+   */
+  async readMatterPages(file, saveDir, label) {
+    if (!file) return [];
+
+    const filePath = this.ensureAbsolutePath(file, saveDir);
+    this.emitOutput(`Reading ${label}: ${filePath}\n`);
+    const pages = [];
+    let lines = [];
+    const addPage = () => {
+      const [title, ...body] = lines.join('\n').trim().split(/\n\s*\n/);
+      if (title) {
+        pages.push({ title: title.trim(), paragraphs: body.map(paragraph => paragraph.trim()).filter(Boolean) });
+      }
+      lines = [];
+    };
+    for (const line of (await fsPromises.readFile(filePath, 'utf8')).replace(/\r\n?/g, '\n').split('\n')) {
+      if (PAGE_SEPARATOR.test(line)) {
+        addPage();
+      } else {
+        lines.push(line);
+      }
+    }
+    addPage();
+    return pages;
+  }
+
+  /**
+   * Build the EPUB
+   * @param {Object} manuscript - Parsed manuscript (from parseManuscript)
+   * @param {Object} book - { title, author, language, description, keywords,
+   *   cover: { extension, data } | null, frontMatter, backMatter }
+   * @returns {Promise<Buffer>} - EPUB file contents
+   */
+  async buildEpub(manuscript, book) {
+    const language = book.language || 'en';
+    // Content documents in reading order: { id, href, title, xhtml, type }
+    const documents = [];
+
+    if (book.cover) {
+      documents.push({
+        id: 'cover',
+        href: 'text/cover.xhtml',
+        title: 'Cover',
+        type: 'cover',
+        xhtml: xhtmlDocument('Cover', language,
+          `  <img src="../images/cover${book.cover.extension}" alt="${escapeXml(book.title)}"/>`, ' class="cover" epub:type="cover"')
+      });
+    }
+
+    const byline = book.author ? `\n    <p>by ${escapeXml(book.author)}</p>` : '';
+    documents.push({
+      id: 'title-page',
+      href: 'text/title.xhtml',
+      title: book.title,
+      type: 'titlepage',
+      xhtml: xhtmlDocument(book.title, language,
+        `  <section class="title-page" epub:type="titlepage">\n    <h1>${escapeXml(book.title)}</h1>${byline}\n  </section>`)
+    });
+
+    const addPages = (pages, prefix, type) => {
+      pages.forEach((page, index) => {
+        const paragraphs = page.paragraphs
+          .map((paragraph, paragraphIndex) => `    <p${paragraphIndex === 0 ? ' class="first"' : ''}>${markupToXhtml(paragraph)}</p>`)
+          .join('\n');
+        documents.push({
+          id: `${prefix}-${index + 1}`,
+          href: `text/${prefix}-${index + 1}.xhtml`,
+          title: page.title,
+          type,
+          xhtml: xhtmlDocument(page.title, language,
+            `  <section epub:type="${type}">\n    <h1>${escapeXml(page.title)}</h1>\n${paragraphs}\n  </section>`)
+        });
+      });
+    };
+
+    addPages(book.frontMatter, 'front', 'frontmatter');
+
+    manuscript.chapters.forEach((chapter, index) => {
+      const number = String(index + 1).padStart(3, '0');
+      const title = chapter.heading || book.title;
+      const body = [`    <h1>${escapeXml(title)}</h1>`];
+      chapter.scenes.forEach((scene, sceneIndex) => {
+        if (sceneIndex > 0) {
+          body.push('    <hr class="scene-break"/>');
+        }
+        scene.paragraphs.forEach((paragraph, paragraphIndex) => {
+          body.push(`    <p${paragraphIndex === 0 ? ' class="first"' : ''}>${markupToXhtml(paragraph.text)}</p>`);
+        });
+      });
+      documents.push({
+        id: `chapter-${number}`,
+        href: `text/chapter-${number}.xhtml`,
+        title,
+        type: 'chapter',
+        xhtml: xhtmlDocument(title, language, `  <section epub:type="chapter">\n${body.join('\n')}\n  </section>`)
+      });
+    });
+
+    addPages(book.backMatter, 'back', 'backmatter');
+
+    // Table of contents, with landmarks for the cover and the start of the text
+    const tocEntries = documents
+      .filter(doc => doc.type !== 'cover')
+      .map(doc => `      <li><a href="${doc.href}">${escapeXml(doc.title)}</a></li>`)
+      .join('\n');
+    const firstChapter = documents.find(doc => doc.type === 'chapter');
+    const landmarks = [
+      book.cover ? '      <li><a epub:type="cover" href="text/cover.xhtml">Cover</a></li>' : null,
+      firstChapter ? `      <li><a epub:type="bodymatter" href="${firstChapter.href}">Start</a></li>` : null
+    ].filter(Boolean).join('\n');
+    const nav = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>Contents</title>
+  <link rel="stylesheet" type="text/css" href="css/book.css"/>
+</head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>Contents</h1>
+    <ol>
+${tocEntries}
+    </ol>
+  </nav>${landmarks ? `
+  <nav epub:type="landmarks" id="landmarks" hidden="hidden">
+    <ol>
+${landmarks}
+    </ol>
+  </nav>` : ''}
+</body>
+</html>
+`;
+
+    // Package document
+    const identifier = `urn:uuid:${uuidv5(`${book.title}\n${book.author}`, uuidv5.URL)}`;
+    const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+    const metadata = [
+      `    <dc:identifier id="book-id">${identifier}</dc:identifier>`,
+      `    <dc:title>${escapeXml(book.title)}</dc:title>`,
+      book.author ? `    <dc:creator>${escapeXml(book.author)}</dc:creator>` : null,
+      `    <dc:language>${escapeXml(language)}</dc:language>`,
+      book.description ? `    <dc:description>${escapeXml(book.description)}</dc:description>` : null,
+      ...book.keywords.map(keyword => `    <dc:subject>${escapeXml(keyword)}</dc:subject>`),
+      `    <meta property="dcterms:modified">${modified}</meta>`,
+      book.cover ? '    <meta name="cover" content="cover-image"/>' : null
+    ].filter(Boolean).join('\n');
+    const manifest = [
+      '    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+      '    <item id="css" href="css/book.css" media-type="text/css"/>',
+      book.cover ? `    <item id="cover-image" href="images/cover${book.cover.extension}" media-type="${COVER_MEDIA_TYPES[book.cover.extension]}" properties="cover-image"/>` : null,
+      ...documents.map(doc => `    <item id="${doc.id}" href="${doc.href}" media-type="application/xhtml+xml"/>`)
+    ].filter(Boolean).join('\n');
+    const spine = documents
+      .map(doc => `    <itemref idref="${doc.id}"${doc.type === 'cover' ? ' linear="no"' : ''}/>`)
+      .join('\n');
+    const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadata}
+  </metadata>
+  <manifest>
+${manifest}
+  </manifest>
+  <spine>
+${spine}
+  </spine>
+</package>
+`;
+
+    // The mimetype must come first and uncompressed
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+    zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="${CONTENT_DIR}/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`);
+    zip.file(`${CONTENT_DIR}/content.opf`, opf);
+    zip.file(`${CONTENT_DIR}/nav.xhtml`, nav);
+    zip.file(`${CONTENT_DIR}/css/book.css`, STYLESHEET);
+    if (book.cover) {
+      zip.file(`${CONTENT_DIR}/images/cover${book.cover.extension}`, book.cover.data);
+    }
+    documents.forEach(doc => zip.file(`${CONTENT_DIR}/${doc.href}`, doc.xhtml));
+
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  /**
+   * Check an EPUB's structure
+   * Covers what stores reject most often: the mimetype entry, the container
+   * and package documents, required metadata, manifest and spine references,
+   * well-formed content documents and table of contents links. It is not a
+   * full EPUBCheck run.
+   * @param {Buffer} epub - EPUB file contents
+   * @returns {Promise<{errors: string[], warnings: string[]}>} - Problems found
+   */
+  async validateEpub(epub) {
+    const errors = [];
+    const warnings = [];
+
+    // The first entry must be an uncompressed "mimetype" with no extra field
+    const nameLength = epub.readUInt16LE(26);
+    if (epub.readUInt32LE(0) !== 0x04034b50 ||
+        epub.toString('latin1', 30, 30 + nameLength) !== 'mimetype' ||
+        epub.readUInt16LE(8) !== 0 ||
+        epub.readUInt16LE(28) !== 0) {
+      errors.push('The first file in the EPUB must be an uncompressed "mimetype".');
+    }
+
+    const zip = await JSZip.loadAsync(epub);
+    const mimetype = zip.file('mimetype');
+    if (mimetype && (await mimetype.async('text')) !== 'application/epub+zip') {
+      errors.push('The mimetype file must contain exactly "application/epub+zip".');
+    }
+
+    const containerFile = zip.file('META-INF/container.xml');
+    if (!containerFile) {
+      errors.push('META-INF/container.xml is missing.');
+      return { errors, warnings };
+    }
+    const containerDoc = parseXml(await containerFile.async('text'), errors, 'META-INF/container.xml');
+    const rootfile = containerDoc ? containerDoc.getElementsByTagName('rootfile')[0] : null;
+    const opfPath = rootfile ? rootfile.getAttribute('full-path') : '';
+    const opfFile = opfPath ? zip.file(opfPath) : null;
+    if (!opfFile) {
+      errors.push(`The package document named in container.xml is missing: ${opfPath || '(none)'}`);
+      return { errors, warnings };
+    }
+    const basePath = opfPath.includes('/') ? opfPath.substring(0, opfPath.lastIndexOf('/') + 1) : '';
+    const opfDoc = parseXml(await opfFile.async('text'), errors, opfPath);
+    if (!opfDoc) {
+      return { errors, warnings };
+    }
+    const packageElement = opfDoc.documentElement;
+
+    // Metadata
+    if (packageElement.getAttribute('version') !== '3.0') {
+      errors.push('The package document must have version="3.0".');
+    }
+    const metadataText = (tagName) => Array.from(opfDoc.getElementsByTagName(tagName))
+      .map(element => element.textContent.trim())
+      .filter(Boolean);
+    const uniqueId = packageElement.getAttribute('unique-identifier');
+    const identifiers = Array.from(opfDoc.getElementsByTagName('dc:identifier'));
+    if (!identifiers.some(element => element.getAttribute('id') === uniqueId && element.textContent.trim())) {
+      errors.push('The package has no dc:identifier matching its unique-identifier.');
+    }
+    if (metadataText('dc:title').length === 0) {
+      errors.push('The book has no title (dc:title). Set one in Project Settings.');
+    }
+    const languages = metadataText('dc:language');
+    if (languages.length === 0) {
+      errors.push('The book has no language (dc:language).');
+    } else if (!languages.every(language => LANGUAGE_TAG.test(language))) {
+      errors.push(`Not a valid language code: ${languages.join(', ')} (use e.g. "en" or "en-US" in Project Settings).`);
+    }
+    const modified = Array.from(opfDoc.getElementsByTagName('meta'))
+      .find(element => element.getAttribute('property') === 'dcterms:modified');
+    if (!modified || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/.test(modified.textContent.trim())) {
+      errors.push('The package needs a dcterms:modified date like 2025-01-31T12:00:00Z.');
+    }
+    if (metadataText('dc:creator').length === 0) {
+      warnings.push('The book has no author (dc:creator). Set the author or pen name in Project Settings.');
+    }
+    if (metadataText('dc:description').length === 0) {
+      warnings.push('The book has no description (dc:description). Run KDP Publishing Prep first.');
+    }
+
+    // Manifest
+    const manifest = new Map();
+    for (const item of Array.from(opfDoc.getElementsByTagName('item'))) {
+      const id = item.getAttribute('id');
+      const href = item.getAttribute('href');
+      if (manifest.has(id)) {
+        errors.push(`Duplicate manifest id: ${id}`);
+      }
+      manifest.set(id, {
+        href,
+        fullPath: basePath + href,
+        mediaType: item.getAttribute('media-type'),
+        properties: (item.getAttribute('properties') || '').split(/\s+/)
+      });
+      if (!zip.file(basePath + href)) {
+        errors.push(`Manifest item "${id}" refers to a missing file: ${href}`);
+      }
+      if (!item.getAttribute('media-type')) {
+        errors.push(`Manifest item "${id}" has no media-type.`);
+      }
+    }
+    const manifestPaths = new Set(Array.from(manifest.values()).map(item => item.fullPath));
+    Object.keys(zip.files)
+      .filter(name => !zip.files[name].dir && name !== 'mimetype' && !name.startsWith('META-INF/') && name !== opfPath)
+      .filter(name => !manifestPaths.has(name))
+      .forEach(name => warnings.push(`File not listed in the manifest: ${name}`));
+
+    const navItems = Array.from(manifest.values()).filter(item => item.properties.includes('nav'));
+    if (navItems.length !== 1) {
+      errors.push(`The manifest must have exactly one item with properties="nav" (found ${navItems.length}).`);
+    }
+    const coverItem = Array.from(manifest.values()).find(item => item.properties.includes('cover-image'));
+    if (!coverItem) {
+      warnings.push('The book has no cover image.');
+    } else if (COVER_MEDIA_TYPES[path.extname(coverItem.href).toLowerCase()] !== coverItem.mediaType) {
+      errors.push(`The cover image's media-type (${coverItem.mediaType}) doesn't match its file: ${coverItem.href}`);
+    }
+
+    // Spine
+    const itemrefs = Array.from(opfDoc.getElementsByTagName('itemref'));
+    if (itemrefs.length === 0) {
+      errors.push('The spine is empty.');
+    }
+    for (const itemref of itemrefs) {
+      const item = manifest.get(itemref.getAttribute('idref'));
+      if (!item) {
+        errors.push(`Spine item refers to a missing manifest id: ${itemref.getAttribute('idref')}`);
+      } else if (item.mediaType !== 'application/xhtml+xml') {
+        errors.push(`Spine item is not an XHTML content document: ${item.href}`);
+      }
+    }
+
+    // Content documents must be well-formed, with some text
+    for (const item of manifest.values()) {
+      if (item.mediaType !== 'application/xhtml+xml' || !zip.file(item.fullPath)) continue;
+      const doc = parseXml(await zip.file(item.fullPath).async('text'), errors, item.href, 'application/xhtml+xml');
+      if (!doc) continue;
+      const bodyElement = doc.getElementsByTagName('body')[0];
+      if (!bodyElement) {
+        errors.push(`${item.href} has no body.`);
+      } else if (!bodyElement.textContent.trim() && doc.getElementsByTagName('img').length === 0) {
+        warnings.push(`${item.href} is empty.`);
+      }
+
+      // Table of contents links must point at files in the book
+      if (item.properties.includes('nav')) {
+        const navDir = path.posix.dirname(item.fullPath);
+        const tocLinks = Array.from(doc.getElementsByTagName('a'));
+        if (tocLinks.length === 0) {
+          errors.push('The table of contents has no entries.');
+        }
+        tocLinks.forEach(link => {
+          const target = path.posix.normalize(path.posix.join(navDir, (link.getAttribute('href') || '').split('#')[0]));
+          if (!manifestPaths.has(target)) {
+            errors.push(`Table of contents entry "${link.textContent.trim()}" links to a file not in the book: ${link.getAttribute('href')}`);
+          }
+        });
+      }
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Ensure file path is absolute
+   * @param {string} filePath - File path (may be relative or absolute)
+   * @param {string} basePath - Base path to prepend for relative paths
+   * @returns {string} - Absolute file path
+   */
+  ensureAbsolutePath(filePath, basePath) {
+    if (!filePath) return filePath;
+
+    // Check if the path is already absolute
+    if (path.isAbsolute(filePath)) {
+      return filePath;
+    }
+
+    // Make the path absolute by joining with the base path
+    return path.join(basePath, filePath);
+  }
+}
+
+module.exports = EpubBuilder;
@@ -4,11 +4,19 @@
  * This is a singleton that can be imported by both tools and the main app
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Tracks which tool run the current async call chain belongs to
+const runContext = new AsyncLocalStorage();
+
 // Simple in-memory cache object
 const fileCache = {
   // Store the most recent files for each tool
   _latestFiles: new Map(),
   
+  // Store the files created by each tool run, keyed by runId
+  _runFiles: new Map(),
+  
   /**
    * Clear the cache for a specific tool
    * @param {string} toolName - Tool name/ID
@@ -32,6 +40,41 @@ const fileCache = {
     // Add the file
     this._latestFiles.get(toolName).push(filePath);
     console.log(`Added file to cache for ${toolName}: ${filePath}`);
+    
+    // Also record it against the run that created it, if any
+    const runId = runContext.getStore();
+    if (runId && this._runFiles.has(runId)) {
+      this._runFiles.get(runId).push(filePath);
+    }
+  },
+  
+  /**
+   * Run a tool so that files it adds are also recorded for that run alone
+   * Several runs of the same tool can then be in progress at once
+   * @param {string} runId - Run ID
+   * @param {Function} fn - Async function that runs the tool
+   * @returns {Promise<*>} - Result of fn
+   */
+  trackRun(runId, fn) {
+    this._runFiles.set(runId, []);
+    return runContext.run(runId, fn);
+  },
+  
+  /**
+   * Get the files created by a single run
+   * @param {string} runId - Run ID
+   * @returns {string[]} - Array of file paths
+   */
+  getRunFiles(runId) {
+    return [...(this._runFiles.get(runId) || [])];
+  },
+  
+  /**
+   * Forget the files recorded for a finished run
+   * @param {string} runId - Run ID
+   */
+  releaseRun(runId) {
+    this._runFiles.delete(runId);
   },
   
   /**
@@ -0,0 +1,186 @@
+// findings.js
+// Structured findings saved alongside a tool's text report.
+//
+// After an analysis tool has its report, it makes a second request that
+// sends the manuscript and the report and makes the AI answer by calling the
+// record_findings tool, whose input schema (built from FINDING_FIELDS) only
+// allows a list of findings. The findings are checked, located in the
+// manuscript and saved as <report name>.findings.json, so findings can be
+// diffed, filtered, counted and read by other tools.
+const { parseManuscript, chapterAt, sceneId, parseChapterNumber } = require('./manuscript');
+const { findQuote } = require('./text-search');
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// Name of the tool the AI calls to return findings
+const FINDINGS_TOOL_NAME = 'record_findings';
+
+const FINDINGS_SYSTEM_PROMPT = 'You turn an editorial report into structured findings. Record every issue the report raises, and nothing the report does not raise.';
+
+// Fields the AI fills in for every finding, with their JSON types
+const FINDING_FIELDS = {
+  category: { type: 'string', description: 'the kind of issue' },
+  severity: { type: 'string', enum: SEVERITIES, description: 'how much the issue matters' },
+  chapter: { type: ['string', 'null'], description: 'chapter number as written in its heading (e.g. "4" or "IV"), or null' },
+  original: { type: ['string', 'null'], description: 'the exact text from the manuscript the finding is about, copied character for character (a sentence or less), or null if it is not about one passage' },
+  explanation: { type: 'string', description: 'what the problem is and why it matters' },
+  suggestion: { type: ['string', 'null'], description: 'suggested replacement text for "original", or null' }
+};
+
+/**
+ * Create the tool definition the AI must call to return findings
+ * @param {string[]} categories - Finding categories for the tool
+ * @returns {{name: string, description: string, schema: Object}} - Tool name,
+ *   description and JSON schema of its input
+ */
+function createFindingsTool(categories) {
+  const properties = {};
+  for (const [name, field] of Object.entries(FINDING_FIELDS)) {
+    properties[name] = { ...field };
+  }
+  properties.category.enum = categories.concat('other');
+
+  return {
+    name: FINDINGS_TOOL_NAME,
+    description: 'Record the findings of an editorial report on a manuscript.',
+    schema: {
+      type: 'object',
+      properties: {
+        findings: {
+          type: 'array',
+          description: 'every issue the report raises; empty if it raises none',
+          items: {
+            type: 'object',
+            properties,
+            required: Object.keys(FINDING_FIELDS)
+          }
+        }
+      },
+      required: ['findings']
+    }
+  };
+}
+
+/**
+ * Create the prompt asking for a report's findings
+ * The manuscript comes first, in the same section the analysis prompts use,
+ * so with prompt caching the request can read it from the cache.
+ * @param {string} report - Report text
+ * @param {string} manuscriptContent - Manuscript text
+ * @returns {string} - Prompt
+ */
+function createFindingsPrompt(report, manuscriptContent) {
+  return `=== MANUSCRIPT ===
+${manuscriptContent}
+=== END MANUSCRIPT ===
+
+=== REPORT ===
+${report}
+=== END REPORT ===
+
+Call ${FINDINGS_TOOL_NAME} with every issue the report above raises about the manuscript. Quote "original" exactly as it appears in the manuscript, not as the report paraphrases it.`;
+}
+
+/**
+ * Check the input of a record_findings call
+ * @param {Object} input - Tool input from the AI
+ * @param {string[]} categories - Finding categories for the tool
+ * @returns {{findings: Object[], error: (string|null)}} - The checked findings,
+ *   or why the input could not be used
+ */
+function normalizeFindings(input, categories) {
+  if (!input || typeof input !== 'object' || !Array.isArray(input.findings)) {
+    return { findings: [], error: `the ${FINDINGS_TOOL_NAME} input has no findings list` };
+  }
+
+  const findings = input.findings
+    .map(item => normalizeFinding(item, categories))
+    .filter(Boolean);
+  return { findings, error: null };
+}
+
+/**
+ * Check one finding against FINDING_FIELDS
+ * Unknown categories become "other" and unknown severities "medium".
+ * @param {Object} item - Finding from the AI
+ * @param {string[]} categories - Finding categories for the tool
+ * @returns {Object|null} - Finding, or null if it has no explanation
+ */
+function normalizeFinding(item, categories) {
+  if (!item || typeof item !== 'object') {
+    return null;
+  }
+
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  const explanation = text(item.explanation);
+  if (!explanation) {
+    return null;
+  }
+
+  const category = text(item.category) && text(item.category).toLowerCase();
+  const severity = text(item.severity) && text(item.severity).toLowerCase();
+  return {
+    category: categories.includes(category) ? category : 'other',
+    severity: SEVERITIES.includes(severity) ? severity : 'medium',
+    chapter: item.chapter === null || item.chapter === undefined ? null : String(item.chapter).trim() || null,
+    original: text(item.original),
+    explanation,
+    suggestion: text(item.suggestion)
+  };
+}
+
+/**
+ * Locate findings in the manuscript
+ * Adds each finding's character offset and its chapter and scene as the
+ * other reports number them. When a quote occurs more than once, the
+ * occurrence in the chapter the AI named is used.
+ * @param {Object[]} findings - Findings from normalizeFindings
+ * @param {string} manuscriptContent - Manuscript text
+ * @returns {Object[]} - Findings with offset, length, chapter (position in the manuscript),
+ *   chapterTitle and scene; offset is null when the quote is not in the manuscript
+ */
+function locateFindings(findings, manuscriptContent) {
+  const manuscript = parseManuscript(manuscriptContent || '');
+
+  return findings.map(finding => {
+    const named = finding.chapter === null ? null : parseChapterNumber(finding.chapter.replace(/^chapter\s+/i, ''));
+    const namedChapter = named === null ? null :
+      manuscript.chapters.find(chapter => chapter.value === named) ||
+      manuscript.chapters.find(chapter => chapter.number === named);
+
+    let location = null;
+    if (finding.original) {
+      location = (namedChapter && findQuote(manuscript.text, finding.original, namedChapter.start)) ||
+        findQuote(manuscript.text, finding.original);
+    }
+
+    const chapter = location ? chapterAt(manuscript, location.start) : namedChapter;
+    const scene = location && chapter
+      ? chapter.scenes.find(candidate => location.start >= candidate.start && location.start < candidate.end)
+      : null;
+
+    return {
+      category: finding.category,
+      severity: finding.severity,
+      chapter: chapter ? chapter.number : null,
+      chapterTitle: chapter ? chapter.heading : null,
+      scene: chapter && scene ? sceneId(chapter.number, scene.number) : null,
+      offset: location ? location.start : null,
+      length: location ? location.end - location.start : null,
+      original: finding.original,
+      explanation: finding.explanation,
+      suggestion: finding.suggestion
+    };
+  });
+}
+
+module.exports = {
+  SEVERITIES,
+  FINDING_FIELDS,
+  FINDINGS_SYSTEM_PROMPT,
+  createFindingsTool,
+  createFindingsPrompt,
+  normalizeFindings,
+  locateFindings,
+  findQuote
+};
@@ -5,6 +5,15 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'explicit foreshadowing',
+  'implicit foreshadowing',
+  'chekhov element',
+  'unfulfilled setup',
+  'unforeshadowed payoff'
+];
+
 /**
  * ForeshadowingTracker Tool
  * Analyzes manuscript for foreshadowing elements, planted clues, and their payoffs using the Claude API.
@@ -77,12 +86,14 @@ class ForeshadowingTracker extends BaseTool {
       if (foreshadowingType === 'all') {
         const types = ['explicit', 'implicit', 'chekhov'];
         for (const type of types) {
+          this.throwIfCancelled();
           const result = await this.runAnalysis(
             type,
             outlineContent,
             manuscriptContent,
             chronological,
-            saveDir
+            saveDir,
+            manuscriptFile
           );
           outputFiles.push(...result.outputFiles);
         }
@@ -93,7 +104,8 @@ class ForeshadowingTracker extends BaseTool {
           outlineContent,
           manuscriptContent,
           chronological,
-          saveDir
+          saveDir,
+          manuscriptFile
         );
         outputFiles.push(...result.outputFiles);
       }
@@ -123,6 +135,7 @@ class ForeshadowingTracker extends BaseTool {
    * @param {string} manuscriptContent - Manuscript content
    * @param {boolean} chronological - Whether to organize chronologically
    * @param {string} saveDir - Directory to save to
+   * @param {string} manuscriptFile - Manuscript path, recorded with the findings
    * @returns {Promise<Object>} - Analysis result
    */
   async runAnalysis(
@@ -130,7 +143,8 @@ class ForeshadowingTracker extends BaseTool {
     outlineContent,
     manuscriptContent,
     chronological,
-    saveDir
+    saveDir,
+    manuscriptFile
   ) {
     this.emitOutput(`\n=== Running ${foreshadowingType.toUpperCase()} Foreshadowing Analysis ===\n`);
     
@@ -142,9 +156,12 @@ class ForeshadowingTracker extends BaseTool {
       chronological
     );
 
+    // Create system prompt to avoid markdown
+    const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
+
     // Count tokens in the prompt
     this.emitOutput(`Counting tokens in prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
     // Call the shared token budget calculator
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -190,9 +207,6 @@ class ForeshadowingTracker extends BaseTool {
     let fullResponse = "";
     let thinkingContent = "";
     
-    // Create system prompt to avoid markdown
-    const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
-
     // Use the calculated values in the API call
     try {
       await this.claudeService.streamWithThinking(
@@ -247,6 +261,10 @@ class ForeshadowingTracker extends BaseTool {
       chronological
     );
     
+    // Ask for the report's findings as structured data and save them next to it
+    const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+    outputFile.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
+    
     return {
       success: true,
       outputFiles: outputFile,
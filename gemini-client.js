@@ -0,0 +1,244 @@
+// gemini-client.js
+const { GoogleGenAI, HarmCategory, HarmBlockThreshold, Type } = require('@google/genai');
+const LLMProvider = require('./llm-provider');
+
+// Gemini 2.5 Pro accepts thinking budgets up to 32768 tokens
+const GEMINI_MAX_THINKING_BUDGET = 32768;
+
+// Fiction often deals with violence and dark themes, so don't block it
+const SAFETY_SETTINGS = [
+  HarmCategory.HARM_CATEGORY_HARASSMENT,
+  HarmCategory.HARM_CATEGORY_HATE_SPEECH,
+  HarmCategory.HARM_CATEGORY_SEXUALLY_EXPLICIT,
+  HarmCategory.HARM_CATEGORY_DANGEROUS_CONTENT
+].map(category => ({ category, threshold: HarmBlockThreshold.BLOCK_NONE }));
+
+/**
+ * Convert a JSON schema to the OpenAPI subset Gemini takes as a responseSchema
+ * A ["string", "null"] type becomes a nullable string.
+ * @param {Object} schema - JSON schema
+ * @returns {Object} - Gemini schema
+ */
+function toGeminiSchema(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const type = types.find(name => name !== 'null');
+  const converted = { type: Type[type.toUpperCase()] };
+  if (types.includes('null')) converted.nullable = true;
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(Object.entries(schema.properties)
+      .map(([name, property]) => [name, toGeminiSchema(property)]));
+    converted.propertyOrdering = Object.keys(schema.properties);
+  }
+  if (schema.required) converted.required = schema.required;
+  return converted;
+}
+
+/**
+ * Gemini API Service
+ * Runs the AI tools against Google's Gemini models with the same surface
+ * as ClaudeAPIService, using the gemini_* settings from API Settings
+ */
+class GeminiAPIService extends LLMProvider {
+  static label = 'Gemini';
+  static apiKeyEnv = 'GEMINI_API_KEY';
+
+  /**
+   * Constructor
+   * @param {Object} config - API configuration from UI settings
+   */
+  constructor(config = {}) {
+    super();
+
+    // Map the Gemini settings onto the names calculateTokenBudgets uses
+    this.config = {
+      max_retries: config.max_retries,
+      request_timeout: config.request_timeout,
+      context_window: config.gemini_context_window,
+      thinking_budget_tokens: Math.min(config.thinking_budget_tokens, GEMINI_MAX_THINKING_BUDGET),
+      betas_max_tokens: config.gemini_max_output_tokens,
+      desired_output_tokens: config.desired_output_tokens,
+      model_name: config.gemini_model_name,
+      max_thinking_budget: Math.min(config.max_thinking_budget, GEMINI_MAX_THINKING_BUDGET),
+      max_tokens: config.gemini_max_output_tokens
+    };
+
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      console.error('GEMINI_API_KEY environment variable not found');
+      this.apiKeyMissing = true;
+      return; // don't create the client but don't crash
+    }
+
+    this.client = new GoogleGenAI({
+      apiKey: apiKey,
+      httpOptions: { timeout: this.config.request_timeout * 1000 } // convert seconds to ms
+    });
+
+    console.log('Gemini API Service initialized with:');
+    console.log('- Context window:', this.config.context_window);
+    console.log('- Model name:', this.config.model_name);
+    console.log('- Max output tokens:', this.config.max_tokens);
+  }
+
+  /**
+   * Make sure the client exists before a request
+   */
+  _requireClient() {
+    if (!this.client) {
+      throw new Error('Gemini API key not found. Please set the GEMINI_API_KEY environment variable.');
+    }
+  }
+
+  /**
+   * Retry a request on rate limits and server errors, up to max_retries times
+   * @param {Function} request - Function making the API request
+   * @returns {Promise<*>} - Result of the request
+   */
+  async _withRetries(request) {
+    const maxRetries = this.config.max_retries || 0;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        const retryable = /\b(429|500|503)\b/.test(String(error.message));
+        const cancelled = this.abortSignal && this.abortSignal.aborted;
+        if (!retryable || cancelled || attempt >= maxRetries) {
+          throw error;
+        }
+        console.warn(`Gemini request failed (${error.message}), retrying...`);
+        await new Promise(resolve => setTimeout(resolve, 2000 * (attempt + 1)));
+      }
+    }
+  }
+
+  /**
+   * Count tokens in a text string
+   * The Gemini API does not accept a system instruction when counting, so
+   * the system prompt is counted as an extra part of the same request.
+   * @param {string} text - Text to count tokens in
+   * @param {Object} [options] - { system } - System prompt the text is sent with
+   * @returns {Promise<number>} - Token count
+   */
+  async countTokens(text, options = {}) {
+    this._requireClient();
+    const parts = options.system ? [{ text: options.system }, { text }] : [{ text }];
+    try {
+      const response = await this._withRetries(() => this.client.models.countTokens({
+        model: this.config.model_name,
+        contents: [{ role: 'user', parts }],
+        config: { abortSignal: this.abortSignal || undefined }
+      }));
+
+      return response.totalTokens;
+    } catch (error) {
+      console.error('Token counting error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream a response with thinking using callbacks
+   * Gemini returns thought summaries as parts marked `thought`.
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - API options (only system is allowed to be overridden)
+   * @param {Function} onThinking - Callback for thinking content
+   * @param {Function} onText - Callback for response text
+   * @returns {Promise<void>}
+   */
+  async streamWithThinking(prompt, options = {}, onThinking, onText) {
+    this._requireClient();
+
+    const config = {
+      maxOutputTokens: options.max_tokens,
+      thinkingConfig: {
+        includeThoughts: true,
+        thinkingBudget: Math.min(options.thinking.budget_tokens, GEMINI_MAX_THINKING_BUDGET)
+      },
+      safetySettings: SAFETY_SETTINGS,
+      abortSignal: this.abortSignal || undefined
+    };
+
+    // Only allow system prompt to be overridden
+    if (options.system) {
+      config.systemInstruction = options.system;
+    }
+
+    try {
+      const stream = await this._withRetries(() => this.client.models.generateContentStream({
+        model: this.config.model_name,
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        config
+      }));
+
+      for await (const chunk of stream) {
+        const candidate = chunk.candidates && chunk.candidates[0];
+        const parts = (candidate && candidate.content && candidate.content.parts) || [];
+
+        for (const part of parts) {
+          if (!part.text) continue;
+          if (part.thought) {
+            if (onThinking && typeof onThinking === 'function') {
+              onThinking(part.text);
+            }
+          } else if (onText && typeof onText === 'function') {
+            onText(part.text);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('API streaming error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a response in a fixed shape
+   * Gemini has no forced tool call, so the tool's input schema is given as
+   * the responseSchema and the JSON response is the tool input.
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - { max_tokens, system }
+   * @param {Object} tool - { name, description, schema } - schema is the JSON schema of the input
+   * @returns {Promise<Object>} - The tool input
+   */
+  async completeWithTool(prompt, options, tool) {
+    this._requireClient();
+
+    const config = {
+      maxOutputTokens: options.max_tokens,
+      responseMimeType: 'application/json',
+      responseSchema: toGeminiSchema(tool.schema),
+      safetySettings: SAFETY_SETTINGS,
+      abortSignal: this.abortSignal || undefined
+    };
+    if (options.system) {
+      config.systemInstruction = options.system;
+    }
+
+    let response;
+    try {
+      response = await this._withRetries(() => this.client.models.generateContent({
+        model: this.config.model_name,
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        config
+      }));
+    } catch (error) {
+      console.error('API structured response error:', error);
+      throw error;
+    }
+
+    const candidate = response.candidates && response.candidates[0];
+    if (candidate && candidate.finishReason === 'MAX_TOKENS') {
+      throw new Error(`the ${tool.name} response was cut off at ${options.max_tokens} tokens`);
+    }
+    try {
+      return JSON.parse(response.text);
+    } catch (error) {
+      throw new Error(`the ${tool.name} response is not JSON: ${error.message}`);
+    }
+  }
+}
+
+module.exports = GeminiAPIService;
@@ -0,0 +1,227 @@
+// job-queue.js
+const { EventEmitter } = require('events');
+
+// How many finished jobs to keep for the Jobs list
+const MAX_FINISHED_JOBS = 25;
+
+/**
+ * Queue of tool runs for the main process
+ * Jobs wait in the queue until a slot is free, so several analyses can be
+ * queued at once while at most `concurrency` of them run at the same time.
+ * Background jobs (batch runs, which mostly wait on the API) start at once
+ * and don't take a slot.
+ *
+ * Events:
+ *   'job-queued'    (job)         - job added to the queue
+ *   'job-started'   (job)         - job has a slot and is running
+ *   'job-finished'  (job, result) - runJob resolved
+ *   'job-failed'    (job, error)  - runJob rejected
+ *   'job-cancelled' (job)         - job was stopped while queued or running
+ *   'changed'       ()            - any job changed status
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * Constructor
+   * @param {Function} runJob - Async function (job) => result that runs one job
+   * @param {number} concurrency - Maximum number of jobs running at once
+   */
+  constructor(runJob, concurrency = 1) {
+    super();
+    this.runJob = runJob;
+    this.concurrency = JobQueue.normalizeConcurrency(concurrency);
+    this.jobs = new Map();
+    this.pending = [];
+    this.runningCount = 0;
+  }
+
+  /**
+   * Clamp a concurrency value to a whole number of at least 1
+   * @param {*} value - Requested concurrency
+   * @returns {number} - Usable concurrency
+   */
+  static normalizeConcurrency(value) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number > 0 ? number : 1;
+  }
+
+  /**
+   * Change how many jobs may run at once
+   * Running jobs are never interrupted; a higher limit starts waiting jobs now
+   * @param {number} concurrency - Maximum number of jobs running at once
+   */
+  setConcurrency(concurrency) {
+    this.concurrency = JobQueue.normalizeConcurrency(concurrency);
+    this._startNext();
+    this.emit('changed');
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} details - Job details
+   * @param {string} details.id - Unique job ID (also used as the runId)
+   * @param {string} details.toolId - Tool ID
+   * @param {string} details.toolTitle - Tool title for display
+   * @param {Object} details.options - Tool option values
+   * @param {boolean} [details.background] - Start now without taking a slot
+   * Any other details (such as the window to report to) are kept on the job
+   * for runJob and the event listeners.
+   * @returns {Object} - The queued job
+   */
+  enqueue({ id, toolId, toolTitle, options, background = false, ...context }) {
+    const job = {
+      ...context,
+      id,
+      toolId,
+      toolTitle: toolTitle || toolId,
+      options: options || {},
+      background,
+      status: 'queued',
+      queuedAt: new Date().toISOString(),
+      startedAt: null,
+      endedAt: null,
+      error: null,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(id, job);
+    this.emit('job-queued', job);
+    this.emit('changed');
+
+    if (background) {
+      this._run(job);
+    } else {
+      this.pending.push(job);
+      this._startNext();
+    }
+    return job;
+  }
+
+  /**
+   * Stop a job, whether it is still waiting or already running
+   * @param {string} id - Job ID
+   * @returns {boolean} - True if the job was queued or running
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return false;
+    }
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(pendingJob => pendingJob !== job);
+      job.controller.abort();
+      this._settle(job, 'cancelled');
+      this.emit('job-cancelled', job);
+      this.emit('changed');
+      return true;
+    }
+
+    if (job.status === 'running') {
+      // The job settles as cancelled once runJob notices the abort
+      job.controller.abort();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {Object|undefined} - Job
+   */
+  getJob(id) {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * Position of a waiting job in the queue (1 = next to start)
+   * @param {string} id - Job ID
+   * @returns {number} - Queue position, or 0 if the job is not waiting
+   */
+  getPosition(id) {
+    return this.pending.findIndex(job => job.id === id) + 1;
+  }
+
+  /**
+   * Get a plain summary of all jobs, suitable for sending over IPC
+   * @returns {Object[]} - Job summaries, in the order they were queued
+   */
+  listJobs() {
+    return Array.from(this.jobs.values()).map(job => ({
+      id: job.id,
+      toolId: job.toolId,
+      toolTitle: job.toolTitle,
+      background: job.background,
+      status: job.status,
+      queuedAt: job.queuedAt,
+      startedAt: job.startedAt,
+      endedAt: job.endedAt,
+      error: job.error,
+      position: this.getPosition(job.id)
+    }));
+  }
+
+  /**
+   * Start waiting jobs while there are free slots
+   */
+  _startNext() {
+    while (this.runningCount < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      this._run(job);
+    }
+  }
+
+  /**
+   * Run one job and record how it ended
+   * @param {Object} job - Job to run
+   */
+  async _run(job) {
+    if (!job.background) {
+      this.runningCount++;
+    }
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.emit('job-started', job);
+    this.emit('changed');
+
+    try {
+      const result = await this.runJob(job);
+      this._settle(job, 'finished');
+      this.emit('job-finished', job, result);
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        this._settle(job, 'cancelled');
+        this.emit('job-cancelled', job);
+      } else {
+        this._settle(job, 'error', error.message);
+        this.emit('job-failed', job, error);
+      }
+    } finally {
+      if (!job.background) {
+        this.runningCount--;
+      }
+      this.emit('changed');
+      this._startNext();
+    }
+  }
+
+  /**
+   * Mark a job as done and drop the oldest finished jobs
+   * @param {Object} job - Job
+   * @param {string} status - 'finished', 'error' or 'cancelled'
+   * @param {string} [error] - Error message
+   */
+  _settle(job, status, error = null) {
+    job.status = status;
+    job.endedAt = new Date().toISOString();
+    job.error = error;
+
+    const finished = Array.from(this.jobs.values())
+      .filter(j => j.status !== 'queued' && j.status !== 'running');
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+      .forEach(j => this.jobs.delete(j.id));
+  }
+}
+
+module.exports = JobQueue;
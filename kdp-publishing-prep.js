@@ -3,6 +3,7 @@ const BaseTool = require('./base-tool');
 const path = require('path');
 const fs = require('fs/promises');
 const fileCache = require('./file-cache');
+const snapshots = require('./snapshots');
 const appState = require('./state.js');
 
 /**
@@ -382,6 +383,7 @@ ${textSample}
   async writeOutputFile(content, saveDir, filename) {
     try {
       const filePath = path.join(saveDir, filename);
+      await snapshots.snapshotFile(filePath, `Before ${this.config.title || this.name}`);
       await fs.writeFile(filePath, content, 'utf8');
       
       // Add to file cache
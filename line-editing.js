@@ -4,6 +4,18 @@ const path = require('path');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
+const { numberToWord } = require('./manuscript');
+
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'clarity',
+  'flow',
+  'word choice',
+  'redundancy',
+  'sentence structure',
+  'dialogue',
+  'voice'
+];
 
 /**
  * LineEditing Tool
@@ -55,9 +67,12 @@ class LineEditing extends BaseTool {
         
       const prompt = this.createPrompt(manuscriptContent, chapterNumber);
 
+      // Create system prompt to avoid markdown
+      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
+
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -102,9 +117,6 @@ class LineEditing extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt to avoid markdown
-      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
-
       // Use the calculated values in the API call
       // console.log(`prompt:\n`, prompt);
       try {
@@ -161,6 +173,10 @@ class LineEditing extends BaseTool {
       
       // Add the output files to the result
       outputFiles.push(...outputFile);
+
+      // Ask for the report's findings as structured data and save them next to it
+      const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+      outputFiles.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
       
       // Add files to the cache
       const toolName = 'line_editing';
@@ -405,21 +421,7 @@ Thank you for your thoughtful and respectful approach to line editing.`;
    * @returns {string} - Word representation
    */
   numberToWord(num) {
-    // Convert string to number if necessary
-    num = parseInt(num, 10);
-    
-    const words = [
-      'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
-      'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen',
-      'twenty'
-    ];
-    
-    // Handle simple cases
-    if (num <= 20) return words[num];
-    
-    // For simplicity, just return the number as string for larger numbers
-    // A more comprehensive implementation would handle all numbers
-    return num.toString();
+    return numberToWord(num);
   }
 
   /**
@@ -0,0 +1,174 @@
+// llm-provider.js
+
+/**
+ * Base class for AI model providers
+ * Tools only use this surface (through this.claudeService), so every AI tool
+ * runs against any provider that implements it:
+ *   countTokens(text, { system })
+ *   calculateTokenBudgets(promptTokens)
+ *   streamWithThinking(prompt, options, onThinking, onText)
+ *   streamWithThinkingAndMessageStart(prompt, options, onThinking, onText, onMessageStart, onResponseHeaders, onStatus)
+ *   completeWithTool(prompt, options, tool)
+ *   close()
+ */
+class LLMProvider {
+  // Shown in messages such as "Claude API key not found"
+  static label = 'AI';
+  // Environment variable holding the provider's API key
+  static apiKeyEnv = null;
+
+  constructor() {
+    // Set by the tool runner so in-flight requests can be cancelled
+    this.abortSignal = null;
+    // Set by the tool runner to show per-request details, such as prompt
+    // cache use, in the tool's output: (text) => void
+    this.emitStatus = null;
+    // Set when the API key is not configured; the app warns the user
+    this.apiKeyMissing = false;
+    // Token usage totals for this service's requests, for providers that report it:
+    // { requests, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens }
+    this.usage = null;
+  }
+
+  /**
+   * Provider name for messages
+   * @returns {string} - Provider label
+   */
+  get label() {
+    return this.constructor.label;
+  }
+
+  /**
+   * Count tokens in a text string
+   * @param {string} text - Text to count tokens in
+   * @param {Object} [options] - { system } - System prompt the text is sent with
+   * @returns {Promise<number>} - Token count
+   */
+  async countTokens(text, options = {}) {
+    throw new Error(`${this.constructor.name} must implement countTokens`);
+  }
+
+  /**
+   * Stream a response with thinking using callbacks
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - { max_tokens, thinking: { budget_tokens }, system }
+   * @param {Function} onThinking - Callback for thinking content
+   * @param {Function} onText - Callback for response text
+   * @returns {Promise<void>}
+   */
+  async streamWithThinking(prompt, options, onThinking, onText) {
+    throw new Error(`${this.constructor.name} must implement streamWithThinking`);
+  }
+
+  /**
+   * Stream a response with thinking, reporting progress along the way
+   * Providers without response headers or message start events just report
+   * their status and stream as usual.
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - { max_tokens, thinking: { budget_tokens }, system }
+   * @param {Function} onThinking - Callback for thinking content
+   * @param {Function} onText - Callback for response text
+   * @param {Function} onMessageStart - Callback for message start details
+   * @param {Function} onResponseHeaders - Callback for response headers
+   * @param {Function} onStatus - Callback for status changes
+   * @returns {Promise<void>}
+   */
+  async streamWithThinkingAndMessageStart(prompt, options, onThinking, onText, onMessageStart, onResponseHeaders, onStatus) {
+    if (onMessageStart && typeof onMessageStart === 'function') {
+      onMessageStart(`\n=== MESSAGE START ===`);
+      onMessageStart(`${this.label} model: ${this.config.model_name}`);
+    }
+    return this.streamWithThinking(prompt, options, onThinking, onText);
+  }
+
+  /**
+   * Get a response in a fixed shape: the input of a call to the given tool,
+   * checked against the tool's JSON schema
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - { max_tokens, system }
+   * @param {Object} tool - { name, description, schema }
+   * @returns {Promise<Object>} - The tool input
+   */
+  async completeWithTool(prompt, options, tool) {
+    throw new Error(`${this.constructor.name} must implement completeWithTool`);
+  }
+
+  /**
+   * Calculate token budgets and validate prompt size
+   * Uses config.context_window, desired_output_tokens, thinking_budget_tokens,
+   * betas_max_tokens (most output tokens per request) and max_thinking_budget.
+   * @param {number} promptTokens - Number of tokens in the prompt
+   * @returns {Object} - Calculated token budgets and limits
+   */
+  calculateTokenBudgets(promptTokens) {
+    // Use configuration settings directly
+    const contextWindow = this.config.context_window;
+    const desiredOutputTokens = this.config.desired_output_tokens;
+    const configuredThinkingBudget = this.config.thinking_budget_tokens;
+    const betasMaxTokens = this.config.betas_max_tokens;
+    const maxThinkingBudget = this.config.max_thinking_budget;
+    let maxTokens = this.config.maxTokens;
+
+    // Calculate available tokens after prompt
+    const availableTokens = contextWindow - promptTokens;
+
+    // For API call, max_tokens must respect the API limit
+    maxTokens = Math.min(availableTokens, betasMaxTokens);
+    if (maxTokens > contextWindow) {
+      maxTokens = availableTokens
+    }
+
+    // Thinking budget must be LESS than max_tokens to leave room for visible output
+    let thinkingBudget = maxTokens - desiredOutputTokens;
+
+    // Cap thinking budget if it's too large - use configurable limit
+    const capThinkingBudget = thinkingBudget > maxThinkingBudget;
+    if (capThinkingBudget) {
+      thinkingBudget = maxThinkingBudget;
+    }
+
+    // client.js: execute:
+    // API Error: 400 {
+    //     "type":"error",
+    //     "error":{
+    //       "type":"invalid_request_error",
+    //       "message":"input length and `max_tokens` exceed
+    //          context limit: 107398 + 128000 > 200000,
+    //          decrease input length or `max_tokens` and try again"
+    //     }}
+
+    // ---------------------------------------------------------------
+    // May 2025: Claude 3.7 Sonnet with 32K extended thinking & betas
+    // _______________________________________________________________
+    // OUTPUT  =  contextWindow - promptTokens     =  availableTokens
+    //                                ↓ THINKING ↓
+    // VISIBLE =  availableTokens  -    32000      =  maxTokens
+    // ---------------------------------------------------------------
+
+    // Check if prompt is too large for the configured thinking budget
+    const isPromptTooLarge = thinkingBudget < configuredThinkingBudget;
+
+    // Return all calculated values for use in API calls and logging
+    return {
+      contextWindow,
+      promptTokens,
+      availableTokens,
+      maxTokens,
+      thinkingBudget,
+      desiredOutputTokens,
+      betasMaxTokens,
+      configuredThinkingBudget,
+      capThinkingBudget,
+      isPromptTooLarge
+    };
+  }
+
+  /**
+   * Release the provider's client
+   */
+  close() {
+    this.client = null;
+  }
+}
+
+module.exports = LLMProvider;
@@ -14,6 +14,14 @@ const { v4: uuidv4 } = require('uuid');
 const appState = require('./state.js');
 const toolSystem = require('./tool-system');
 const fileCache = require('./file-cache');
+const runHistory = require('./run-history');
+const batchRuns = require('./batch-runs');
+const { parseManuscript } = require('./manuscript');
+const suggestions = require('./suggestions');
+const snapshots = require('./snapshots');
+const projectSettings = require('./project-settings');
+const JobQueue = require('./job-queue');
+const { CLAUDE_API_SCHEMA, getCompleteClaudeSettings } = require('./claude-api-settings');
 
 let editorDialogWindow = null;
 
@@ -68,6 +76,7 @@ async function initializeApp() {
   try {
     // Initialize AppState before using it
     await appState.initialize();
+    jobQueue.setConcurrency(appState.MAX_CONCURRENT_JOBS);
 
     // Set up IPC handlers first
     setupIPCHandlers();
@@ -87,13 +96,25 @@ async function initializeApp() {
       // Check if API key is missing
       if (toolSystemResult.claudeService && toolSystemResult.claudeService.apiKeyMissing) {
         // Show notification after window is created
+        setTimeout(() => {
+          if (mainWindow && !mainWindow.isDestroyed()) {
+            showApiKeyMissing(toolSystemResult.claudeService);
+          }
+        }, 1000);
+      }
+      
+      // Tell the user about plugins that could not be loaded
+      if (toolSystemResult.pluginErrors && toolSystemResult.pluginErrors.length > 0) {
+        const details = toolSystemResult.pluginErrors
+          .map(({ plugin, message }) => `${plugin}: ${message}`)
+          .join('\n');
         setTimeout(() => {
           if (mainWindow && !mainWindow.isDestroyed()) {
             dialog.showMessageBox(mainWindow, {
               type: 'warning',
-              title: 'API Key Missing',
-              message: 'Claude API key not found',
-              detail: 'Please configure your Claude API key in API Settings before using AI tools.',
+              title: 'Plugin Errors',
+              message: 'Some tool plugins could not be loaded',
+              detail: `These plugins were skipped:\n\n${details}`,
               buttons: ['OK']
             });
           }
@@ -114,6 +135,11 @@ async function initializeApp() {
     // Create the main window
     createWindow();
     
+    // Pick up batch runs that were waiting for results when the app closed
+    resumeBatchRuns().catch(error => {
+      console.error('Error resuming batch runs:', error);
+    });
+    
     // Check if a project is selected, if not, show the project dialog
     if (!appState.CURRENT_PROJECT && shouldShowProjectDialog) {
       // Give the main window time to load first
@@ -166,51 +192,39 @@ if (isPackaged) {
   logToFile(`Resources path: ${path.join(app.getAppPath(), '..')}`);
 }
 
-// Define Claude API schema globally
-const CLAUDE_API_SCHEMA = [
-  { name: 'max_retries',            label: 'Max Retries',                       type: 'number', default: 1,       required: true,  description: 'Maximum retry attempts if an API call fails.' },
-  { name: 'request_timeout',        label: 'Request Timeout (seconds)',         type: 'number', default: 300,     required: true,  description: 'Seconds to wait for the API to respond.' },
-  { name: 'desired_output_tokens',  label: 'Desired Output Tokens',             type: 'number', default: 12000,   required: true,  description: 'Approximate size of the visible reply.' },
-  { name: 'context_window',         label: 'Context Window (tokens)',           type: 'number', default: 200000,  required: true,  description: 'Maximum tokens the model can see at once.' },
-  { name: 'thinking_budget_tokens', label: 'Thinking Budget (tokens)',          type: 'number', default: 32000,   required: true,  description: 'Private "thinking" tokens before the reply.' },
-  { name: 'betas_max_tokens',       label: 'Beta Max Tokens',                   type: 'number', default: 128000,  required: true,  description: 'Upper limit when enabling beta features.' },
-  { name: 'model_name',             label: 'Model Name',                        type: 'text',   default: 'claude-3-7-sonnet-20250219', required: true, description: 'Exact model identifier.' },
-  { name: 'betas',                  label: 'Beta Features (comma‑separated)',   type: 'text',   default: 'output-128k-2025-02-19',     required: true, description: 'List of beta flags.' },
-  { name: 'max_thinking_budget',    label: 'Max Thinking Budget (tokens)',      type: 'number', default: 32000,   required: true,  description: 'Absolute cap for thinking tokens.' },
-  { name: 'max_tokens',             label: 'Max Tokens',                   type: 'number', default: 128000,  required: true,  description: 'Absolute cap for output tokens.' }
-];
-
-// Global function to get complete settings 
-function getCompleteClaudeSettings() {
-  // Start with an empty settings object
-  const completeSettings = {};
-  
-  // Add all default values from the schema
-  CLAUDE_API_SCHEMA.forEach(setting => {
-    completeSettings[setting.name] = setting.default;
+// Warn that the selected AI provider has no API key
+function showApiKeyMissing(aiService) {
+  dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    title: 'API Key Missing',
+    message: `${aiService.label} API key not found`,
+    detail: `Please set ${aiService.constructor.apiKeyEnv} in your environment (or ~/.env) before using AI tools, or choose another provider in API Settings.`,
+    buttons: ['OK']
   });
-  
-  // Override with any existing user settings
-  if (appState.settings_claude_api_configuration) {
-    for (const key in appState.settings_claude_api_configuration) {
-      completeSettings[key] = appState.settings_claude_api_configuration[key];
-    }
-  }
-  
-  return completeSettings;
 }
 
 // Store references to windows
 let mainWindow = null;
 let projectDialogWindow = null;
 let apiSettingsWindow = null;
-let toolSetupRunWindow = null;
+let runHistoryWindow = null;
+let suggestionReviewWindow = null;
+// Findings file shown in the suggestion review
+let suggestionReviewFile = null;
+let snapshotsWindow = null;
+// Project file (relative path) the versions dialog opens with
+let snapshotsFile = null;
+let projectSettingsWindow = null;
+
+// Open tool windows keyed by webContents id: { window, toolName, presetOptions }
+// Several can be open at once, each showing the progress of its own jobs
+const toolWindows = new Map();
 
 // Flag to control whether to show the project dialog
 let shouldShowProjectDialog = true;
 
-// Store the currently selected tool
-let currentTool = null;
+// Queue of tool runs; the concurrency limit is loaded from settings at startup
+const jobQueue = new JobQueue(runToolJob, appState.MAX_CONCURRENT_JOBS);
 
 // Set application name
 app.name = "Writer's Toolkit";
@@ -443,16 +457,20 @@ function setupProjectHandlers() {
   });
 }
 
-// Function to create the tool setup and run dialog
-function createToolSetupRunDialog(toolName) {
+// Function to create a tool setup and run window
+// Tool windows are not modal, so more tools can be queued from the main window
+function createToolSetupRunDialog(toolName, presetOptions = null) {
+  // Offset each new window a little so open windows stay visible
+  const offset = 30 * (toolWindows.size % 5);
+  
   // Create the dialog window
-  toolSetupRunWindow = new BrowserWindow({
+  const toolWindow = new BrowserWindow({
     width: mainWindow.getSize()[0],
     height: mainWindow.getSize()[1],
-    x: mainWindow.getPosition()[0],
-    y: mainWindow.getPosition()[1],
+    x: mainWindow.getPosition()[0] + offset,
+    y: mainWindow.getPosition()[1] + offset,
     parent: mainWindow,
-    modal: true,
+    modal: false,
     show: false,
     webPreferences: {
       nodeIntegration: false,
@@ -462,52 +480,42 @@ function createToolSetupRunDialog(toolName) {
     backgroundColor: '#121212', // Dark background
     autoHideMenuBar: true,
   });
+  
+  // Remember which tool this window is for
+  const webContentsId = toolWindow.webContents.id;
+  toolWindows.set(webContentsId, { window: toolWindow, toolName, presetOptions });
 
   // Load the HTML file
-  toolSetupRunWindow.loadFile(path.join(__dirname, 'tool-setup-run.html'));
+  toolWindow.loadFile(path.join(__dirname, 'tool-setup-run.html'));
 
   // Show the window when ready
-  toolSetupRunWindow.once('ready-to-show', () => {
-    toolSetupRunWindow.show();
+  toolWindow.once('ready-to-show', () => {
+    toolWindow.show();
     
     // Send the current theme as soon as the window is ready
     if (mainWindow) {
       mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
         .then(isLightMode => {
-          if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-            toolSetupRunWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          if (!toolWindow.isDestroyed()) {
+            toolWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
           }
         })
         .catch(err => console.error('Error getting theme:', err));
     }
   });
 
-  // Track window destruction
-  toolSetupRunWindow.on('closed', () => {
-    toolSetupRunWindow = null;
+  // Track window destruction; its jobs keep running and stay in the Jobs list
+  toolWindow.on('closed', () => {
+    toolWindows.delete(webContentsId);
   });
   
-  // Prevent the tool window from being resized or moved
-  toolSetupRunWindow.setResizable(false);
-  toolSetupRunWindow.setMovable(false);
-  
-  return toolSetupRunWindow;
+  return toolWindow;
 }
 
-// Show the tool setup dialog - MODIFIED: always recreate the window
-function showToolSetupRunDialog(toolName) {
-  // Always close any existing tool window first
-  if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-    toolSetupRunWindow.destroy();
-    toolSetupRunWindow = null;
-  }
-  
-  // Store the selected tool
-  currentTool = toolName;
+// Show a new tool setup window
+function showToolSetupRunDialog(toolName, presetOptions = null) {
   console.log(`Creating new tool setup dialog for: ${toolName}`);
-  
-  // Create a new dialog window with the current tool
-  createToolSetupRunDialog(toolName);
+  createToolSetupRunDialog(toolName, presetOptions);
 }
 
 function launchEditor(fileToOpen = null) {
@@ -533,8 +541,8 @@ ipcMain.handle('open-file-in-editor', async (event, filePath) => {
       return { success: false, error: 'File not found: ' + filePath };
     }
     
-    // Create editor dialog window
-    createEditorDialog(filePath);
+    // Create editor dialog window over the window that asked for it
+    createEditorDialog(filePath, BrowserWindow.fromWebContents(event.sender));
     
     // Return success
     return { success: true };
@@ -577,7 +585,10 @@ ipcMain.handle('save-file', async (event, data) => {
     }
     
     try {
+      // Version the file both as it was and as saved
+      await snapshots.snapshotFile(finalPath, 'Before editor save');
       fs.writeFileSync(finalPath, content, 'utf8');
+      await snapshots.snapshotFile(finalPath, 'Editor save');
       console.log('File saved successfully to:', finalPath);
       return { success: true, filePath: finalPath };
     } catch (error) {
@@ -625,7 +636,9 @@ function setupToolHandlers() {
       return {
         name: id,
         title: tool.config?.title || id,
-        description: tool.config?.description || tool.title || `Tool: ${id}`
+        description: tool.config?.description || tool.title || `Tool: ${id}`,
+        ai: tool.config?.ai !== false,
+        custom: tool.config?.custom === true
       };
     });
     
@@ -646,23 +659,27 @@ function setupToolHandlers() {
   
   // Handle tool dialog closing
   ipcMain.on('close-tool-dialog', (event, action, data) => {
-    if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-      toolSetupRunWindow.destroy();
-      toolSetupRunWindow = null;
+    const toolWindow = BrowserWindow.fromWebContents(event.sender);
+    if (toolWindow && !toolWindow.isDestroyed()) {
+      toolWindow.destroy();
     }
   });
   
-  // Get current tool
-  ipcMain.handle('get-current-tool', () => {
+  // Get the tool for the window that is asking
+  ipcMain.handle('get-current-tool', (event) => {
     try {
-      if (currentTool) {
+      const toolWindowInfo = toolWindows.get(event.sender.id);
+      if (toolWindowInfo) {
+        const { toolName, presetOptions } = toolWindowInfo;
         // Try to get from registry first
-        const tool = toolSystem.toolRegistry.getTool(currentTool);
+        const tool = toolSystem.toolRegistry.getTool(toolName);
         if (tool) {
           return {
-            name: currentTool,
-            title: tool.config.title || currentTool,
-            description: tool.config.description || ''
+            name: toolName,
+            title: tool.config.title || toolName,
+            description: tool.config.description || '',
+            ai: tool.config.ai !== false,
+            presetOptions
           };
         }
       }
@@ -673,70 +690,59 @@ function setupToolHandlers() {
     }
   });
   
-  // When updating the start-tool-run handler:
-  ipcMain.handle('start-tool-run', async (event, toolName, optionValues) => {
+  // Queue a tool run; its output goes to the window that started it
+  // runSettings.batch submits it through the Message Batches API instead
+  ipcMain.handle('start-tool-run', async (event, toolName, optionValues, runSettings = {}) => {
     try {
+      const tool = toolSystem.toolRegistry.getTool(toolName);
+      if (!tool) {
+        throw new Error(`Tool not found: ${toolName}`);
+      }
+      
       // Generate a unique run ID
       const runId = uuidv4();
+      const sender = event.sender;
+      
+      // The run belongs to the project that is current now; save_dir is pinned
+      // so a queued job still reads and writes its files if another project
+      // is opened before it starts
+      const projectPath = appState.CURRENT_PROJECT_PATH;
+      const options = { ...(optionValues || {}) };
+      if (!options.save_dir && projectPath) {
+        options.save_dir = projectPath;
+      }
       
-      // Set up output function
-      const sendOutput = (text) => {
-        if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-          toolSetupRunWindow.webContents.send('tool-output', { 
-            runId, 
-            text 
+      // Saved before the run starts, so it can be resumed if the app closes
+      const batch = runSettings && runSettings.batch
+        ? batchRuns.createRun(projectPath, {
+            runId,
+            toolId: toolName,
+            toolTitle: tool.config.title || toolName,
+            options
+          })
+        : null;
+      
+      // Queue after this reply is sent, so the window knows the runId
+      // before any output for it arrives
+      setImmediate(() => {
+        const job = jobQueue.enqueue({
+          id: runId,
+          toolId: toolName,
+          toolTitle: tool.config.title || toolName,
+          options: batch ? batch.options : options,
+          background: Boolean(batch),
+          projectPath,
+          sender,
+          batch
+        });
+        
+        if (job.status === 'queued') {
+          sendToJobWindow(job, 'tool-queued', {
+            runId,
+            position: jobQueue.getPosition(runId)
           });
         }
-      };
-      
-      // Execute the tool in the background
-      (async () => {
-        try {
-          // Send initial output notification
-          sendOutput(`Starting ${toolName}...\n\n`);
-          
-          // Get the tool
-          const tool = toolSystem.toolRegistry.getTool(toolName);
-          
-          if (!tool) {
-            throw new Error(`Tool not found: ${toolName}`);
-          }
-          
-          // Add output function to the tool
-          tool.emitOutput = sendOutput;
-
-          fileCache.clear(toolName);
-
-          // Execute the tool
-          const result = await toolSystem.executeToolById(toolName, optionValues, runId);
-          
-          // Get files from cache
-          const cachedFiles = fileCache.getFiles(toolName);
-          
-          // Combine cached files with any files returned by the tool
-          const allFiles = [...new Set([
-            ...(result.outputFiles || []),
-            ...cachedFiles.map(file => file.path)
-          ])];
-          
-          // Send completion notification
-          if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-            toolSetupRunWindow.webContents.send('tool-finished', { 
-              runId, 
-              code: 0, 
-              createdFiles: allFiles 
-            });
-          }
-        } catch (error) {
-          console.error(`Error running tool ${toolName}:`, error);
-          if (toolSetupRunWindow && !toolSetupRunWindow.isDestroyed()) {
-            toolSetupRunWindow.webContents.send('tool-error', { 
-              runId, 
-              error: error.message 
-            });
-          }
-        }
-      })();
+      });
       
       return runId;
     } catch (error) {
@@ -745,6 +751,54 @@ function setupToolHandlers() {
     }
   });
   
+  // Cancel a queued or running tool
+  ipcMain.handle('stop-tool', (event, runId) => {
+    const job = jobQueue.getJob(runId);
+    if (!job) {
+      return false;
+    }
+    
+    console.log(`Stopping tool ${job.toolId} (run ${runId})`);
+    return jobQueue.cancel(runId);
+  });
+  
+  // List queued, running and recently finished jobs
+  ipcMain.handle('get-jobs', () => {
+    return {
+      maxConcurrentJobs: jobQueue.concurrency,
+      jobs: jobQueue.listJobs()
+    };
+  });
+  
+  // Change how many jobs run at once and remember it
+  ipcMain.handle('set-max-concurrent-jobs', (event, value) => {
+    try {
+      jobQueue.setConcurrency(value);
+      appState.MAX_CONCURRENT_JOBS = jobQueue.concurrency;
+      if (appState.store) {
+        appState.store.set('max_concurrent_jobs', jobQueue.concurrency);
+      }
+      return jobQueue.concurrency;
+    } catch (error) {
+      console.error('Error setting max concurrent jobs:', error);
+      return jobQueue.concurrency;
+    }
+  });
+  
+  // Check option values with the same rules used when the tool runs
+  ipcMain.handle('validate-tool-options', (event, toolName, optionValues) => {
+    try {
+      return toolSystem.validateToolOptions(toolName, optionValues);
+    } catch (error) {
+      console.error('Error validating tool options:', error);
+      return {
+        valid: false,
+        values: optionValues,
+        errors: [{ field: null, label: toolName, message: error.message }]
+      };
+    }
+  });
+  
   // Store tool options in app state
   ipcMain.handle('set-tool-options', (event, options) => {
     try {
@@ -757,6 +811,609 @@ function setupToolHandlers() {
   });
 }
 
+// Send a message to the tool window that started a job, if it is still open
+function sendToJobWindow(job, channel, data) {
+  if (job.sender && !job.sender.isDestroyed()) {
+    job.sender.send(channel, data);
+  }
+}
+
+// Run one job from the queue with its own output stream
+async function runToolJob(job) {
+  const sendOutput = (text) => {
+    runHistory.appendOutput(job.id, text);
+    sendToJobWindow(job, 'tool-output', { runId: job.id, text });
+  };
+  
+  if (job.resumed) {
+    sendOutput(`\nResuming batch run of ${job.toolId}...\n\n`);
+  } else {
+    sendOutput(`Starting ${job.toolId}${job.batch ? ' as a batch' : ''}...\n\n`);
+  }
+  fileCache.clear(job.toolId);
+  
+  return fileCache.trackRun(job.id, () => toolSystem.executeToolById(job.toolId, job.options, {
+    signal: job.controller.signal,
+    emitOutput: sendOutput,
+    batch: job.batch ? batchRuns.createSession(job.batch) : null
+  }));
+}
+
+// Restart batch runs left running when the app last closed; each one
+// finds its saved batches and writes its report once the results are in
+async function resumeBatchRuns() {
+  const pending = await batchRuns.listPending(appState.PROJECTS_DIR);
+  for (const record of pending) {
+    const tool = toolSystem.toolRegistry.getTool(record.toolId);
+    if (jobQueue.getJob(record.runId) || !tool) {
+      continue;
+    }
+    // A tool with a resume option (Chapter Writer) continues from its own
+    // progress, so the work it finished before the app closed isn't redone
+    const resumable = (tool.config.options || []).some(option => option.name === 'resume');
+    console.log(`Resuming batch run ${record.runId} of ${record.toolId} in ${record.projectPath}`);
+    jobQueue.enqueue({
+      id: record.runId,
+      toolId: record.toolId,
+      toolTitle: record.toolTitle,
+      options: resumable ? { ...record.options, resume: true } : record.options,
+      projectPath: record.projectPath,
+      background: true,
+      batch: record,
+      resumed: true
+    });
+  }
+}
+
+// Report job progress to tool windows, the Jobs list and run history
+function setupJobQueueEvents() {
+  jobQueue.on('job-started', (job) => {
+    runHistory.startRun(job.projectPath, {
+      runId: job.id,
+      toolId: job.toolId,
+      toolTitle: job.toolTitle,
+      options: job.options,
+      resume: Boolean(job.resumed)
+    });
+  });
+  
+  jobQueue.on('job-finished', (job, result) => {
+    // Combine the files recorded for this run with any returned by the tool
+    const allFiles = [...new Set([
+      ...((result && result.outputFiles) || []),
+      ...fileCache.getRunFiles(job.id)
+    ])];
+    fileCache.releaseRun(job.id);
+    if (job.batch) {
+      batchRuns.finishRun(job.batch, 'finished');
+    }
+    
+    runHistory.finishRun(job.id, {
+      status: 'finished',
+      createdFiles: allFiles,
+      stats: (result && result.stats) || null
+    });
+    
+    sendToJobWindow(job, 'tool-finished', {
+      runId: job.id,
+      code: 0,
+      createdFiles: allFiles
+    });
+  });
+  
+  // A cancelled run reports whatever files it had already written
+  jobQueue.on('job-cancelled', (job) => {
+    console.log(`Tool ${job.toolId} cancelled (run ${job.id})`);
+    const createdFiles = fileCache.getRunFiles(job.id);
+    fileCache.releaseRun(job.id);
+    if (job.batch) {
+      batchRuns.finishRun(job.batch, 'cancelled');
+    }
+    
+    runHistory.finishRun(job.id, { status: 'cancelled', createdFiles });
+    sendToJobWindow(job, 'tool-cancelled', { runId: job.id, createdFiles });
+  });
+  
+  jobQueue.on('job-failed', (job, error) => {
+    console.error(`Error running tool ${job.toolId}:`, error);
+    const createdFiles = fileCache.getRunFiles(job.id);
+    fileCache.releaseRun(job.id);
+    if (job.batch) {
+      batchRuns.finishRun(job.batch, 'error');
+    }
+    
+    runHistory.finishRun(job.id, {
+      status: 'error',
+      createdFiles,
+      error: error.message
+    });
+    sendToJobWindow(job, 'tool-error', {
+      runId: job.id,
+      error: error.message,
+      fieldErrors: error.errors || null
+    });
+  });
+  
+  jobQueue.on('changed', () => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('jobs-updated', {
+        maxConcurrentJobs: jobQueue.concurrency,
+        jobs: jobQueue.listJobs()
+      });
+    }
+    
+    // Let waiting tool windows know how far up the queue they are
+    jobQueue.listJobs()
+      .filter(summary => summary.status === 'queued')
+      .forEach(summary => {
+        sendToJobWindow(jobQueue.getJob(summary.id), 'tool-queued', {
+          runId: summary.id,
+          position: summary.position
+        });
+      });
+  });
+}
+
+// Setup handlers for the run history browser
+function setupRunHistoryHandlers() {
+  // List past runs for the current project
+  ipcMain.handle('get-run-history', async () => {
+    try {
+      return await runHistory.listRuns(appState.CURRENT_PROJECT_PATH);
+    } catch (error) {
+      console.error('Error listing run history:', error);
+      return [];
+    }
+  });
+  
+  // Get one run including its saved output
+  ipcMain.handle('get-run-details', async (event, runId) => {
+    try {
+      return await runHistory.getRun(appState.CURRENT_PROJECT_PATH, runId);
+    } catch (error) {
+      console.error('Error loading run details:', error);
+      return null;
+    }
+  });
+  
+  // Open the tool setup dialog prefilled with a past run's options
+  ipcMain.handle('rerun-tool', async (event, runId) => {
+    try {
+      const run = await runHistory.getRun(appState.CURRENT_PROJECT_PATH, runId);
+      if (!run) {
+        return { success: false, message: `Run not found: ${runId}` };
+      }
+      
+      if (!toolSystem.toolRegistry.getTool(run.toolId)) {
+        return { success: false, message: `Tool not found: ${run.toolId}` };
+      }
+      
+      // Close the history browser so the tool window takes focus
+      if (runHistoryWindow && !runHistoryWindow.isDestroyed()) {
+        runHistoryWindow.destroy();
+        runHistoryWindow = null;
+      }
+      
+      showToolSetupRunDialog(run.toolId, run.options);
+      return { success: true };
+    } catch (error) {
+      console.error('Error re-running tool:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.on('show-run-history-dialog', () => {
+    showRunHistoryDialog();
+  });
+  
+  ipcMain.on('close-run-history-dialog', () => {
+    if (runHistoryWindow && !runHistoryWindow.isDestroyed()) {
+      runHistoryWindow.destroy();
+      runHistoryWindow = null;
+    }
+  });
+}
+
+// Function to create the run history dialog
+function createRunHistoryDialog() {
+  runHistoryWindow = new BrowserWindow({
+    width: mainWindow.getSize()[0],
+    height: mainWindow.getSize()[1],
+    x: mainWindow.getPosition()[0],
+    y: mainWindow.getPosition()[1],
+    parent: mainWindow,
+    modal: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    backgroundColor: '#121212', // Dark background
+    autoHideMenuBar: true,
+  });
+
+  // Load the HTML file
+  runHistoryWindow.loadFile(path.join(__dirname, 'run-history.html'));
+
+  // Show the window when ready
+  runHistoryWindow.once('ready-to-show', () => {
+    runHistoryWindow.show();
+    
+    // Send the current theme as soon as the window is ready
+    if (mainWindow) {
+      mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
+        .then(isLightMode => {
+          if (runHistoryWindow && !runHistoryWindow.isDestroyed()) {
+            runHistoryWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          }
+        })
+        .catch(err => console.error('Error getting theme:', err));
+    }
+  });
+
+  // Track window destruction
+  runHistoryWindow.on('closed', () => {
+    runHistoryWindow = null;
+  });
+  
+  return runHistoryWindow;
+}
+
+// Show the run history dialog - always recreate so the list is current
+function showRunHistoryDialog() {
+  if (runHistoryWindow && !runHistoryWindow.isDestroyed()) {
+    runHistoryWindow.destroy();
+    runHistoryWindow = null;
+  }
+  createRunHistoryDialog();
+}
+
+// Setup handlers for reviewing and applying a run's suggested changes
+function setupSuggestionReviewHandlers() {
+  // Open the review for a findings file
+  ipcMain.handle('show-suggestion-review', (event, findingsPath) => {
+    if (!findingsPath || !fs.existsSync(findingsPath)) {
+      return { success: false, message: `Findings file not found: ${findingsPath}` };
+    }
+    showSuggestionReviewDialog(findingsPath, BrowserWindow.fromWebContents(event.sender));
+    return { success: true };
+  });
+  
+  // Load the suggestions, located in the manuscript as it is now
+  ipcMain.handle('get-suggestion-review', async () => {
+    try {
+      return { success: true, review: await suggestions.loadReview(suggestionReviewFile) };
+    } catch (error) {
+      console.error('Error loading suggestions:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Write the accepted changes into the manuscript
+  ipcMain.handle('apply-suggestions', async (event, changes) => {
+    try {
+      const review = await suggestions.loadReview(suggestionReviewFile);
+      const result = await suggestions.applyChanges(review.manuscriptFile, changes);
+      if (result.backupPath) {
+        console.log(`Applied ${result.applied.length} suggestions to ${review.manuscriptFile}, backup: ${result.backupPath}`);
+      }
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error applying suggestions:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.on('close-suggestion-review', () => {
+    if (suggestionReviewWindow && !suggestionReviewWindow.isDestroyed()) {
+      suggestionReviewWindow.destroy();
+      suggestionReviewWindow = null;
+    }
+  });
+}
+
+// Function to create the suggestion review dialog
+function createSuggestionReviewDialog(parentWindow) {
+  suggestionReviewWindow = new BrowserWindow({
+    width: parentWindow.getSize()[0],
+    height: parentWindow.getSize()[1],
+    x: parentWindow.getPosition()[0],
+    y: parentWindow.getPosition()[1],
+    parent: parentWindow,
+    modal: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    backgroundColor: '#121212', // Dark background
+    autoHideMenuBar: true,
+  });
+
+  // Load the HTML file
+  suggestionReviewWindow.loadFile(path.join(__dirname, 'suggestion-review.html'));
+
+  // Show the window when ready
+  suggestionReviewWindow.once('ready-to-show', () => {
+    suggestionReviewWindow.show();
+    
+    // Send the current theme as soon as the window is ready
+    if (mainWindow) {
+      mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
+        .then(isLightMode => {
+          if (suggestionReviewWindow && !suggestionReviewWindow.isDestroyed()) {
+            suggestionReviewWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          }
+        })
+        .catch(err => console.error('Error getting theme:', err));
+    }
+  });
+
+  // Track window destruction
+  suggestionReviewWindow.on('closed', () => {
+    suggestionReviewWindow = null;
+  });
+  
+  return suggestionReviewWindow;
+}
+
+// Show the suggestion review for a findings file
+function showSuggestionReviewDialog(findingsPath, parentWindow) {
+  if (suggestionReviewWindow && !suggestionReviewWindow.isDestroyed()) {
+    suggestionReviewWindow.destroy();
+    suggestionReviewWindow = null;
+  }
+  suggestionReviewFile = findingsPath;
+  createSuggestionReviewDialog(parentWindow || runHistoryWindow || mainWindow);
+}
+
+// Setup handlers for the version snapshots of project files
+function setupSnapshotHandlers() {
+  // Open the versions dialog, for one file or the whole project
+  ipcMain.handle('show-snapshots', (event, filePath) => {
+    const projectPath = appState.CURRENT_PROJECT_PATH;
+    if (!projectPath) {
+      return { success: false, message: 'Please select a project first.' };
+    }
+    if (filePath && !snapshots.isVersioned(projectPath, filePath)) {
+      return { success: false, message: `Versions are only kept for text files in the current project: ${filePath}` };
+    }
+    
+    snapshotsFile = filePath ? path.relative(projectPath, path.resolve(filePath)).split(path.sep).join('/') : null;
+    showSnapshotsDialog(BrowserWindow.fromWebContents(event.sender));
+    return { success: true };
+  });
+  
+  // The project's text files and all their snapshots
+  ipcMain.handle('get-snapshots', async () => {
+    try {
+      const projectPath = appState.CURRENT_PROJECT_PATH;
+      const records = await snapshots.listSnapshots(projectPath);
+      
+      // Text files in the project folder can be versioned even before their first snapshot
+      const files = new Set(records.map(record => record.file));
+      for (const entry of await fs.promises.readdir(projectPath, { withFileTypes: true })) {
+        if (entry.isFile() && snapshots.isVersioned(projectPath, path.join(projectPath, entry.name))) {
+          files.add(entry.name);
+        }
+      }
+      if (snapshotsFile) {
+        files.add(snapshotsFile);
+      }
+      
+      return {
+        success: true,
+        projectPath,
+        file: snapshotsFile,
+        files: Array.from(files).sort(),
+        snapshots: records
+      };
+    } catch (error) {
+      console.error('Error listing snapshots:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Take a snapshot of a file on demand
+  ipcMain.handle('take-snapshot', async (event, file, reason) => {
+    try {
+      const projectPath = appState.CURRENT_PROJECT_PATH;
+      const filePath = snapshots.resolveFile(projectPath, file);
+      const content = await fs.promises.readFile(filePath, 'utf8');
+      const record = await snapshots.takeSnapshot(projectPath, filePath, content, reason || 'Saved on demand');
+      return { success: true, snapshot: record };
+    } catch (error) {
+      console.error('Error taking snapshot:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Word-level diff between two versions; 'current' is the file as it is now
+  ipcMain.handle('diff-snapshots', async (event, file, fromId, toId) => {
+    try {
+      const diff = await snapshots.diffSnapshots(appState.CURRENT_PROJECT_PATH, fromId, toId, file);
+      return { success: true, ...diff };
+    } catch (error) {
+      console.error('Error comparing snapshots:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  // Restore a file to a snapshot, and show it in the editor if it is open there
+  ipcMain.handle('restore-snapshot', async (event, id) => {
+    try {
+      const restored = await snapshots.restoreSnapshot(appState.CURRENT_PROJECT_PATH, id);
+      console.log(`Restored ${restored.filePath} from snapshot ${id}`);
+      if (editorDialogWindow && !editorDialogWindow.isDestroyed()) {
+        editorDialogWindow.webContents.send('file-restored', restored);
+      }
+      return { success: true, filePath: restored.filePath };
+    } catch (error) {
+      console.error('Error restoring snapshot:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.on('close-snapshots', () => {
+    if (snapshotsWindow && !snapshotsWindow.isDestroyed()) {
+      snapshotsWindow.destroy();
+      snapshotsWindow = null;
+    }
+  });
+}
+
+// Function to create the versions dialog
+function createSnapshotsDialog(parentWindow) {
+  snapshotsWindow = new BrowserWindow({
+    width: parentWindow.getSize()[0],
+    height: parentWindow.getSize()[1],
+    x: parentWindow.getPosition()[0],
+    y: parentWindow.getPosition()[1],
+    parent: parentWindow,
+    modal: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    backgroundColor: '#121212', // Dark background
+    autoHideMenuBar: true,
+  });
+
+  // Load the HTML file
+  snapshotsWindow.loadFile(path.join(__dirname, 'snapshots.html'));
+
+  // Show the window when ready
+  snapshotsWindow.once('ready-to-show', () => {
+    snapshotsWindow.show();
+    
+    // Send the current theme as soon as the window is ready
+    if (mainWindow) {
+      mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
+        .then(isLightMode => {
+          if (snapshotsWindow && !snapshotsWindow.isDestroyed()) {
+            snapshotsWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          }
+        })
+        .catch(err => console.error('Error getting theme:', err));
+    }
+  });
+
+  // Track window destruction
+  snapshotsWindow.on('closed', () => {
+    snapshotsWindow = null;
+  });
+  
+  return snapshotsWindow;
+}
+
+// Show the versions dialog - always recreate so the list is current
+function showSnapshotsDialog(parentWindow) {
+  if (snapshotsWindow && !snapshotsWindow.isDestroyed()) {
+    snapshotsWindow.destroy();
+    snapshotsWindow = null;
+  }
+  createSnapshotsDialog(parentWindow || mainWindow);
+}
+
+// Setup handlers for the current project's settings
+function setupProjectSettingsHandlers() {
+  ipcMain.handle('show-project-settings', (event) => {
+    if (!appState.CURRENT_PROJECT_PATH) {
+      return { success: false, message: 'Please select a project first.' };
+    }
+    showProjectSettingsDialog(BrowserWindow.fromWebContents(event.sender));
+    return { success: true };
+  });
+  
+  ipcMain.handle('get-project-settings', async () => {
+    try {
+      const projectPath = appState.CURRENT_PROJECT_PATH;
+      return {
+        success: true,
+        projectName: path.basename(projectPath),
+        settings: await projectSettings.load(projectPath)
+      };
+    } catch (error) {
+      console.error('Error loading project settings:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.handle('save-project-settings', async (event, settings) => {
+    try {
+      const saved = await projectSettings.save(appState.CURRENT_PROJECT_PATH, settings);
+      return { success: true, settings: saved };
+    } catch (error) {
+      console.error('Error saving project settings:', error);
+      return { success: false, message: error.message };
+    }
+  });
+  
+  ipcMain.on('close-project-settings', () => {
+    if (projectSettingsWindow && !projectSettingsWindow.isDestroyed()) {
+      projectSettingsWindow.destroy();
+      projectSettingsWindow = null;
+    }
+  });
+}
+
+// Function to create the project settings dialog
+function createProjectSettingsDialog(parentWindow) {
+  projectSettingsWindow = new BrowserWindow({
+    width: 600,
+    height: 860,
+    parent: parentWindow,
+    modal: true,
+    show: false,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: path.join(__dirname, 'preload.js')
+    },
+    backgroundColor: '#121212', // Dark background
+    autoHideMenuBar: true,
+  });
+
+  // Load the HTML file
+  projectSettingsWindow.loadFile(path.join(__dirname, 'project-settings.html'));
+
+  // Show the window when ready
+  projectSettingsWindow.once('ready-to-show', () => {
+    projectSettingsWindow.show();
+    
+    // Send the current theme as soon as the window is ready
+    if (mainWindow) {
+      mainWindow.webContents.executeJavaScript('document.body.classList.contains("light-mode")')
+        .then(isLightMode => {
+          if (projectSettingsWindow && !projectSettingsWindow.isDestroyed()) {
+            projectSettingsWindow.webContents.send('set-theme', isLightMode ? 'light' : 'dark');
+          }
+        })
+        .catch(err => console.error('Error getting theme:', err));
+    }
+  });
+
+  // Track window destruction
+  projectSettingsWindow.on('closed', () => {
+    projectSettingsWindow = null;
+  });
+  
+  return projectSettingsWindow;
+}
+
+// Show the project settings dialog - always recreate so it shows the current project
+function showProjectSettingsDialog(parentWindow) {
+  if (projectSettingsWindow && !projectSettingsWindow.isDestroyed()) {
+    projectSettingsWindow.destroy();
+    projectSettingsWindow = null;
+  }
+  createProjectSettingsDialog(parentWindow || mainWindow);
+}
+
 // Function to create the API settings dialog
 function createApiSettingsDialog() {
   // Create the dialog window
@@ -822,15 +1479,15 @@ function showApiSettingsDialog() {
   }
 }
 
-function createEditorDialog(fileToOpen = null) {
+function createEditorDialog(fileToOpen = null, parentWindow = null) {
   // If there's already an editor window open, close it first
   if (editorDialogWindow && !editorDialogWindow.isDestroyed()) {
     editorDialogWindow.destroy();
     editorDialogWindow = null;
   }
 
-  // Get the parent window - either the tool window or main window
-  const parentWindow = toolSetupRunWindow || mainWindow;
+  // Default to the run history or main window when no parent is given
+  parentWindow = parentWindow || runHistoryWindow || mainWindow;
 
   // Create the dialog window
   // editorDialogWindow = new BrowserWindow({
@@ -972,8 +1629,11 @@ function setupApiSettingsHandlers() {
         );
       }
 
-      // Re‑instantiate the Claude service with complete settings
-      toolSystem.reinitializeClaudeService(completeSettings);
+      // Re‑instantiate the AI service (Claude or Gemini) with complete settings
+      const aiService = toolSystem.reinitializeClaudeService(completeSettings);
+      if (aiService.apiKeyMissing && mainWindow && !mainWindow.isDestroyed()) {
+        showApiKeyMissing(aiService);
+      }
 
       // Log the complete configuration
       console.log('Complete Claude API configuration:');
@@ -1004,6 +1664,11 @@ function setupApiSettingsHandlers() {
 function setupIPCHandlers() {
   setupProjectHandlers();
   setupToolHandlers();
+  setupJobQueueEvents();
+  setupRunHistoryHandlers();
+  setupSuggestionReviewHandlers();
+  setupSnapshotHandlers();
+  setupProjectSettingsHandlers();
   setupApiSettingsHandlers();
   
   // Handle quit request from renderer
@@ -1074,7 +1739,8 @@ function setupIPCHandlers() {
       ];
       
       // For tokens_words_counter.js, only allow .txt files
-      if (currentTool === 'tokens_words_counter') {
+      const toolWindowInfo = toolWindows.get(event.sender.id);
+      if (toolWindowInfo && toolWindowInfo.toolName === 'tokens_words_counter') {
         // Only use text files filter for this tool
         options.filters = [{ name: 'Text Files', extensions: ['txt', 'md'] }];
       }
@@ -1090,7 +1756,7 @@ function setupIPCHandlers() {
       };
       
       const result = await dialog.showOpenDialog(
-        options.parentWindow || toolSetupRunWindow || mainWindow, 
+        options.parentWindow || BrowserWindow.fromWebContents(event.sender) || mainWindow, 
         dialogOptions
       );
       
@@ -1105,7 +1771,7 @@ function setupIPCHandlers() {
         console.warn('Selected file is outside allowed directory:', selectedPath);
         
         // Show error dialog to user
-        await dialog.showMessageBox(toolSetupRunWindow || mainWindow, {
+        await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender) || mainWindow, {
           type: 'error',
           title: 'Invalid File Selection',
           message: 'File Selection Restricted',
@@ -1145,7 +1811,7 @@ function setupIPCHandlers() {
       };
       
       const result = await dialog.showOpenDialog(
-        options.parentWindow || toolSetupRunWindow || mainWindow, 
+        options.parentWindow || BrowserWindow.fromWebContents(event.sender) || mainWindow, 
         dialogOptions
       );
       
@@ -1160,7 +1826,7 @@ function setupIPCHandlers() {
         console.warn('Selected directory is outside allowed directory:', selectedPath);
         
         // Show error dialog to user
-        await dialog.showMessageBox(toolSetupRunWindow || mainWindow, {
+        await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender) || mainWindow, {
           type: 'error',
           title: 'Invalid Directory Selection',
           message: 'Directory Selection Restricted',
@@ -1203,7 +1869,7 @@ function setupIPCHandlers() {
   });
 
   // Convert DOCX to TXT
-  ipcMain.handle('convert-docx-to-txt', async (event, docxPath, outputFilename) => {
+  ipcMain.handle('convert-docx-to-txt', async (event, docxPath, outputFilename, options = {}) => {
     try {
       // Ensure we have a current project
       if (!appState.CURRENT_PROJECT_PATH) {
@@ -1226,104 +1892,33 @@ function setupIPCHandlers() {
       // Construct output path
       const outputPath = path.join(appState.CURRENT_PROJECT_PATH, outputFilename);
       
-      // Use your existing DOCX to TXT conversion code
       const mammoth = require('mammoth');
       const jsdom = require('jsdom');
       const { JSDOM } = jsdom;
+      const { DOCX_STYLE_MAP, htmlToManuscript } = require('./manuscript-docx');
       
-      // Load the docx file
-      const result = await mammoth.convertToHtml({ path: docxPath });
+      // Load the docx file, with chapter paragraph styles read as headings
+      const result = await mammoth.convertToHtml({ path: docxPath }, { styleMap: DOCX_STYLE_MAP });
       const htmlContent = result.value;
       
       // Parse the HTML
       const dom = new JSDOM(htmlContent);
       const document = dom.window.document;
       
-      // Get all block elements
-      const blocks = document.querySelectorAll("p, h1, h2, h3, h4, h5, h6");
-      
-      // Process blocks to extract chapters
-      let chapters = [];
-      let currentChapter = null;
-      let ignoreFrontMatter = true;
-      let ignoreRest = false;
-      
-      // Stop headings
-      const STOP_TITLES = ["about the author", "website", "acknowledgments", "appendix"];
-      
-      // Convert NodeList to Array for iteration
-      Array.from(blocks).forEach(block => {
-        if (ignoreRest) return;
-        
-        const tagName = block.tagName.toLowerCase();
-        const textRaw = block.textContent.trim();
-        const textLower = textRaw.toLowerCase();
-        
-        // Skip everything until first <h1>
-        if (ignoreFrontMatter) {
-          if (tagName === "h1") {
-            ignoreFrontMatter = false;
-          } else {
-            return;
-          }
-        }
-        
-        // If this heading is a "stop" heading, ignore the rest
-        if (tagName.startsWith("h") && STOP_TITLES.some(title => textLower.startsWith(title))) {
-          ignoreRest = true;
-          return;
-        }
-        
-        // If we see a new <h1>, that means a new chapter
-        if (tagName === "h1") {
-          currentChapter = {
-            title: textRaw,
-            textBlocks: []
-          };
-          chapters.push(currentChapter);
-        }
-        else {
-          // If there's no current chapter yet, create one
-          if (!currentChapter) {
-            currentChapter = { title: "Untitled Chapter", textBlocks: [] };
-            chapters.push(currentChapter);
-          }
-          // Add the block text if not empty
-          if (textRaw) {
-            currentChapter.textBlocks.push(textRaw);
-          }
-        }
-      });
-      
-      // Build the manuscript text with proper spacing
-      let manuscriptText = "";
+      // Chapters, scene breaks and (optionally) italics and bold as manuscript text
+      const manuscript = htmlToManuscript(document, { keepFormatting: !!options.keepFormatting });
+      const manuscriptText = manuscript.text;
       
-      chapters.forEach((ch, idx) => {
-        // Two newlines before each chapter title
-        if (idx === 0) {
-          manuscriptText += "\n\n";
-        } else {
-          manuscriptText += "\n\n\n";
-        }
-        
-        // Add chapter title
-        manuscriptText += ch.title;
-        
-        // One newline after chapter title
-        manuscriptText += "\n\n";
-        
-        // Add paragraphs with one blank line between them
-        manuscriptText += ch.textBlocks.join("\n\n");
-      });
-      
-      // Write to output file
+      // Write to output file, keeping a version of one it replaces
+      await snapshots.snapshotFile(outputPath, 'Before DOCX conversion');
       await fs.promises.writeFile(outputPath, manuscriptText);
       
       return {
         success: true,
         outputPath: outputPath,
         outputFilename: outputFilename,
-        chapterCount: chapters.length
+        chapterCount: manuscript.chapterCount,
+        sceneBreakCount: manuscript.sceneBreakCount
       };
     } catch (error) {
       console.error('Error converting DOCX to TXT:', error);
@@ -1333,8 +1928,9 @@ function setupIPCHandlers() {
       };
     }
   });
-  // Convert TXT to DOCX - using minimal, version-compatible approach
-  ipcMain.handle('convert-txt-to-docx', async (event, txtPath, outputFilename) => {
+  // Convert TXT to DOCX - using minimal, version-compatible approach, or in
+  // standard manuscript format with options.format === 'standard'
+  ipcMain.handle('convert-txt-to-docx', async (event, txtPath, outputFilename, options = {}) => {
     try {
       // Ensure we have a current project
       if (!appState.CURRENT_PROJECT_PATH) {
@@ -1362,26 +1958,48 @@ function setupIPCHandlers() {
       
       // Import docx library
       const docx = require('docx');
+      const { parseMarkup, sceneBreakBetween, standardManuscriptDocument } = require('./manuscript-docx');
       
-      // Split text into paragraphs (separated by empty lines)
-      const paragraphs = textContent.split(/\n\s*\n/).map(p => p.trim()).filter(p => p);
-      
-      // Simple function to check if a paragraph looks like a chapter heading
-      function isChapterTitle(text) {
-        // Common chapter title patterns
-        return /^chapter\s+\d+/i.test(text) || // "Chapter X"
-               /^chapter\s+[ivxlcdm]+/i.test(text) || // "Chapter IV"
-               /^\d+[\.:]\s+/i.test(text); // "1: " or "1. "
+      // Chapters, scenes and paragraphs as the tools see them
+      const manuscript = parseManuscript(textContent);
+
+      if (options.format === 'standard') {
+        const settings = await projectSettings.load(appState.CURRENT_PROJECT_PATH);
+        const standard = standardManuscriptDocument(manuscript, settings);
+        await fs.promises.writeFile(outputPath, await docx.Packer.toBuffer(standard.document));
+        
+        return {
+          success: true,
+          outputPath: outputPath,
+          outputFilename: outputFilename,
+          chapterCount: standard.chapterCount,
+          paragraphCount: manuscript.chapters.reduce((total, chapter) => total + chapter.paragraphs.length, 0) + standard.chapterCount,
+          wordCount: standard.wordCount
+        };
       }
 
       // Create array of document content
       const children = [];
       let chapterCount = 0;
       
-      // Process each paragraph
-      paragraphs.forEach((paragraph, index) => {
-        // Test if it's a chapter title
-        if (isChapterTitle(paragraph)) {
+      // Regular paragraph with first line indent, *italics* and **bold** restored
+      const addParagraph = (paragraph) => {
+        children.push(
+          new docx.Paragraph({
+            children: parseMarkup(paragraph.text).map(run => new docx.TextRun(run)),
+            indent: { firstLine: 720 }, // 0.5 inch
+            spacing: { line: 480 } // Double spacing
+          })
+        );
+      };
+      
+      if (manuscript.frontMatter) {
+        manuscript.frontMatter.paragraphs.forEach(addParagraph);
+      }
+      
+      // Process each chapter
+      manuscript.chapters.forEach(chapter => {
+        if (chapter.heading !== null) {
           chapterCount++;
           
           // Add page break before chapters (except the first one)
@@ -1392,22 +2010,27 @@ function setupIPCHandlers() {
           // Add chapter heading with proper formatting
           children.push(
             new docx.Paragraph({
-              text: paragraph,
+              text: chapter.heading,
               heading: docx.HeadingLevel.HEADING_1,
               alignment: docx.AlignmentType.CENTER,
               spacing: { before: 240, after: 120 }
             })
           );
-        } else {
-          // Regular paragraph with first line indent
-          children.push(
-            new docx.Paragraph({
-              text: paragraph,
-              indent: { firstLine: 720 }, // 0.5 inch
-              spacing: { line: 480 } // Double spacing
-            })
-          );
         }
+        
+        chapter.scenes.forEach((scene, sceneIndex) => {
+          // Centered break between scenes, written as it is in the text
+          if (sceneIndex > 0) {
+            children.push(
+              new docx.Paragraph({
+                text: sceneBreakBetween(manuscript.text, chapter.scenes[sceneIndex - 1], scene),
+                alignment: docx.AlignmentType.CENTER,
+                spacing: { line: 480 }
+              })
+            );
+          }
+          scene.paragraphs.forEach(addParagraph);
+        });
       });
 
       // Create document with minimal options
@@ -1438,7 +2061,7 @@ function setupIPCHandlers() {
         outputPath: outputPath,
         outputFilename: outputFilename,
         chapterCount: chapterCount,
-        paragraphCount: paragraphs.length
+        paragraphCount: manuscript.paragraphs.length + chapterCount
       };
     } catch (error) {
       console.error('Error converting TXT to DOCX:', error);
@@ -0,0 +1,400 @@
+// manuscript-docx.js
+// Word documents to and from manuscript text, for the DOCX import and export.
+//
+// Italics and bold can be kept in the text as lightweight markup: *italics*,
+// **bold** and ***both***. Each run of asterisks switches formatting on or
+// off (one for italics, two for bold, three for both), and \* is a literal
+// asterisk. Chapter headings and scene breaks ("***", "* * *" or "#") are kept
+// too, so a DOCX -> TXT -> DOCX round trip loses none of them.
+// Also builds the standard manuscript format export (William Shunn's layout,
+// as agents and publishers expect it).
+const docx = require('docx');
+const { parseChapterHeading, isSceneBreak } = require('./manuscript');
+
+// Word paragraph styles that mark chapter headings, as mammoth style mappings
+const DOCX_STYLE_MAP = [
+  "p[style-name='Chapter Title'] => h1:fresh",
+  "p[style-name='Chapter Heading'] => h1:fresh",
+  "p[style-name='Chapter'] => h1:fresh"
+];
+
+// Paragraphs that separate scenes in a Word document
+const DOCX_SCENE_BREAK = /^((\*\s*){3,}|#|⁂)$/;
+
+// Scene break written for one the tools wouldn't recognize
+const SCENE_BREAK_TEXT = '* * *';
+
+// Standard manuscript layout on US Letter, in twips (1440 to the inch) and half-points
+const STANDARD_PAGE_SIZE = { width: 12240, height: 15840 };
+const STANDARD_MARGIN = 1440;
+const STANDARD_TEXT_WIDTH = STANDARD_PAGE_SIZE.width - 2 * STANDARD_MARGIN;
+const STANDARD_FONT_SIZE = 24;
+const DOUBLE_SPACED = 480;
+const FIRST_LINE_INDENT = 720;
+// Space above a chapter heading, so chapters start about a third of the way down
+const CHAPTER_DROP = 2880;
+// Space above the title, so it sits about halfway down the title page
+const TITLE_DROP = 4320;
+
+// Headings after which the rest of the document is left out
+const STOP_TITLES = ['about the author', 'website', 'acknowledgments', 'appendix'];
+
+/**
+ * Convert a paragraph's text and formatting to markup
+ * @param {Element} element - Paragraph or heading element from mammoth's HTML
+ * @returns {string} - Text with *italics* and **bold** markup
+ */
+function elementToMarkup(element) {
+  // Text with its formatting, one entry per text node
+  const segments = [];
+  const walk = (node, italics, bold) => {
+    if (node.nodeType === 3) {
+      segments.push({ text: node.textContent.replace(/\*/g, '\\*'), italics, bold });
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tag = node.tagName.toLowerCase();
+    if (tag === 'br') {
+      segments.push({ text: '\n', italics: false, bold: false });
+      return;
+    }
+    Array.from(node.childNodes).forEach(child => walk(child,
+      italics || tag === 'em' || tag === 'i',
+      bold || tag === 'strong' || tag === 'b'));
+  };
+  walk(element, false, false);
+
+  // Spaces around formatted text stay unformatted, so markers touch the words
+  const runs = [];
+  const push = (text, italics, bold) => {
+    if (!text) return;
+    const last = runs[runs.length - 1];
+    if (last && last.italics === italics && last.bold === bold) {
+      last.text += text;
+    } else {
+      runs.push({ text, italics, bold });
+    }
+  };
+  segments.forEach(({ text, italics, bold }) => {
+    if (!italics && !bold) {
+      push(text, false, false);
+      return;
+    }
+    const [, before, core, after] = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+    push(before, false, false);
+    push(core, italics, bold);
+    push(after, false, false);
+  });
+
+  // Each change of formatting is one run of asterisks
+  let markup = '';
+  let state = { italics: false, bold: false };
+  const switchTo = (next) => {
+    markup += '*'.repeat((next.italics !== state.italics ? 1 : 0) + (next.bold !== state.bold ? 2 : 0));
+    state = next;
+  };
+  runs.forEach(run => {
+    switchTo(run);
+    markup += run.text;
+  });
+  switchTo({ italics: false, bold: false });
+
+  return markup.trim();
+}
+
+/**
+ * Split text with markup into formatted runs
+ * A paragraph whose markers don't pair up is left as plain text, so a stray
+ * asterisk can't turn the rest of the paragraph italic.
+ * @param {string} text - Text with *italics* and **bold** markup
+ * @returns {Array<{text: string, italics: boolean, bold: boolean}>} - Runs in order
+ */
+function parseMarkup(text) {
+  const runs = [];
+  let current = '';
+  let italics = false;
+  let bold = false;
+  const flush = () => {
+    if (current) runs.push({ text: current, italics, bold });
+    current = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && text[i + 1] === '*') {
+      current += '*';
+      i++;
+      continue;
+    }
+    if (text[i] !== '*') {
+      current += text[i];
+      continue;
+    }
+
+    let length = 1;
+    while (text[i + length] === '*') length++;
+    if (length > 3) {
+      // Not a marker: four or more asterisks are written as they are
+      current += text.substr(i, length);
+    } else {
+      flush();
+      if (length !== 2) italics = !italics;
+      if (length >= 2) bold = !bold;
+    }
+    i += length - 1;
+  }
+  flush();
+
+  if (italics || bold) {
+    return [{ text: text.replace(/\\\*/g, '*'), italics: false, bold: false }];
+  }
+  return runs;
+}
+
+/**
+ * Convert mammoth's HTML for a Word manuscript to manuscript text
+ * Chapters start at headings of the document's top heading level or, in a
+ * document without heading styles, at paragraphs the tools read as chapter
+ * headings ("Chapter 4", "IV" and so on). Anything before the first chapter
+ * (title page, contents) and after an "About the Author" or similar heading
+ * is left out.
+ * @param {Document} document - DOM document of mammoth's HTML
+ * @param {Object} [options]
+ * @param {boolean} [options.keepFormatting] - Keep italics and bold as markup
+ * @returns {{text: string, chapterCount: number, sceneBreakCount: number}} - Manuscript text
+ */
+function htmlToManuscript(document, { keepFormatting = false } = {}) {
+  const blocks = Array.from(document.querySelectorAll('p, h1, h2, h3, h4, h5, h6'));
+
+  // The top heading level in use marks chapters
+  const headingLevels = blocks
+    .filter(block => /^h\d$/i.test(block.tagName))
+    .map(block => Number(block.tagName.substring(1)));
+  const chapterTag = headingLevels.length > 0 ? `h${Math.min(...headingLevels)}` : null;
+  const isChapterStart = (tagName, text) => (chapterTag
+    ? tagName === chapterTag
+    : tagName === 'p' && parseChapterHeading(text, { standalone: true }) !== null);
+
+  const chapters = [];
+  let currentChapter = null;
+  let sceneBreakCount = 0;
+
+  for (const block of blocks) {
+    const tagName = block.tagName.toLowerCase();
+    const textRaw = block.textContent.trim();
+    const textLower = textRaw.toLowerCase();
+
+    // If this heading is a "stop" heading, ignore the rest
+    if (tagName.startsWith('h') && STOP_TITLES.some(title => textLower.startsWith(title))) {
+      break;
+    }
+
+    if (isChapterStart(tagName, textRaw)) {
+      currentChapter = { title: textRaw, textBlocks: [] };
+      chapters.push(currentChapter);
+      continue;
+    }
+
+    // Skip everything until the first chapter
+    if (!currentChapter || !textRaw) continue;
+
+    if (DOCX_SCENE_BREAK.test(textRaw)) {
+      currentChapter.textBlocks.push(isSceneBreak(textRaw) ? textRaw : SCENE_BREAK_TEXT);
+      sceneBreakCount++;
+    } else {
+      currentChapter.textBlocks.push(keepFormatting ? elementToMarkup(block) : textRaw);
+    }
+  }
+
+  // Build the manuscript text with proper spacing
+  let text = '';
+  chapters.forEach((chapter, index) => {
+    // Two newlines before the first chapter title, three before the others
+    text += index === 0 ? '\n\n' : '\n\n\n';
+
+    // Chapter title, numbered if the tools wouldn't recognize it as a chapter
+    text += parseChapterHeading(chapter.title, { standalone: true }) ? chapter.title : `Chapter ${index + 1}: ${chapter.title}`;
+    text += '\n\n';
+
+    // Paragraphs with one blank line between them
+    text += chapter.textBlocks.join('\n\n');
+  });
+
+  return { text, chapterCount: chapters.length, sceneBreakCount };
+}
+
+/**
+ * The scene break line written before a scene, as it is in the text
+ * @param {string} text - Manuscript text
+ * @param {Object} previous - Scene before the break (from parseManuscript)
+ * @param {Object} scene - Scene after the break
+ * @returns {string} - Scene break text, e.g. "#" or "* * *"
+ */
+function sceneBreakBetween(text, previous, scene) {
+  return text.slice(previous.end, scene.start)
+    .split('\n')
+    .map(line => line.trim())
+    .find(line => isSceneBreak(line)) || SCENE_BREAK_TEXT;
+}
+
+/**
+ * Count the words of a manuscript's chapters, leaving out headings, scene
+ * breaks and markup
+ * @param {Object} manuscript - Parsed manuscript (from parseManuscript)
+ * @returns {number} - Word count
+ */
+function countManuscriptWords(manuscript) {
+  return manuscript.chapters
+    .flatMap(chapter => chapter.paragraphs)
+    .map(paragraph => parseMarkup(paragraph.text).map(run => run.text).join(''))
+    .reduce((total, text) => total + (text.match(/\S+/g) || []).length, 0);
+}
+
+/**
+ * Word count as shown on a title page: to the nearest hundred for short
+ * works and the nearest thousand for longer ones
+ * @param {number} words - Exact word count
+ * @returns {string} - e.g. "about 85,000 words"
+ */
+function approximateWordCount(words) {
+  const step = words < 10000 ? 100 : 1000;
+  const rounded = Math.max(step, Math.round(words / step) * step);
+  return `about ${rounded.toLocaleString('en-US')} words`;
+}
+
+/**
+ * Build a manuscript in standard manuscript format
+ * A title page with the author's contact details, the word count, the title
+ * and byline, then the chapters: 12pt Courier New or Times New Roman, double
+ * spaced with 1" margins and first-line indents, each chapter on a new page
+ * a third of the way down, "#" between scenes and "END" after the last one.
+ * Every page after the title page has a "Surname / Title / page" header.
+ * Front matter in the text is left out, as the title page replaces it.
+ * @param {Object} manuscript - Parsed manuscript (from parseManuscript)
+ * @param {Object} settings - Project settings (from projectSettings.load)
+ * @returns {{document: docx.Document, chapterCount: number, wordCount: number}} - Document to pack
+ */
+function standardManuscriptDocument(manuscript, settings) {
+  const byline = settings.penName || settings.authorName;
+  const surname = byline ? byline.split(/\s+/).pop() : '';
+  const wordCount = countManuscriptWords(manuscript);
+
+  const doubleSpaced = (options) => new docx.Paragraph({
+    ...options,
+    spacing: { line: DOUBLE_SPACED, ...options.spacing }
+  });
+
+  // Title page: contact details top left, word count top right
+  const contactLines = [
+    settings.authorName,
+    ...settings.address.split('\n'),
+    settings.phone,
+    settings.email
+  ].map(line => line.trim()).filter(Boolean);
+  const titlePage = [
+    new docx.Paragraph({
+      tabStops: [{ type: docx.TabStopType.RIGHT, position: STANDARD_TEXT_WIDTH }],
+      children: [
+        new docx.TextRun(contactLines[0] || ''),
+        new docx.TextRun(`\t${approximateWordCount(wordCount)}`)
+      ]
+    }),
+    ...contactLines.slice(1).map(line => new docx.Paragraph({ text: line })),
+    doubleSpaced({
+      text: settings.title,
+      alignment: docx.AlignmentType.CENTER,
+      spacing: { before: TITLE_DROP }
+    })
+  ];
+  if (byline) {
+    titlePage.push(doubleSpaced({ text: `by ${byline}`, alignment: docx.AlignmentType.CENTER }));
+  }
+
+  // Chapters
+  const body = [];
+  let chapterCount = 0;
+  manuscript.chapters.forEach(chapter => {
+    if (chapter.heading !== null) {
+      chapterCount++;
+      body.push(doubleSpaced({
+        text: chapter.heading,
+        heading: docx.HeadingLevel.HEADING_1,
+        alignment: docx.AlignmentType.CENTER,
+        pageBreakBefore: chapterCount > 1,
+        spacing: { before: CHAPTER_DROP, after: DOUBLE_SPACED / 2 }
+      }));
+    }
+
+    chapter.scenes.forEach((scene, sceneIndex) => {
+      if (sceneIndex > 0) {
+        body.push(doubleSpaced({ text: '#', alignment: docx.AlignmentType.CENTER }));
+      }
+      scene.paragraphs.forEach(paragraph => {
+        body.push(doubleSpaced({
+          children: parseMarkup(paragraph.text).map(run => new docx.TextRun(run)),
+          indent: { firstLine: FIRST_LINE_INDENT }
+        }));
+      });
+    });
+  });
+  body.push(doubleSpaced({ text: 'END', alignment: docx.AlignmentType.CENTER }));
+
+  const page = {
+    size: STANDARD_PAGE_SIZE,
+    margin: {
+      top: STANDARD_MARGIN,
+      right: STANDARD_MARGIN,
+      bottom: STANDARD_MARGIN,
+      left: STANDARD_MARGIN
+    }
+  };
+  const header = new docx.Header({
+    children: [
+      new docx.Paragraph({
+        alignment: docx.AlignmentType.RIGHT,
+        children: [
+          new docx.TextRun(`${[surname, settings.title].filter(Boolean).join(' / ')} / `),
+          new docx.TextRun({ children: [docx.PageNumber.CURRENT] })
+        ]
+      })
+    ]
+  });
+
+  // The heading style is plain text, so chapter headings look like the rest
+  // of the manuscript but still show in Word's navigation pane
+  const font = { font: settings.manuscriptFont, size: STANDARD_FONT_SIZE, color: '000000' };
+  const document = new docx.Document({
+    creator: byline || undefined,
+    title: settings.title,
+    styles: {
+      default: {
+        document: { run: font },
+        heading1: { run: { ...font, bold: false, italics: false } }
+      }
+    },
+    sections: [
+      {
+        properties: { page },
+        children: titlePage
+      },
+      {
+        properties: { page: { ...page, pageNumbers: { start: 1 } } },
+        headers: { default: header },
+        children: body
+      }
+    ]
+  });
+
+  return { document, chapterCount, wordCount };
+}
+
+module.exports = {
+  DOCX_STYLE_MAP,
+  SCENE_BREAK_TEXT,
+  elementToMarkup,
+  parseMarkup,
+  htmlToManuscript,
+  sceneBreakBetween,
+  countManuscriptWords,
+  standardManuscriptDocument
+};
@@ -188,9 +188,12 @@ class ManuscriptExtractor extends BaseTool {
       outlineLevel
     );
     
+    // Create system prompt
+    const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
+
     // Count tokens in prompt
     this.emitOutput(`Counting tokens in prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
     
     // Calculate available tokens
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -220,9 +223,6 @@ class ManuscriptExtractor extends BaseTool {
     let fullResponse = "";
     let thinkingContent = "";
     
-    // Create system prompt
-    const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
-    
     try {
       // Use streaming API call
       await this.claudeService.streamWithThinking(
@@ -334,9 +334,12 @@ ${stats}`;
       characterLevel
     );
     
+    // Create system prompt
+    const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
+
     // Count tokens in prompt
     this.emitOutput(`Counting tokens in prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
     
     // Calculate available tokens
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -366,9 +369,6 @@ ${stats}`;
     let fullResponse = "";
     let thinkingContent = "";
     
-    // Create system prompt
-    const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
-    
     try {
       // Use streaming API call
       await this.claudeService.streamWithThinking(
@@ -483,9 +483,12 @@ ${stats}`;
       worldLevel
     );
     
+    // Create system prompt
+    const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
+
     // Count tokens in prompt
     this.emitOutput(`Counting tokens in prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
     
     // Calculate available tokens
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -515,9 +518,6 @@ ${stats}`;
     let fullResponse = "";
     let thinkingContent = "";
     
-    // Create system prompt
-    const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
-    
     try {
       // Use streaming API call
       await this.claudeService.streamWithThinking(
@@ -626,9 +626,12 @@ ${stats}`;
       language
     );
     
+    // Create system prompt
+    const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
+
     // Count tokens in prompt
     this.emitOutput(`Counting tokens in prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
     
     // Calculate available tokens
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -658,9 +661,6 @@ ${stats}`;
     let fullResponse = "";
     let thinkingContent = "";
     
-    // Create system prompt
-    const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
-    
     try {
       // Use streaming API call
       await this.claudeService.streamWithThinking(
@@ -204,9 +204,12 @@ class ManuscriptToOutlineCharactersWorld extends BaseTool {
    * @returns {Promise<Object>} - API response
    */
   async callClaudeAPI(prompt, label) {
+    // Create system prompt to avoid markdown
+    const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
+
     // Count tokens in the prompt
     this.emitOutput(`Counting tokens for: ${label} prompt...\n`);
-    const promptTokens = await this.claudeService.countTokens(prompt);
+    const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
     // Call the shared token budget calculator
     const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -251,9 +254,6 @@ class ManuscriptToOutlineCharactersWorld extends BaseTool {
     let fullResponse = "";
     let thinkingContent = "";
     
-    // Create system prompt to avoid markdown
-    const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
-
     // Use the calculated values in the API call
     try {
       await this.claudeService.streamWithThinking(
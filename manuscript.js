@@ -0,0 +1,594 @@
+// manuscript.js
+// Chapter-aware manuscript model shared by the tools, converters and editor,
+// so every report numbers chapters, scenes and paragraphs the same way.
+//
+// A manuscript is parsed into:
+//   chapters   - started by a heading line such as "Chapter 4", "Chapter IV: Title",
+//                "CHAPTER FOUR", "4. Title", "IV" or a custom marker ("Part 2", "Prologue")
+//   scenes     - parts of a chapter separated by a "***", "* * *" or "#" line
+//   paragraphs - blocks of text separated by blank lines
+// Every part has start/end character offsets into the original text (end is
+// exclusive), so the same file always parses to the same positions.
+// Reports refer to scenes by IDs like "Ch 4, Scene 2" (chapter position, then
+// scene within the chapter), which can be mapped back to the text.
+
+// Markers used when a tool has no chapter_markers option
+const DEFAULT_CHAPTER_MARKERS = ['Chapter'];
+
+// Lines that separate scenes within a chapter
+const SCENE_BREAK = /^(\*\s*\*\s*\*|#)$/;
+
+// Longest line still treated as a heading; anything longer is prose
+const MAX_HEADING_LENGTH = 100;
+
+// Words a title-case heading leaves in lowercase
+const MINOR_TITLE_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'but', 'or', 'nor', 'for', 'so', 'yet', 'as', 'at', 'by', 'in', 'of',
+  'off', 'on', 'per', 'to', 'up', 'via', 'vs', 'from', 'into', 'onto', 'over', 'upon', 'with'
+]);
+
+const ROMAN_NUMERAL = /^(?=[MDCLXVI])M{0,4}(CM|CD|D?C{0,3})(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})$/i;
+
+const NUMBER_WORDS = [
+  'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+  'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'
+];
+const TENS_WORDS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+// "twenty-one", "one hundred and five", ... (up to 999)
+const NUMBER_WORD_PATTERN = `(?:(?:${NUMBER_WORDS.slice(1, 10).join('|')})[\\s-]+hundred(?:[\\s-]+(?:and[\\s-]+)?)?)?` +
+  `(?:(?:${TENS_WORDS.slice(2).join('|')})(?:[\\s-]+(?:${NUMBER_WORDS.slice(1, 10).join('|')}))?|${NUMBER_WORDS.slice().reverse().join('|')})` +
+  `|(?:${NUMBER_WORDS.slice(1, 10).join('|')})[\\s-]+hundred`;
+
+// Chapter number as digits, a roman numeral or words
+const CHAPTER_NUMBER_PATTERN = `\\d+|[MDCLXVI]+|${NUMBER_WORD_PATTERN}`;
+
+/**
+ * Convert a roman numeral to a number
+ * @param {string} roman - Roman numeral (e.g. "XIV")
+ * @returns {number|null} - Value, or null if it is not a valid numeral
+ */
+function romanToNumber(roman) {
+  if (!roman || !ROMAN_NUMERAL.test(roman)) {
+    return null;
+  }
+
+  const values = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+  const letters = roman.toUpperCase();
+  let total = 0;
+  for (let i = 0; i < letters.length; i++) {
+    const value = values[letters[i]];
+    const next = values[letters[i + 1]] || 0;
+    total += value < next ? -value : value;
+  }
+  return total;
+}
+
+/**
+ * Convert a number written in words to a number
+ * @param {string} words - Number in words (e.g. "Twenty-One")
+ * @returns {number|null} - Value, or null if the words are not a number
+ */
+function wordToNumber(words) {
+  if (!words || !new RegExp(`^(?:${NUMBER_WORD_PATTERN})$`, 'i').test(words.trim())) {
+    return null;
+  }
+
+  let total = 0;
+  for (const word of words.toLowerCase().split(/[\s-]+/)) {
+    if (word === 'and') continue;
+    if (word === 'hundred') {
+      total *= 100;
+    } else if (NUMBER_WORDS.includes(word)) {
+      total += NUMBER_WORDS.indexOf(word);
+    } else {
+      total += TENS_WORDS.indexOf(word) * 10;
+    }
+  }
+  return total;
+}
+
+/**
+ * Convert a number to words (e.g. 21 to "twenty-one")
+ * @param {number|string} num - Number from 0 to 999
+ * @returns {string} - Number in words, or the digits for larger numbers
+ */
+function numberToWord(num) {
+  num = parseInt(num, 10);
+  if (!Number.isFinite(num) || num < 0 || num > 999) {
+    return String(num);
+  }
+  if (num < 20) {
+    return NUMBER_WORDS[num];
+  }
+  if (num < 100) {
+    const ones = num % 10;
+    return TENS_WORDS[Math.floor(num / 10)] + (ones ? `-${NUMBER_WORDS[ones]}` : '');
+  }
+  const rest = num % 100;
+  return `${NUMBER_WORDS[Math.floor(num / 100)]} hundred` + (rest ? ` ${numberToWord(rest)}` : '');
+}
+
+/**
+ * Parse a chapter number written as digits, a roman numeral or words
+ * @param {string} label - Number as written
+ * @returns {number|null} - Value, or null if it is not a number
+ */
+function parseChapterNumber(label) {
+  if (!label) return null;
+  if (/^\d+$/.test(label)) return parseInt(label, 10);
+  return romanToNumber(label) || wordToNumber(label);
+}
+
+/**
+ * Normalize chapter markers from an option value
+ * @param {string|string[]} [markers] - Comma-separated markers or an array (e.g. "Chapter, Part")
+ * @returns {string[]} - Markers, or the defaults if none are given
+ */
+function normalizeMarkers(markers) {
+  const list = Array.isArray(markers) ? markers : String(markers || '').split(',');
+  const cleaned = list.map(marker => String(marker).trim()).filter(Boolean);
+  return cleaned.length > 0 ? cleaned : DEFAULT_CHAPTER_MARKERS;
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check whether a title is in title case, as a heading's would be
+ * @param {string} title - Title text
+ * @returns {boolean} - True if its first word and every major word are capitalized
+ */
+function isTitleCase(title) {
+  return title.split(/\s+/).every((word, index) => {
+    const letter = /\p{L}/u.exec(word);
+    if (!letter || letter[0] !== letter[0].toLowerCase()) return true;
+    return index > 0 && MINOR_TITLE_WORDS.has(word.toLowerCase().replace(/[^\p{L}]/gu, ''));
+  });
+}
+
+/**
+ * Parse a line as a chapter heading
+ * Recognized headings:
+ *   "Chapter 4", "Chapter 4: Title", "Chapter IV - Title", "CHAPTER FOUR",
+ *   "Chapter 4 Title", a custom marker ("Part 2", "Prologue", "Epilogue: After"),
+ *   and bare numbers: "4", "4. Title", "4: Title", "IV."
+ * A line of text is read as prose rather than a heading if it is longer than
+ * 100 characters, if its title follows the number without a separator and
+ * is not in title case ("Chapter 4 was the hardest part of my life."), or if
+ * it is a bare number line that looks like prose: a title not in title case
+ * or ending in a full stop ("4. Then he left the room."), more than three
+ * digits ("1984"), or a lone roman numeral ("I") that isn't on a line of its own.
+ * @param {string} line - One line of text
+ * @param {Object} [options] - Parsing options
+ * @param {string|string[]} [options.chapterMarkers] - Words that start a chapter (default: "Chapter")
+ * @param {boolean} [options.explicit] - The line is meant as a heading (a Chapter Writer
+ *   request), so it is not checked for prose
+ * @param {boolean} [options.standalone] - The line is a paragraph of its own, with blank
+ *   lines (or the start or end of the text) around it
+ * @returns {Object|null} - { marker, label, value, title } or null if the line is not a heading;
+ *   label is the number as written and value its numeric value (null without a number)
+ */
+function parseChapterHeading(line, { chapterMarkers, explicit = false, standalone = false } = {}) {
+  const text = (line || '').trim();
+  if (!text || (!explicit && text.length > MAX_HEADING_LENGTH)) {
+    return null;
+  }
+
+  for (const marker of normalizeMarkers(chapterMarkers)) {
+    // marker [number] [separator title], or marker with a title after a separator
+    const pattern = new RegExp(
+      `^(${escapeRegExp(marker)})(?:\\s+(${CHAPTER_NUMBER_PATTERN}))?(?:\\s*[:.\\-–—]\\s*(.*)|\\s+(.+))?$`, 'i');
+    const match = pattern.exec(text);
+    if (!match) continue;
+
+    const [, markerText, label, separatedTitle, spacedTitle] = match;
+    const value = parseChapterNumber(label);
+    // "Chapter of my life" is prose: a title without a separator needs a number
+    if (label && value === null) continue;
+    if (!label && spacedTitle !== undefined) continue;
+    if (!explicit && spacedTitle !== undefined && !isTitleCase(spacedTitle)) continue;
+
+    return {
+      marker: markerText,
+      label: label || null,
+      value,
+      title: (separatedTitle !== undefined ? separatedTitle : spacedTitle || '').trim()
+    };
+  }
+
+  // Bare numbers: "12", "12. Title", "12: Title", "XII."
+  const bare = /^(\d+|[MDCLXVI]+)(?:\s*[.:]\s*(.*)|\.)?$/.exec(text);
+  if (bare) {
+    const label = bare[1];
+    const title = (bare[2] || '').trim();
+    const value = parseChapterNumber(label);
+    const prose = !explicit && (/^\d{4,}$/.test(label) ||
+      (title ? !isTitleCase(title) || /[^.]\.$/.test(title) : !standalone && !/^\d+$/.test(label)));
+    if (value !== null && value > 0 && !prose) {
+      return { marker: null, label, value, title };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a line is a scene break
+ * @param {string} line - One line of text
+ * @returns {boolean} - True for "***", "* * *" or "#"
+ */
+function isSceneBreak(line) {
+  return SCENE_BREAK.test((line || '').trim());
+}
+
+/**
+ * Split text into lines with their offsets
+ * @param {string} text - Text
+ * @returns {Object[]} - Lines: { text, start, end } (end excludes the line break)
+ */
+function splitLines(text) {
+  const lines = [];
+  const pattern = /([^\r\n]*)(\r\n|\r|\n|$)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    lines.push({ text: match[1], start: match.index, end: match.index + match[1].length });
+    if (!match[2]) break;
+  }
+  return lines;
+}
+
+/**
+ * Find the paragraphs in a range of lines
+ * Scene break lines are not paragraphs.
+ * @param {string} text - Full text
+ * @param {Object[]} lines - Lines from splitLines
+ * @returns {Object[]} - Paragraphs: { start, end, text }
+ */
+function findParagraphs(text, lines) {
+  const paragraphs = [];
+  let first = null;
+  let last = null;
+
+  const close = () => {
+    if (first !== null) {
+      const start = first.start + (first.text.length - first.text.trimStart().length);
+      const end = last.start + last.text.trimEnd().length;
+      paragraphs.push({ start, end, text: text.slice(start, end) });
+    }
+    first = null;
+    last = null;
+  };
+
+  for (const line of lines) {
+    if (!line.text.trim() || isSceneBreak(line.text)) {
+      close();
+    } else {
+      if (first === null) first = line;
+      last = line;
+    }
+  }
+  close();
+  return paragraphs;
+}
+
+/**
+ * Parse a manuscript into chapters, scenes and paragraphs
+ * A heading only counts at the start of a paragraph (after a blank line or
+ * at the top of the file). Text before the first heading is front matter.
+ * Without any headings the whole text is one chapter.
+ * @param {string} text - Manuscript text
+ * @param {Object} [options] - Parsing options
+ * @param {string|string[]} [options.chapterMarkers] - Words that start a chapter (default: "Chapter")
+ * @returns {Object} - {
+ *     text, frontMatter: { start, end, text, paragraphs } | null,
+ *     chapters: [{ number, originalNumber, value, title, heading, start, end, bodyStart, content,
+ *                  scenes: [{ number, start, end, paragraphs }], paragraphs }],
+ *     paragraphs: [{ index, start, end, text, chapter, scene }]
+ *   }
+ *   number counts chapters from 1 in manuscript order; originalNumber and value are
+ *   the heading's own number as written and as a number. Front matter paragraphs
+ *   have a null chapter and scene.
+ */
+function parseManuscript(text, options = {}) {
+  text = text || '';
+  const lines = splitLines(text);
+
+  // Find the heading lines
+  const headings = [];
+  lines.forEach((line, index) => {
+    const startsParagraph = index === 0 || !lines[index - 1].text.trim();
+    if (!startsParagraph) return;
+    const standalone = index === lines.length - 1 || !lines[index + 1].text.trim();
+    const heading = parseChapterHeading(line.text, { chapterMarkers: options.chapterMarkers, standalone });
+    if (heading) {
+      headings.push({ ...heading, lineIndex: index });
+    }
+  });
+
+  // Whole text as one chapter when there are no headings
+  if (headings.length === 0) {
+    headings.push({ marker: null, label: null, value: null, title: '', lineIndex: null });
+  }
+
+  const chapters = headings.map((heading, i) => {
+    const firstLine = heading.lineIndex === null ? 0 : heading.lineIndex;
+    const nextHeading = headings[i + 1];
+    const lastLine = nextHeading ? nextHeading.lineIndex : lines.length;
+    const bodyLines = lines.slice(heading.lineIndex === null ? 0 : firstLine + 1, lastLine);
+
+    const start = heading.lineIndex === null ? 0 : lines[firstLine].start;
+    const end = nextHeading ? lines[nextHeading.lineIndex].start : text.length;
+    const bodyStart = heading.lineIndex === null ? 0 : lines[firstLine].end;
+
+    // Scenes are split at scene break lines
+    const sceneLineGroups = [[]];
+    for (const line of bodyLines) {
+      if (isSceneBreak(line.text)) {
+        sceneLineGroups.push([]);
+      } else {
+        sceneLineGroups[sceneLineGroups.length - 1].push(line);
+      }
+    }
+
+    const scenes = sceneLineGroups
+      .map(sceneLines => findParagraphs(text, sceneLines))
+      .filter(paragraphs => paragraphs.length > 0)
+      .map((paragraphs, sceneIndex) => ({
+        number: sceneIndex + 1,
+        start: paragraphs[0].start,
+        end: paragraphs[paragraphs.length - 1].end,
+        paragraphs
+      }));
+
+    return {
+      number: i + 1,
+      originalNumber: heading.label || String(i + 1),
+      value: heading.value,
+      title: heading.title,
+      heading: heading.lineIndex === null ? null : lines[firstLine].text.trim(),
+      start,
+      end,
+      bodyStart,
+      content: text.slice(start, end).trim(),
+      scenes,
+      paragraphs: scenes.flatMap(scene => scene.paragraphs)
+    };
+  });
+
+  // Front matter before the first heading
+  let frontMatter = null;
+  if (chapters[0].heading !== null && text.slice(0, chapters[0].start).trim()) {
+    frontMatter = {
+      start: 0,
+      end: chapters[0].start,
+      text: text.slice(0, chapters[0].start).trim(),
+      paragraphs: findParagraphs(text, lines.slice(0, headings[0].lineIndex))
+    };
+  }
+
+  // Number every paragraph across the manuscript
+  const paragraphs = [];
+  for (const paragraph of frontMatter ? frontMatter.paragraphs : []) {
+    paragraph.index = paragraphs.length;
+    paragraph.chapter = null;
+    paragraph.scene = null;
+    paragraphs.push(paragraph);
+  }
+  for (const chapter of chapters) {
+    for (const scene of chapter.scenes) {
+      for (const paragraph of scene.paragraphs) {
+        paragraph.index = paragraphs.length;
+        paragraph.chapter = chapter.number;
+        paragraph.scene = scene.number;
+        paragraphs.push(paragraph);
+      }
+    }
+  }
+
+  return { text, frontMatter, chapters, paragraphs };
+}
+
+/**
+ * Find the chapter containing a character offset
+ * @param {Object} manuscript - Result of parseManuscript
+ * @param {number} offset - Character offset in the manuscript text
+ * @returns {Object|null} - Chapter, or null in front matter
+ */
+function chapterAt(manuscript, offset) {
+  return manuscript.chapters.find(chapter => offset >= chapter.start && offset < chapter.end) ||
+    (offset >= manuscript.text.length ? manuscript.chapters[manuscript.chapters.length - 1] : null);
+}
+
+/**
+ * Find a chapter by the number in its heading, or by its position
+ * @param {Object} manuscript - Result of parseManuscript
+ * @param {number|string} number - Chapter number ("4", "IV" or "four" also work)
+ * @returns {Object|null} - Chapter
+ */
+function findChapter(manuscript, number) {
+  const value = typeof number === 'number' ? number : parseChapterNumber(String(number).trim());
+  if (value === null) return null;
+  return manuscript.chapters.find(chapter => chapter.value === value) ||
+    manuscript.chapters.find(chapter => chapter.value === null && chapter.number === value) ||
+    null;
+}
+
+/**
+ * Build the ID reports use for a scene
+ * @param {number} chapterNumber - Chapter number (position in the manuscript)
+ * @param {number} sceneNumber - Scene number within the chapter
+ * @returns {string} - Scene ID such as "Ch 4, Scene 2"
+ */
+function sceneId(chapterNumber, sceneNumber) {
+  return `Ch ${chapterNumber}, Scene ${sceneNumber}`;
+}
+
+/**
+ * List every scene in manuscript order
+ * @param {Object} manuscript - Result of parseManuscript
+ * @returns {Object[]} - Scenes: { id, chapter, scene, start, end, line, opening };
+ *   line is the 1-based manuscript line the scene starts on and opening its first words
+ */
+function listScenes(manuscript) {
+  const scenes = [];
+  for (const chapter of manuscript.chapters) {
+    for (const scene of chapter.scenes) {
+      const firstParagraph = scene.paragraphs[0].text.replace(/\s+/g, ' ');
+      scenes.push({
+        id: sceneId(chapter.number, scene.number),
+        chapter: chapter.number,
+        scene: scene.number,
+        start: scene.start,
+        end: scene.end,
+        line: lineNumberAt(manuscript.text, scene.start),
+        opening: firstParagraph.length > 60 ? `${firstParagraph.slice(0, 60).trimEnd()}...` : firstParagraph
+      });
+    }
+  }
+  return scenes;
+}
+
+/**
+ * Get the 1-based line number of a character offset
+ * @param {string} text - Text
+ * @param {number} offset - Character offset
+ * @returns {number} - Line number
+ */
+function lineNumberAt(text, offset) {
+  const before = text.slice(0, offset);
+  return (before.match(/\r\n|\r|\n/g) || []).length + 1;
+}
+
+/**
+ * Format the scene list for a prompt, so the AI can cite scenes by ID
+ * @param {Object} manuscript - Result of parseManuscript
+ * @returns {string} - One line per scene: Ch 4, Scene 2 (line 312): "opening words..."
+ */
+function formatSceneIndex(manuscript) {
+  return listScenes(manuscript)
+    .map(scene => `${scene.id} (line ${scene.line}): "${scene.opening}"`)
+    .join('\n');
+}
+
+/**
+ * Find the scene IDs a piece of text refers to
+ * Accepts the variations the AI tends to write: "Ch 4, Scene 2", "Ch. 4, Scene 2", "Chapter 4, Scene 2".
+ * @param {string} text - Text such as one finding of a report
+ * @returns {string[]} - Scene IDs in the standard "Ch 4, Scene 2" form, without duplicates
+ */
+function findSceneReferences(text) {
+  const ids = [];
+  const pattern = /\bCh(?:apter)?\.?\s*(\d+)\s*,\s*Scene\s+(\d+)\b/gi;
+  let match;
+  while ((match = pattern.exec(text || '')) !== null) {
+    const id = sceneId(parseInt(match[1], 10), parseInt(match[2], 10));
+    if (!ids.includes(id)) ids.push(id);
+  }
+  return ids;
+}
+
+/**
+ * Group the findings of a report by the scenes they cite
+ * A finding is a paragraph of the report (text between blank lines).
+ * @param {string} report - Report text
+ * @param {Object} manuscript - Result of parseManuscript
+ * @returns {Object[]} - Cited scenes in manuscript order, each a scene from
+ *   listScenes with findings: [{ line, text }] (line is the report line the finding starts on)
+ */
+function groupFindingsByScene(report, manuscript) {
+  const scenes = listScenes(manuscript).map(scene => ({ ...scene, findings: [] }));
+  const byId = new Map(scenes.map(scene => [scene.id, scene]));
+
+  const lines = (report || '').split(/\r?\n/);
+  let paragraph = [];
+  let paragraphLine = 0;
+  const close = () => {
+    const text = paragraph.join('\n').trim();
+    for (const id of findSceneReferences(text)) {
+      if (byId.has(id)) {
+        byId.get(id).findings.push({ line: paragraphLine, text });
+      }
+    }
+    paragraph = [];
+  };
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) {
+      close();
+      return;
+    }
+    if (paragraph.length === 0) paragraphLine = index + 1;
+    paragraph.push(line);
+  });
+  close();
+
+  return scenes.filter(scene => scene.findings.length > 0);
+}
+
+/**
+ * Format a scene-by-scene index of a report's findings, for appending to the report
+ * @param {string} report - Report text
+ * @param {Object} manuscript - Result of parseManuscript
+ * @returns {string} - Index section, or an empty string if no finding cites a scene
+ */
+function formatFindingsByScene(report, manuscript) {
+  const scenes = groupFindingsByScene(report, manuscript);
+  if (scenes.length === 0) {
+    return '';
+  }
+
+  const entries = scenes.map(scene => {
+    const count = scene.findings.length;
+    const lines = scene.findings.map(finding => finding.line).join(', ');
+    return `${scene.id} (manuscript line ${scene.line}): ${count} ${count === 1 ? 'finding, report line' : 'findings, report lines'} ${lines}`;
+  });
+  return `\n\nFINDINGS BY SCENE\n\n${entries.join('\n')}\n`;
+}
+
+/**
+ * Remove chapter heading lines, for tools that send the manuscript as one
+ * continuous text without chapter divisions
+ * @param {string} text - Manuscript text
+ * @param {Object} [options] - Parsing options (see parseManuscript)
+ * @returns {string} - Text without its heading lines
+ */
+function removeChapterHeadings(text, options = {}) {
+  const manuscript = parseManuscript(text, options);
+  let result = '';
+  let position = 0;
+  for (const chapter of manuscript.chapters) {
+    if (chapter.heading === null) continue;
+    result += text.slice(position, chapter.start);
+    position = chapter.bodyStart;
+  }
+  return result + text.slice(position);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_CHAPTER_MARKERS,
+    parseManuscript,
+    parseChapterHeading,
+    parseChapterNumber,
+    isSceneBreak,
+    chapterAt,
+    findChapter,
+    removeChapterHeadings,
+    sceneId,
+    listScenes,
+    formatSceneIndex,
+    findSceneReferences,
+    groupFindingsByScene,
+    formatFindingsByScene,
+    romanToNumber,
+    wordToNumber,
+    numberToWord
+  };
+}
@@ -0,0 +1,316 @@
+// mock-client.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const LLMProvider = require('./llm-provider');
+
+/**
+ * Get the folder mock responses are read from (and recorded to)
+ * @param {Object} config - API settings
+ * @returns {string} - WRITERS_TOOLKIT_MOCK_FIXTURES, the mock_fixtures_dir
+ *   setting, or ~/writing/.toolkit/mock-fixtures
+ */
+function getFixturesDir(config = {}) {
+  if (process.env.WRITERS_TOOLKIT_MOCK_FIXTURES) {
+    return process.env.WRITERS_TOOLKIT_MOCK_FIXTURES;
+  }
+  if (config.mock_fixtures_dir) {
+    return config.mock_fixtures_dir;
+  }
+  // Required here so the provider also loads in scripts that never touch appState
+  const appState = require('./state.js');
+  return path.join(appState.PROJECTS_DIR, '.toolkit', 'mock-fixtures');
+}
+
+/**
+ * Hash a prompt so a recorded response can be found again
+ * @param {string} prompt - Prompt text
+ * @returns {string} - sha256 hex digest
+ */
+function hashPrompt(prompt) {
+  return crypto.createHash('sha256').update(prompt || '').digest('hex');
+}
+
+/**
+ * Approximate token count used by the mock (about four characters a token)
+ * @param {string} text - Text to count
+ * @returns {number} - Token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Build the smallest value that fits a JSON schema: required properties
+ * only, empty lists and strings, null where allowed
+ * @param {Object} schema - JSON schema
+ * @returns {*} - Value
+ */
+function emptyValue(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.includes('null')) return null;
+  if (schema.enum) return schema.enum[0];
+  switch (types[0]) {
+    case 'object':
+      return Object.fromEntries((schema.required || [])
+        .map(name => [name, emptyValue(schema.properties[name])]));
+    case 'array': return [];
+    case 'string': return '';
+    case 'boolean': return false;
+    default: return 0;
+  }
+}
+
+/**
+ * Mock API Service
+ * Offline stand-in for ClaudeAPIService so tool flows, report saving and
+ * fileCache bookkeeping can be exercised without an API key or token spend.
+ *
+ * Responses come from JSON fixture files in the fixtures folder:
+ *   { "prompt_hash": "<sha256>", "thinking": "...", "text": "..." }
+ *   { "match": "Tense Consistency", "thinking": "...", "text": "..." }
+ *   { "match": "/chapter \\d+/i", "text": "...", "input_tokens": 5000 }
+ *   { "match": "Tense Consistency", "tool": "record_findings", "input": { "findings": [...] } }
+ * A fixture with prompt_hash replays a recorded response for exactly that
+ * prompt (see recordFixtures); otherwise the first fixture, by file name,
+ * whose match is found in the prompt is used. Fixtures with a "tool" answer
+ * completeWithTool calls for that tool; the others answer streamed requests.
+ * With no matching fixture the mock replies with a short description of the
+ * prompt, or the smallest input that fits the tool's schema, so runs never fail.
+ */
+class MockAPIService extends LLMProvider {
+  static label = 'Mock';
+
+  /**
+   * Constructor
+   * @param {Object} config - API configuration from UI settings
+   */
+  constructor(config = {}) {
+    super();
+
+    // Same limits as Claude, so token budgets are calculated the same way
+    this.config = {
+      max_retries: config.max_retries,
+      request_timeout: config.request_timeout,
+      context_window: config.context_window,
+      thinking_budget_tokens: config.thinking_budget_tokens,
+      betas_max_tokens: config.betas_max_tokens,
+      desired_output_tokens: config.desired_output_tokens,
+      model_name: 'mock',
+      max_thinking_budget: config.max_thinking_budget,
+      max_tokens: config.max_tokens
+    };
+
+    this.fixturesDir = getFixturesDir(config);
+    this.client = null;
+  }
+
+  /**
+   * Load all fixtures, sorted by file name
+   * Read on every request so fixtures can be edited between runs.
+   * @returns {Object[]} - Fixtures
+   */
+  loadFixtures() {
+    let names;
+    try {
+      names = fs.readdirSync(this.fixturesDir).filter(name => name.endsWith('.json')).sort();
+    } catch (error) {
+      return [];
+    }
+
+    const fixtures = [];
+    for (const name of names) {
+      try {
+        const fixture = JSON.parse(fs.readFileSync(path.join(this.fixturesDir, name), 'utf8'));
+        fixtures.push({ ...fixture, file: name });
+      } catch (error) {
+        console.warn(`Skipping mock fixture ${name}: ${error.message}`);
+      }
+    }
+    return fixtures;
+  }
+
+  /**
+   * Find the fixture for a prompt
+   * @param {string} prompt - Prompt text
+   * @param {string} [toolName] - Tool a completeWithTool call must answer with
+   * @returns {Object|null} - Matching fixture
+   */
+  findFixture(prompt, toolName = null) {
+    const fixtures = this.loadFixtures().filter(fixture => (fixture.tool || null) === toolName);
+    const hash = hashPrompt(prompt);
+
+    const recorded = fixtures.find(fixture => fixture.prompt_hash === hash);
+    if (recorded) {
+      return recorded;
+    }
+
+    return fixtures.find(fixture => {
+      if (typeof fixture.match !== 'string' || !fixture.match) {
+        return false;
+      }
+      const regex = /^\/(.+)\/([a-z]*)$/.exec(fixture.match);
+      return regex ? new RegExp(regex[1], regex[2]).test(prompt) : prompt.includes(fixture.match);
+    }) || null;
+  }
+
+  /**
+   * Throw if the current run has been cancelled
+   */
+  _throwIfAborted() {
+    if (this.abortSignal && this.abortSignal.aborted) {
+      const error = new Error('Request was aborted.');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+
+  /**
+   * Count tokens in a text string
+   * A fixture's input_tokens is used when it matches, to test size limits.
+   * @param {string} text - Text to count tokens in
+   * @param {Object} [options] - { system } - System prompt the text is sent with
+   * @returns {Promise<number>} - Token count
+   */
+  async countTokens(text, options = {}) {
+    this._throwIfAborted();
+    const fixture = this.findFixture(text);
+    if (fixture && Number.isFinite(fixture.input_tokens)) {
+      return fixture.input_tokens;
+    }
+    return estimateTokens(text) + (options.system ? estimateTokens(options.system) : 0);
+  }
+
+  /**
+   * Stream a fixture response with thinking using callbacks
+   * Text is delivered line by line, like streamed deltas.
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - API options (ignored)
+   * @param {Function} onThinking - Callback for thinking content
+   * @param {Function} onText - Callback for response text
+   * @returns {Promise<void>}
+   */
+  async streamWithThinking(prompt, options = {}, onThinking, onText) {
+    this._throwIfAborted();
+
+    const fixture = this.findFixture(prompt);
+    const thinking = fixture ? (fixture.thinking || '') : 'Mock provider: no fixture matched this prompt.';
+    const text = fixture
+      ? (fixture.text || '')
+      : `Mock response (${estimateTokens(prompt)} prompt tokens, ${prompt.split(/\s+/).filter(Boolean).length} words).\n`;
+
+    for (const [content, callback] of [[thinking, onThinking], [text, onText]]) {
+      for (const delta of content.match(/[^\n]*\n|[^\n]+/g) || []) {
+        // Yield between deltas so cancellation and output behave like a real stream
+        await new Promise(resolve => setImmediate(resolve));
+        this._throwIfAborted();
+        if (callback && typeof callback === 'function') {
+          callback(delta);
+        }
+      }
+    }
+  }
+
+  /**
+   * Answer a tool call from a fixture
+   * @param {string} prompt - Prompt to complete
+   * @param {Object} options - API options (ignored)
+   * @param {Object} tool - { name, description, schema }
+   * @returns {Promise<Object>} - The fixture's input, or an empty one
+   */
+  async completeWithTool(prompt, options, tool) {
+    this._throwIfAborted();
+    await new Promise(resolve => setImmediate(resolve));
+    this._throwIfAborted();
+
+    const fixture = this.findFixture(prompt, tool.name);
+    return fixture ? fixture.input : emptyValue(tool.schema);
+  }
+}
+
+/**
+ * Record responses from a real provider as mock fixtures
+ * Each successful streamWithThinking or completeWithTool call is saved as a
+ * prompt_hash fixture, so the same run can later be replayed offline with
+ * the mock provider.
+ * @param {LLMProvider} service - Claude or Gemini service
+ * @param {string} fixturesDir - Folder to write fixtures to
+ * @returns {LLMProvider} - The same service, now recording
+ */
+function recordFixtures(service, fixturesDir) {
+  const countTokens = service.countTokens.bind(service);
+  const streamWithThinking = service.streamWithThinking.bind(service);
+  const completeWithTool = service.completeWithTool.bind(service);
+  // Tools count a prompt's tokens before sending it; keep the count for the fixture
+  const tokenCounts = new Map();
+
+  service.countTokens = async (text, options = {}) => {
+    const count = await countTokens(text, options);
+    tokenCounts.set(hashPrompt(text), count);
+    return count;
+  };
+
+  service.streamWithThinking = async (prompt, options = {}, onThinking, onText) => {
+    let thinking = '';
+    let text = '';
+    await streamWithThinking(prompt, options,
+      (delta) => {
+        thinking += delta;
+        if (onThinking) onThinking(delta);
+      },
+      (delta) => {
+        text += delta;
+        if (onText) onText(delta);
+      });
+
+    const promptHash = hashPrompt(prompt);
+    saveFixture(fixturesDir, {
+      prompt_hash: promptHash,
+      model: service.config.model_name,
+      recorded_at: new Date().toISOString(),
+      input_tokens: tokenCounts.get(promptHash),
+      thinking,
+      text
+    });
+  };
+
+  service.completeWithTool = async (prompt, options, tool) => {
+    const input = await completeWithTool(prompt, options, tool);
+    saveFixture(fixturesDir, {
+      prompt_hash: hashPrompt(prompt),
+      model: service.config.model_name,
+      recorded_at: new Date().toISOString(),
+      tool: tool.name,
+      input
+    });
+    return input;
+  };
+
+  // Route the progress variant through the recording stream as well
+  service.streamWithThinkingAndMessageStart = (prompt, options, onThinking, onText, onMessageStart, onResponseHeaders, onStatus) =>
+    LLMProvider.prototype.streamWithThinkingAndMessageStart.call(service, prompt, options, onThinking, onText, onMessageStart, onResponseHeaders, onStatus);
+
+  return service;
+}
+
+/**
+ * Write a recorded fixture, named after its prompt hash
+ * @param {string} fixturesDir - Folder to write fixtures to
+ * @param {Object} fixture - Fixture with prompt_hash
+ */
+function saveFixture(fixturesDir, fixture) {
+  const suffix = fixture.tool ? `_${fixture.tool}` : '';
+  try {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+    fs.writeFileSync(path.join(fixturesDir, `recorded_${fixture.prompt_hash.slice(0, 16)}${suffix}.json`), JSON.stringify(fixture, null, 2));
+  } catch (error) {
+    console.warn(`Could not record mock fixture: ${error.message}`);
+  }
+}
+
+module.exports = {
+  MockAPIService,
+  recordFixtures,
+  getFixturesDir,
+  hashPrompt
+};
@@ -5,6 +5,14 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'world inconsistency',
+  'internal inconsistency',
+  'character development',
+  'unresolved plot element'
+];
+
 // You've identified exactly what makes the Narrative Integrity tool so
 // valuable in a comprehensive editing toolkit. Let me expand on why its
 // focus on consistency issues specifically makes it worth keeping in
@@ -121,14 +129,18 @@ class NarrativeIntegrity extends BaseTool {
       
       // Run each check type
       for (const type of checkTypes) {
+        this.throwIfCancelled();
         this.emitOutput(`\nRunning ${type.toUpperCase()} integrity check...\n`);
         
         // Create the prompt for this check type
         const prompt = this.createPrompt(type, outlineContent, worldContent, manuscriptContent);
 
+        // Create system prompt to avoid markdown
+        const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
+
         // Count tokens in the prompt
         this.emitOutput(`Counting tokens in prompt...\n`);
-        const promptTokens = await this.claudeService.countTokens(prompt);
+        const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
         // Call the shared token budget calculator
         const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -161,9 +173,6 @@ class NarrativeIntegrity extends BaseTool {
         let fullResponse = "";
         let thinkingContent = "";
         
-        // Create system prompt to avoid markdown
-        const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
-
         // Use the calculated values in the API call
         try {
           await this.claudeService.streamWithThinking(
@@ -214,6 +223,7 @@ class NarrativeIntegrity extends BaseTool {
         const responseTokens = await this.claudeService.countTokens(fullResponse);
         this.emitOutput(`Response token count: ${responseTokens}\n`);
 
+        // Remove any markdown formatting
         fullResponse = this.removeMarkdown(fullResponse);
 
         // Save the report
@@ -228,6 +238,10 @@ class NarrativeIntegrity extends BaseTool {
         
         // Use spread operator to push all elements individually
         outputFiles.push(...outputFile);
+
+        // Ask for the report's findings as structured data and save them next to it
+        const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+        outputFiles.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
       }
       
       // Return the result
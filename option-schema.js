@@ -0,0 +1,173 @@
+// option-schema.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Error thrown when tool options fail validation
+ * `errors` holds one { field, label, message } entry per invalid option,
+ * so the UI can show each message next to its field.
+ */
+class OptionValidationError extends Error {
+  /**
+   * Constructor
+   * @param {string} toolId - Tool ID
+   * @param {Object[]} errors - Field errors
+   */
+  constructor(toolId, errors) {
+    const summary = errors.map(error => `${error.label}: ${error.message}`).join('; ');
+    super(`Invalid options for ${toolId}: ${summary}`);
+    this.name = 'OptionValidationError';
+    this.toolId = toolId;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check if a value counts as "not provided"
+ * @param {*} value - Option value
+ * @returns {boolean} - True for undefined, null and blank strings
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Coerce a boolean option value
+ * @param {*} value - Raw value (true/false, "true"/"false", "yes"/"no", 1/0)
+ * @returns {boolean|undefined} - Boolean, or undefined if the value is not a boolean
+ */
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'on', '1'].includes(text)) return true;
+  if (['false', 'no', 'off', '0'].includes(text)) return false;
+  return undefined;
+}
+
+/**
+ * Validate and coerce a single option value
+ * @param {Object} option - Option definition from a tool's options schema
+ * @param {*} rawValue - Value supplied by the UI, CLI or caller
+ * @param {string} baseDir - Directory that relative file paths are resolved against
+ * @returns {{value: *, error: string|null}} - Coerced value, or an error message
+ */
+function coerceOption(option, rawValue, baseDir) {
+  const hasDefault = option.default !== undefined;
+  const value = rawValue === undefined && hasDefault ? option.default : rawValue;
+
+  if (isEmpty(value)) {
+    if (option.required && option.type !== 'boolean') {
+      return { value, error: 'This field is required' };
+    }
+    if (option.type === 'boolean') {
+      return { value: false, error: null };
+    }
+    if (option.type === 'number') {
+      // A cleared number field falls back to its default
+      return { value: isEmpty(option.default) ? null : Number(option.default), error: null };
+    }
+    // Keep null (tools treat it as "not set"), otherwise an empty string
+    return { value: value === null ? null : '', error: null };
+  }
+
+  switch (option.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(number)) {
+        return { value, error: 'Must be a number' };
+      }
+      if (option.min !== undefined && number < option.min) {
+        return { value: number, error: `Value must be at least ${option.min}` };
+      }
+      if (option.max !== undefined && number > option.max) {
+        return { value: number, error: `Value must be at most ${option.max}` };
+      }
+      return { value: number, error: null };
+    }
+
+    case 'boolean': {
+      const bool = toBoolean(value);
+      if (bool === undefined) {
+        return { value, error: 'Must be true or false' };
+      }
+      return { value: bool, error: null };
+    }
+
+    case 'select': {
+      const choices = (option.choices || []).map(choice => String(choice.value));
+      const text = String(value);
+      if (choices.length > 0 && !choices.includes(text)) {
+        return { value, error: `Must be one of: ${choices.join(', ')}` };
+      }
+      return { value: text, error: null };
+    }
+
+    case 'file':
+    case 'directory': {
+      const text = String(value).trim();
+      const resolved = path.isAbsolute(text) || !baseDir ? text : path.join(baseDir, text);
+      let stats = null;
+      try {
+        stats = fs.statSync(resolved);
+      } catch (error) {
+        // Missing; handled below
+      }
+
+      if (option.type === 'file') {
+        if (!stats) {
+          // An optional file left at its default is simply not used
+          if (!option.required && text === option.default) {
+            return { value: '', error: null };
+          }
+          // Files the tool creates when missing (must_exist: false)
+          if (option.must_exist === false) {
+            return { value: text, error: null };
+          }
+          return { value: text, error: `File not found: ${text}` };
+        }
+        if (!stats.isFile()) {
+          return { value: text, error: `Not a file: ${text}` };
+        }
+      } else if (stats && !stats.isDirectory()) {
+        // Output directories may not exist yet; tools create them
+        return { value: text, error: `Not a directory: ${text}` };
+      }
+      return { value: text, error: null };
+    }
+
+    case 'text':
+    case 'textarea':
+    default:
+      return { value: Array.isArray(value) ? value : String(value), error: null };
+  }
+}
+
+/**
+ * Validate and coerce tool options against the tool's option schema
+ * Options not in the schema (such as save_dir) are passed through unchanged.
+ * @param {Object[]} optionDefs - Option definitions (TOOL_DEFS options)
+ * @param {Object} values - Supplied option values
+ * @param {Object} [settings] - Validation settings
+ * @param {string} [settings.baseDir] - Directory for resolving relative file paths
+ * @returns {{valid: boolean, values: Object, errors: Object[]}} - Coerced values and field errors
+ */
+function validateOptions(optionDefs, values = {}, { baseDir = null } = {}) {
+  const coerced = { ...values };
+  const errors = [];
+
+  for (const option of optionDefs || []) {
+    const { value, error } = coerceOption(option, values[option.name], baseDir);
+    coerced[option.name] = value;
+    if (error) {
+      errors.push({ field: option.name, label: option.label || option.name, message: error });
+    }
+  }
+
+  return { valid: errors.length === 0, values: coerced, errors };
+}
+
+module.exports = {
+  OptionValidationError,
+  validateOptions,
+  coerceOption
+};
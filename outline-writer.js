@@ -36,15 +36,15 @@ class OutlineWriter extends BaseTool {
     
     // Extract options
     const premiseFile = options.premise_file;
-    const conceptFile = options.concept_file || null;
-    const charactersFile = options.characters_file || null;
-    const exampleOutline = options.example_outline || null;
-    const sections = options.sections || 5;
-    const chapters = options.chapters || 25;
-    const language = options.lang || 'English';
-    const title = options.title || null;
-    const genre = options.genre || null;
-    const detailed = options.detailed || false;
+    const conceptFile = options.concept_file;
+    const charactersFile = options.characters_file;
+    const exampleOutline = options.example_outline;
+    const sections = options.sections;
+    const chapters = options.chapters;
+    const language = options.lang;
+    const title = options.title;
+    const genre = options.genre;
+    const detailed = options.detailed;
     
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     const outputFiles = [];
@@ -112,9 +112,12 @@ class OutlineWriter extends BaseTool {
         detailed
       );
       
+      // Create system prompt to avoid markdown
+      const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
+
       // Count tokens in prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
       
       // Calculate available tokens after prompt
       const contextWindow = this.config.context_window || 200000;
@@ -169,9 +172,6 @@ class OutlineWriter extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt to avoid markdown
-      const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
-      
       try {
         // Use streaming API call
         await this.claudeService.streamWithThinking(
@@ -0,0 +1,182 @@
+// plugin-loader.js
+const fs = require('fs');
+const path = require('path');
+const BaseTool = require('./base-tool');
+const fileCache = require('./file-cache');
+const appState = require('./state.js');
+const yaml = require('js-yaml');
+const PromptTool = require('./prompt-tool');
+
+// Files that declare a prompt tool instead of exporting JavaScript
+const PROMPT_TOOL_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// Option types the tool setup dialog knows how to show
+const OPTION_TYPES = ['text', 'textarea', 'number', 'boolean', 'select', 'file', 'directory'];
+
+/**
+ * Get the folder that user-defined tool plugins are loaded from
+ * @returns {string} - ~/writing/.toolkit/plugins
+ */
+function getPluginsDir() {
+  return path.join(appState.PROJECTS_DIR, '.toolkit', 'plugins');
+}
+
+/**
+ * Check a plugin definition and describe the first problem found
+ * @param {Object} def - Plugin definition
+ * @param {Set<string>} takenIds - Tool IDs that are already registered
+ * @returns {string|null} - Error message, or null if the plugin is valid
+ */
+function validatePluginDef(def, takenIds) {
+  if (!def || typeof def !== 'object') {
+    return 'module must export a plugin object or a function returning one';
+  }
+  if (typeof def.id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(def.id)) {
+    return `"id" must be lowercase letters, digits and underscores (got ${JSON.stringify(def.id)})`;
+  }
+  if (takenIds.has(def.id)) {
+    return `tool id "${def.id}" is already in use`;
+  }
+  if (typeof def.title !== 'string' || !def.title.trim()) {
+    return '"title" must be a non-empty string';
+  }
+  if (def.description !== undefined && typeof def.description !== 'string') {
+    return '"description" must be a string';
+  }
+  if (typeof def.Class !== 'function' || !(def.Class.prototype instanceof BaseTool)) {
+    return '"Class" must be a subclass of BaseTool (use the BaseTool passed to your plugin function)';
+  }
+  if (typeof def.Class.prototype.execute !== 'function' || def.Class.prototype.execute === BaseTool.prototype.execute) {
+    return '"Class" must implement execute(options)';
+  }
+  if (def.options !== undefined && !Array.isArray(def.options)) {
+    return '"options" must be an array';
+  }
+
+  const optionNames = new Set();
+  for (const [index, option] of (def.options || []).entries()) {
+    if (!option || typeof option.name !== 'string' || !option.name) {
+      return `option #${index + 1} must have a "name"`;
+    }
+    if (optionNames.has(option.name)) {
+      return `option "${option.name}" is defined more than once`;
+    }
+    optionNames.add(option.name);
+    if (!OPTION_TYPES.includes(option.type)) {
+      return `option "${option.name}" has unknown type "${option.type}" (expected one of: ${OPTION_TYPES.join(', ')})`;
+    }
+    if (option.type === 'select' && (!Array.isArray(option.choices) || option.choices.length === 0)) {
+      return `option "${option.name}" is a select and needs a "choices" array`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a YAML or JSON prompt tool file into a tool definition
+ * @param {string} filePath - Path to the definition file
+ * @returns {Object} - Tool definition for the registry
+ */
+function loadPromptToolDef(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  let raw;
+  try {
+    raw = filePath.toLowerCase().endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+  } catch (error) {
+    throw new Error(`cannot parse ${path.basename(filePath)}: ${error.message}`);
+  }
+  return PromptTool.fromDefinition(raw);
+}
+
+/**
+ * Load all tool plugins from a folder
+ *
+ * A plugin is a .js file (or a folder with an index.js) that exports either
+ * a plugin object, or a function that receives { BaseTool, fileCache, appState }
+ * and returns one. The function form lets plugins extend the app's BaseTool
+ * without knowing where the app is installed:
+ *
+ *   module.exports = ({ BaseTool }) => {
+ *     class MyTool extends BaseTool {
+ *       constructor(claudeService, config) {
+ *         super('my_tool', config);
+ *         this.claudeService = claudeService;
+ *       }
+ *       async execute(options) { ... }
+ *     }
+ *     return { id: 'my_tool', title: 'My Tool', description: '...', ai: true, Class: MyTool, options: [...] };
+ *   };
+ *
+ * AI plugins (the default) are constructed like built-in AI tools with
+ * (claudeService, config); plugins with ai: false get (id, config).
+ *
+ * A .yaml, .yml or .json file declares a prompt tool instead; see prompt-tool.js.
+ *
+ * @param {Set<string>} takenIds - Tool IDs already registered (built-ins)
+ * @param {string} [pluginsDir] - Folder to scan, defaults to getPluginsDir()
+ * @returns {{plugins: Object[], errors: Object[]}} - Valid plugin definitions,
+ *   and { plugin, message } for each plugin that could not be loaded
+ */
+function loadPlugins(takenIds, pluginsDir = getPluginsDir()) {
+  const plugins = [];
+  const errors = [];
+
+  let entries;
+  try {
+    entries = fs.readdirSync(pluginsDir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      errors.push({ plugin: pluginsDir, message: `Cannot read plugins folder: ${error.message}` });
+    }
+    return { plugins, errors };
+  }
+
+  const ids = new Set(takenIds);
+  const candidates = entries
+    .filter(entry => !entry.name.startsWith('.'))
+    .filter(entry => entry.isDirectory() || (entry.isFile() &&
+      (entry.name.endsWith('.js') || PROMPT_TOOL_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))))
+    .map(entry => entry.name)
+    .sort();
+
+  for (const name of candidates) {
+    const pluginPath = path.join(pluginsDir, name);
+    try {
+      let def;
+      let resolved = pluginPath;
+
+      if (PROMPT_TOOL_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+        def = loadPromptToolDef(pluginPath);
+      } else {
+        // Always load the current version of the plugin from disk
+        resolved = require.resolve(pluginPath);
+        delete require.cache[resolved];
+
+        def = require(resolved);
+        if (typeof def === 'function' && !(def.prototype instanceof BaseTool)) {
+          def = def({ BaseTool, fileCache, appState });
+        }
+      }
+
+      const problem = validatePluginDef(def, ids);
+      if (problem) {
+        throw new Error(problem);
+      }
+
+      ids.add(def.id);
+      plugins.push({ ...def, options: def.options || [], pluginPath: resolved });
+    } catch (error) {
+      errors.push({ plugin: name, message: error.message });
+    }
+  }
+
+  return { plugins, errors };
+}
+
+module.exports = {
+  getPluginsDir,
+  validatePluginDef,
+  loadPromptToolDef,
+  loadPlugins
+};
@@ -27,20 +27,57 @@ contextBridge.exposeInMainWorld('electronAPI', {
   showToolSetupDialog: (toolName) => ipcRenderer.send('show-tool-setup-dialog', toolName),
   closeToolDialog: (action, data) => ipcRenderer.send('close-tool-dialog', action, data),
   getCurrentTool: () => ipcRenderer.invoke('get-current-tool'),
-  startToolRun: (toolName, options) => ipcRenderer.invoke('start-tool-run', toolName, options),
+  startToolRun: (toolName, options, runSettings) => ipcRenderer.invoke('start-tool-run', toolName, options, runSettings),
   stopTool: (runId) => ipcRenderer.invoke('stop-tool', runId),
   setToolOptions: (options) => ipcRenderer.invoke('set-tool-options', options),
+  validateToolOptions: (toolName, options) => ipcRenderer.invoke('validate-tool-options', toolName, options),
   onToolOutput: (callback) => ipcRenderer.on('tool-output', (_, data) => callback(data)),
   onToolFinished: (callback) => ipcRenderer.on('tool-finished', (_, data) => callback(data)),
   onToolError: (callback) => ipcRenderer.on('tool-error', (_, data) => callback(data)),
+  onToolCancelled: (callback) => ipcRenderer.on('tool-cancelled', (_, data) => callback(data)),
+  onToolQueued: (callback) => ipcRenderer.on('tool-queued', (_, data) => callback(data)),
   removeAllListeners: (channel) => {
     if (channel === 'tool-output') ipcRenderer.removeAllListeners('tool-output');
     if (channel === 'tool-finished') ipcRenderer.removeAllListeners('tool-finished');
     if (channel === 'tool-error') ipcRenderer.removeAllListeners('tool-error');
+    if (channel === 'tool-cancelled') ipcRenderer.removeAllListeners('tool-cancelled');
+    if (channel === 'tool-queued') ipcRenderer.removeAllListeners('tool-queued');
   },
   // Get output files for a tool run
   getToolOutputFiles: (toolId) => ipcRenderer.invoke('get-tool-output-files', toolId),
 
+  // Job queue
+  getJobs: () => ipcRenderer.invoke('get-jobs'),
+  setMaxConcurrentJobs: (value) => ipcRenderer.invoke('set-max-concurrent-jobs', value),
+  onJobsUpdated: (callback) => ipcRenderer.on('jobs-updated', (_, data) => callback(data)),
+
+  // Run history
+  showRunHistoryDialog: () => ipcRenderer.send('show-run-history-dialog'),
+  closeRunHistoryDialog: () => ipcRenderer.send('close-run-history-dialog'),
+  getRunHistory: () => ipcRenderer.invoke('get-run-history'),
+  getRunDetails: (runId) => ipcRenderer.invoke('get-run-details', runId),
+  rerunTool: (runId) => ipcRenderer.invoke('rerun-tool', runId),
+
+  // Suggestion review
+  showSuggestionReview: (findingsPath) => ipcRenderer.invoke('show-suggestion-review', findingsPath),
+  getSuggestionReview: () => ipcRenderer.invoke('get-suggestion-review'),
+  applySuggestions: (changes) => ipcRenderer.invoke('apply-suggestions', changes),
+  closeSuggestionReview: () => ipcRenderer.send('close-suggestion-review'),
+
+  // Version snapshots
+  showSnapshots: (filePath) => ipcRenderer.invoke('show-snapshots', filePath),
+  getSnapshots: () => ipcRenderer.invoke('get-snapshots'),
+  takeSnapshot: (file, reason) => ipcRenderer.invoke('take-snapshot', file, reason),
+  diffSnapshots: (file, fromId, toId) => ipcRenderer.invoke('diff-snapshots', file, fromId, toId),
+  restoreSnapshot: (id) => ipcRenderer.invoke('restore-snapshot', id),
+  closeSnapshots: () => ipcRenderer.send('close-snapshots'),
+
+  // Project settings
+  showProjectSettings: () => ipcRenderer.invoke('show-project-settings'),
+  getProjectSettings: () => ipcRenderer.invoke('get-project-settings'),
+  saveProjectSettings: (settings) => ipcRenderer.invoke('save-project-settings', settings),
+  closeProjectSettings: () => ipcRenderer.send('close-project-settings'),
+
   // Open a file in the editor - UNCOMMENTED THIS LINE
   openFileInEditor: (filePath) => ipcRenderer.invoke('open-file-in-editor', filePath),  
   
@@ -49,6 +86,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   saveFile: (data) => ipcRenderer.invoke('save-file', data),
   closeEditorDialog: () => ipcRenderer.send('close-editor-dialog'),
   onFileOpened: (callback) => ipcRenderer.on('file-opened', (_, data) => callback(data)),
+  onFileRestored: (callback) => ipcRenderer.on('file-restored', (_, data) => callback(data)),
 
   // API settings
   getClaudeApiSettings: () => ipcRenderer.invoke('get-claude-api-settings'),
@@ -59,7 +97,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   onSetTheme: (callback) => ipcRenderer.on('set-theme', (_, theme) => callback(theme)),
 
-  convertDocxToTxt: (docxPath, outputFilename) => ipcRenderer.invoke('convert-docx-to-txt', docxPath, outputFilename),
+  convertDocxToTxt: (docxPath, outputFilename, options) => ipcRenderer.invoke('convert-docx-to-txt', docxPath, outputFilename, options),
 
-  convertTxtToDocx: (txtPath, outputFilename) => ipcRenderer.invoke('convert-txt-to-docx', txtPath, outputFilename),
+  convertTxtToDocx: (txtPath, outputFilename, options) => ipcRenderer.invoke('convert-txt-to-docx', txtPath, outputFilename, options),
 });
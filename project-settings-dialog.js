@@ -0,0 +1,70 @@
+// Get references to DOM elements
+const projectNameDiv = document.getElementById('project-name');
+const errorText = document.getElementById('error-text');
+const cancelBtn = document.getElementById('cancel-btn');
+const saveBtn = document.getElementById('save-btn');
+
+// Inputs keyed by setting name
+const inputs = {
+  title: document.getElementById('title'),
+  authorName: document.getElementById('author-name'),
+  penName: document.getElementById('pen-name'),
+  address: document.getElementById('address'),
+  phone: document.getElementById('phone'),
+  email: document.getElementById('email'),
+  language: document.getElementById('language'),
+  manuscriptFont: document.getElementById('manuscript-font')
+};
+
+// When the page loads, fetch the project's settings
+document.addEventListener('DOMContentLoaded', async () => {
+  const result = await window.electronAPI.getProjectSettings();
+  if (!result.success) {
+    showError(`Could not load the project settings: ${result.message}`);
+    saveBtn.disabled = true;
+    return;
+  }
+
+  projectNameDiv.textContent = result.projectName;
+  Object.entries(inputs).forEach(([key, input]) => {
+    input.value = result.settings[key];
+  });
+  inputs.title.focus();
+});
+
+// Show an error message
+function showError(message) {
+  errorText.textContent = message;
+  errorText.style.display = 'block';
+}
+
+// Save the settings and close
+saveBtn.addEventListener('click', async () => {
+  const settings = {};
+  Object.entries(inputs).forEach(([key, input]) => {
+    settings[key] = input.value;
+  });
+
+  const result = await window.electronAPI.saveProjectSettings(settings);
+  if (!result.success) {
+    showError(`Could not save the project settings: ${result.message}`);
+    return;
+  }
+  window.electronAPI.closeProjectSettings();
+});
+
+// Close without saving
+cancelBtn.addEventListener('click', () => {
+  window.electronAPI.closeProjectSettings();
+});
+
+// Handle theme changes
+window.electronAPI.onSetTheme((theme) => {
+  if (theme === 'light') {
+    document.body.classList.remove('dark-mode');
+    document.body.classList.add('light-mode');
+  } else {
+    document.body.classList.remove('light-mode');
+    document.body.classList.add('dark-mode');
+  }
+});
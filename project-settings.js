@@ -0,0 +1,88 @@
+// project-settings.js
+const fs = require('fs');
+const path = require('path');
+
+// Settings and their defaults; anything else in the file is ignored
+const DEFAULT_SETTINGS = {
+  title: '',
+  authorName: '',
+  penName: '',
+  address: '',
+  phone: '',
+  email: '',
+  language: 'en',
+  manuscriptFont: 'Courier New'
+};
+
+// Fonts a standard manuscript can be set in
+const MANUSCRIPT_FONTS = ['Courier New', 'Times New Roman'];
+
+/**
+ * Settings for each project: the book's title and language and the author's
+ * name, pen name and contact details, used on the title page and in the page
+ * header of a standard manuscript export and in an EPUB's metadata.
+ * Stored in the project's hidden .toolkit folder as project-settings.json.
+ * This is a singleton used by the main process
+ */
+const projectSettings = {
+  /**
+   * Get the settings file for a project
+   * @param {string} projectPath - Project directory
+   * @returns {string} - Path to project-settings.json
+   */
+  getSettingsPath(projectPath) {
+    return path.join(projectPath, '.toolkit', 'project-settings.json');
+  },
+
+  /**
+   * Load a project's settings
+   * A project without a settings file gets the defaults, with the project
+   * folder's name as the title.
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<Object>} - Settings
+   */
+  async load(projectPath) {
+    let stored = {};
+    try {
+      stored = JSON.parse(await fs.promises.readFile(this.getSettingsPath(projectPath), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Could not read the project settings for ${projectPath}:`, error.message);
+      }
+    }
+    return this.normalize({ title: path.basename(projectPath), ...stored });
+  },
+
+  /**
+   * Save a project's settings
+   * @param {string} projectPath - Project directory
+   * @param {Object} settings - Settings to save
+   * @returns {Promise<Object>} - The settings as saved
+   */
+  async save(projectPath, settings) {
+    const normalized = this.normalize(settings);
+    const settingsPath = this.getSettingsPath(projectPath);
+    await fs.promises.mkdir(path.dirname(settingsPath), { recursive: true });
+    await fs.promises.writeFile(settingsPath, JSON.stringify(normalized, null, 2), 'utf8');
+    return normalized;
+  },
+
+  /**
+   * Keep only known settings, as trimmed strings
+   * @param {Object} settings - Settings
+   * @returns {Object} - Settings with every field set
+   */
+  normalize(settings) {
+    const normalized = {};
+    for (const [key, defaultValue] of Object.entries(DEFAULT_SETTINGS)) {
+      const value = settings && typeof settings[key] === 'string' ? settings[key].trim() : '';
+      normalized[key] = value || defaultValue;
+    }
+    if (!MANUSCRIPT_FONTS.includes(normalized.manuscriptFont)) {
+      normalized.manuscriptFont = DEFAULT_SETTINGS.manuscriptFont;
+    }
+    return normalized;
+  }
+};
+
+module.exports = projectSettings;
@@ -0,0 +1,414 @@
+// prompt-tool.js
+const BaseTool = require('./base-tool');
+const path = require('path');
+const fileCache = require('./file-cache');
+const appState = require('./state.js');
+
+// Matches {{name}} placeholders in a prompt template
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+const DEFAULT_SYSTEM_PROMPT = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
+
+/**
+ * Prompt Tool
+ * Runs an AI tool declared in a YAML or JSON file instead of JavaScript:
+ * reads the declared input files, fills them and the option values into
+ * the prompt template, then streams the response and saves a report just
+ * like the built-in analysis tools.
+ *
+ * Example definition (~/writing/.toolkit/plugins/show-dont-tell.yaml):
+ *
+ *   id: show_dont_tell
+ *   title: Show, Don't Tell
+ *   description: Finds passages that tell emotions instead of showing them.
+ *   inputs:
+ *     manuscript:
+ *       label: Manuscript File
+ *       default: manuscript.txt
+ *     outline:
+ *       required: false
+ *   options:
+ *     - name: focus
+ *       label: Focus
+ *       type: text
+ *       default: dialogue
+ *   prompt: |
+ *     === MANUSCRIPT ===
+ *     {{manuscript}}
+ *     === END MANUSCRIPT ===
+ *     Find passages that tell instead of show, focusing on {{focus}}.
+ *
+ * Each input becomes a file option named <input>_file, and its contents
+ * fill the {{<input>}} placeholder. Options use the same schema as
+ * TOOL_DEFS options and fill {{<option name>}}.
+ */
+class PromptTool extends BaseTool {
+  /**
+   * Constructor
+   * @param {Object} claudeService - Claude API service
+   * @param {Object} config - Tool configuration
+   * @param {Object} spec - Normalized prompt tool definition
+   */
+  constructor(claudeService, config = {}, spec = {}) {
+    super(spec.id || config.name, config);
+    this.claudeService = claudeService;
+    this.spec = spec;
+  }
+
+  /**
+   * Turn a parsed YAML/JSON definition into a tool definition for the registry
+   * @param {Object} raw - Parsed definition
+   * @returns {Object} - { id, title, description, ai, Class, options }
+   * @throws {Error} - If the definition is incomplete or its prompt uses unknown placeholders
+   */
+  static fromDefinition(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('prompt tool file must contain an object with id, title and prompt');
+    }
+    if (typeof raw.prompt !== 'string' || !raw.prompt.trim()) {
+      throw new Error('"prompt" must be a non-empty template string');
+    }
+    if (raw.inputs !== undefined && (typeof raw.inputs !== 'object' || Array.isArray(raw.inputs))) {
+      throw new Error('"inputs" must map input names to settings, e.g. manuscript: { default: manuscript.txt }');
+    }
+    if (raw.options !== undefined && !Array.isArray(raw.options)) {
+      throw new Error('"options" must be a list');
+    }
+    // The report is saved as <output>_<timestamp>.txt in the project folder
+    if (raw.output !== undefined && (typeof raw.output !== 'string' || !/^[a-z][a-z0-9_]*$/.test(raw.output))) {
+      throw new Error(`"output" must be lowercase letters, digits and underscores (got ${JSON.stringify(raw.output)})`);
+    }
+
+    const inputs = Object.entries(raw.inputs || {}).map(([name, settings]) => {
+      settings = settings || {};
+      return {
+        name,
+        optionName: `${name}_file`,
+        label: settings.label || `${name} file`,
+        description: settings.description || `File to use for {{${name}}}`,
+        required: settings.required !== false,
+        default: settings.default !== undefined ? settings.default : (settings.required === false ? '' : `${name}.txt`)
+      };
+    });
+
+    const inputOptions = inputs.map(input => ({
+      name: input.optionName,
+      label: input.label,
+      type: 'file',
+      description: input.description,
+      required: input.required,
+      default: input.default,
+      filters: [{ name: 'Text Files', extensions: ['txt'] }],
+      group: 'Input Files'
+    }));
+    const options = [...inputOptions, ...(raw.options || [])];
+
+    // Every placeholder must be filled by an input or an option
+    const known = new Set([
+      ...inputs.map(input => input.name),
+      ...(raw.options || []).map(option => option && option.name)
+    ]);
+    const unknown = [...raw.prompt.matchAll(PLACEHOLDER_PATTERN)]
+      .map(match => match[1])
+      .filter(name => !known.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`prompt uses undefined placeholder(s): ${[...new Set(unknown)].map(name => `{{${name}}}`).join(', ')}`);
+    }
+
+    const spec = {
+      id: raw.id,
+      title: raw.title,
+      prompt: raw.prompt,
+      system: raw.system || DEFAULT_SYSTEM_PROMPT,
+      outputName: raw.output || raw.id,
+      inputs
+    };
+
+    class DeclaredPromptTool extends PromptTool {
+      constructor(claudeService, config = {}) {
+        super(claudeService, config, spec);
+      }
+    }
+
+    return {
+      id: raw.id,
+      title: raw.title,
+      description: raw.description || '',
+      ai: true,
+      Class: DeclaredPromptTool,
+      options
+    };
+  }
+
+  /**
+   * Execute the tool
+   * @param {Object} options - Tool options
+   * @returns {Promise<Object>} - Execution result
+   */
+  async execute(options) {
+    console.log(`Executing prompt tool ${this.name} with options:`, options);
+
+    const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
+    const outputFiles = [];
+
+    if (!saveDir) {
+      const errorMsg = 'Error: No save directory specified and no current project selected.\n' +
+                      'Please select a project or specify a save directory.';
+      this.emitOutput(errorMsg);
+      throw new Error('No save directory available');
+    }
+
+    try {
+      // Read the declared input files
+      this.emitOutput(`Reading files...\n`);
+      const values = {};
+      for (const input of this.spec.inputs) {
+        const file = options[input.optionName];
+        if (!file) {
+          if (input.required) {
+            throw new Error(`${input.label} is required`);
+          }
+          values[input.name] = '';
+          continue;
+        }
+        const absoluteFile = this.ensureAbsolutePath(file, saveDir);
+        this.emitOutput(`Reading ${input.name} file: ${absoluteFile}\n`);
+        values[input.name] = await this.readInputFile(absoluteFile);
+      }
+
+      // Option values fill the remaining placeholders
+      const inputOptionNames = new Set(this.spec.inputs.map(input => input.optionName));
+      for (const option of this.config.options || []) {
+        if (!inputOptionNames.has(option.name)) {
+          const value = options[option.name] !== undefined ? options[option.name] : option.default;
+          values[option.name] = Array.isArray(value) ? value.join(', ') : (value === null || value === undefined ? '' : String(value));
+        }
+      }
+
+      const prompt = this.createPrompt(values);
+
+      // Count tokens in the prompt
+      this.emitOutput(`Counting tokens in prompt...\n`);
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: this.spec.system });
+
+      // Call the shared token budget calculator
+      const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
+
+      // Handle logging based on the returned values
+      this.emitOutput(`\nToken stats:\n`);
+      this.emitOutput(`Max AI model context window: [${tokenBudgets.contextWindow}] tokens\n`);
+      this.emitOutput(`Input prompt tokens: [${tokenBudgets.promptTokens}] ...\n`);
+      this.emitOutput(`                     = input files + prompt instructions\n`);
+      this.emitOutput(`Available tokens: [${tokenBudgets.availableTokens}]  = ${tokenBudgets.contextWindow} - ${tokenBudgets.promptTokens} = context_window - prompt\n`);
+      this.emitOutput(`Desired output tokens: [${tokenBudgets.desiredOutputTokens}]\n`);
+      this.emitOutput(`AI model thinking budget: [${tokenBudgets.thinkingBudget}] tokens\n`);
+      this.emitOutput(`Max output tokens: [${tokenBudgets.maxTokens}] tokens\n`);
+
+      // Check for special conditions
+      if (tokenBudgets.capThinkingBudget) {
+        this.emitOutput(`Warning: thinking budget is larger than 32K, set to 32K.\n`);
+      }
+
+      // Check if the prompt is too large
+      if (tokenBudgets.isPromptTooLarge) {
+        this.emitOutput(`Error: prompt is too large to have a ${tokenBudgets.configuredThinkingBudget} thinking budget!\n`);
+        this.emitOutput(`Run aborted!\n`);
+        throw new Error(`Prompt is too large for ${tokenBudgets.configuredThinkingBudget} thinking budget - run aborted`);
+      }
+
+      // Call Claude API with streaming
+      this.emitOutput(`>>> Sending request to Claude API (streaming)...\n`);
+
+      const startTime = Date.now();
+      let fullResponse = "";
+      let thinkingContent = "";
+
+      try {
+        await this.claudeService.streamWithThinking(
+          prompt,
+          {
+            system: this.spec.system,
+            max_tokens: tokenBudgets.maxTokens,
+            thinking: {
+              type: "enabled",
+              budget_tokens: tokenBudgets.thinkingBudget
+            }
+          },
+          // Callback for thinking content
+          (thinkingDelta) => {
+            thinkingContent += thinkingDelta;
+          },
+          // Callback for response text
+          (textDelta) => {
+            fullResponse += textDelta;
+          }
+        );
+      } catch (error) {
+        this.emitOutput(`\nAPI Error: ${error.message}\n`);
+        throw error;
+      }
+
+      const elapsed = (Date.now() - startTime) / 1000;
+      const minutes = Math.floor(elapsed / 60);
+      const seconds = elapsed % 60;
+
+      this.emitOutput(`\nCompleted in ${minutes}m ${seconds.toFixed(2)}s.\n`);
+
+      // Count words in response
+      const wordCount = this.countWords(fullResponse);
+      this.emitOutput(`Report has approximately ${wordCount} words.\n`);
+
+      // Count tokens in response
+      const responseTokens = await this.claudeService.countTokens(fullResponse);
+      this.emitOutput(`Response token count: ${responseTokens}\n`);
+
+      // Remove any markdown formatting
+      fullResponse = this.removeMarkdown(fullResponse);
+
+      // Save the report
+      const savedFiles = await this.saveReport(
+        fullResponse,
+        thinkingContent,
+        promptTokens,
+        responseTokens,
+        saveDir
+      );
+      outputFiles.push(...savedFiles);
+
+      // Add files to the cache
+      outputFiles.forEach(file => {
+        fileCache.addFile(this.name, file);
+      });
+
+      // Return the result
+      return {
+        success: true,
+        outputFiles,
+        stats: {
+          wordCount,
+          tokenCount: responseTokens,
+          elapsedTime: `${minutes}m ${seconds.toFixed(2)}s`
+        }
+      };
+    } catch (error) {
+      console.error(`Error in prompt tool ${this.name}:`, error);
+      this.emitOutput(`\nError: ${error.message}\n`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fill the prompt template's placeholders
+   * @param {Object} values - Placeholder values keyed by name
+   * @returns {string} - Prompt for Claude API
+   */
+  createPrompt(values) {
+    return this.spec.prompt.replace(PLACEHOLDER_PATTERN, (match, name) =>
+      name in values ? values[name] : match
+    );
+  }
+
+  /**
+   * Count words in text
+   * @param {string} text - Text to count words in
+   * @returns {number} - Word count
+   */
+  countWords(text) {
+    return text.split(/\s+/).filter(word => word.length > 0).length;
+  }
+
+  /**
+   * Ensure file path is absolute
+   * @param {string} filePath - File path (may be relative or absolute)
+   * @param {string} basePath - Base path to prepend for relative paths
+   * @returns {string} - Absolute file path
+   */
+  ensureAbsolutePath(filePath, basePath) {
+    if (!filePath) return filePath;
+
+    // Check if the path is already absolute
+    if (path.isAbsolute(filePath)) {
+      return filePath;
+    }
+
+    // Make the path absolute by joining with the base path
+    return path.join(basePath, filePath);
+  }
+
+  /**
+   * Save report and thinking content to files
+   * @param {string} content - Response content
+   * @param {string} thinking - Thinking content
+   * @param {number} promptTokens - Prompt token count
+   * @param {number} responseTokens - Response token count
+   * @param {string} saveDir - Directory to save to
+   * @returns {Promise<string[]>} - Paths to the saved files
+   */
+  async saveReport(content, thinking, promptTokens, responseTokens, saveDir) {
+    try {
+      const formatter = new Intl.DateTimeFormat('en-US', {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+      });
+      const dateTimeStr = formatter.format(new Date());
+
+      // Create timestamp for filename
+      const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 15);
+      const baseFilename = `${this.spec.outputName}_${timestamp}`;
+
+      // Array to collect all saved file paths
+      const savedFilePaths = [];
+
+      // Create stats for thinking file
+      const stats = `
+Details:  ${dateTimeStr}
+Prompt tool: ${this.spec.title}
+Max request timeout: ${this.config.request_timeout} seconds
+Max AI model context window: ${this.config.context_window} tokens
+AI model thinking budget: ${this.config.thinking_budget_tokens} tokens
+Desired output tokens: ${this.config.desired_output_tokens} tokens
+
+Input tokens: ${promptTokens}
+Output tokens: ${responseTokens}
+`;
+
+      // Save full response
+      const reportFilename = `${baseFilename}.txt`;
+      const reportPath = path.join(saveDir, reportFilename);
+      await this.writeOutputFile(content, saveDir, reportFilename);
+      savedFilePaths.push(reportPath);
+
+      // Save thinking content if available
+      if (thinking) {
+        const thinkingFilename = `${baseFilename}_thinking.txt`;
+        const thinkingPath = path.join(saveDir, thinkingFilename);
+        const thinkingContent = `=== ${this.spec.title.toUpperCase()} ===
+
+=== AI'S THINKING PROCESS ===
+
+${thinking}
+
+=== END AI'S THINKING PROCESS ===
+${stats}`;
+
+        await this.writeOutputFile(thinkingContent, saveDir, thinkingFilename);
+        savedFilePaths.push(thinkingPath);
+        this.emitOutput(`AI thinking saved to: ${thinkingPath}\n`);
+      }
+
+      this.emitOutput(`Report saved to: ${reportPath}\n`);
+      return savedFilePaths;
+    } catch (error) {
+      console.error(`Error saving report:`, error);
+      this.emitOutput(`Error saving report: ${error.message}\n`);
+      throw error;
+    }
+  }
+}
+
+module.exports = PromptTool;
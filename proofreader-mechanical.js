@@ -5,6 +5,16 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'spelling',
+  'grammar',
+  'punctuation',
+  'typo',
+  'formatting',
+  'consistency'
+];
+
 /**
  * ProofreaderMechanical Tool
  * Analyzes manuscript specifically for mechanical errors (spelling, grammar, punctuation, formatting)
@@ -31,7 +41,7 @@ class ProofreaderMechanical extends BaseTool {
     
     // Extract options
     let manuscriptFile = options.manuscript_file;
-    const language = options.language || 'English';
+    const language = options.language;
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
     if (!saveDir) {
@@ -53,7 +63,10 @@ class ProofreaderMechanical extends BaseTool {
       
       const prompt = this.createMechanicalProofreadingPrompt(manuscriptContent, language);
 
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      // Create system prompt to avoid markdown and enforce plain text
+      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
+
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -96,9 +109,6 @@ class ProofreaderMechanical extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt to avoid markdown and enforce plain text
-      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
-
       try {
         await this.claudeService.streamWithThinkingAndMessageStart(
           prompt,
@@ -167,6 +177,10 @@ class ProofreaderMechanical extends BaseTool {
       
       // Add all output files to the result
       outputFiles.push(...outputFile);
+
+      // Ask for the report's findings as structured data and save them next to it
+      const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+      outputFiles.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
       
       // Add files to the cache
       const toolName = 'proofreader_mechanical';
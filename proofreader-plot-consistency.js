@@ -6,6 +6,15 @@ const appState = require('./state.js');
 const fs = require('fs/promises');
 const textProcessor = require('./textProcessor');
 
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'plot inconsistency',
+  'character inconsistency',
+  'timeline',
+  'setting inconsistency',
+  'object continuity'
+];
+
 /**
  * Proofreader Plot Consistency Tool
  * Tracks narrative elements, world rules, and story logic
@@ -35,7 +44,7 @@ class ProofreaderPlotConsistency extends BaseTool {
     
     // Extract options
     let manuscriptFile = options.manuscript_file;
-    const language = options.language || 'English';
+    const language = options.language;
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
     if (!saveDir) {
@@ -58,7 +67,10 @@ class ProofreaderPlotConsistency extends BaseTool {
       
       // Create prompt using the template with language
       const prompt = this.createPrompt(manuscriptWithoutChapterHeaders, language);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      // Create system prompt - more explicit guidance
+      const systemPrompt = "You are a meticulous proofreader. Be thorough and careful. DO NOT use any Markdown formatting - no headers, bullets, numbering, asterisks, hyphens, or any formatting symbols. Plain text only. You must find and report ALL errors, even small ones.";
+
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -107,9 +119,6 @@ class ProofreaderPlotConsistency extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt - more explicit guidance
-      const systemPrompt = "You are a meticulous proofreader. Be thorough and careful. DO NOT use any Markdown formatting - no headers, bullets, numbering, asterisks, hyphens, or any formatting symbols. Plain text only. You must find and report ALL errors, even small ones.";
-
       // Use the calculated values in the API call
       try {
         await this.claudeService.streamWithThinkingAndMessageStart(
@@ -179,6 +188,10 @@ class ProofreaderPlotConsistency extends BaseTool {
       
       // Add the output files to the result
       outputFiles.push(...outputFile);
+
+      // Ask for the report's findings as structured data and save them next to it
+      const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+      outputFiles.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
       
       // Add files to the cache
       outputFiles.forEach(file => {
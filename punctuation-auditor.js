@@ -5,6 +5,20 @@ const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
 
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'run-on sentence',
+  'comma splice',
+  'missing comma',
+  'unnecessary comma',
+  'semicolon',
+  'colon',
+  'dash',
+  'ellipsis',
+  'quotation marks',
+  'apostrophe'
+];
+
 /**
  * PunctuationAuditor Tool
  * Analyzes manuscript for punctuation effectiveness using the Claude API.
@@ -64,9 +78,12 @@ class PunctuationAuditor extends BaseTool {
       // Create the prompt
       const prompt = this.createPunctuationAnalysisPrompt(manuscriptContent, analysisLevel, elements, strictness);
 
+      // Create system prompt to avoid markdown
+      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
+
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -111,9 +128,6 @@ class PunctuationAuditor extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt to avoid markdown
-      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
-
       // Use the calculated values in the API call - following pattern from rhythm-analyzer.js
       try {
         await this.claudeService.streamWithThinking(
@@ -171,6 +185,10 @@ class PunctuationAuditor extends BaseTool {
       
       // Add all output files to the result
       outputFiles.push(...outputFile);
+
+      // Ask for the report's findings as structured data and save them next to it
+      const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+      outputFiles.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
       
       // Add files to the cache
       const toolName = 'punctuation_auditor';
@@ -4,6 +4,11 @@ const sunIcon = document.getElementById('sun-icon');
 const moonIcon = document.getElementById('moon-icon');
 const quitButton = document.getElementById('quit-button');
 const apiSettingsBtn = document.getElementById('api-settings-btn');
+const runHistoryBtn = document.getElementById('run-history-btn');
+const versionsBtn = document.getElementById('versions-btn');
+const projectSettingsBtn = document.getElementById('project-settings-btn');
+const jobList = document.getElementById('job-list');
+const maxConcurrentJobsInput = document.getElementById('max-concurrent-jobs');
 const body = document.body;
 
 // Track theme state (initially dark)
@@ -96,7 +101,7 @@ const nonAiToolDescription = document.getElementById('non-ai-tool-description');
 const nonAiSetupRunBtn = document.getElementById('non-ai-setup-run-btn');
 
 // List of non-AI tool IDs
-const nonAiToolIds = ["docx_comments", "epub_converter"];
+const nonAiToolIds = ["docx_comments", "epub_converter", "epub_builder"];
 
 // Load current project info when the app starts
 async function loadProjectInfo() {
@@ -148,7 +153,7 @@ window.electronAPI.onProjectUpdated((event) => {
 
 // Function to determine if a tool is an AI tool
 function isAiTool(tool) {
-  return !nonAiToolIds.includes(tool.name.toLowerCase());
+  return tool.ai !== false && !nonAiToolIds.includes(tool.name.toLowerCase());
 }
 
 async function loadAiTools() {
@@ -200,9 +205,9 @@ async function loadAiTools() {
   editorHeader.style.padding = '2px';
   aiToolSelect.appendChild(editorHeader);
   
-  // Filter out the rough draft tools
+  // Filter out the rough draft tools and the user's own tools
   const relevantTools = aiTools.filter(tool => 
-    !roughDraftTools.includes(tool.name) && !addedTools.has(tool.name)
+    !roughDraftTools.includes(tool.name) && !addedTools.has(tool.name) && !tool.custom
   );
 
   // Then process only the tools we care about
@@ -244,6 +249,29 @@ async function loadAiTools() {
     }
   });
   
+  // Finally, the user's plugin and prompt tools
+  const customTools = aiTools.filter(tool => tool.custom && !addedTools.has(tool.name));
+  if (customTools.length > 0) {
+    const customHeader = document.createElement('option');
+    customHeader.disabled = true;
+    customHeader.value = '';
+    customHeader.textContent = '- Your Tools:';
+    customHeader.style.color = '#999';
+    customHeader.style.fontWeight = 'bold';
+    customHeader.style.backgroundColor = '#252525';
+    customHeader.style.padding = '2px';
+    aiToolSelect.appendChild(customHeader);
+    
+    customTools.forEach(tool => {
+      const option = document.createElement('option');
+      option.value = tool.name;
+      option.textContent = tool.title;
+      option.dataset.description = tool.description;
+      aiToolSelect.appendChild(option);
+      addedTools.add(tool.name);
+    });
+  }
+  
   // Count the actual options (excluding headers)
   const actualOptions = Array.from(aiToolSelect.options).filter(opt => !opt.disabled).length;
   
@@ -267,7 +295,7 @@ async function loadNonAiTools() {
   console.log('All tool names:', tools.map(tool => tool.name));
   
   // Filter to only include non-AI tools
-  const nonAiTools = tools.filter(tool => nonAiToolIds.includes(tool.name));
+  const nonAiTools = tools.filter(tool => !isAiTool(tool));
   console.log('Filtered non-AI tools:', nonAiTools);
   console.log('Number of non-AI tools after filtering:', nonAiTools.length);
   
@@ -447,7 +475,21 @@ if (importDocxBtn) {
       filenameInput.style.border = document.body.classList.contains('light-mode') ? '1px solid #cccccc' : '1px solid #333333';
       filenameInput.style.borderRadius = '4px';
       filenameInput.style.fontSize = '16px';
-      filenameInput.style.marginBottom = '20px';
+      filenameInput.style.marginBottom = '15px';
+      
+      // Option to keep italics and bold as *markup* in the text
+      const formattingLabel = document.createElement('label');
+      formattingLabel.style.display = 'flex';
+      formattingLabel.style.alignItems = 'center';
+      formattingLabel.style.gap = '8px';
+      formattingLabel.style.marginBottom = '20px';
+      formattingLabel.style.cursor = 'pointer';
+      
+      const formattingCheckbox = document.createElement('input');
+      formattingCheckbox.type = 'checkbox';
+      
+      formattingLabel.appendChild(formattingCheckbox);
+      formattingLabel.appendChild(document.createTextNode('Keep italics and bold as *italics* and **bold**'));
       
       const buttonContainer = document.createElement('div');
       buttonContainer.style.display = 'flex';
@@ -479,6 +521,7 @@ if (importDocxBtn) {
       dialogContent.appendChild(dialogTitle);
       dialogContent.appendChild(dialogMessage);
       dialogContent.appendChild(filenameInput);
+      dialogContent.appendChild(formattingLabel);
       dialogContent.appendChild(buttonContainer);
       
       filenameDialog.appendChild(dialogContent);
@@ -528,7 +571,9 @@ if (importDocxBtn) {
           
           try {
             // Call the main process to convert the file
-            const result = await window.electronAPI.convertDocxToTxt(docxPath, outputFilename);
+            const result = await window.electronAPI.convertDocxToTxt(docxPath, outputFilename, {
+              keepFormatting: formattingCheckbox.checked
+            });
             
             // Remove loading indicator
             if (document.body.contains(loadingDiv)) {
@@ -643,7 +688,21 @@ if (exportTxtBtn) {
       filenameInput.style.border = document.body.classList.contains('light-mode') ? '1px solid #cccccc' : '1px solid #333333';
       filenameInput.style.borderRadius = '4px';
       filenameInput.style.fontSize = '16px';
-      filenameInput.style.marginBottom = '20px';
+      filenameInput.style.marginBottom = '15px';
+      
+      // Option to export in standard manuscript format, with the project's settings
+      const standardLabel = document.createElement('label');
+      standardLabel.style.display = 'flex';
+      standardLabel.style.alignItems = 'center';
+      standardLabel.style.gap = '8px';
+      standardLabel.style.marginBottom = '20px';
+      standardLabel.style.cursor = 'pointer';
+      
+      const standardCheckbox = document.createElement('input');
+      standardCheckbox.type = 'checkbox';
+      
+      standardLabel.appendChild(standardCheckbox);
+      standardLabel.appendChild(document.createTextNode('Standard manuscript format (uses Project Settings)'));
       
       const buttonContainer = document.createElement('div');
       buttonContainer.style.display = 'flex';
@@ -675,6 +734,7 @@ if (exportTxtBtn) {
       dialogContent.appendChild(dialogTitle);
       dialogContent.appendChild(dialogMessage);
       dialogContent.appendChild(filenameInput);
+      dialogContent.appendChild(standardLabel);
       dialogContent.appendChild(buttonContainer);
       
       filenameDialog.appendChild(dialogContent);
@@ -724,7 +784,9 @@ if (exportTxtBtn) {
           
           try {
             // Call the main process to convert the file
-            const result = await window.electronAPI.convertTxtToDocx(txtPath, outputFilename);
+            const result = await window.electronAPI.convertTxtToDocx(txtPath, outputFilename, {
+              format: standardCheckbox.checked ? 'standard' : 'plain'
+            });
             
             // Remove loading indicator
             if (document.body.contains(loadingDiv)) {
@@ -732,7 +794,8 @@ if (exportTxtBtn) {
             }
 
             if (result.success) {
-              alert(`Conversion complete! Output saved as ${result.outputFilename}\nFormatted ${result.paragraphCount} paragraphs with ${result.chapterCount} chapters.`);
+              const wordCount = result.wordCount ? ` (${result.wordCount.toLocaleString()} words)` : '';
+              alert(`Conversion complete! Output saved as ${result.outputFilename}\nFormatted ${result.paragraphCount} paragraphs with ${result.chapterCount} chapters${wordCount}.`);
             } else {
               alert(`Failed to convert file: ${result.message || 'Unknown error'}`);
             }
@@ -770,6 +833,102 @@ if (apiSettingsBtn) {
   });
 }
 
+// Open the Run History browser for the current project
+if (runHistoryBtn) {
+  runHistoryBtn.addEventListener('click', async () => {
+    const projectInfo = await window.electronAPI.getProjectInfo();
+    if (!projectInfo || !projectInfo.current_project) {
+      alert('Please select a project first.');
+      return;
+    }
+    window.electronAPI.showRunHistoryDialog();
+  });
+}
+
+// Saved versions of the project's text files
+if (versionsBtn) {
+  versionsBtn.addEventListener('click', async () => {
+    const result = await window.electronAPI.showSnapshots();
+    if (!result.success) {
+      alert(result.message);
+    }
+  });
+}
+
+// Title, author and contact details of the current project
+if (projectSettingsBtn) {
+  projectSettingsBtn.addEventListener('click', async () => {
+    const result = await window.electronAPI.showProjectSettings();
+    if (!result.success) {
+      alert(result.message);
+    }
+  });
+}
+
+// Show queued, running and recently finished tool jobs
+function renderJobs(data) {
+  if (document.activeElement !== maxConcurrentJobsInput) {
+    maxConcurrentJobsInput.value = data.maxConcurrentJobs;
+  }
+  
+  jobList.innerHTML = '';
+  
+  if (data.jobs.length === 0) {
+    const emptyMessage = document.createElement('p');
+    emptyMessage.className = 'tool-description';
+    emptyMessage.textContent = 'No tools queued or running.';
+    jobList.appendChild(emptyMessage);
+    return;
+  }
+  
+  // Newest first
+  [...data.jobs].reverse().forEach(job => {
+    const item = document.createElement('div');
+    item.className = 'job-item';
+    
+    const label = document.createElement('span');
+    label.textContent = job.background ? `${job.toolTitle} (batch)` : job.toolTitle;
+    
+    const status = document.createElement('span');
+    status.className = `job-status job-status-${job.status}`;
+    status.textContent = job.status === 'queued' ? `queued (#${job.position})` : job.status;
+    if (job.error) {
+      status.title = job.error;
+    }
+    label.appendChild(status);
+    item.appendChild(label);
+    
+    if (job.status === 'queued' || job.status === 'running') {
+      const stopButton = document.createElement('button');
+      stopButton.className = 'text-button';
+      stopButton.textContent = 'Stop';
+      stopButton.addEventListener('click', () => {
+        stopButton.disabled = true;
+        window.electronAPI.stopTool(job.id);
+      });
+      item.appendChild(stopButton);
+    }
+    
+    jobList.appendChild(item);
+  });
+}
+
+async function loadJobs() {
+  try {
+    renderJobs(await window.electronAPI.getJobs());
+  } catch (error) {
+    console.error('Error loading jobs:', error);
+  }
+}
+
+window.electronAPI.onJobsUpdated(renderJobs);
+
+// Save the concurrency limit when it is changed
+maxConcurrentJobsInput.addEventListener('change', async () => {
+  const value = await window.electronAPI.setMaxConcurrentJobs(maxConcurrentJobsInput.value);
+  maxConcurrentJobsInput.value = value;
+});
+
 // Listen for API settings updates
 window.electronAPI.onApiSettingsUpdated((settings) => {
   console.log('API settings updated:', settings);
@@ -798,6 +957,7 @@ document.addEventListener('DOMContentLoaded', () => {
   loadProjectInfo();
   loadAiTools();
   loadNonAiTools();
+  loadJobs();
 });
 
 // Add this to listen for when a tool run finishes and the window gains focus again
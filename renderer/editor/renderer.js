@@ -16,18 +16,77 @@ const quitButton = document.getElementById('quit-button');
 const findInput = document.getElementById('find-input');
 const findNextBtn = document.getElementById('find-next-btn');
 const clearSearchBtn = document.getElementById('clear-search-btn');
+const matchCaseBtn = document.getElementById('match-case-btn');
+const wholeWordBtn = document.getElementById('whole-word-btn');
+const regexBtn = document.getElementById('regex-btn');
+const matchCountDisplay = document.getElementById('match-count');
+const replaceInput = document.getElementById('replace-input');
+const replaceBtn = document.getElementById('replace-btn');
+const replaceAllBtn = document.getElementById('replace-all-btn');
+const replaceProjectBtn = document.getElementById('replace-project-btn');
+const replacePreview = document.getElementById('replace-preview');
+const replacePreviewTitle = document.getElementById('replace-preview-title');
+const replacePreviewList = document.getElementById('replace-preview-list');
+const replacePreviewCancel = document.getElementById('replace-preview-cancel');
+const replacePreviewApply = document.getElementById('replace-preview-apply');
+const tabBar = document.getElementById('tab-bar');
+const fileTree = document.getElementById('file-tree');
+const projectNameDisplay = document.getElementById('project-name');
+const refreshFilesBtn = document.getElementById('refresh-files-btn');
+const chapterPane = document.getElementById('chapter-pane');
+const chapterPaneTitle = document.getElementById('chapter-pane-title');
+const chapterPaneToggle = document.getElementById('chapter-pane-toggle');
+const chapterList = document.getElementById('chapter-list');
+const currentChapterDisplay = document.getElementById('current-chapter');
+const findingsButton = document.getElementById('btnFindings');
+const findingsBar = document.getElementById('findings-bar');
+const findingsSummary = document.getElementById('findings-summary');
+const findingDetail = document.getElementById('finding-detail');
+const prevFindingBtn = document.getElementById('prev-finding-btn');
+const nextFindingBtn = document.getElementById('next-finding-btn');
+const dismissFindingBtn = document.getElementById('dismiss-finding-btn');
+const closeFindingsBtn = document.getElementById('close-findings-btn');
+const editorHighlights = document.getElementById('editor-highlights');
+const findingTooltip = document.getElementById('finding-tooltip');
+const diskChangeBar = document.getElementById('disk-change-bar');
+const diskChangeMessage = document.getElementById('disk-change-message');
+const reloadFromDiskBtn = document.getElementById('reload-from-disk-btn');
+const mergeFromDiskBtn = document.getElementById('merge-from-disk-btn');
+const keepMineBtn = document.getElementById('keep-mine-btn');
 const body = document.body;
 
-// Track the current file
-let currentFilePath = null;
-let documentChanged = false;
+// Open files, one tab each: { id, filePath, content, dirty, selectionStart,
+// selectionEnd, scrollTop, findMatches, currentFindIndex, findings,
+// diskContent, diskChange, autosaved }
+// findings is null, or the tool run shown over the file:
+// { findingsPath, tool, items, current } (see loadFindings)
+// diskContent is the file's text when last opened, saved or reloaded, and
+// diskChange its newer text after another program changed it (until reloaded,
+// merged or kept); autosaved is the text last saved as a recovery copy
+// The active tab's text lives in the editor; content holds it for the others
+const tabs = [];
+let activeTab = null;
+let nextTabId = 1;
 
 // Track theme state (initially dark)
 let isDarkMode = true;
 
-// Keep track of the current find state
-let currentFindIndex = -1;
-let findMatches = [];
+// Find options, toggled in the find bar
+const searchOptions = { matchCase: false, wholeWord: false, regex: false };
+
+// Chapters of the active tab's text (parseManuscript from manuscript.js),
+// parsed again shortly after each edit
+let outline = null;
+let outlineTimer = null;
+
+// Wait this long after the last keystroke before parsing the chapters again
+const OUTLINE_REFRESH_DELAY = 500;
+
+// The findings are located again in the edited text after the same pause
+let findingsTimer = null;
+
+// How often (ms) tabs with unsaved changes are saved as recovery copies
+const AUTOSAVE_INTERVAL = 30000;
 
 // Initialize editor
 function initEditor() {
@@ -47,7 +106,8 @@ function initEditor() {
       // Put cursor after the inserted tab
       this.selectionStart = this.selectionEnd = start + 2;
       
-      documentChanged = true;
+      markDirty();
+      scheduleFindingsRefresh();
     }
   });
   
@@ -55,15 +115,23 @@ function initEditor() {
   editor.addEventListener('keyup', updatePositionAndStats);
   editor.addEventListener('click', updatePositionAndStats);
   editor.addEventListener('input', () => {
-    documentChanged = true;
+    markDirty();
+    scheduleOutlineRefresh();
+    scheduleFindingsRefresh();
     updatePositionAndStats();
   });
   
-  // Initial update
-  updatePositionAndStats();
+  // Start with an empty tab
+  activateTab(createTab(null, ''));
   
   // Set up event listeners for file operations
   setupEventListeners();
+  
+  // Show the current project's files
+  refreshFileTree();
+  
+  // Keep recovery copies of unsaved changes, after offering any left by a crash
+  offerRecovery().then(() => setInterval(autosaveTabs, AUTOSAVE_INTERVAL));
 }
 
 // Update the position and statistics displays
@@ -80,8 +148,10 @@ function updatePositionAndStats() {
   
   // Update displays with formatted numbers
   positionDisplay.textContent = `Line: ${lineNumber}, Column: ${columnNumber}`;
+  updateCurrentChapter(cursorPos);
   
   // Show search results count if there are matches, otherwise just show character/word count
+  const { findMatches, currentFindIndex } = activeTab;
   if (findMatches.length > 0 && currentFindIndex >= 0) {
     statsDisplay.textContent = `Found: ${currentFindIndex + 1}/${findMatches.length} - Words: ${countWords(text).toLocaleString()} & Characters: ${text.length.toLocaleString()}`;
   } else {
@@ -115,29 +185,48 @@ function setupEventListeners() {
   // Button handlers
   newButton.addEventListener('click', newFile);
   openButton.addEventListener('click', openFile);
-  saveButton.addEventListener('click', saveFile);
-  saveAsButton.addEventListener('click', saveFileAs);
+  saveButton.addEventListener('click', () => saveFile());
+  saveAsButton.addEventListener('click', () => saveFileAs());
   
   // Quit button handler
   quitButton.addEventListener('click', quitApp);
   
+  // Project sidebar
+  refreshFilesBtn.addEventListener('click', refreshFileTree);
+  
+  // Chapter pane
+  chapterPaneToggle.addEventListener('click', toggleChapterPane);
+  
+  // Findings from a tool run
+  setupFindingsEventListeners();
+  
+  // Open files changed by another program
+  reloadFromDiskBtn.addEventListener('click', reloadFromDisk);
+  mergeFromDiskBtn.addEventListener('click', mergeFromDisk);
+  keepMineBtn.addEventListener('click', keepMine);
+  
   // Font size changes
   fontSizeSelect.addEventListener('change', function() {
     editor.style.fontSize = `${this.value}px`;
+    editorHighlights.style.fontSize = `${this.value}px`;
+    syncHighlightLayout();
   });
   
   // Word wrap toggle
   wordWrapSelect.addEventListener('change', function() {
     const isWrapped = this.value === 'on';
     editor.style.whiteSpace = isWrapped ? 'pre-wrap' : 'pre';
+    editorHighlights.style.whiteSpace = editor.style.whiteSpace;
+    syncHighlightLayout();
   });
   
   // IPC events from main process
   if (window.api) {
     window.api.onFileNew && window.api.onFileNew(newFile);
-    window.api.onFileSaveRequest && window.api.onFileSaveRequest(saveFile);
-    window.api.onFileSaveAsRequest && window.api.onFileSaveAsRequest(saveFileAs);
+    window.api.onFileSaveRequest && window.api.onFileSaveRequest(() => saveFile());
+    window.api.onFileSaveAsRequest && window.api.onFileSaveAsRequest(() => saveFileAs());
     window.api.onFileOpened && window.api.onFileOpened(handleFileOpened);
+    window.api.onFileChangedOnDisk && window.api.onFileChangedOnDisk(handleFileChangedOnDisk);
   }
   
   // Find functionality
@@ -145,13 +234,13 @@ function setupEventListeners() {
   
   // Window close handling
   window.addEventListener('beforeunload', (e) => {
-    if (documentChanged) {
+    if (dirtyTabs().length > 0) {
       // Standard method to ask user about unsaved changes
       e.returnValue = false;
       
       // Custom dialog would be handled in main process in a real app
       if (confirm('You have unsaved changes. Do you want to save them before closing?')) {
-        saveFile();
+        saveAllTabs();
       }
     }
   });
@@ -169,13 +258,14 @@ function updateThemeIcons() {
 }
 
 function quitApp() {
-  // Check for unsaved changes
-  if (documentChanged) {
-    const confirmQuit = confirm('You have unsaved changes. Close anyway?');
+  // Check for unsaved changes in any tab
+  const unsaved = dirtyTabs();
+  if (unsaved.length > 0) {
+    const confirmQuit = confirm(`You have unsaved changes in ${unsaved.map(tabName).join(', ')}. Close anyway?`);
     if (!confirmQuit) {
       return; // User canceled, so don't quit
     }
-    documentChanged = false; // Reset flag
+    unsaved.forEach(tab => { tab.dirty = false; }); // Reset flags
   }
 
   // Check if we're in standalone mode based on environment variable
@@ -205,76 +295,841 @@ function quitApp() {
   }
 }
 
-// File operations
-async function newFile() {
-  if (documentChanged) {
-    if (!confirm('You have unsaved changes. Create a new file anyway?')) {
-      return;
+// Tabs
+// Create a tab for a file (or an untitled one when filePath is null)
+function createTab(filePath, content) {
+  const tab = {
+    id: nextTabId++,
+    filePath,
+    content,
+    dirty: false,
+    selectionStart: 0,
+    selectionEnd: 0,
+    scrollTop: 0,
+    findMatches: [],
+    currentFindIndex: -1,
+    findings: null,
+    diskContent: filePath ? content : null,
+    diskChange: null,
+    autosaved: null
+  };
+  tabs.push(tab);
+  return tab;
+}
+
+// Name shown on a tab
+function tabName(tab) {
+  return tab.filePath ? tab.filePath.split(/[\\/]/).pop() : 'Untitled';
+}
+
+// Tabs with unsaved changes
+function dirtyTabs() {
+  storeActiveTab();
+  return tabs.filter(tab => tab.dirty);
+}
+
+// An untitled, unchanged, empty tab can be reused for the next file opened
+function isBlankTab(tab) {
+  return tab && !tab.filePath && !tab.dirty && (tab === activeTab ? editor.value : tab.content) === '';
+}
+
+// Keep the editor's text, cursor and scroll position in the active tab
+function storeActiveTab() {
+  if (!activeTab) return;
+  activeTab.content = editor.value;
+  activeTab.selectionStart = editor.selectionStart;
+  activeTab.selectionEnd = editor.selectionEnd;
+  activeTab.scrollTop = editor.scrollTop;
+}
+
+// Show a tab in the editor
+function activateTab(tab) {
+  if (tab !== activeTab) {
+    storeActiveTab();
+    activeTab = tab;
+    editor.value = tab.content;
+    editor.setSelectionRange(tab.selectionStart, tab.selectionEnd);
+    editor.scrollTop = tab.scrollTop;
+  }
+  
+  currentFileDisplay.textContent = tab.filePath || 'No file opened';
+  renderTabs();
+  highlightOpenFiles();
+  refreshOutline();
+  renderFindings();
+  renderDiskChange();
+  updateMatchCount();
+  updatePositionAndStats();
+  editor.focus();
+}
+
+// Close a tab, asking first if it has unsaved changes
+function closeTab(tab) {
+  if (tab === activeTab) {
+    storeActiveTab();
+  }
+  if (tab.dirty && !confirm(`${tabName(tab)} has unsaved changes. Close it anyway?`)) {
+    return;
+  }
+  
+  const index = tabs.indexOf(tab);
+  tabs.splice(index, 1);
+  discardAutosave(tab);
+  
+  if (tab === activeTab) {
+    activeTab = null;
+    // Show the neighbouring tab, or a new empty one when none are left
+    const next = tabs[Math.min(index, tabs.length - 1)] || createTab(null, '');
+    activateTab(next);
+  } else {
+    renderTabs();
+    highlightOpenFiles();
+  }
+}
+
+// Flag the active tab as changed since it was opened or saved
+function markDirty() {
+  if (!activeTab.dirty) {
+    activeTab.dirty = true;
+    renderTabs();
+  }
+}
+
+// Draw the tab bar
+function renderTabs() {
+  tabBar.innerHTML = '';
+  
+  tabs.forEach(tab => {
+    const tabElement = document.createElement('div');
+    tabElement.className = 'tab';
+    tabElement.classList.toggle('active', tab === activeTab);
+    tabElement.classList.toggle('dirty', tab.dirty);
+    tabElement.title = tab.filePath || 'Untitled';
+    
+    const name = document.createElement('span');
+    name.className = 'tab-name';
+    name.textContent = tabName(tab);
+    
+    const close = document.createElement('button');
+    close.className = 'tab-close';
+    close.textContent = '×';
+    close.title = 'Close';
+    close.addEventListener('click', (e) => {
+      e.stopPropagation();
+      closeTab(tab);
+    });
+    
+    tabElement.appendChild(name);
+    tabElement.appendChild(close);
+    tabElement.addEventListener('click', () => activateTab(tab));
+    tabBar.appendChild(tabElement);
+  });
+  
+  // Watch the open files for changes by other programs
+  if (window.api && window.api.watchFiles) {
+    window.api.watchFiles(tabs.map(tab => tab.filePath).filter(Boolean));
+  }
+}
+
+// Show a file in its tab, opening a new tab if it isn't open yet
+function openInTab(filePath, content) {
+  const existing = tabs.find(tab => tab.filePath === filePath);
+  if (existing) {
+    activateTab(existing);
+    return;
+  }
+  
+  if (isBlankTab(activeTab)) {
+    // Replace the empty tab rather than leaving it behind
+    activeTab.filePath = filePath;
+    activeTab.content = content;
+    activeTab.diskContent = content;
+    editor.value = content;
+    editor.setSelectionRange(0, 0);
+    editor.scrollTop = 0;
+    activateTab(activeTab);
+  } else {
+    activateTab(createTab(filePath, content));
+  }
+}
+
+// Project sidebar
+// Reload the list of files in the current project
+async function refreshFileTree() {
+  if (!window.api || !window.api.getProjectFiles) return;
+  
+  const result = await window.api.getProjectFiles();
+  fileTree.innerHTML = '';
+  if (!result.success) {
+    fileTree.innerHTML = '<div class="file-tree-empty">Could not list the project files.</div>';
+    return;
+  }
+  
+  projectNameDisplay.textContent = result.projectName || 'No project';
+  projectNameDisplay.title = result.projectPath || '';
+  if (result.files.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'file-tree-empty';
+    empty.textContent = result.projectPath ? 'No text files in this project.' : 'Open a file to show its project.';
+    fileTree.appendChild(empty);
+    return;
+  }
+  
+  renderFileTree(result.files, fileTree);
+  highlightOpenFiles();
+}
+
+// Add files and folders to the sidebar; folders can be collapsed
+function renderFileTree(entries, container) {
+  entries.forEach(entry => {
+    if (entry.type === 'directory') {
+      const folder = document.createElement('details');
+      folder.open = true;
+      const summary = document.createElement('summary');
+      summary.textContent = entry.name;
+      const children = document.createElement('div');
+      folder.appendChild(summary);
+      folder.appendChild(children);
+      renderFileTree(entry.children, children);
+      container.appendChild(folder);
+    } else {
+      const item = document.createElement('div');
+      item.className = 'file-tree-item';
+      item.textContent = entry.name;
+      item.title = entry.path;
+      item.dataset.path = entry.path;
+      item.addEventListener('click', () => openProjectFile(entry.path));
+      container.appendChild(item);
     }
+  });
+}
+
+// Mark the open files, and the active one, in the sidebar
+function highlightOpenFiles() {
+  const openPaths = new Set(tabs.map(tab => tab.filePath).filter(Boolean));
+  fileTree.querySelectorAll('.file-tree-item').forEach(item => {
+    item.classList.toggle('open', openPaths.has(item.dataset.path));
+    item.classList.toggle('active', activeTab && item.dataset.path === activeTab.filePath);
+  });
+}
+
+// Open a file picked in the sidebar
+async function openProjectFile(filePath) {
+  const existing = tabs.find(tab => tab.filePath === filePath);
+  if (existing) {
+    activateTab(existing);
+    return;
+  }
+  
+  const result = await window.api.readFile(filePath);
+  if (!result.success) {
+    alert(result.message);
+    return;
+  }
+  openInTab(result.filePath, result.content);
+}
+
+// Chapter pane
+// Parse the chapters again once typing pauses
+function scheduleOutlineRefresh() {
+  clearTimeout(outlineTimer);
+  outlineTimer = setTimeout(refreshOutline, OUTLINE_REFRESH_DELAY);
+}
+
+// Parse the active tab's chapters and list them with their word counts
+function refreshOutline() {
+  clearTimeout(outlineTimer);
+  outlineTimer = null;
+  
+  const text = editor.value;
+  outline = parseManuscript(text);
+  const chapters = outline.chapters.filter(chapter => chapter.heading !== null);
+  
+  chapterList.innerHTML = '';
+  chapterPaneTitle.textContent = chapters.length > 0 ? `Chapters (${chapters.length})` : 'Chapters';
+  if (chapters.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'chapter-list-empty';
+    empty.textContent = 'No chapter headings found.';
+    chapterList.appendChild(empty);
   }
   
-  editor.value = '';
-  currentFilePath = null;
-  currentFileDisplay.textContent = 'No file opened';
-  documentChanged = false;
+  chapters.forEach(chapter => {
+    const item = document.createElement('div');
+    item.className = 'chapter-item';
+    item.dataset.number = chapter.number;
+    item.title = chapter.heading;
+    
+    const heading = document.createElement('span');
+    heading.className = 'chapter-heading';
+    heading.textContent = chapter.heading;
+    
+    const words = document.createElement('span');
+    words.className = 'chapter-words';
+    words.textContent = countWords(text.slice(chapter.bodyStart, chapter.end)).toLocaleString();
+    
+    item.appendChild(heading);
+    item.appendChild(words);
+    item.addEventListener('click', () => goToChapter(chapter));
+    chapterList.appendChild(item);
+  });
+  
+  updateCurrentChapter(editor.selectionStart);
+}
+
+// Show the chapter containing the cursor in the status bar and the chapter pane
+function updateCurrentChapter(cursorPos) {
+  // Offsets are from the last parse, so they may trail the text while typing
+  const chapter = outline ? chapterAt(outline, cursorPos) : null;
+  const current = chapter && chapter.heading !== null ? chapter : null;
+  
+  if (current) {
+    currentChapterDisplay.textContent = current.heading;
+  } else {
+    currentChapterDisplay.textContent = outline && outline.frontMatter ? 'Front matter' : '';
+  }
+  currentChapterDisplay.title = currentChapterDisplay.textContent;
+  
+  chapterList.querySelectorAll('.chapter-item').forEach(item => {
+    item.classList.toggle('active', current !== null && Number(item.dataset.number) === current.number);
+  });
+}
+
+// Move the cursor to a chapter heading and scroll it to the top of the editor
+function goToChapter(chapter) {
+  if (outlineTimer) {
+    // Offsets from before the latest edits may point into the wrong place
+    refreshOutline();
+    chapter = outline.chapters.find(candidate => candidate.number === chapter.number) || chapter;
+  }
+  
+  // Scrolling to the end first makes the browser scroll back just far enough
+  // to show the cursor, which puts the heading at the top
+  editor.scrollTop = editor.scrollHeight;
+  editor.focus();
+  editor.setSelectionRange(chapter.start, chapter.start);
+  editor.blur();
+  editor.focus();
   updatePositionAndStats();
 }
 
-async function openFile() {
-  if (documentChanged) {
-    if (!confirm('You have unsaved changes. Open a different file anyway?')) {
-      return;
+// Collapse the chapter pane to its header, or show the list again
+function toggleChapterPane() {
+  const collapsed = chapterPane.classList.toggle('collapsed');
+  chapterPaneToggle.textContent = collapsed ? 'Show' : 'Hide';
+  chapterPaneToggle.title = collapsed ? 'Show the chapter list' : 'Hide the chapter list';
+}
+
+// Findings
+function setupFindingsEventListeners() {
+  findingsButton.addEventListener('click', loadFindings);
+  prevFindingBtn.addEventListener('click', () => stepFinding(-1));
+  nextFindingBtn.addEventListener('click', () => stepFinding(1));
+  dismissFindingBtn.addEventListener('click', dismissCurrentFinding);
+  closeFindingsBtn.addEventListener('click', closeFindings);
+  
+  // F8 and Shift+F8 step through the findings
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'F8' && activeTab.findings) {
+      e.preventDefault();
+      stepFinding(e.shiftKey ? -1 : 1);
     }
+  });
+  
+  // Clicking in a passage makes its finding the current one
+  editor.addEventListener('click', () => {
+    const item = activeTab.findings && findingAt(editor.selectionStart);
+    if (item) {
+      activeTab.findings.current = item.index;
+      renderFindings();
+    }
+  });
+  
+  // The highlights scroll with the text
+  editor.addEventListener('scroll', () => {
+    editorHighlights.scrollTop = editor.scrollTop;
+    editorHighlights.scrollLeft = editor.scrollLeft;
+  });
+  window.addEventListener('resize', syncHighlightLayout);
+  
+  // Show the explanation of the finding under the mouse
+  editor.addEventListener('mousemove', showFindingTooltip);
+  editor.addEventListener('mouseleave', hideFindingTooltip);
+}
+
+// Show a tool run's findings file over the manuscript it is about
+async function loadFindings() {
+  if (!window.api || !window.api.openFindings) return;
+  
+  const result = await window.api.openFindings();
+  if (!result.success) {
+    if (!result.canceled) alert(result.message);
+    return;
+  }
+  
+  await openProjectFile(result.manuscript);
+  const tab = tabs.find(candidate => candidate.filePath === result.manuscript);
+  if (!tab) return;
+  
+  // Each item keeps its index in the findings file, for dismissing it there;
+  // start and end are where its passage is in the text now (null if it isn't)
+  tab.findings = {
+    findingsPath: result.findingsPath,
+    tool: result.tool,
+    items: result.findings.map((finding, index) => ({ ...finding, index, start: null, end: null })),
+    current: -1
+  };
+  locateFindings(tab.findings, editor.value);
+  renderFindings();
+  
+  const shown = shownFindings(tab).length;
+  showNotification(`${shown.toLocaleString()} ${shown === 1 ? 'finding' : 'findings'} from ${result.tool}`);
+}
+
+// Find each finding's passage in the text, preferring the occurrence nearest where it was
+function locateFindings(findings, text) {
+  findings.items.forEach(item => {
+    if (!item.original || item.dismissed) return;
+    const location = locatePassage(text, item.original, item.start !== null ? item.start : item.offset);
+    item.start = location ? location.start : null;
+    item.end = location ? location.end : null;
+  });
+}
+
+// Findings of a tab that are underlined: located, not dismissed, in text order
+function shownFindings(tab) {
+  if (!tab.findings) return [];
+  return tab.findings.items
+    .filter(item => !item.dismissed && item.start !== null)
+    .sort((a, b) => a.start - b.start || a.index - b.index);
+}
+
+// The shown finding whose passage contains an offset
+function findingAt(offset) {
+  return shownFindings(activeTab).find(item => offset >= item.start && offset <= item.end) || null;
+}
+
+// Locate the findings again once typing pauses; until then the underlines are hidden
+function scheduleFindingsRefresh() {
+  if (!activeTab.findings) return;
+  editorHighlights.classList.add('stale');
+  clearTimeout(findingsTimer);
+  findingsTimer = setTimeout(refreshFindings, OUTLINE_REFRESH_DELAY);
+}
+
+function refreshFindings() {
+  clearTimeout(findingsTimer);
+  findingsTimer = null;
+  if (activeTab.findings) {
+    locateFindings(activeTab.findings, editor.value);
+  }
+  renderFindings();
+}
+
+// Draw the underlines and the findings bar for the active tab
+function renderFindings() {
+  const findings = activeTab.findings;
+  editorHighlights.classList.remove('stale');
+  editorHighlights.innerHTML = '';
+  findingsBar.classList.toggle('visible', findings !== null);
+  hideFindingTooltip();
+  if (!findings) return;
+  
+  // The layer holds the same text as the editor, with each passage marked
+  const text = editor.value;
+  const shown = shownFindings(activeTab);
+  let last = 0;
+  shown.forEach(item => {
+    if (item.start < last) return; // Overlaps the passage before it
+    editorHighlights.appendChild(document.createTextNode(text.slice(last, item.start)));
+    const mark = document.createElement('mark');
+    mark.className = `finding-mark severity-${item.severity}`;
+    mark.classList.toggle('current', item.index === findings.current);
+    mark.dataset.index = item.index;
+    mark.textContent = text.slice(item.start, item.end);
+    editorHighlights.appendChild(mark);
+    last = item.end;
+  });
+  // The trailing newline keeps the last line as tall as in the textarea
+  editorHighlights.appendChild(document.createTextNode(`${text.slice(last)}\n`));
+  syncHighlightLayout();
+  
+  // Findings that aren't underlined: their passage is gone, they quote no passage, or were dismissed
+  const open = findings.items.filter(item => !item.dismissed);
+  const notFound = open.filter(item => item.original && item.start === null).length;
+  const general = open.filter(item => !item.original).length;
+  const dismissed = findings.items.length - open.length;
+  let summary = `${findings.tool}: ${shown.length.toLocaleString()} ${shown.length === 1 ? 'finding' : 'findings'}`;
+  if (notFound > 0) summary += `, ${notFound.toLocaleString()} not found`;
+  if (general > 0) summary += `, ${general.toLocaleString()} general`;
+  if (dismissed > 0) summary += `, ${dismissed.toLocaleString()} dismissed`;
+  findingsSummary.textContent = summary;
+  findingsSummary.title = findings.findingsPath;
+  
+  const current = shown.find(item => item.index === findings.current);
+  findingDetail.textContent = current
+    ? `${shown.indexOf(current) + 1}/${shown.length} ${current.severity} ${current.category}: ${current.explanation}`
+    : '';
+  findingDetail.title = current ? describeFinding(current) : '';
+  dismissFindingBtn.disabled = !current;
+  prevFindingBtn.disabled = shown.length === 0;
+  nextFindingBtn.disabled = shown.length === 0;
+}
+
+// Line up the highlight layer with the textarea's text, which narrows when it has a scrollbar
+function syncHighlightLayout() {
+  editorHighlights.style.width = `${editor.clientWidth}px`;
+  editorHighlights.style.height = `${editor.clientHeight}px`;
+  editorHighlights.scrollTop = editor.scrollTop;
+  editorHighlights.scrollLeft = editor.scrollLeft;
+}
+
+// Explanation and suggestion of a finding, as plain text
+function describeFinding(item) {
+  let description = `${item.severity} ${item.category}${item.chapterTitle ? ` (${item.chapterTitle})` : ''}\n${item.explanation}`;
+  if (item.suggestion) {
+    description += `\nSuggestion: ${item.suggestion}`;
+  }
+  return description;
+}
+
+// Move to the next (1) or previous (-1) finding after the cursor, wrapping around
+function stepFinding(direction) {
+  const shown = shownFindings(activeTab);
+  if (shown.length === 0) return;
+  
+  const cursor = editor.selectionStart;
+  let item;
+  if (direction > 0) {
+    const from = editor.selectionStart === editor.selectionEnd ? cursor : cursor + 1;
+    item = shown.find(candidate => candidate.start >= from) || shown[0];
+  } else {
+    item = shown.slice().reverse().find(candidate => candidate.start < cursor) || shown[shown.length - 1];
   }
   
+  activeTab.findings.current = item.index;
+  editor.focus();
+  editor.setSelectionRange(item.start, item.end);
+  // Scroll to make the passage visible
+  editor.blur();
+  editor.focus();
+  renderFindings();
+  updatePositionAndStats();
+}
+
+// Dismiss the current finding in its findings file, then move to the next one
+async function dismissCurrentFinding() {
+  const findings = activeTab.findings;
+  const item = findings && findings.items.find(candidate => candidate.index === findings.current);
+  if (!item) return;
+  
+  const result = await window.api.dismissFinding({ findingsPath: findings.findingsPath, index: item.index });
+  if (!result.success) {
+    alert(`Could not dismiss the finding: ${result.message}`);
+    return;
+  }
+  
+  item.dismissed = true;
+  findings.current = -1;
+  if (shownFindings(activeTab).length > 0) {
+    stepFinding(1);
+  } else {
+    renderFindings();
+  }
+}
+
+// Stop showing the findings in the active tab
+function closeFindings() {
+  activeTab.findings = null;
+  renderFindings();
+}
+
+// Show the finding under the mouse; the marks are behind the textarea, so
+// they are found by position rather than by mouse events
+function showFindingTooltip(e) {
+  if (!activeTab.findings || editorHighlights.classList.contains('stale')) return;
+  
+  const mark = document.elementsFromPoint(e.clientX, e.clientY)
+    .find(element => element.classList.contains('finding-mark'));
+  const item = mark && activeTab.findings.items.find(candidate => candidate.index === Number(mark.dataset.index));
+  if (!item) {
+    hideFindingTooltip();
+    return;
+  }
+  
+  findingTooltip.textContent = describeFinding(item);
+  findingTooltip.classList.add('visible');
+  
+  // Below and right of the mouse, kept inside the window
+  const left = Math.min(e.clientX + 12, window.innerWidth - findingTooltip.offsetWidth - 8);
+  const below = e.clientY + 18;
+  const top = below + findingTooltip.offsetHeight > window.innerHeight
+    ? e.clientY - findingTooltip.offsetHeight - 8
+    : below;
+  findingTooltip.style.left = `${Math.max(8, left)}px`;
+  findingTooltip.style.top = `${Math.max(8, top)}px`;
+}
+
+function hideFindingTooltip() {
+  findingTooltip.classList.remove('visible');
+}
+
+// Autosave and recovery
+// Save a recovery copy of each tab whose unsaved text changed since the last one
+async function autosaveTabs() {
+  if (!window.api || !window.api.autosave) return;
+  
+  storeActiveTab();
+  for (const tab of tabs) {
+    if (!tab.dirty) {
+      discardAutosave(tab);
+      continue;
+    }
+    if (tab.content === tab.autosaved) continue;
+    
+    const content = tab.content;
+    const result = await window.api.autosave({ tabId: tab.id, filePath: tab.filePath, content });
+    if (result.success) {
+      tab.autosaved = content;
+    }
+  }
+}
+
+// Remove a tab's recovery copy once it is saved or closed
+function discardAutosave(tab) {
+  if (tab.autosaved === null || !window.api || !window.api.discardAutosave) return;
+  tab.autosaved = null;
+  window.api.discardAutosave(tab.id);
+}
+
+// Offer to restore the unsaved text autosaved before a crash
+async function offerRecovery() {
+  if (!window.api || !window.api.getRecovery) return;
+  
+  const result = await window.api.getRecovery();
+  if (!result.success || result.records.length === 0) return;
+  
+  const list = result.records
+    .map(record => `- ${record.filePath || 'Untitled'} (autosaved ${new Date(record.savedAt).toLocaleString()})`)
+    .join('\n');
+  const restore = confirm(`The editor closed without saving these files:\n\n${list}\n\nRestore the unsaved text? Cancel discards it.`);
+  
+  // Restored text gets new recovery copies from its new tabs
+  await window.api.discardRecovery(result.records.map(record => record.id));
+  if (!restore) return;
+  
+  result.records.forEach(record => {
+    const existing = record.filePath && tabs.find(tab => tab.filePath === record.filePath);
+    const tab = existing || (isBlankTab(activeTab) ? activeTab : createTab(record.filePath, ''));
+    tab.filePath = record.filePath;
+    tab.content = record.content;
+    tab.diskContent = record.diskContent;
+    tab.dirty = true;
+    if (tab === activeTab) {
+      editor.value = record.content;
+    }
+    activateTab(tab);
+  });
+  await autosaveTabs();
+  showNotification(`Restored ${result.records.length} unsaved ${result.records.length === 1 ? 'file' : 'files'}`);
+}
+
+// Open files changed on disk
+// Reload a tab changed by another program, or ask what to do if it has unsaved changes
+function handleFileChangedOnDisk({ filePath, content, deleted }) {
+  const tab = tabs.find(candidate => candidate.filePath === filePath);
+  if (!tab) return;
+  
+  if (deleted) {
+    showNotification(`${tabName(tab)} was moved or deleted on disk`, 4000);
+    return;
+  }
+  // The editor's own save, or a change back to what the tab was opened with
+  if (content === tab.diskContent) {
+    tab.diskChange = null;
+    if (tab === activeTab) renderDiskChange();
+    return;
+  }
+  
+  if (tab === activeTab) storeActiveTab();
+  if (!tab.dirty) {
+    setTabText(tab, content);
+    tab.diskContent = content;
+    tab.diskChange = null;
+    showNotification(`${tabName(tab)} was changed on disk and has been reloaded`, 3000);
+  } else {
+    tab.diskChange = content;
+  }
+  if (tab === activeTab) renderDiskChange();
+}
+
+// Replace a tab's text, keeping the cursor and scroll position where possible
+function setTabText(tab, content) {
+  tab.content = content;
+  tab.selectionStart = Math.min(tab.selectionStart, content.length);
+  tab.selectionEnd = Math.min(tab.selectionEnd, content.length);
+  if (tab !== activeTab) return;
+  
+  const scrollTop = editor.scrollTop;
+  editor.value = content;
+  editor.setSelectionRange(tab.selectionStart, tab.selectionEnd);
+  editor.scrollTop = scrollTop;
+  refreshOutline();
+  refreshFindings();
+  updateMatchCount();
+  updatePositionAndStats();
+}
+
+// Show the choices for an active tab changed on disk while it had unsaved changes
+function renderDiskChange() {
+  const changed = activeTab.diskChange !== null;
+  diskChangeBar.classList.toggle('visible', changed);
+  if (changed) {
+    diskChangeMessage.textContent = `${tabName(activeTab)} was changed on disk by another program, and you have unsaved changes.`;
+  }
+}
+
+// Discard the unsaved changes and load the file as it is on disk
+function reloadFromDisk() {
+  const tab = activeTab;
+  if (tab.diskChange === null) return;
+  if (!confirm(`Discard your unsaved changes to ${tabName(tab)}?`)) return;
+  
+  storeActiveTab();
+  setTabText(tab, tab.diskChange);
+  tab.diskContent = tab.diskChange;
+  tab.diskChange = null;
+  tab.dirty = false;
+  discardAutosave(tab);
+  renderTabs();
+  renderDiskChange();
+}
+
+// Add the changes made on disk to the unsaved text; lines changed both ways are marked
+async function mergeFromDisk() {
+  const tab = activeTab;
+  if (tab.diskChange === null) return;
+  
+  const theirs = tab.diskChange;
+  const result = await window.api.mergeText({ base: tab.diskContent || '', mine: editor.value, theirs });
+  if (!result.success) {
+    alert(`Could not merge the changes: ${result.message}`);
+    return;
+  }
+  
+  // One edit, so Undo takes the merge back out
+  const { selectionStart } = editor;
+  replaceEditorText(0, editor.value.length, result.text);
+  tab.diskContent = theirs;
+  tab.diskChange = null;
+  renderDiskChange();
+  refreshOutline();
+  refreshFindings();
+  
+  if (result.conflicts > 0) {
+    const conflict = result.text.indexOf('<<<<<<< ');
+    editor.setSelectionRange(conflict, conflict);
+    editor.blur();
+    editor.focus();
+    updatePositionAndStats();
+    alert(`${result.conflicts} ${result.conflicts === 1 ? 'passage was' : 'passages were'} changed both here and on disk. Both versions are kept between the <<<<<<< and >>>>>>> lines; edit them and remove the markers.`);
+  } else {
+    const position = Math.min(selectionStart, result.text.length);
+    editor.setSelectionRange(position, position);
+    updatePositionAndStats();
+    showNotification('Merged the changes made on disk');
+  }
+}
+
+// Keep the unsaved text; the next save replaces the file on disk
+function keepMine() {
+  const tab = activeTab;
+  if (tab.diskChange === null) return;
+  tab.diskContent = tab.diskChange;
+  tab.diskChange = null;
+  renderDiskChange();
+}
+
+// File operations
+async function newFile() {
+  activateTab(createTab(null, ''));
+}
+
+async function openFile() {
   if (window.api && window.api.openFileDialog) {
     await window.api.openFileDialog();
     // The response is handled by the onFileOpened event
   }
 }
 
-async function saveFile() {
-  if (!currentFilePath) {
-    return saveFileAs();
+// Save a tab (the active one by default)
+async function saveFile(tab = activeTab) {
+  if (!tab.filePath) {
+    return saveFileAs(tab);
+  }
+  
+  if (tab === activeTab) {
+    storeActiveTab();
   }
   
-  const content = editor.value;
+  // Don't overwrite another program's changes without asking
+  if (tab.diskChange !== null &&
+      !confirm(`${tabName(tab)} was changed by another program since you opened it. Replace it with your version?`)) {
+    return;
+  }
   
   if (window.api && window.api.saveFile) {
+    const content = tab.content;
     const result = await window.api.saveFile({
-      filePath: currentFilePath,
+      filePath: tab.filePath,
       content,
       saveAs: false
     });
     
     if (result && result.success) {
-      documentChanged = false;
+      markSaved(tab, content);
+      renderTabs();
       // Show saved notification briefly
-      showNotification('File saved successfully');
+      showNotification(`${tabName(tab)} saved successfully`);
     }
   }
 }
 
-async function saveFileAs() {
-  const content = editor.value;
+async function saveFileAs(tab = activeTab) {
+  if (tab === activeTab) {
+    storeActiveTab();
+  }
   
   if (window.api && window.api.saveFile) {
+    const content = tab.content;
     const result = await window.api.saveFile({
-      filePath: currentFilePath,
+      filePath: tab.filePath,
       content,
       saveAs: true
     });
     
     if (result && result.success) {
-      currentFilePath = result.filePath;
-      currentFileDisplay.textContent = currentFilePath;
-      documentChanged = false;
+      tab.filePath = result.filePath;
+      markSaved(tab, content);
+      if (tab === activeTab) {
+        currentFileDisplay.textContent = tab.filePath;
+      }
+      renderTabs();
       // Show saved notification briefly
       showNotification('File saved successfully');
+      // A new file may have been added to the project
+      refreshFileTree();
     }
   }
 }
 
+// Save every tab with unsaved changes
+async function saveAllTabs() {
+  for (const tab of dirtyTabs()) {
+    await saveFile(tab);
+  }
+}
+
 // Show a brief notification
 function showNotification(message, duration = 2000) {
   // Create notification element if it doesn't exist
@@ -297,14 +1152,29 @@ function showNotification(message, duration = 2000) {
   }, duration);
 }
 
+// The file on disk now holds the text a tab had when it was saved; the tab
+// stays dirty if more was typed while the save was in progress
+function markSaved(tab, content) {
+  if (tab === activeTab) {
+    storeActiveTab();
+  }
+  tab.diskContent = content;
+  tab.diskChange = null;
+  tab.dirty = tab.content !== content;
+  if (!tab.dirty) {
+    discardAutosave(tab);
+  }
+  if (tab === activeTab) {
+    renderDiskChange();
+  }
+}
+
 // Handle opened file data from main process
 function handleFileOpened(data) {
   if (data && data.filePath && data.content !== undefined) {
-    currentFilePath = data.filePath;
-    editor.value = data.content;
-    currentFileDisplay.textContent = currentFilePath;
-    documentChanged = false;
-    updatePositionAndStats();
+    openInTab(data.filePath, data.content);
+    // The file may belong to a different project
+    refreshFileTree();
   }
 }
 
@@ -327,24 +1197,105 @@ function setupFindEventListeners() {
     }
   });
   
-  // Prevent other keyboard events from reaching the editor
-  findInput.addEventListener('keyup', function(e) {
+  // Enter key in replace input replaces the current match
+  replaceInput.addEventListener('keydown', function(e) {
     e.stopPropagation();
+    
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      replaceCurrent();
+    }
   });
   
-  findInput.addEventListener('keypress', function(e) {
-    e.stopPropagation();
+  // Prevent other keyboard events from reaching the editor
+  [findInput, replaceInput].forEach(input => {
+    input.addEventListener('keyup', function(e) {
+      e.stopPropagation();
+    });
+    
+    input.addEventListener('keypress', function(e) {
+      e.stopPropagation();
+    });
+  });
+  
+  // Count matches as the search is typed
+  findInput.addEventListener('input', updateMatchCount);
+  
+  // Option toggles
+  [[matchCaseBtn, 'matchCase'], [wholeWordBtn, 'wholeWord'], [regexBtn, 'regex']].forEach(([button, option]) => {
+    button.addEventListener('click', () => {
+      searchOptions[option] = !searchOptions[option];
+      button.classList.toggle('active', searchOptions[option]);
+      updateMatchCount();
+    });
   });
+  
+  // Replace buttons
+  replaceBtn.addEventListener('click', replaceCurrent);
+  replaceAllBtn.addEventListener('click', replaceAll);
+  replaceProjectBtn.addEventListener('click', previewProjectReplace);
+  replacePreviewCancel.addEventListener('click', hideReplacePreview);
+  replacePreviewApply.addEventListener('click', applyProjectReplace);
+}
+
+// The current search, as the shared text-search functions take it
+function currentSearch() {
+  return {
+    query: findInput.value,
+    replacement: replaceInput.value,
+    options: { ...searchOptions }
+  };
+}
+
+// Find every match in the active tab, showing the count (or why the search is invalid)
+// Returns null when there is nothing valid to search for
+function computeMatches() {
+  const { query, replacement, options } = currentSearch();
+  matchCountDisplay.classList.remove('error');
+  
+  if (!query.trim()) {
+    matchCountDisplay.textContent = '';
+    activeTab.findMatches = [];
+    activeTab.currentFindIndex = -1;
+    return null;
+  }
+  
+  try {
+    const matches = findAllMatches(editor.value, query, options, replacement);
+    matchCountDisplay.textContent = matches.length === 0 ? 'No matches' :
+      `${matches.length.toLocaleString()} ${matches.length === 1 ? 'match' : 'matches'}`;
+    // Matches are kept per tab, so each file keeps its place in the search
+    activeTab.findMatches = matches;
+    return matches;
+  } catch (error) {
+    matchCountDisplay.textContent = error.message;
+    matchCountDisplay.classList.add('error');
+    activeTab.findMatches = [];
+    activeTab.currentFindIndex = -1;
+    return null;
+  }
+}
+
+// Recount matches without moving the selection
+function updateMatchCount() {
+  const matches = computeMatches();
+  if (matches) {
+    activeTab.currentFindIndex = matches.findIndex(match =>
+      match.start === editor.selectionStart && match.end === editor.selectionEnd);
+  }
+  updatePositionAndStats();
 }
 
 // Clear search functionality
 function clearSearch() {
   // Clear the search input
   findInput.value = '';
+  matchCountDisplay.textContent = '';
+  matchCountDisplay.classList.remove('error');
   
   // Reset search variables
-  currentFindIndex = -1;
-  findMatches = [];
+  activeTab.currentFindIndex = -1;
+  activeTab.findMatches = [];
   
   // Reset any highlighting in the editor
   // (This assumes you might have applied highlighting to search matches)
@@ -356,55 +1307,221 @@ function clearSearch() {
   editor.focus();
 }
 
-// Perform the find operation
+// Perform the find operation: select the next match after the cursor
 function performFind() {
-  const findText = findInput.value.trim();
+  const matches = computeMatches();
   
-  // Don't search for empty strings
-  if (!findText) {
-    currentFindIndex = -1;
-    findMatches = [];
-    // Reset statistics display
+  // Nothing to search for, an invalid pattern or no matches
+  if (!matches || matches.length === 0) {
+    activeTab.currentFindIndex = -1;
     updatePositionAndStats();
     return;
   }
   
-  const content = editor.value;
-  findMatches = [];
+  // Search forward from the cursor (or just past the current match),
+  // wrapping to the first match at the end
+  const from = editor.selectionStart === editor.selectionEnd ? editor.selectionStart : editor.selectionStart + 1;
+  const next = matches.findIndex(match => match.start >= from);
+  activeTab.currentFindIndex = next === -1 ? 0 : next;
   
-  // Find all occurrences of the search text
-  let position = content.indexOf(findText, 0);
+  // Highlight the current match
+  highlightCurrentMatch();
+}
+
+// Replace text in the editor, keeping the change on the undo stack where possible
+function replaceEditorText(start, end, text) {
+  editor.focus();
+  editor.setSelectionRange(start, end);
+  let inserted = false;
+  try {
+    inserted = document.execCommand('insertText', false, text);
+  } catch (error) {
+    inserted = false;
+  }
+  if (!inserted) {
+    editor.setRangeText(text, start, end, 'end');
+    scheduleOutlineRefresh();
+    scheduleFindingsRefresh();
+  }
+  markDirty();
+}
+
+// Replace the selected match, then move to the next one
+function replaceCurrent() {
+  const matches = computeMatches();
+  if (!matches || matches.length === 0) {
+    updatePositionAndStats();
+    return;
+  }
   
-  while (position !== -1) {
-    findMatches.push({
-      start: position,
-      end: position + findText.length
+  const selected = matches.find(match =>
+    match.start === editor.selectionStart && match.end === editor.selectionEnd);
+  if (selected) {
+    replaceEditorText(selected.start, selected.end, selected.replacement);
+    editor.setSelectionRange(selected.start + selected.replacement.length, selected.start + selected.replacement.length);
+  }
+  performFind();
+}
+
+// Replace every match in the active tab
+function replaceAll() {
+  const matches = computeMatches();
+  if (!matches || matches.length === 0) {
+    updatePositionAndStats();
+    return;
+  }
+  
+  const { query, replacement, options } = currentSearch();
+  const replaced = replaceAllMatches(editor.value, query, replacement, options);
+  replaceEditorText(0, editor.value.length, replaced.text);
+  editor.setSelectionRange(0, 0);
+  editor.scrollTop = 0;
+  
+  computeMatches();
+  activeTab.currentFindIndex = -1;
+  updatePositionAndStats();
+  showNotification(`Replaced ${replaced.count.toLocaleString()} ${replaced.count === 1 ? 'match' : 'matches'}`);
+}
+
+// Files (and their matches) listed in the project replace preview
+let projectReplacePreview = null;
+
+// Show which files a project-wide replace would change, before changing them
+async function previewProjectReplace() {
+  if (!window.api || !window.api.previewProjectReplace) return;
+  
+  const search = currentSearch();
+  if (!search.query.trim()) {
+    alert('Enter the text to find first.');
+    return;
+  }
+  computeMatches();
+  if (matchCountDisplay.classList.contains('error')) {
+    alert(matchCountDisplay.textContent);
+    return;
+  }
+  
+  const result = await window.api.previewProjectReplace(search);
+  if (!result.success) {
+    alert(result.message);
+    return;
+  }
+  if (result.files.length === 0) {
+    alert('No matches in the project\'s .txt files.');
+    return;
+  }
+  
+  projectReplacePreview = { search, files: result.files };
+  const total = result.files.reduce((sum, file) => sum + file.count, 0);
+  replacePreviewTitle.textContent = `Replace ${total.toLocaleString()} ${total === 1 ? 'match' : 'matches'} in ${result.files.length} ${result.files.length === 1 ? 'file' : 'files'}`;
+  
+  replacePreviewList.innerHTML = '';
+  result.files.forEach((file, index) => {
+    const fileElement = document.createElement('div');
+    fileElement.className = 'replace-preview-file';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = true;
+    checkbox.id = `replace-file-${index}`;
+    checkbox.dataset.path = file.filePath;
+    
+    const label = document.createElement('label');
+    label.htmlFor = checkbox.id;
+    label.textContent = ` ${file.name} (${file.count.toLocaleString()})`;
+    
+    fileElement.appendChild(checkbox);
+    fileElement.appendChild(label);
+    
+    file.samples.forEach(sample => {
+      const sampleElement = document.createElement('div');
+      sampleElement.className = 'replace-preview-sample';
+      sampleElement.appendChild(document.createTextNode(`${sample.line}: ${sample.before}`));
+      const del = document.createElement('del');
+      del.textContent = sample.match;
+      const ins = document.createElement('ins');
+      ins.textContent = sample.replacement;
+      sampleElement.appendChild(del);
+      sampleElement.appendChild(ins);
+      sampleElement.appendChild(document.createTextNode(sample.after));
+      fileElement.appendChild(sampleElement);
     });
+    if (file.count > file.samples.length) {
+      const more = document.createElement('div');
+      more.className = 'replace-preview-sample';
+      more.textContent = `… and ${(file.count - file.samples.length).toLocaleString()} more`;
+      fileElement.appendChild(more);
+    }
     
-    // Find next occurrence
-    position = content.indexOf(findText, position + 1);
+    replacePreviewList.appendChild(fileElement);
+  });
+  
+  replacePreview.classList.add('visible');
+}
+
+// Hide the project replace preview
+function hideReplacePreview() {
+  replacePreview.classList.remove('visible');
+  projectReplacePreview = null;
+}
+
+// Replace in the files ticked in the preview, then reload any open tabs for them
+async function applyProjectReplace() {
+  if (!projectReplacePreview) return;
+  
+  const filePaths = Array.from(replacePreviewList.querySelectorAll('input[type="checkbox"]'))
+    .filter(checkbox => checkbox.checked)
+    .map(checkbox => checkbox.dataset.path);
+  if (filePaths.length === 0) {
+    hideReplacePreview();
+    return;
   }
   
-  // If no matches, reset
-  if (findMatches.length === 0) {
-    currentFindIndex = -1;
-    alert('No matches found');
+  // Unsaved edits would be overwritten by (or overwrite) the replaced files
+  const unsaved = dirtyTabs().filter(tab => filePaths.includes(tab.filePath));
+  if (unsaved.length > 0) {
+    alert(`Save or close these files first: ${unsaved.map(tabName).join(', ')}`);
     return;
   }
   
-  // Move to the next match or first if we're at the end
-  if (currentFindIndex < 0 || currentFindIndex >= findMatches.length - 1) {
-    currentFindIndex = 0;
-  } else {
-    currentFindIndex++;
+  const result = await window.api.applyProjectReplace({ ...projectReplacePreview.search, filePaths });
+  hideReplacePreview();
+  
+  const changed = (result.results || []).filter(file => file.count > 0);
+  for (const file of changed) {
+    const tab = tabs.find(candidate => candidate.filePath === file.filePath);
+    if (!tab) continue;
+    const reloaded = await window.api.readFile(file.filePath);
+    if (!reloaded.success) continue;
+    tab.diskContent = reloaded.content;
+    if (tab === activeTab) {
+      editor.value = reloaded.content;
+      refreshOutline();
+      refreshFindings();
+    } else {
+      tab.content = reloaded.content;
+      if (tab.findings) {
+        locateFindings(tab.findings, tab.content);
+      }
+    }
   }
+  updateMatchCount();
   
-  // Highlight the current match
-  highlightCurrentMatch();
+  if (!result.success) {
+    alert(`Replacing stopped: ${result.message}`);
+    return;
+  }
+  const total = changed.reduce((sum, file) => sum + file.count, 0);
+  const failed = result.results.filter(file => file.error);
+  showNotification(`Replaced ${total.toLocaleString()} ${total === 1 ? 'match' : 'matches'} in ${changed.length} ${changed.length === 1 ? 'file' : 'files'}`);
+  if (failed.length > 0) {
+    alert(failed.map(file => `${file.filePath}: ${file.error}`).join('\n'));
+  }
 }
 
 // Highlight the current match
 function highlightCurrentMatch() {
+  const { findMatches, currentFindIndex } = activeTab;
   if (currentFindIndex < 0 || findMatches.length === 0) return;
   
   const match = findMatches[currentFindIndex];
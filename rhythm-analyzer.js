@@ -4,6 +4,16 @@ const path = require('path');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
+const { parseManuscript, listScenes, formatSceneIndex, formatFindingsByScene } = require('./manuscript');
+
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'monotonous rhythm',
+  'rhythm-mood mismatch',
+  'sentence length',
+  'sound pattern',
+  'paragraph rhythm'
+];
 
 /**
  * Rhythm Analyzer Tool
@@ -62,12 +72,19 @@ class RhythmAnalyzer extends BaseTool {
       this.emitOutput(`Reading manuscript file: ${manuscriptFile}\n`);
       const manuscriptContent = await this.readInputFile(manuscriptFile);
       
+      // Split into scenes so findings can be tied to scene IDs
+      const manuscript = parseManuscript(manuscriptContent);
+      this.emitOutput(`Found ${listScenes(manuscript).length} scenes in ${manuscript.chapters.length} chapters.\n`);
+      
       // Create the prompt
-      const prompt = this.createRhythmAnalysisPrompt(manuscriptContent, analysisLevel, sceneTypes, rhythmSensitivity);
+      const prompt = this.createRhythmAnalysisPrompt(manuscriptContent, analysisLevel, sceneTypes, rhythmSensitivity, formatSceneIndex(manuscript));
+
+      // Create system prompt to avoid markdown
+      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
 
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -113,9 +130,6 @@ class RhythmAnalyzer extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt to avoid markdown
-      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
-
       // Use the calculated values in the API call - FIXED to match dangling-modifier-checker.js exactly
       try {
         await this.claudeService.streamWithThinking(
@@ -159,6 +173,9 @@ class RhythmAnalyzer extends BaseTool {
       // Remove any markdown formatting
       fullResponse = this.removeMarkdown(fullResponse);
 
+      // Index the findings scene by scene
+      fullResponse += formatFindingsByScene(fullResponse, manuscript);
+
       // Save the report
       const outputFile = await this.saveReport(
         analysisLevel,
@@ -173,6 +190,10 @@ class RhythmAnalyzer extends BaseTool {
       
       // Add all output files to the result
       outputFiles.push(...outputFile);
+
+      // Ask for the report's findings as structured data and save them next to it
+      const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+      outputFiles.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
       
       // Add files to the cache
       const toolName = 'rhythm_analyzer';
@@ -206,9 +227,10 @@ class RhythmAnalyzer extends BaseTool {
    * @param {string} analysisLevel - Analysis level (basic, standard, detailed)
    * @param {Array|string} sceneTypes - Types of scenes to analyze
    * @param {string} rhythmSensitivity - Sensitivity level (low, medium, high)
+   * @param {string} sceneIndex - Scene IDs with their opening words (see formatSceneIndex)
    * @returns {string} - Prompt for Claude API
    */
-  createRhythmAnalysisPrompt(manuscriptContent, analysisLevel = "standard", sceneTypes = ["action", "dialogue", "description", "exposition"], rhythmSensitivity = "medium") {
+  createRhythmAnalysisPrompt(manuscriptContent, analysisLevel = "standard", sceneTypes = ["action", "dialogue", "description", "exposition"], rhythmSensitivity = "medium", sceneIndex = "") {
     // Build instruction section based on analysis level
     const basicInstructions = `
 1. SENTENCE RHYTHM OVERVIEW:
@@ -302,6 +324,7 @@ Pay special attention to:
 5. Paragraph structure and how it contributes to overall rhythm
 
 For each issue you identify, provide:
+- The scene it occurs in, by its ID from the SCENE INDEX in square brackets, e.g. [Ch 4, Scene 2]
 - The original passage
 - What makes the rhythm less effective
 - A specific recommendation for improvement
@@ -315,7 +338,7 @@ Be specific in your examples and suggestions, showing how prose rhythm can be im
 `;
 
     // Combine all sections
-    return `=== MANUSCRIPT ===\n${manuscriptContent}\n=== END MANUSCRIPT ===\n\n${instructions}`;
+    return `=== MANUSCRIPT ===\n${manuscriptContent}\n=== END MANUSCRIPT ===\n\n=== SCENE INDEX ===\n${sceneIndex}\n=== END SCENE INDEX ===\n\n${instructions}`;
   }
 
   /**
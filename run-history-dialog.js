@@ -0,0 +1,186 @@
+// Get references to DOM elements
+const projectNameSpan = document.getElementById('project-name');
+const runList = document.getElementById('run-list');
+const detailsSummary = document.getElementById('details-summary');
+const rerunBtn = document.getElementById('rerun-btn');
+const editBtn = document.getElementById('edit-btn');
+const reviewBtn = document.getElementById('review-btn');
+const fileSelect = document.getElementById('file-select');
+const runOutput = document.getElementById('run-output');
+const closeBtn = document.getElementById('close-btn');
+
+// The run currently shown in the details pane
+let selectedRunId = null;
+
+// Format an ISO timestamp for display
+function formatTime(isoString) {
+  if (!isoString) return '';
+  return new Date(isoString).toLocaleString();
+}
+
+// Format how long a run took
+function formatDuration(run) {
+  if (!run.startTime || !run.endTime) return '';
+  const seconds = Math.round((new Date(run.endTime) - new Date(run.startTime)) / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+// When the page loads, fetch the run history for the current project
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    const projectInfo = await window.electronAPI.getProjectInfo();
+    projectNameSpan.textContent = projectInfo.current_project || '';
+
+    const runs = await window.electronAPI.getRunHistory();
+    renderRunList(runs);
+  } catch (error) {
+    console.error('Error loading run history:', error);
+    runList.innerHTML = '<div class="empty-message">Failed to load run history.</div>';
+  }
+});
+
+// Show the list of past runs
+function renderRunList(runs) {
+  runList.innerHTML = '';
+
+  if (runs.length === 0) {
+    runList.innerHTML = '<div class="empty-message">No tool runs recorded for this project yet.</div>';
+    return;
+  }
+
+  runs.forEach(run => {
+    const item = document.createElement('div');
+    item.className = 'run-item';
+    item.dataset.runId = run.runId;
+
+    const title = document.createElement('div');
+    title.className = 'run-item-title';
+    title.textContent = run.toolTitle;
+
+    const meta = document.createElement('div');
+    meta.className = 'run-item-meta';
+    const status = document.createElement('span');
+    status.className = `status-${run.status}`;
+    status.textContent = run.status;
+    meta.appendChild(status);
+    meta.appendChild(document.createTextNode(` · ${formatTime(run.startTime)}`));
+
+    item.appendChild(title);
+    item.appendChild(meta);
+    item.addEventListener('click', () => showRunDetails(run.runId));
+    runList.appendChild(item);
+  });
+}
+
+// Show a run's options, stats, created files and full output
+async function showRunDetails(runId) {
+  selectedRunId = runId;
+
+  document.querySelectorAll('.run-item').forEach(item => {
+    item.classList.toggle('selected', item.dataset.runId === runId);
+  });
+
+  const run = await window.electronAPI.getRunDetails(runId);
+  if (!run || selectedRunId !== runId) {
+    return;
+  }
+
+  const lines = [
+    `Tool: ${run.toolTitle}`,
+    `Status: ${run.status}`,
+    `Started: ${formatTime(run.startTime)}`
+  ];
+  if (run.endTime) {
+    lines.push(`Ended: ${formatTime(run.endTime)} (${formatDuration(run)})`);
+  }
+  if (run.error) {
+    lines.push(`Error: ${run.error}`);
+  }
+
+  const optionEntries = Object.entries(run.options || {});
+  if (optionEntries.length > 0) {
+    lines.push('Options:');
+    optionEntries.forEach(([name, value]) => lines.push(`  ${name}: ${value}`));
+  }
+
+  if (run.stats) {
+    lines.push('Stats:');
+    Object.entries(run.stats).forEach(([name, value]) => {
+      lines.push(`  ${name}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    });
+  }
+
+  detailsSummary.textContent = lines.join('\n');
+  runOutput.textContent = run.output || '(no output was captured)';
+  runOutput.scrollTop = 0;
+
+  // Created files
+  fileSelect.innerHTML = '';
+  (run.createdFiles || []).forEach(file => {
+    const option = document.createElement('option');
+    option.value = file;
+    option.textContent = file.split(/[/\\]/).pop();
+    option.title = file;
+    fileSelect.appendChild(option);
+  });
+  const hasFiles = fileSelect.options.length > 0;
+  fileSelect.disabled = !hasFiles;
+  editBtn.disabled = !hasFiles;
+  reviewBtn.disabled = !(run.createdFiles || []).some(isFindingsFile);
+
+  rerunBtn.disabled = false;
+}
+
+// Open the selected output file in the editor
+editBtn.addEventListener('click', async () => {
+  if (!fileSelect.value) return;
+  try {
+    await window.electronAPI.openFileInEditor(fileSelect.value);
+  } catch (error) {
+    console.error('Error opening file:', error);
+    alert(`Could not open file: ${error.message}`);
+  }
+});
+
+// Whether a created file holds a run's structured findings
+function isFindingsFile(file) {
+  return file.endsWith('.findings.json');
+}
+
+// Review the suggested changes in the selected findings file (or the run's first one)
+reviewBtn.addEventListener('click', async () => {
+  const findingsFiles = Array.from(fileSelect.options).map(option => option.value).filter(isFindingsFile);
+  const findingsPath = isFindingsFile(fileSelect.value) ? fileSelect.value : findingsFiles[0];
+  if (!findingsPath) return;
+
+  const result = await window.electronAPI.showSuggestionReview(findingsPath);
+  if (!result.success) {
+    alert(result.message);
+  }
+});
+
+// Open the tool window prefilled with this run's options
+rerunBtn.addEventListener('click', async () => {
+  if (!selectedRunId) return;
+  const result = await window.electronAPI.rerunTool(selectedRunId);
+  if (!result.success) {
+    alert(result.message);
+  }
+});
+
+// Close the dialog
+closeBtn.addEventListener('click', () => {
+  window.electronAPI.closeRunHistoryDialog();
+});
+
+// Handle theme changes
+window.electronAPI.onSetTheme((theme) => {
+  if (theme === 'light') {
+    document.body.classList.remove('dark-mode');
+    document.body.classList.add('light-mode');
+  } else {
+    document.body.classList.remove('light-mode');
+    document.body.classList.add('dark-mode');
+  }
+});
@@ -0,0 +1,228 @@
+// run-history.js
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Persistent history of tool runs for each project
+ * Every run is stored in the project's hidden .toolkit/runs folder as:
+ *   <runId>.json - tool, options, start/end time, stats, status and created files
+ *   <runId>.log  - the full output streamed to the tool window
+ * This is a singleton used by the main process
+ */
+const runHistory = {
+  // Runs that are still in progress, keyed by runId
+  _activeRuns: new Map(),
+
+  /**
+   * Get the history folder for a project
+   * @param {string} projectPath - Project directory
+   * @returns {string} - Path to the run history folder
+   */
+  getHistoryDir(projectPath) {
+    return path.join(projectPath, '.toolkit', 'runs');
+  },
+
+  /**
+   * Check that a runId is safe to use as a filename
+   * @param {string} runId - Run ID
+   * @returns {boolean} - True if the runId is valid
+   */
+  isValidRunId(runId) {
+    return typeof runId === 'string' && /^[A-Za-z0-9_-]+$/.test(runId);
+  },
+
+  /**
+   * Record the start of a tool run
+   * @param {string} projectPath - Project directory
+   * @param {Object} run - Run details
+   * @param {string} run.runId - Run ID
+   * @param {string} run.toolId - Tool ID
+   * @param {string} run.toolTitle - Tool title for display
+   * @param {Object} run.options - Option values the tool was run with
+   * @param {boolean} [run.resume] - Continue an earlier run with this runId (a
+   *   batch run resumed after a restart), keeping its start time and output
+   * @returns {Object|null} - The new run record, or null if it could not be stored
+   */
+  startRun(projectPath, { runId, toolId, toolTitle, options, resume = false }) {
+    if (!projectPath || !this.isValidRunId(runId)) {
+      return null;
+    }
+
+    const record = {
+      runId,
+      toolId,
+      toolTitle: toolTitle || toolId,
+      options: options || {},
+      startTime: new Date().toISOString(),
+      endTime: null,
+      status: 'running',
+      error: null,
+      stats: null,
+      createdFiles: []
+    };
+
+    try {
+      const historyDir = this.getHistoryDir(projectPath);
+      fs.mkdirSync(historyDir, { recursive: true });
+      if (resume) {
+        try {
+          const previous = JSON.parse(fs.readFileSync(path.join(historyDir, `${runId}.json`), 'utf8'));
+          record.startTime = previous.startTime || record.startTime;
+        } catch (error) {
+          // No earlier record; start a fresh one
+        }
+      } else {
+        fs.writeFileSync(path.join(historyDir, `${runId}.log`), '', 'utf8');
+      }
+      this._writeRecord(projectPath, record);
+    } catch (error) {
+      console.error(`Error starting run history for ${runId}:`, error);
+      return null;
+    }
+
+    this._activeRuns.set(runId, { projectPath, record });
+    return record;
+  },
+
+  /**
+   * Append streamed output to a run's log
+   * @param {string} runId - Run ID
+   * @param {string} text - Output text
+   */
+  appendOutput(runId, text) {
+    const active = this._activeRuns.get(runId);
+    if (!active) {
+      return;
+    }
+
+    try {
+      const logPath = path.join(this.getHistoryDir(active.projectPath), `${runId}.log`);
+      fs.appendFileSync(logPath, text, 'utf8');
+    } catch (error) {
+      console.error(`Error writing run log for ${runId}:`, error);
+    }
+  },
+
+  /**
+   * Record the end of a tool run
+   * @param {string} runId - Run ID
+   * @param {Object} outcome - How the run ended
+   * @param {string} outcome.status - 'finished', 'error' or 'cancelled'
+   * @param {string[]} [outcome.createdFiles] - Files created by the run
+   * @param {Object} [outcome.stats] - Stats returned by the tool
+   * @param {string} [outcome.error] - Error message if the run failed
+   * @returns {Object|null} - The updated run record
+   */
+  finishRun(runId, { status, createdFiles = [], stats = null, error = null }) {
+    const active = this._activeRuns.get(runId);
+    if (!active) {
+      return null;
+    }
+
+    const record = active.record;
+    record.endTime = new Date().toISOString();
+    record.status = status;
+    record.createdFiles = createdFiles;
+    record.stats = stats;
+    record.error = error;
+
+    try {
+      this._writeRecord(active.projectPath, record);
+    } catch (writeError) {
+      console.error(`Error saving run history for ${runId}:`, writeError);
+    }
+
+    this._activeRuns.delete(runId);
+    return record;
+  },
+
+  /**
+   * List all runs for a project, newest first
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<Object[]>} - Array of run records
+   */
+  async listRuns(projectPath) {
+    if (!projectPath) {
+      return [];
+    }
+
+    const historyDir = this.getHistoryDir(projectPath);
+    let files;
+    try {
+      files = await fs.promises.readdir(historyDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const runs = [];
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const content = await fs.promises.readFile(path.join(historyDir, file), 'utf8');
+        runs.push(this._withCurrentStatus(JSON.parse(content)));
+      } catch (error) {
+        console.warn(`Skipping unreadable run history file ${file}:`, error.message);
+      }
+    }
+
+    return runs.sort((a, b) => b.startTime.localeCompare(a.startTime));
+  },
+
+  /**
+   * Get a single run including its full output log
+   * @param {string} projectPath - Project directory
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>} - Run record with an output property, or null if not found
+   */
+  async getRun(projectPath, runId) {
+    if (!projectPath || !this.isValidRunId(runId)) {
+      return null;
+    }
+
+    const historyDir = this.getHistoryDir(projectPath);
+    try {
+      const content = await fs.promises.readFile(path.join(historyDir, `${runId}.json`), 'utf8');
+      const record = this._withCurrentStatus(JSON.parse(content));
+
+      let output = '';
+      try {
+        output = await fs.promises.readFile(path.join(historyDir, `${runId}.log`), 'utf8');
+      } catch (error) {
+        // A missing log just means no output was captured
+      }
+
+      return { ...record, output };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * A run saved as 'running' that is not active was cut short by the app closing
+   * @param {Object} record - Run record
+   * @returns {Object} - Run record with its effective status
+   */
+  _withCurrentStatus(record) {
+    if (record.status === 'running' && !this._activeRuns.has(record.runId)) {
+      return { ...record, status: 'interrupted' };
+    }
+    return record;
+  },
+
+  /**
+   * Write a run record to disk
+   * @param {string} projectPath - Project directory
+   * @param {Object} record - Run record
+   */
+  _writeRecord(projectPath, record) {
+    const recordPath = path.join(this.getHistoryDir(projectPath), `${record.runId}.json`);
+    fs.writeFileSync(recordPath, JSON.stringify(record, null, 2), 'utf8');
+  }
+};
+
+module.exports = runHistory;
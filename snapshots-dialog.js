@@ -0,0 +1,246 @@
+// Get references to DOM elements
+const fileSelect = document.getElementById('file-select');
+const countsSpan = document.getElementById('counts');
+const snapshotBtn = document.getElementById('snapshot-btn');
+const versionList = document.getElementById('version-list');
+const fromLabel = document.getElementById('from-label');
+const toSelect = document.getElementById('to-select');
+const changeCounts = document.getElementById('change-counts');
+const restoreBtn = document.getElementById('restore-btn');
+const diffView = document.getElementById('diff-view');
+const closeBtn = document.getElementById('close-btn');
+
+// Unchanged text longer than this is shortened in the diff
+const CONTEXT_LENGTH = 300;
+
+// All snapshots in the project, newest first
+let allSnapshots = [];
+// Selected version: a snapshot id, or 'current' for the file as it is now
+let selectedId = null;
+
+// When the page loads, fetch the snapshots
+document.addEventListener('DOMContentLoaded', () => {
+  loadSnapshots();
+});
+
+// Load (or reload) the project's files and snapshots
+async function loadSnapshots(file) {
+  const result = await window.electronAPI.getSnapshots();
+  if (!result.success) {
+    diffView.textContent = `Could not load the versions: ${result.message}`;
+    return;
+  }
+
+  allSnapshots = result.snapshots;
+  const current = file || fileSelect.value || result.file || result.files[0];
+
+  fileSelect.innerHTML = '';
+  result.files.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    fileSelect.appendChild(option);
+  });
+  if (current) {
+    fileSelect.value = current;
+  }
+  snapshotBtn.disabled = !fileSelect.value;
+
+  selectedId = null;
+  renderList();
+}
+
+// Snapshots of the selected file
+function fileSnapshots() {
+  return allSnapshots.filter(snapshot => snapshot.file === fileSelect.value);
+}
+
+// Label for a version
+function versionLabel(id) {
+  if (id === 'current') return 'Current file';
+  const snapshot = allSnapshots.find(candidate => candidate.id === id);
+  return snapshot ? new Date(snapshot.createdAt).toLocaleString() : id;
+}
+
+// Show the versions of the selected file
+function renderList() {
+  versionList.innerHTML = '';
+
+  const versions = fileSnapshots();
+  countsSpan.textContent = fileSelect.value ? `${versions.length} saved versions` : '';
+  if (!fileSelect.value) {
+    versionList.innerHTML = '<div class="empty-message">This project has no text files.</div>';
+    return;
+  }
+
+  const addItem = (id, title, meta) => {
+    const item = document.createElement('div');
+    item.className = 'version-item';
+    item.classList.toggle('selected', id === selectedId);
+    item.dataset.id = id;
+
+    const titleDiv = document.createElement('div');
+    titleDiv.className = 'version-item-title';
+    titleDiv.textContent = title;
+
+    const metaDiv = document.createElement('div');
+    metaDiv.className = 'version-item-meta';
+    metaDiv.textContent = meta;
+
+    item.appendChild(titleDiv);
+    item.appendChild(metaDiv);
+    item.addEventListener('click', () => selectVersion(id));
+    versionList.appendChild(item);
+  };
+
+  addItem('current', 'Current file', 'As it is now');
+  versions.forEach(snapshot => {
+    addItem(snapshot.id, versionLabel(snapshot.id), `${snapshot.reason} · ${snapshot.words.toLocaleString()} words`);
+  });
+
+  if (versions.length === 0) {
+    diffView.textContent = 'No versions of this file have been saved yet.';
+  } else if (selectedId === null) {
+    diffView.textContent = 'Select a version to compare it.';
+  }
+  fromLabel.textContent = selectedId ? versionLabel(selectedId) : '-';
+  restoreBtn.disabled = !selectedId || selectedId === 'current';
+}
+
+// Select a version and compare it with the next newer one
+function selectVersion(id) {
+  selectedId = id;
+  document.querySelectorAll('.version-item').forEach(item => {
+    item.classList.toggle('selected', item.dataset.id === id);
+  });
+  fromLabel.textContent = versionLabel(id);
+  restoreBtn.disabled = id === 'current';
+
+  // Any other version can be compared with it
+  const ids = ['current', ...fileSnapshots().map(snapshot => snapshot.id)];
+  toSelect.innerHTML = '';
+  ids.filter(other => other !== id).forEach(other => {
+    const option = document.createElement('option');
+    option.value = other;
+    option.textContent = versionLabel(other);
+    toSelect.appendChild(option);
+  });
+
+  // Default to the version that came after it
+  const index = ids.indexOf(id);
+  toSelect.value = index > 0 ? ids[index - 1] : (ids[1] || '');
+  showDiff();
+}
+
+// Show the word-level diff between the two chosen versions, oldest first
+async function showDiff() {
+  changeCounts.textContent = '';
+  if (!selectedId || !toSelect.value) {
+    diffView.textContent = selectedId ? 'There is no other version to compare with.' : 'Select a version to compare it.';
+    return;
+  }
+
+  // 'current' is newest, and snapshot ids sort by time
+  const order = (id) => (id === 'current' ? '~' : id);
+  const [fromId, toId] = [selectedId, toSelect.value].sort((a, b) => order(a).localeCompare(order(b)));
+
+  diffView.textContent = 'Comparing...';
+  const result = await window.electronAPI.diffSnapshots(fileSelect.value, fromId, toId);
+  if (!result.success) {
+    diffView.textContent = `Could not compare the versions: ${result.message}`;
+    return;
+  }
+
+  changeCounts.textContent = `${versionLabel(fromId)} → ${versionLabel(toId)}: +${result.added} / −${result.removed} words`;
+  renderDiff(result.parts);
+}
+
+// Fill the diff view, shortening long unchanged stretches
+function renderDiff(parts) {
+  diffView.innerHTML = '';
+  if (!parts.some(part => part.type !== 'same')) {
+    diffView.textContent = 'The two versions are identical.';
+    return;
+  }
+
+  parts.forEach((part, index) => {
+    if (part.type !== 'same') {
+      const mark = document.createElement(part.type === 'removed' ? 'del' : 'ins');
+      mark.textContent = part.text;
+      diffView.appendChild(mark);
+      return;
+    }
+
+    const keepStart = index > 0 ? CONTEXT_LENGTH : 0;
+    const keepEnd = index < parts.length - 1 ? CONTEXT_LENGTH : 0;
+    if (part.text.length <= keepStart + keepEnd + CONTEXT_LENGTH) {
+      diffView.appendChild(document.createTextNode(part.text));
+      return;
+    }
+
+    const hidden = part.text.slice(keepStart, part.text.length - keepEnd);
+    diffView.appendChild(document.createTextNode(part.text.slice(0, keepStart)));
+    const skipped = document.createElement('span');
+    skipped.className = 'skipped';
+    skipped.textContent = `… ${(hidden.match(/\S+/g) || []).length.toLocaleString()} unchanged words …`;
+    diffView.appendChild(skipped);
+    diffView.appendChild(document.createTextNode(part.text.slice(part.text.length - keepEnd)));
+  });
+}
+
+fileSelect.addEventListener('change', () => {
+  selectedId = null;
+  renderList();
+});
+
+toSelect.addEventListener('change', () => showDiff());
+
+// Save a version of the selected file now
+snapshotBtn.addEventListener('click', async () => {
+  const file = fileSelect.value;
+  if (!file) return;
+
+  const result = await window.electronAPI.takeSnapshot(file);
+  if (!result.success) {
+    alert(`Could not save a version: ${result.message}`);
+    return;
+  }
+  if (!result.snapshot) {
+    alert('The file has not changed since its latest saved version.');
+    return;
+  }
+  await loadSnapshots(file);
+});
+
+// Restore the selected version (the file as it is now is saved as a version first)
+restoreBtn.addEventListener('click', async () => {
+  if (!selectedId || selectedId === 'current') return;
+  if (!confirm(`Restore ${fileSelect.value} to the version from ${versionLabel(selectedId)}?\n\nThe file as it is now will be kept as a version.`)) {
+    return;
+  }
+
+  const file = fileSelect.value;
+  const result = await window.electronAPI.restoreSnapshot(selectedId);
+  if (!result.success) {
+    alert(`Could not restore the version: ${result.message}`);
+    return;
+  }
+  alert(`Restored ${result.filePath}`);
+  await loadSnapshots(file);
+});
+
+// Close the dialog
+closeBtn.addEventListener('click', () => {
+  window.electronAPI.closeSnapshots();
+});
+
+// Handle theme changes
+window.electronAPI.onSetTheme((theme) => {
+  if (theme === 'light') {
+    document.body.classList.remove('dark-mode');
+    document.body.classList.add('light-mode');
+  } else {
+    document.body.classList.remove('light-mode');
+    document.body.classList.add('dark-mode');
+  }
+});
@@ -0,0 +1,306 @@
+// snapshots.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const appState = require('./state.js');
+const { diffWords, countChanges } = require('./text-diff');
+
+// Only text files are versioned
+const SNAPSHOT_EXTENSIONS = ['.txt', '.md'];
+
+// Oldest snapshots of a file are removed beyond this many
+const MAX_SNAPSHOTS_PER_FILE = 100;
+
+// Whether a path is inside a directory
+function isInside(dir, filePath) {
+  const relative = path.relative(dir, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Version snapshots of the text files in a project
+ * Snapshots are stored in the project's hidden .toolkit/snapshots folder as:
+ *   <id>.json - file (relative to the project), reason, time, size, words and hash
+ *   <id>.txt  - the file's content at that time
+ * A snapshot is taken before a tool or the editor overwrites a file, after
+ * every editor save and on demand; one identical to the file's latest
+ * snapshot is not stored again.
+ * This is a singleton used by the main process and the tools
+ */
+const snapshots = {
+  /**
+   * Get the snapshot folder for a project
+   * @param {string} projectPath - Project directory
+   * @returns {string} - Path to the snapshot folder
+   */
+  getSnapshotDir(projectPath) {
+    return path.join(projectPath, '.toolkit', 'snapshots');
+  },
+
+  /**
+   * Check that a snapshot id is safe to use as a filename
+   * @param {string} id - Snapshot ID
+   * @returns {boolean} - True if the id is valid
+   */
+  isValidId(id) {
+    return typeof id === 'string' && /^[A-Za-z0-9_-]+$/.test(id);
+  },
+
+  /**
+   * Find the project a file belongs to
+   * @param {string} filePath - File path
+   * @returns {string|null} - Project directory, or null if the file is not in a project
+   */
+  findProjectPath(filePath) {
+    const resolved = path.resolve(filePath);
+    if (appState.CURRENT_PROJECT_PATH && isInside(path.resolve(appState.CURRENT_PROJECT_PATH), resolved)) {
+      return path.resolve(appState.CURRENT_PROJECT_PATH);
+    }
+
+    // Any other project under the projects folder, e.g. for a batch run
+    const projectsDir = path.resolve(appState.PROJECTS_DIR);
+    if (isInside(projectsDir, resolved)) {
+      const parts = path.relative(projectsDir, resolved).split(path.sep);
+      if (parts.length > 1) {
+        return path.join(projectsDir, parts[0]);
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Whether a project file is versioned
+   * @param {string} projectPath - Project directory
+   * @param {string} filePath - File path
+   * @returns {boolean} - True for text files outside the .toolkit folder
+   */
+  isVersioned(projectPath, filePath) {
+    const resolved = path.resolve(filePath);
+    return SNAPSHOT_EXTENSIONS.includes(path.extname(resolved).toLowerCase()) &&
+      isInside(projectPath, resolved) &&
+      path.relative(projectPath, resolved).split(path.sep)[0] !== '.toolkit';
+  },
+
+  /**
+   * Snapshot a file's current content before it is overwritten
+   * Never throws: a snapshot that can't be taken must not stop the write.
+   * @param {string} filePath - File path
+   * @param {string} reason - Why the snapshot is taken, e.g. 'Before Chapter Writer'
+   * @returns {Promise<Object|null>} - The snapshot record, or null if none was taken
+   */
+  async snapshotFile(filePath, reason) {
+    try {
+      const projectPath = this.findProjectPath(filePath);
+      if (!projectPath || !this.isVersioned(projectPath, filePath)) {
+        return null;
+      }
+
+      let content;
+      try {
+        content = await fs.promises.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null; // A new file has nothing to keep
+        }
+        throw error;
+      }
+      return await this.takeSnapshot(projectPath, filePath, content, reason);
+    } catch (error) {
+      console.error(`Error taking snapshot of ${filePath}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Store a snapshot of a file's content
+   * @param {string} projectPath - Project directory
+   * @param {string} filePath - File path
+   * @param {string} content - Content to store
+   * @param {string} reason - Why the snapshot is taken
+   * @returns {Promise<Object|null>} - The snapshot record, or null if it matches the latest one
+   */
+  async takeSnapshot(projectPath, filePath, content, reason) {
+    if (!this.isVersioned(projectPath, filePath)) {
+      throw new Error(`Not a project text file: ${filePath}`);
+    }
+
+    const file = path.relative(projectPath, path.resolve(filePath)).split(path.sep).join('/');
+    const hash = crypto.createHash('sha1').update(content).digest('hex');
+
+    const existing = await this.listSnapshots(projectPath, file);
+    if (existing.length > 0 && existing[0].hash === hash) {
+      return null;
+    }
+
+    const timestamp = new Date().toISOString().replace(/[-:.]/g, '');
+    const record = {
+      id: `${timestamp}-${hash.substring(0, 8)}`,
+      file,
+      reason: reason || 'Snapshot',
+      createdAt: new Date().toISOString(),
+      size: content.length,
+      words: (content.match(/\S+/g) || []).length,
+      hash
+    };
+
+    const snapshotDir = this.getSnapshotDir(projectPath);
+    await fs.promises.mkdir(snapshotDir, { recursive: true });
+    await fs.promises.writeFile(path.join(snapshotDir, `${record.id}.txt`), content, 'utf8');
+    await fs.promises.writeFile(path.join(snapshotDir, `${record.id}.json`), JSON.stringify(record, null, 2), 'utf8');
+
+    // Drop the oldest snapshots of this file
+    for (const old of existing.slice(MAX_SNAPSHOTS_PER_FILE - 1)) {
+      await this._removeSnapshot(projectPath, old.id);
+    }
+
+    return record;
+  },
+
+  /**
+   * List snapshots for a project, newest first
+   * @param {string} projectPath - Project directory
+   * @param {string} [file] - Only snapshots of this file (relative to the project)
+   * @returns {Promise<Object[]>} - Array of snapshot records
+   */
+  async listSnapshots(projectPath, file) {
+    if (!projectPath) {
+      return [];
+    }
+
+    const snapshotDir = this.getSnapshotDir(projectPath);
+    let files;
+    try {
+      files = await fs.promises.readdir(snapshotDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const records = [];
+    for (const name of files.filter(candidate => candidate.endsWith('.json'))) {
+      try {
+        const record = JSON.parse(await fs.promises.readFile(path.join(snapshotDir, name), 'utf8'));
+        if (!file || record.file === file) {
+          records.push(record);
+        }
+      } catch (error) {
+        console.warn(`Skipping unreadable snapshot file ${name}:`, error.message);
+      }
+    }
+
+    return records.sort((a, b) => b.id.localeCompare(a.id));
+  },
+
+  /**
+   * Get a snapshot including its content
+   * @param {string} projectPath - Project directory
+   * @param {string} id - Snapshot ID
+   * @returns {Promise<Object|null>} - Snapshot record with a content property, or null if not found
+   */
+  async getSnapshot(projectPath, id) {
+    if (!projectPath || !this.isValidId(id)) {
+      return null;
+    }
+
+    const snapshotDir = this.getSnapshotDir(projectPath);
+    try {
+      const record = JSON.parse(await fs.promises.readFile(path.join(snapshotDir, `${id}.json`), 'utf8'));
+      const content = await fs.promises.readFile(path.join(snapshotDir, `${id}.txt`), 'utf8');
+      return { ...record, content };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Word-level diff between two versions of a file
+   * @param {string} projectPath - Project directory
+   * @param {string} fromId - Earlier snapshot ID, or 'current' for the file as it is now
+   * @param {string} toId - Later snapshot ID, or 'current'
+   * @param {string} file - File the versions belong to (relative to the project)
+   * @returns {Promise<Object>} - { parts, added, removed } as returned by diffWords and countChanges
+   */
+  async diffSnapshots(projectPath, fromId, toId, file) {
+    const before = await this._readVersion(projectPath, fromId, file);
+    const after = await this._readVersion(projectPath, toId, file);
+    const parts = diffWords(before, after);
+    return { parts, ...countChanges(parts) };
+  },
+
+  /**
+   * Restore a file to a snapshot, first snapshotting what it holds now
+   * @param {string} projectPath - Project directory
+   * @param {string} id - Snapshot ID
+   * @returns {Promise<Object>} - { filePath, content } of the restored file
+   */
+  async restoreSnapshot(projectPath, id) {
+    const snapshot = await this.getSnapshot(projectPath, id);
+    if (!snapshot) {
+      throw new Error(`Snapshot not found: ${id}`);
+    }
+
+    const filePath = this.resolveFile(projectPath, snapshot.file);
+    await this.snapshotFile(filePath, 'Before restore');
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, snapshot.content, 'utf8');
+    return { filePath, content: snapshot.content };
+  },
+
+  /**
+   * Absolute path of a project file named in a snapshot record
+   * @param {string} projectPath - Project directory
+   * @param {string} file - File relative to the project
+   * @returns {string} - Absolute path
+   */
+  resolveFile(projectPath, file) {
+    const filePath = path.resolve(projectPath, ...String(file).split('/'));
+    if (!this.isVersioned(projectPath, filePath)) {
+      throw new Error(`Not a project text file: ${file}`);
+    }
+    return filePath;
+  },
+
+  /**
+   * Read a snapshot's content, or the file as it is now for 'current'
+   * @param {string} projectPath - Project directory
+   * @param {string} id - Snapshot ID or 'current'
+   * @param {string} file - File relative to the project
+   * @returns {Promise<string>} - Content
+   */
+  async _readVersion(projectPath, id, file) {
+    if (id === 'current') {
+      try {
+        return await fs.promises.readFile(this.resolveFile(projectPath, file), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return '';
+        }
+        throw error;
+      }
+    }
+
+    const snapshot = await this.getSnapshot(projectPath, id);
+    if (!snapshot) {
+      throw new Error(`Snapshot not found: ${id}`);
+    }
+    return snapshot.content;
+  },
+
+  /**
+   * Delete a snapshot's files
+   * @param {string} projectPath - Project directory
+   * @param {string} id - Snapshot ID
+   */
+  async _removeSnapshot(projectPath, id) {
+    const snapshotDir = this.getSnapshotDir(projectPath);
+    await fs.promises.rm(path.join(snapshotDir, `${id}.json`), { force: true });
+    await fs.promises.rm(path.join(snapshotDir, `${id}.txt`), { force: true });
+  }
+};
+
+module.exports = snapshots;
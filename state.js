@@ -32,6 +32,55 @@ safeLog('Module loading started');
 // Create a placeholder for Store that will be filled in later
 let Store = null;
 
+/**
+ * Get the folder Electron uses for the app's userData
+ * Outside Electron there is no `app.getPath('userData')`, so this rebuilds
+ * it the way Electron does at startup: the app data folder plus package.json's
+ * productName, or its name if there is none. Setting `app.name` later in
+ * main.js doesn't move it. WRITERS_TOOLKIT_CONFIG_DIR overrides it.
+ * @returns {string} - Folder holding writers-toolkit-config.json
+ */
+function getUserDataDir() {
+  if (process.env.WRITERS_TOOLKIT_CONFIG_DIR) {
+    return process.env.WRITERS_TOOLKIT_CONFIG_DIR;
+  }
+  let appDataDir;
+  if (process.platform === 'win32') {
+    appDataDir = process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  } else if (process.platform === 'darwin') {
+    appDataDir = path.join(os.homedir(), 'Library', 'Application Support');
+  } else {
+    appDataDir = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  }
+  const pkg = require('./package.json');
+  return path.join(appDataDir, pkg.productName || pkg.name);
+}
+
+/**
+ * Get the settings store class
+ * electron-store needs Electron's `app`, so without Electron (the
+ * command-line runner) the same config file is opened with conf,
+ * the library electron-store is built on.
+ * @returns {Function} - Store class taking { name }
+ */
+function loadStoreClass() {
+  if (process.versions.electron) {
+    return require('electron-store');
+  }
+  
+  const Conf = require('conf');
+  return class StandaloneStore extends Conf {
+    constructor({ name = 'config', ...options } = {}) {
+      super({
+        ...options,
+        configName: name,
+        cwd: getUserDataDir(),
+        projectVersion: require('./package.json').version
+      });
+    }
+  };
+}
+
 // Create the AppState class
 class AppState {
   constructor() {
@@ -48,7 +97,8 @@ class AppState {
     
     // Tool selection and execution state
     this.SELECTED_TOOL = null;
-    this.IS_RUNNING = false;
+    // Maximum number of tool runs the job queue runs at once
+    this.MAX_CONCURRENT_JOBS = 2;
     this.OPTION_VALUES = {};
     this.FULL_COMMAND = null;
     
@@ -77,7 +127,7 @@ class AppState {
         // const storeModule = await import('electron-store');
         // Store = storeModule.default;
         // CommonJS
-        Store = require('electron-store');
+        Store = loadStoreClass();
       }
       
       // Initialize persistent storage
@@ -119,6 +169,8 @@ class AppState {
       }
     }
     
+    this.MAX_CONCURRENT_JOBS = this.store.get('max_concurrent_jobs', 2);
+    
     // Load Claude API settings
     this.settings_claude_api_configuration = 
       this.store.get('claude_api_configuration', {
@@ -0,0 +1,296 @@
+// Get references to DOM elements
+const reportNameSpan = document.getElementById('report-name');
+const countsSpan = document.getElementById('counts');
+const filterSelect = document.getElementById('filter-select');
+const applyBtn = document.getElementById('apply-btn');
+const suggestionList = document.getElementById('suggestion-list');
+const detailsSummary = document.getElementById('details-summary');
+const changedWarning = document.getElementById('changed-warning');
+const diffView = document.getElementById('diff-view');
+const originalText = document.getElementById('original-text');
+const suggestedText = document.getElementById('suggested-text');
+const replacementText = document.getElementById('replacement-text');
+const acceptBtn = document.getElementById('accept-btn');
+const rejectBtn = document.getElementById('reject-btn');
+const resetBtn = document.getElementById('reset-btn');
+const closeBtn = document.getElementById('close-btn');
+
+// Suggestions from the findings file, each with the reviewer's decision:
+// 'pending', 'accepted', 'rejected' or 'applied', and its replacement text
+let suggestions = [];
+let selectedId = null;
+
+// When the page loads, fetch the suggestions
+document.addEventListener('DOMContentLoaded', () => {
+  loadSuggestions();
+});
+
+// Load (or reload) the suggestions, keeping decisions already made
+async function loadSuggestions() {
+  const result = await window.electronAPI.getSuggestionReview();
+  if (!result.success) {
+    detailsSummary.textContent = `Could not load the suggestions: ${result.message}`;
+    return;
+  }
+
+  const previous = new Map(suggestions.map(suggestion => [suggestion.id, suggestion]));
+  reportNameSpan.textContent = result.review.report || '';
+  suggestions = result.review.suggestions.map(suggestion => {
+    const earlier = previous.get(suggestion.id);
+    return {
+      ...suggestion,
+      decision: earlier ? earlier.decision : 'pending',
+      replacement: earlier ? earlier.replacement : suggestion.suggestion
+    };
+  });
+
+  if (suggestions.length === 0) {
+    detailsSummary.textContent = 'This run has no suggested changes to review.';
+  } else if (selectedId === null) {
+    detailsSummary.textContent = `${suggestions.length} suggested changes to ${result.review.manuscriptFile}. Select one to review it.`;
+  }
+
+  renderList();
+  if (selectedId !== null) {
+    showSuggestion(selectedId);
+  }
+}
+
+// Whether a suggestion passes the current filter
+function matchesFilter(suggestion) {
+  const filter = filterSelect.value;
+  if (filter === 'all') return true;
+  if (filter === 'changed') return suggestion.status === 'changed' && suggestion.decision !== 'applied';
+  return suggestion.decision === filter;
+}
+
+// Show the list of suggestions and the counts
+function renderList() {
+  suggestionList.innerHTML = '';
+
+  const visible = suggestions.filter(matchesFilter);
+  if (visible.length === 0) {
+    suggestionList.innerHTML = '<div class="empty-message">No suggestions to show.</div>';
+  }
+
+  visible.forEach(suggestion => {
+    const item = document.createElement('div');
+    item.className = 'suggestion-item';
+    item.classList.toggle('selected', suggestion.id === selectedId);
+    item.dataset.id = suggestion.id;
+
+    const title = document.createElement('div');
+    title.className = 'suggestion-item-title';
+    title.textContent = suggestion.original;
+
+    const meta = document.createElement('div');
+    meta.className = 'suggestion-item-meta';
+    const decision = document.createElement('span');
+    decision.className = `decision-${suggestion.decision}`;
+    decision.textContent = suggestion.decision;
+    meta.appendChild(decision);
+    meta.appendChild(document.createTextNode(` · ${suggestion.category} · ${suggestion.scene || (suggestion.chapter ? `Ch ${suggestion.chapter}` : 'no chapter')}`));
+    if (suggestion.status === 'changed' && suggestion.decision !== 'applied') {
+      const changed = document.createElement('span');
+      changed.className = 'status-changed';
+      changed.textContent = ' · changed since run';
+      meta.appendChild(changed);
+    }
+
+    item.appendChild(title);
+    item.appendChild(meta);
+    item.addEventListener('click', () => showSuggestion(suggestion.id));
+    suggestionList.appendChild(item);
+  });
+
+  const count = (decision) => suggestions.filter(suggestion => suggestion.decision === decision).length;
+  const changed = suggestions.filter(suggestion => suggestion.status === 'changed' && suggestion.decision !== 'applied').length;
+  countsSpan.textContent = `${suggestions.length} suggestions · ${count('pending')} pending · ${count('accepted')} accepted · ${count('rejected')} rejected · ${count('applied')} applied` +
+    (changed > 0 ? ` · ${changed} changed since the run` : '');
+  applyBtn.disabled = count('accepted') === 0;
+}
+
+// Split text into words, spaces and punctuation for the diff
+function tokenize(text) {
+  return text.match(/\s+|[\w'’-]+|[^\s\w]/g) || [];
+}
+
+// Word-level diff of two passages: [{ type: 'same' | 'removed' | 'added', text }]
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Longest common subsequence table
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i++]);
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  return parts;
+}
+
+// Fill a diff pane: context, then the passage with its changes marked
+function renderDiff(element, parts, hiddenType, before, after) {
+  element.innerHTML = '';
+
+  const context = (text) => {
+    const span = document.createElement('span');
+    span.className = 'context';
+    span.textContent = text;
+    element.appendChild(span);
+  };
+
+  if (before) context(before);
+  parts.filter(part => part.type !== hiddenType).forEach(part => {
+    if (part.type === 'same') {
+      element.appendChild(document.createTextNode(part.text));
+    } else {
+      const mark = document.createElement(part.type === 'removed' ? 'del' : 'ins');
+      mark.textContent = part.text;
+      element.appendChild(mark);
+    }
+  });
+  if (after) context(after);
+}
+
+// Show one suggestion side by side with the manuscript text
+function showSuggestion(id) {
+  const suggestion = suggestions.find(candidate => candidate.id === id);
+  if (!suggestion) return;
+  selectedId = id;
+
+  document.querySelectorAll('.suggestion-item').forEach(item => {
+    item.classList.toggle('selected', Number(item.dataset.id) === id);
+  });
+
+  const location = suggestion.scene || (suggestion.chapter ? `Chapter ${suggestion.chapter}` : 'Chapter unknown');
+  detailsSummary.textContent = `${location} · ${suggestion.category} · ${suggestion.severity} severity · ${suggestion.decision}\n\n${suggestion.explanation}`;
+
+  const changed = suggestion.status === 'changed' && suggestion.decision !== 'applied';
+  changedWarning.style.display = changed ? 'block' : 'none';
+  diffView.style.display = 'block';
+
+  // Compare against the manuscript as it is now when the passage was found
+  const current = suggestion.current || suggestion.original;
+  const parts = diffWords(current, suggestion.replacement);
+  renderDiff(originalText, parts, 'added', suggestion.before, suggestion.after);
+  renderDiff(suggestedText, parts, 'removed', suggestion.before, suggestion.after);
+
+  replacementText.value = suggestion.replacement;
+  const locked = changed || suggestion.decision === 'applied';
+  replacementText.disabled = locked;
+  acceptBtn.disabled = locked;
+  rejectBtn.disabled = suggestion.decision === 'applied';
+  resetBtn.disabled = suggestion.decision === 'applied';
+}
+
+// Record a decision and move on to the next pending suggestion
+function decide(decision) {
+  const suggestion = suggestions.find(candidate => candidate.id === selectedId);
+  if (!suggestion) return;
+
+  suggestion.decision = decision;
+  if (decision === 'pending') {
+    suggestion.replacement = suggestion.suggestion;
+  }
+  renderList();
+
+  const next = suggestions.find(candidate => candidate.decision === 'pending' && candidate.status === 'found' && matchesFilter(candidate));
+  showSuggestion(decision !== 'pending' && next ? next.id : suggestion.id);
+}
+
+// Keep edits to the replacement text, updating the diff as they are typed
+replacementText.addEventListener('input', () => {
+  const suggestion = suggestions.find(candidate => candidate.id === selectedId);
+  if (!suggestion) return;
+  suggestion.replacement = replacementText.value;
+  const parts = diffWords(suggestion.current || suggestion.original, suggestion.replacement);
+  renderDiff(originalText, parts, 'added', suggestion.before, suggestion.after);
+  renderDiff(suggestedText, parts, 'removed', suggestion.before, suggestion.after);
+});
+
+acceptBtn.addEventListener('click', () => decide('accepted'));
+rejectBtn.addEventListener('click', () => decide('rejected'));
+resetBtn.addEventListener('click', () => decide('pending'));
+
+filterSelect.addEventListener('change', () => renderList());
+
+// Write the accepted changes into the manuscript (a backup is saved first)
+applyBtn.addEventListener('click', async () => {
+  const accepted = suggestions.filter(suggestion => suggestion.decision === 'accepted');
+  if (accepted.length === 0) return;
+
+  applyBtn.disabled = true;
+  const result = await window.electronAPI.applySuggestions(accepted.map(suggestion => ({
+    id: suggestion.id,
+    original: suggestion.current || suggestion.original,
+    replacement: suggestion.replacement,
+    offset: suggestion.offset
+  })));
+
+  if (!result.success) {
+    alert(`Could not apply the changes: ${result.message}`);
+    renderList();
+    return;
+  }
+
+  result.applied.forEach(id => {
+    const suggestion = suggestions.find(candidate => candidate.id === id);
+    if (suggestion) suggestion.decision = 'applied';
+  });
+
+  const lines = [`Applied ${result.applied.length} of ${accepted.length} accepted changes.`];
+  if (result.backupPath) {
+    lines.push(`The manuscript was backed up to:\n${result.backupPath}`);
+  }
+  result.skipped.forEach(skip => {
+    const suggestion = suggestions.find(candidate => candidate.id === skip.id);
+    lines.push(`Skipped "${suggestion ? suggestion.original : skip.id}": ${skip.reason}`);
+  });
+  alert(lines.join('\n\n'));
+
+  // Locate the remaining suggestions in the updated manuscript
+  await loadSuggestions();
+});
+
+// Close the dialog
+closeBtn.addEventListener('click', () => {
+  window.electronAPI.closeSuggestionReview();
+});
+
+// Handle theme changes
+window.electronAPI.onSetTheme((theme) => {
+  if (theme === 'light') {
+    document.body.classList.remove('dark-mode');
+    document.body.classList.add('light-mode');
+  } else {
+    document.body.classList.remove('light-mode');
+    document.body.classList.add('dark-mode');
+  }
+});
@@ -0,0 +1,123 @@
+// suggestions.js
+// Review and apply the suggested changes saved in a run's findings file.
+//
+// Proofreading, copy editing and line editing findings pair a quoted
+// original passage with a suggested replacement (see findings.js). For a
+// review, each passage is looked up again in the manuscript as it is now:
+// a passage that can no longer be found was changed since the run and is
+// flagged instead of being applied.
+const fs = require('fs/promises');
+const { locatePassage } = require('./text-search');
+const snapshots = require('./snapshots');
+
+// Characters of manuscript text shown before and after each passage
+const CONTEXT_LENGTH = 120;
+
+/**
+ * Load a findings file for review
+ * Findings dismissed in the editor are left out.
+ * @param {string} findingsPath - Path to a .findings.json file
+ * @returns {Promise<Object>} - { findingsPath, manuscriptFile, tool, report, suggestions }
+ *   where each suggestion is { id, category, severity, chapter, scene, original,
+ *   suggestion, explanation, status, offset, length, current, before, after };
+ *   status is 'found', or 'changed' when the passage is no longer in the manuscript
+ */
+async function loadReview(findingsPath) {
+  const data = JSON.parse(await fs.readFile(findingsPath, 'utf8'));
+  if (!data.manuscript) {
+    throw new Error('The findings file does not name its manuscript');
+  }
+
+  let text;
+  try {
+    text = await fs.readFile(data.manuscript, 'utf8');
+  } catch (error) {
+    throw new Error(`Manuscript not found: ${data.manuscript}`);
+  }
+
+  const suggestions = (data.findings || [])
+    .map((finding, index) => ({ ...finding, id: index }))
+    .filter(finding => !finding.dismissed)
+    .filter(finding => finding.original && finding.suggestion && finding.original !== finding.suggestion)
+    .map(finding => {
+      const location = locatePassage(text, finding.original, finding.offset);
+      return {
+        id: finding.id,
+        category: finding.category,
+        severity: finding.severity,
+        chapter: finding.chapter,
+        scene: finding.scene,
+        original: finding.original,
+        suggestion: finding.suggestion,
+        explanation: finding.explanation,
+        status: location ? 'found' : 'changed',
+        offset: location ? location.start : null,
+        length: location ? location.end - location.start : null,
+        current: location ? text.slice(location.start, location.end) : null,
+        before: location ? text.slice(Math.max(0, location.start - CONTEXT_LENGTH), location.start) : '',
+        after: location ? text.slice(location.end, location.end + CONTEXT_LENGTH) : ''
+      };
+    });
+
+  return {
+    findingsPath,
+    manuscriptFile: data.manuscript,
+    tool: data.tool,
+    report: data.report,
+    suggestions
+  };
+}
+
+/**
+ * Write accepted changes into the manuscript, after saving a backup
+ * Every passage is located again first, so edits made since the review was
+ * loaded are respected; changes whose passage is gone, or that overlap a
+ * change already applied, are skipped.
+ * @param {string} manuscriptFile - Manuscript path
+ * @param {Object[]} changes - Accepted changes: { id, original, replacement, offset }
+ * @returns {Promise<Object>} - { applied: ids, skipped: [{ id, reason }], backupPath }
+ */
+async function applyChanges(manuscriptFile, changes) {
+  const text = await fs.readFile(manuscriptFile, 'utf8');
+
+  const applied = [];
+  const skipped = [];
+  const located = [];
+  for (const change of changes) {
+    const location = locatePassage(text, change.original, change.offset);
+    if (!location) {
+      skipped.push({ id: change.id, reason: 'The passage has changed since the run' });
+    } else if (located.some(other => location.start < other.end && other.start < location.end)) {
+      skipped.push({ id: change.id, reason: 'The passage overlaps another accepted change' });
+    } else {
+      located.push({ ...location, change });
+    }
+  }
+
+  if (located.length === 0) {
+    return { applied, skipped, backupPath: null };
+  }
+
+  // Same backup naming as the Chapter Writer uses before appending
+  const timestamp = new Date().toISOString().replace(/[-:.]/g, '').substring(0, 15);
+  const backupPath = `${manuscriptFile}_${timestamp}.bak`;
+  await fs.writeFile(backupPath, text);
+  await snapshots.snapshotFile(manuscriptFile, 'Before applying suggestions');
+
+  // Apply from the end so earlier offsets stay valid
+  let updated = text;
+  located.sort((a, b) => b.start - a.start);
+  for (const { start, end, change } of located) {
+    updated = updated.slice(0, start) + change.replacement + updated.slice(end);
+    applied.push(change.id);
+  }
+
+  await fs.writeFile(manuscriptFile, updated);
+  return { applied: applied.reverse(), skipped, backupPath };
+}
+
+module.exports = {
+  loadReview,
+  applyChanges,
+  locatePassage
+};
@@ -4,6 +4,15 @@ const path = require('path');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs/promises');
+const { parseManuscript } = require('./manuscript');
+
+// Categories for the structured findings saved with each report
+const FINDING_CATEGORIES = [
+  'unintentional tense shift',
+  'narrative tense inconsistency',
+  'intentional tense shift',
+  'verb form'
+];
 
 /**
  * Tense Consistency Checker Tool
@@ -32,8 +41,8 @@ class TenseConsistencyChecker extends BaseTool {
     
     // Extract options
     let manuscriptFile = options.manuscript_file;
-    const analysisLevel = options.analysis_level || 'standard';
-    const chapterMarkers = options.chapter_markers || 'Chapter';
+    const analysisLevel = options.analysis_level;
+    const chapterMarkers = options.chapter_markers;
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     
     if (!saveDir) {
@@ -61,10 +70,18 @@ class TenseConsistencyChecker extends BaseTool {
       const manuscriptContent = await this.readInputFile(manuscriptFile);
       const manuscriptWordCount = this.countWords(manuscriptContent);
       const manuscriptTokens = await this.claudeService.countTokens(manuscriptContent);
+
+      // Chapters and scenes are where intentional tense shifts usually happen
+      const manuscript = parseManuscript(manuscriptContent, { chapterMarkers });
+      const sceneCount = manuscript.chapters.reduce((sum, chapter) => sum + chapter.scenes.length, 0);
+      this.emitOutput(`Found ${manuscript.chapters.length} chapters and ${sceneCount} scenes using chapter markers: ${chapterMarkers}\n`);
       
       const prompt = this.createTenseAnalysisPrompt(manuscriptContent, analysisLevel, chapterMarkers);
 
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      // Create system prompt to avoid markdown
+      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
+
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -113,9 +130,6 @@ class TenseConsistencyChecker extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt to avoid markdown
-      const systemPrompt = "CRITICAL INSTRUCTION: NO Markdown formatting of ANY kind. Never use headers, bullets, or any formatting symbols. Plain text only with standard punctuation.";
-
       // Use the calculated values in the API call
       try {
         // await this.claudeService.streamWithThinking(
@@ -206,6 +220,10 @@ class TenseConsistencyChecker extends BaseTool {
       
       // Add all output files to the result
       outputFiles.push(...outputFile);
+
+      // Ask for the report's findings as structured data and save them next to it
+      const findings = await this.requestFindings(fullResponse, manuscriptContent, FINDING_CATEGORIES);
+      outputFiles.push(await this.saveFindings(findings, outputFile, manuscriptFile, manuscriptContent));
       
       // Add files to the cache
       const toolName = 'tense_consistency_checker';
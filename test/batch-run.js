@@ -0,0 +1,77 @@
+// test/batch-run.js
+// Runs the Tense Consistency Checker from the command line as a batch run
+// against batch-stub-server.js, then checks the report, the findings file and
+// the run's record in .toolkit/batches.
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { startBatchStubServer } = require('../batch-stub-server');
+const { createProject, writeApiSettings, runCli, findFiles } = require('./helpers');
+
+const REPORT_TEXT = 'Stub batch report: "She checks her watch again and sighs." shifts into present tense.\n';
+
+const TOOL_INPUT = {
+  findings: [{
+    category: 'unintentional tense shift',
+    severity: 'medium',
+    chapter: '1',
+    original: 'She checks her watch again and sighs.',
+    explanation: 'The sentence moves into present tense in a past tense scene.',
+    suggestion: 'She checked her watch again and sighed.'
+  }]
+};
+
+async function main() {
+  const { home, projectPath, cleanup } = createProject();
+  // The stub logs each batch it handles; keep the test output to its results
+  const log = console.log;
+  console.log = () => {};
+  const { server, url, batches } = await startBatchStubServer({ polls: 1, text: REPORT_TEXT, toolInput: TOOL_INPUT });
+
+  try {
+    writeApiSettings(home, { provider: 'claude', batch_poll_interval: 1 });
+    const run = await runCli(home, ['run', 'tense_consistency_checker', '--project', 'novel', '--batch'], {
+      ANTHROPIC_BASE_URL: url,
+      ANTHROPIC_API_KEY: 'stub',
+      WRITERS_TOOLKIT_PROVIDER: ''
+    });
+    assert.strictEqual(run.code, 0, `the run failed:\n${run.stderr}`);
+
+    const reports = findFiles(projectPath, '.txt')
+      .filter(file => !file.endsWith('manuscript.txt') && !file.endsWith('_thinking.txt'));
+    assert.strictEqual(reports.length, 1, 'expected one report');
+    assert.ok(fs.readFileSync(reports[0], 'utf8').includes('Stub batch report'), 'the report is not the stub response');
+
+    const findingsFiles = findFiles(projectPath, '.findings.json');
+    assert.strictEqual(findingsFiles.length, 1, 'expected one findings file');
+    const data = JSON.parse(fs.readFileSync(findingsFiles[0], 'utf8'));
+    assert.strictEqual(data.count, 1);
+    assert.strictEqual(data.findings[0].category, 'unintentional tense shift');
+    assert.notStrictEqual(data.findings[0].offset, null, 'the finding was not located in the manuscript');
+
+    // One batch for the report and one for the findings
+    const batchDir = path.join(projectPath, '.toolkit', 'batches');
+    const records = fs.readdirSync(batchDir).filter(name => name.endsWith('.json'));
+    assert.strictEqual(records.length, 1, 'expected one batch run record');
+    const record = JSON.parse(fs.readFileSync(path.join(batchDir, records[0]), 'utf8'));
+    assert.strictEqual(record.toolId, 'tense_consistency_checker');
+    assert.strictEqual(record.status, 'finished');
+    assert.strictEqual(record.options.save_dir, projectPath);
+    assert.deepStrictEqual(record.requests.map(request => request.index), [0, 1]);
+    record.requests.forEach(request => assert.ok(batches.has(request.batchId), `${request.batchId} was not submitted to the stub`));
+
+    const runRecord = JSON.parse(fs.readFileSync(path.join(projectPath, '.toolkit', 'runs', `${record.runId}.json`), 'utf8'));
+    assert.strictEqual(runRecord.status, 'finished');
+
+    log('ok - batch run saved the report, its findings and the batch record');
+  } finally {
+    console.log = log;
+    server.close();
+    cleanup();
+  }
+}
+
+main().catch((error) => {
+  console.error(`not ok - batch run: ${error.message}`);
+  process.exitCode = 1;
+});
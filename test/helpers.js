@@ -0,0 +1,103 @@
+// test/helpers.js
+// Shared setup for the end-to-end checks run by `npm test`: a throwaway home
+// folder holding one project, and a way to run the command-line tool in it.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// A run that takes longer than this has hung
+const RUN_TIMEOUT_MS = 60000;
+
+/**
+ * Create a throwaway home folder with ~/writing/novel copied from the fixtures
+ * @returns {{home: string, projectPath: string, cleanup: Function}} - Folders and a cleanup function
+ */
+function createProject() {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'writers-toolkit-test-'));
+  const projectPath = path.join(home, 'writing', 'novel');
+  fs.mkdirSync(projectPath, { recursive: true });
+  fs.copyFileSync(path.join(FIXTURES, 'novel', 'manuscript.txt'), path.join(projectPath, 'manuscript.txt'));
+  fs.mkdirSync(path.join(home, 'config'));
+
+  return {
+    home,
+    projectPath,
+    cleanup: () => fs.rmSync(home, { recursive: true, force: true })
+  };
+}
+
+/**
+ * Save API settings in the throwaway home folder's config file, as the
+ * API Settings dialog would
+ * @param {string} home - Home folder from createProject
+ * @param {Object} settings - API settings (see claude-api-settings.js)
+ */
+function writeApiSettings(home, settings) {
+  const configPath = path.join(home, 'config', 'writers-toolkit-config.json');
+  fs.writeFileSync(configPath, JSON.stringify({ claude_api_configuration: settings }, null, 2));
+}
+
+/**
+ * Run cli.js with the throwaway home folder
+ * @param {string} home - Home folder from createProject
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>} - How the run ended
+ */
+function runCli(home, args, env = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(ROOT, 'cli.js'), ...args], {
+      cwd: ROOT,
+      env: {
+        ...process.env,
+        HOME: home,
+        USERPROFILE: home,
+        WRITERS_TOOLKIT_CONFIG_DIR: path.join(home, 'config'),
+        ...env
+      }
+    });
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`cli.js ${args.join(' ')} did not finish within ${RUN_TIMEOUT_MS / 1000} seconds`));
+    }, RUN_TIMEOUT_MS);
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr });
+    });
+  });
+}
+
+/**
+ * Find the files a run saved in the project, by suffix
+ * @param {string} projectPath - Project folder
+ * @param {string} suffix - File name ending, e.g. ".findings.json"
+ * @returns {string[]} - Matching paths
+ */
+function findFiles(projectPath, suffix) {
+  return fs.readdirSync(projectPath)
+    .filter(name => name.endsWith(suffix))
+    .map(name => path.join(projectPath, name));
+}
+
+module.exports = {
+  FIXTURES,
+  createProject,
+  writeApiSettings,
+  runCli,
+  findFiles
+};
@@ -0,0 +1,48 @@
+// test/mock-run.js
+// Runs the Tense Consistency Checker from the command line with the mock
+// provider and the fixtures in test/fixtures/mock, then checks the report and
+// the findings file it saved.
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES, createProject, runCli, findFiles } = require('./helpers');
+
+async function main() {
+  const { home, projectPath, cleanup } = createProject();
+  try {
+    const run = await runCli(home, ['run', 'tense_consistency_checker', '--project', 'novel'], {
+      WRITERS_TOOLKIT_PROVIDER: 'mock',
+      WRITERS_TOOLKIT_MOCK_FIXTURES: path.join(FIXTURES, 'mock')
+    });
+    assert.strictEqual(run.code, 0, `the run failed:\n${run.stderr}`);
+
+    const reports = findFiles(projectPath, '.txt')
+      .filter(file => !file.endsWith('manuscript.txt') && !file.endsWith('_thinking.txt'));
+    assert.strictEqual(reports.length, 1, 'expected one report');
+    const report = fs.readFileSync(reports[0], 'utf8');
+    assert.ok(report.includes('Unintentional tense shift in Chapter 1'), 'the report is not the fixture response');
+
+    const findingsFiles = findFiles(projectPath, '.findings.json');
+    assert.strictEqual(findingsFiles.length, 1, 'expected one findings file');
+    assert.strictEqual(path.basename(findingsFiles[0]), `${path.basename(reports[0], '.txt')}.findings.json`);
+
+    const data = JSON.parse(fs.readFileSync(findingsFiles[0], 'utf8'));
+    assert.strictEqual(data.tool, 'tense_consistency_checker');
+    assert.strictEqual(data.count, 1);
+    const [finding] = data.findings;
+    assert.strictEqual(finding.category, 'unintentional tense shift');
+    assert.strictEqual(finding.chapter, 1);
+    assert.strictEqual(finding.scene, 'Ch 1, Scene 1');
+    const manuscript = fs.readFileSync(path.join(projectPath, 'manuscript.txt'), 'utf8');
+    assert.strictEqual(manuscript.slice(finding.offset, finding.offset + finding.length), finding.original);
+
+    console.log('ok - mock run saved the report and its findings');
+  } finally {
+    cleanup();
+  }
+}
+
+main().catch((error) => {
+  console.error(`not ok - mock run: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,299 @@
+// text-diff.js
+// Word-level differences between two versions of a text.
+//
+// Whole manuscripts are compared line by line first, and only the lines that
+// changed are compared word by word, so two versions of a long novel can be
+// diffed in the main process without noticeable delay.
+// The same line diff merges two sets of changes to a text, e.g. the editor's
+// unsaved edits and a tool's changes to the file on disk.
+
+// Edits past which the comparison stops looking for the shortest diff and
+// marks the rest of the block as replaced
+const MAX_EDITS = 2000;
+
+/**
+ * Split text into words, spaces and punctuation
+ * @param {string} text - Text to split
+ * @returns {string[]} - Tokens that join back into the text
+ */
+function tokenizeWords(text) {
+  return text.match(/\s+|[\w'’-]+|[^\s\w]/g) || [];
+}
+
+/**
+ * Split text into lines, each keeping its line ending
+ * @param {string} text - Text to split
+ * @returns {string[]} - Lines that join back into the text
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Shortest edit script between two token lists (Myers' algorithm)
+ * @param {string[]} a - Tokens before
+ * @param {string[]} b - Tokens after
+ * @returns {Array<{type: string, text: string}>|null} - One entry per token with
+ *   type 'same', 'removed' or 'added', or null if they differ by more than MAX_EDITS
+ */
+function diffTokens(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, MAX_EDITS);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  for (let d = 0; d <= limit; d++) {
+    // Only diagonals -d..d are used at this step; keep a copy of them
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Walk the saved Myers steps back from the end to list the edits
+ * @param {Int32Array[]} trace - Diagonal positions saved at each step
+ * @param {string[]} a - Tokens before
+ * @param {string[]} b - Tokens after
+ * @returns {Array<{type: string, text: string}>} - Edits in order
+ */
+function backtrack(trace, a, b) {
+  const edits = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: 'same', text: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        edits.push({ type: 'added', text: b[--y] });
+      } else {
+        edits.push({ type: 'removed', text: a[--x] });
+      }
+    }
+  }
+
+  return edits.reverse();
+}
+
+/**
+ * Word-level diff of two texts
+ * @param {string} before - Earlier version
+ * @param {string} after - Later version
+ * @returns {Array<{type: string, text: string}>} - Runs of text with type
+ *   'same', 'removed' or 'added'; adjacent runs always differ in type
+ */
+function diffWords(before, after) {
+  const parts = [];
+  const push = (type, text) => {
+    if (!text) return;
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  const oldLines = splitLines(before || '');
+  const newLines = splitLines(after || '');
+  const lineEdits = diffTokens(oldLines, newLines) || [
+    ...oldLines.map(text => ({ type: 'removed', text })),
+    ...newLines.map(text => ({ type: 'added', text }))
+  ];
+
+  // Compare each block of changed lines word by word
+  let removed = '';
+  let added = '';
+  const flush = () => {
+    if (removed && added) {
+      const wordEdits = diffTokens(tokenizeWords(removed), tokenizeWords(added));
+      if (wordEdits) {
+        wordEdits.forEach(edit => push(edit.type, edit.text));
+      } else {
+        push('removed', removed);
+        push('added', added);
+      }
+    } else {
+      push('removed', removed);
+      push('added', added);
+    }
+    removed = '';
+    added = '';
+  };
+
+  for (const edit of lineEdits) {
+    if (edit.type === 'same') {
+      flush();
+      push('same', edit.text);
+    } else if (edit.type === 'removed') {
+      removed += edit.text;
+    } else {
+      added += edit.text;
+    }
+  }
+  flush();
+
+  return parts;
+}
+
+/**
+ * Count the words added and removed in a diff
+ * @param {Array<{type: string, text: string}>} parts - Result of diffWords
+ * @returns {{added: number, removed: number}} - Word counts
+ */
+function countChanges(parts) {
+  const words = (text) => (text.match(/[\w'’-]+/g) || []).length;
+  return parts.reduce((counts, part) => {
+    if (part.type !== 'same') {
+      counts[part.type] += words(part.text);
+    }
+    return counts;
+  }, { added: 0, removed: 0 });
+}
+
+/**
+ * Blocks of lines that changed between a text and an edited copy
+ * @param {string[]} baseLines - Lines of the original text
+ * @param {string[]} otherLines - Lines of the edited copy
+ * @returns {Array<{start: number, end: number, lines: string[]}>} - Each block
+ *   replaces base lines start..end (exclusive) with lines
+ */
+function changedBlocks(baseLines, otherLines) {
+  const edits = diffTokens(baseLines, otherLines) || [
+    ...baseLines.map(text => ({ type: 'removed', text })),
+    ...otherLines.map(text => ({ type: 'added', text }))
+  ];
+
+  const blocks = [];
+  let position = 0;
+  let block = null;
+  for (const edit of edits) {
+    if (edit.type === 'same') {
+      if (block) blocks.push(block);
+      block = null;
+      position++;
+      continue;
+    }
+    if (!block) {
+      block = { start: position, end: position, lines: [] };
+    }
+    if (edit.type === 'removed') {
+      block.end++;
+      position++;
+    } else {
+      block.lines.push(edit.text);
+    }
+  }
+  if (block) blocks.push(block);
+
+  return blocks;
+}
+
+/**
+ * Merge two edited copies of a text, line by line (a three-way merge)
+ * Changes to different lines are both kept. Where both copies changed the
+ * same lines differently, both versions are kept between conflict markers:
+ *   <<<<<<< <mineLabel> ... ======= ... >>>>>>> <theirsLabel>
+ * @param {string} base - Text both copies were edited from
+ * @param {string} mine - One edited copy
+ * @param {string} theirs - The other edited copy
+ * @param {Object} [labels] - { mine, theirs } names shown on the conflict markers
+ * @returns {{text: string, conflicts: number}} - Merged text and number of conflicts
+ */
+function mergeTexts(base, mine, theirs, labels = {}) {
+  // Every text is compared as if it ended with a newline, so text added after
+  // a last line without one doesn't count as a change to that line
+  const withNewline = (text) => (text && !text.endsWith('\n') ? `${text}\n` : text);
+  const baseLines = splitLines(withNewline(base || ''));
+  const blocks = [
+    ...changedBlocks(baseLines, splitLines(withNewline(mine || ''))).map(block => ({ ...block, side: 'mine' })),
+    ...changedBlocks(baseLines, splitLines(withNewline(theirs || ''))).map(block => ({ ...block, side: 'theirs' }))
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // One side's version of base lines start..end
+  const sideText = (group, side, start, end) => {
+    let text = '';
+    let position = start;
+    for (const block of group.filter(candidate => candidate.side === side)) {
+      text += baseLines.slice(position, block.start).join('') + block.lines.join('');
+      position = block.end;
+    }
+    return text + baseLines.slice(position, end).join('');
+  };
+
+  let text = '';
+  let conflicts = 0;
+  let position = 0;
+  let i = 0;
+  while (i < blocks.length) {
+    // Blocks that overlap, or insert at the same place, are merged together
+    const group = [blocks[i]];
+    const start = blocks[i].start;
+    let end = blocks[i].end;
+    i++;
+    while (i < blocks.length && (blocks[i].start < end || blocks[i].start === start)) {
+      group.push(blocks[i]);
+      end = Math.max(end, blocks[i].end);
+      i++;
+    }
+
+    text += baseLines.slice(position, start).join('');
+    const mineText = sideText(group, 'mine', start, end);
+    const theirsText = sideText(group, 'theirs', start, end);
+    if (group.every(block => block.side === group[0].side) || mineText === theirsText) {
+      text += group[0].side === 'mine' ? mineText : theirsText;
+    } else {
+      conflicts++;
+      text += withNewline(`<<<<<<< ${labels.mine || 'mine'}\n${mineText}`) +
+        withNewline(`=======\n${theirsText}`) +
+        `>>>>>>> ${labels.theirs || 'theirs'}\n`;
+    }
+    position = end;
+  }
+  text += baseLines.slice(position).join('');
+
+  // The final newline is merged too: a copy that added or removed it wins
+  const endsWithNewline = (copy) => Boolean(copy && copy.endsWith('\n'));
+  const finalNewline = endsWithNewline(mine) !== endsWithNewline(base) ? endsWithNewline(mine) : endsWithNewline(theirs);
+  if (!conflicts && text.endsWith('\n') && !finalNewline) {
+    text = text.slice(0, -1);
+  }
+
+  return { text, conflicts };
+}
+
+module.exports = {
+  diffWords,
+  countChanges,
+  tokenizeWords,
+  mergeTexts
+};
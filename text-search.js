@@ -0,0 +1,181 @@
+// text-search.js
+// Find and replace with plain text or regex patterns, case and whole-word
+// options. Shared by the editor page (loaded with a <script> tag) and the
+// editor's main process (required), so a preview of a project-wide replace
+// matches exactly what the editor finds in an open file.
+// Also locates the passages quoted in tool findings, for the suggestion review
+// and the editor's findings overlay.
+
+// Letters and digits count as part of a word for whole-word matching; an
+// apostrophe doesn't, so "Anna" matches in "Anna's"
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+// How far from its saved offset a passage is looked for first
+const NEARBY_DISTANCE = 500;
+
+/**
+ * Build the regular expression for a search
+ * @param {string} query - Text or pattern to find
+ * @param {Object} [options] - { regex, matchCase, wholeWord }
+ * @returns {RegExp} - Global regular expression
+ * @throws {Error} - If the query is empty or the pattern is not a valid regex
+ */
+function buildSearchRegex(query, { regex = false, matchCase = false, wholeWord = false } = {}) {
+  if (!query) {
+    throw new Error('Nothing to search for');
+  }
+
+  if (regex) {
+    // Check the pattern as written, so an error doesn't show the whole-word wrapper
+    try {
+      new RegExp(query);
+    } catch (error) {
+      throw new Error(`Invalid pattern: ${error.message}`);
+    }
+  }
+
+  let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (wholeWord) {
+    source = `(?<!${WORD_CHAR})(?:${source})(?!${WORD_CHAR})`;
+  }
+
+  // The u flag is needed for \p{...} only; without it, patterns like "\-" stay valid
+  try {
+    return new RegExp(source, `g${wholeWord ? 'u' : ''}${matchCase ? '' : 'i'}`);
+  } catch (error) {
+    throw new Error(`Invalid pattern: ${error.message}`);
+  }
+}
+
+/**
+ * Expand $&, $1, $<name> and $$ in a regex replacement
+ * @param {Array} match - Result of RegExp.exec
+ * @param {string} replacement - Replacement template
+ * @returns {string} - Replacement text for this match
+ */
+function expandReplacement(match, replacement) {
+  return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, code, name) => {
+    if (code === '$') return '$';
+    if (code === '&') return match[0];
+    if (name !== undefined) {
+      return match.groups && match.groups[name] !== undefined ? match.groups[name] : '';
+    }
+    const group = Number(code);
+    if (group > 0 && group < match.length) {
+      return match[group] === undefined ? '' : match[group];
+    }
+    return token;
+  });
+}
+
+/**
+ * Find every match in a text
+ * @param {string} text - Text to search
+ * @param {string} query - Text or pattern to find
+ * @param {Object} [options] - { regex, matchCase, wholeWord }
+ * @param {string} [replacement] - Replacement, to work out each match's replacement text
+ * @returns {Array<{start: number, end: number, text: string, replacement: string}>} - Matches in order
+ */
+function findAllMatches(text, query, options = {}, replacement = '') {
+  const searchRegex = buildSearchRegex(query, options);
+  const matches = [];
+
+  let match;
+  while ((match = searchRegex.exec(text)) !== null) {
+    if (match[0] === '') {
+      // Skip empty matches (e.g. "^") so the search always moves forward
+      searchRegex.lastIndex++;
+      continue;
+    }
+    matches.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      text: match[0],
+      replacement: options.regex ? expandReplacement(match, replacement) : replacement
+    });
+  }
+
+  return matches;
+}
+
+/**
+ * Replace every match in a text
+ * @param {string} text - Text to change
+ * @param {string} query - Text or pattern to find
+ * @param {string} replacement - Replacement text (or template in regex mode)
+ * @param {Object} [options] - { regex, matchCase, wholeWord }
+ * @returns {{text: string, count: number}} - Changed text and number of replacements
+ */
+function replaceAllMatches(text, query, replacement, options = {}) {
+  const matches = findAllMatches(text, query, options, replacement);
+
+  let result = '';
+  let last = 0;
+  matches.forEach(match => {
+    result += text.slice(last, match.start) + match.replacement;
+    last = match.end;
+  });
+  result += text.slice(last);
+
+  return { text: result, count: matches.length };
+}
+
+/**
+ * Find a quote in the manuscript, ignoring differences in whitespace and quote marks
+ * @param {string} text - Manuscript text
+ * @param {string} quote - Quoted text
+ * @param {number} [from] - Offset to search from
+ * @returns {{start: number, end: number}|null} - Location of the quote
+ */
+function findQuote(text, quote, from = 0) {
+  const exact = text.indexOf(quote, from);
+  if (exact !== -1) {
+    return { start: exact, end: exact + quote.length };
+  }
+
+  // Build the pattern one character at a time, so any run of whitespace and
+  // any style of quote mark or dash matches
+  const pattern = Array.from(quote.trim()).map(char => {
+    if (/\s/.test(char)) return '\\s+';
+    if (/["“”]/.test(char)) return '["“”]';
+    if (/['‘’]/.test(char)) return "['‘’]";
+    if (/[-–—]/.test(char)) return '[-–—]+';
+    return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('').replace(/(\\s\+)+/g, '\\s+');
+
+  if (!pattern) return null;
+  const regex = new RegExp(pattern, 'g');
+  regex.lastIndex = from;
+  const match = regex.exec(text);
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
+
+/**
+ * Locate a passage in the manuscript as it is now
+ * The occurrence nearest the offset saved with the finding is preferred,
+ * so repeated phrases resolve to the passage the finding was about.
+ * @param {string} text - Manuscript text
+ * @param {string} original - Quoted original passage
+ * @param {number|null} offset - Offset saved with the finding
+ * @returns {{start: number, end: number}|null} - Location, or null if the passage is gone
+ */
+function locatePassage(text, original, offset) {
+  if (typeof offset === 'number') {
+    const nearby = findQuote(text, original, Math.max(0, offset - NEARBY_DISTANCE));
+    if (nearby && nearby.start <= offset + NEARBY_DISTANCE) {
+      return nearby;
+    }
+  }
+  return findQuote(text, original);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildSearchRegex,
+    expandReplacement,
+    findAllMatches,
+    replaceAllMatches,
+    findQuote,
+    locatePassage
+  };
+}
@@ -1,19 +1,18 @@
 /**
  * This script provides text processing functions for manuscript formatting:
- * 1. Remove chapter title lines (pattern "Chapter X: [any title]" or "Chapter X. [any title]")
+ * 1. Remove chapter title lines (any heading the shared manuscript model recognizes)
  * 2. Normalize multiple blank lines to single blank lines
  */
 
+const { removeChapterHeadings } = require('./manuscript');
+
 /**
- * Removes lines that match chapter title patterns (case-insensitive)
- * Works with both "Chapter X: title" and "Chapter X. title" formats
+ * Removes chapter heading lines ("Chapter 4: title", "CHAPTER IV", "4. title", ...)
  * @param {string} text - The input text to process
  * @return {string} - Text with chapter title lines removed
  */
 function removeChapterTitleLines(text) {
-  // Match lines that contain only "chapter" (case-insensitive) followed by a number,
-  // then either a colon or period, and any title text
-  return text.replace(/^chapter \d+[:.] .*$/gim, '');
+  return removeChapterHeadings(text);
 }
 
 /**
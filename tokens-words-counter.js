@@ -4,6 +4,7 @@ const path = require('path');
 const fileCache = require('./file-cache');
 const appState = require('./state.js');
 const fs = require('fs').promises;
+const { parseManuscript } = require('./manuscript');
 
 /**
  * TokensWordsCounter Tool
@@ -175,68 +176,17 @@ class TokensWordsCounter extends BaseTool {
   }
 
   /**
-   * Identifies chapters in the manuscript text
+   * Identifies chapters in the manuscript text using the shared manuscript model
    * @param {string} text - Full manuscript text
    * @returns {Array} Array of chapter objects
    */
   identifyChapters(text) {
-    const chapters = [];
-    
-    // Common chapter patterns
-    const patterns = [
-      // "Chapter X" or "Chapter X: Title" or "Chapter X - Title"
-      /Chapter\s+(\d+|[IVXLCDM]+|[A-Za-z]+)(?:\s*[:|\-|\s]\s*(.+?))?(?=\r?\n)/gi,
-      
-      // Just the number with a newline (e.g. "1\n" or "I.\n")
-      /^(?:\s*)(\d+|[IVXLCDM]+)\.?(?:\s*)(.*?)(?=\r?\n)/gm,
-    ];
-    
-    // Try each pattern to find chapter breaks
-    let chapterMatches = [];
-    for (const pattern of patterns) {
-      let match;
-      const regexCopy = new RegExp(pattern); // Create a fresh copy of the regex
-      while ((match = regexCopy.exec(text)) !== null) {
-        chapterMatches.push({
-          chapterNumber: match[1].trim(),
-          title: match[2] ? match[2].trim() : '',
-          index: match.index
-        });
-      }
-      if (chapterMatches.length > 0) break;
-    }
-    
-    // Sort matches by position in text
-    chapterMatches.sort((a, b) => a.index - b.index);
-    
-    // Extract chapter content
-    for (let i = 0; i < chapterMatches.length; i++) {
-      const current = chapterMatches[i];
-      const next = chapterMatches[i + 1];
-      
-      const startIndex = current.index;
-      const endIndex = next ? next.index : text.length;
-      const content = text.substring(startIndex, endIndex);
-      
-      chapters.push({
-        number: i + 1,
-        originalNumber: current.chapterNumber,
-        title: current.title || '',
-        content: content.trim()
-      });
-    }
-    
-    // If no chapters were found, treat the entire manuscript as a single chapter
-    if (chapters.length === 0) {
-      chapters.push({
-        number: 1,
-        originalNumber: '1',
-        title: '',
-        content: text.trim()
-      });
-    }
-    
-    return chapters;
+    return parseManuscript(text).chapters.map(chapter => ({
+      number: chapter.number,
+      originalNumber: chapter.originalNumber,
+      title: chapter.title,
+      content: chapter.content
+    }));
   }
 
   /**
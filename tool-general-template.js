@@ -67,9 +67,12 @@ class GenericTool extends BaseTool {
       // Create prompt using input content
       const prompt = this.createPrompt(inputContent);
 
+      // Create system prompt to avoid markdown
+      const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
+
       // Count tokens in the prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
 
       // Call the shared token budget calculator
       const tokenBudgets = this.claudeService.calculateTokenBudgets(promptTokens);
@@ -104,9 +107,6 @@ class GenericTool extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt to avoid markdown
-      const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
-
       // Use the calculated values in the API call
       try {
         await this.claudeService.streamWithThinking(
@@ -12,10 +12,13 @@ const dialogToolNameElement = document.getElementById('dialog-tool-name');
 const closeBtn = document.getElementById('close-btn');
 const setupBtn = document.getElementById('setup-btn');
 const runBtn = document.getElementById('run-btn');
+const stopBtn = document.getElementById('stop-btn');
 const clearBtn = document.getElementById('clear-btn');
 const forceQuitBtn = document.getElementById('force-quit-btn');
 const outputElement = document.getElementById('output');
 const elapsedTimeElement = document.getElementById('elapsed-time');
+const batchOption = document.getElementById('batch-option');
+const batchCheckbox = document.getElementById('batch-checkbox');
 
 // Dialog elements
 const setupDialogOverlay = document.getElementById('setup-dialog-overlay');
@@ -33,7 +36,9 @@ let timerInterval = null;
 let currentRunId = null;
 let setupCompleted = false;
 let currentOptionValues = {};
+let queuePosition = 0; // Place in the job queue while waiting for a free slot
 let canClose = true; // Flag to control whether the window can be closed
+let runningAsBatch = false; // Batch runs carry on in the background after the window closes
 
 // Initialize when the window loads
 // window.addEventListener('DOMContentLoaded', async () => {
@@ -47,6 +52,11 @@ let canClose = true; // Flag to control whether the window can be closed
 //       dialogToolNameElement.textContent = toolData.title || toolData.name;
 //       document.title = `Writer's Toolkit - ${toolData.title || toolData.name}`;
       
+      // Only AI tools can be sent as a batch
+      if (toolData.ai) {
+        batchOption.style.display = 'flex';
+      }
+      
 //       // Get tool options
 //       currentToolOptions = await window.electronAPI.getToolOptions(toolData.name);
 //       console.log('Loaded tool options:', currentToolOptions);
@@ -84,9 +94,28 @@ window.addEventListener('DOMContentLoaded', async () => {
       try {
         currentToolOptions = await window.electronAPI.getToolOptions(toolData.name);
         console.log('Loaded tool options:', currentToolOptions);
-        
-        // Disable Run button until setup is completed
-        runBtn.disabled = true;
+
+        if (toolData.presetOptions) {
+          // Re-run from history: use the previous run's values as the form defaults
+          const presets = toolData.presetOptions;
+          currentToolOptions = currentToolOptions.map(option =>
+            option.name in presets ? { ...option, default: presets[option.name] } : option
+          );
+          currentOptionValues = { ...presets };
+
+          outputElement.textContent = `Tool: ${toolData.title || toolData.name}\n\nOptions loaded from a previous run:\n`;
+          for (const [key, value] of Object.entries(currentOptionValues)) {
+            outputElement.textContent += `${key}: ${value}\n`;
+          }
+          outputElement.textContent += '\nReady to run. Click the "Run" button to execute, or "Setup" to change the options.';
+
+          window.electronAPI.setToolOptions(currentOptionValues);
+          runBtn.disabled = false;
+          setupCompleted = true;
+        } else {
+          // Disable Run button until setup is completed
+          runBtn.disabled = true;
+        }
       } catch (optionsError) {
         console.error('Error loading tool options:', optionsError);
         outputElement.textContent = `Error loading tool options: ${optionsError.message}`;
@@ -115,8 +144,8 @@ closeBtn.addEventListener('click', () => {
     return;
   }
 
-  // Before closing, stop any running tool
-  if (isRunning && currentRunId) {
+  // Before closing, stop any running tool; a batch run keeps going
+  if (isRunning && currentRunId && !runningAsBatch) {
     window.electronAPI.stopTool(currentRunId)
       .then(() => {
         window.electronAPI.closeToolDialog('cancelled');
@@ -130,6 +159,26 @@ closeBtn.addEventListener('click', () => {
   }
 });
 
+// Stop button handler - asks the main process to cancel the current run
+stopBtn.addEventListener('click', async () => {
+  if (!isRunning || !currentRunId) {
+    return;
+  }
+  
+  stopBtn.disabled = true;
+  outputElement.textContent += '\n\nStopping tool, please wait...\n';
+  
+  try {
+    const stopped = await window.electronAPI.stopTool(currentRunId);
+    if (!stopped) {
+      outputElement.textContent += 'Tool is no longer running.\n';
+    }
+  } catch (error) {
+    console.error('Error stopping tool:', error);
+    outputElement.textContent += `Error stopping tool: ${error.message}\n`;
+  }
+});
+
 // Force Quit button handler - always enabled and immediately quits the app
 forceQuitBtn.addEventListener('click', () => {
   console.log('Force quit requested');
@@ -172,14 +221,15 @@ setupDialogCancel.addEventListener('click', () => {
 });
 
 // Setup dialog apply button
-setupDialogApply.addEventListener('click', () => {
-  // Validate the form
-  if (!validateOptionsForm()) {
+setupDialogApply.addEventListener('click', async () => {
+  // Validate the form with the same rules the tool runner uses
+  const validatedValues = await validateOptionsForm();
+  if (!validatedValues) {
     return; // Don't close dialog if validation fails
   }
   
-  // Gather all options from form
-  currentOptionValues = gatherOptionValues();
+  // Use the checked and coerced option values
+  currentOptionValues = validatedValues;
   
   // Display setup information in output area
   outputElement.textContent = `Tool: ${toolData.title || toolData.name}\n\nOptions:\n`;
@@ -216,15 +266,19 @@ runBtn.addEventListener('click', async () => {
   
   // Start timing
   startTime = Date.now();
+  queuePosition = 0;
   isRunning = true;
-  canClose = false; // Prevent closing the window while tool is running
+  runningAsBatch = batchCheckbox.checked;
+  canClose = runningAsBatch; // Prevent closing the window while tool is running
   startTimer();
   
-  // Update UI - disable ALL buttons except Force Quit
+  // Update UI - disable ALL buttons except Stop and Force Quit
   runBtn.disabled = true;
+  stopBtn.disabled = false;
   setupBtn.disabled = true;
   clearBtn.disabled = true;
-  closeBtn.disabled = true; // Disable the X close button
+  closeBtn.disabled = !runningAsBatch; // Disable the X close button
+  batchCheckbox.disabled = true;
   
   // Remove any existing Edit button and select dropdown
   const existingEditButton = document.getElementById('edit-button');
@@ -244,21 +298,44 @@ runBtn.addEventListener('click', async () => {
   
   // Clear output and show starting message - clear all previous output
   outputElement.textContent = `Starting ${toolData.title || toolData.name}...\n\n`;
+  if (runningAsBatch) {
+    outputElement.textContent += 'Running as a batch: you can close this window, the report is saved when the results arrive (even after restarting the app).\n\n';
+  }
   
   try {
     // Remove any previous output listeners to avoid duplicate output
     window.electronAPI.removeAllListeners('tool-output');
     window.electronAPI.removeAllListeners('tool-finished');
     window.electronAPI.removeAllListeners('tool-error');
+    window.electronAPI.removeAllListeners('tool-cancelled');
+    window.electronAPI.removeAllListeners('tool-queued');
     
     // Run the tool
-    currentRunId = await window.electronAPI.startToolRun(toolData.name, currentOptionValues);
+    currentRunId = await window.electronAPI.startToolRun(toolData.name, currentOptionValues, { batch: runningAsBatch });
     console.log('Tool started with run ID:', currentRunId);
     
+    // Listen for queue updates while other jobs hold all the slots
+    window.electronAPI.onToolQueued((data) => {
+      if (data.runId === currentRunId) {
+        if (queuePosition === 0) {
+          outputElement.textContent += 'Waiting for other tools to finish...\n';
+        }
+        queuePosition = data.position;
+        updateElapsedTime();
+      }
+    });
+    
     // Listen for output messages
     window.electronAPI.onToolOutput((data) => {
       // Only append output for the current run
       if (data.runId === currentRunId) {
+        // The first output means the job has left the queue
+        if (queuePosition > 0) {
+          queuePosition = 0;
+          startTime = Date.now();
+          updateElapsedTime();
+        }
+        
         // Append output to the output element
         outputElement.textContent += data.text;
         
@@ -277,9 +354,11 @@ runBtn.addEventListener('click', async () => {
         stopTimer();
         
         // Re-enable buttons
+        stopBtn.disabled = true;
         setupBtn.disabled = false;
         clearBtn.disabled = false;
         closeBtn.disabled = false;
+        batchCheckbox.disabled = false;
 
         runBtn.disabled = true;
         // Reset setupCompleted flag to require going through setup again
@@ -289,91 +368,7 @@ runBtn.addEventListener('click', async () => {
         outputElement.textContent += `\n\nTool finished with exit code: ${result.code}`;
         
         // Create file selector if there are output files
-        if (result.createdFiles && result.createdFiles.length > 0) {
-          // First, log the files to the output area
-          outputElement.textContent += `\n\nFiles created/modified:`;
-          const fileList = document.createElement('pre');
-          fileList.style.marginTop = '10px';
-          fileList.style.whiteSpace = 'pre-wrap';
-          fileList.style.fontSize = '12px';
-          fileList.style.color = document.body.classList.contains('light-mode') ? '#666666' : '#aaaaaa';
-          
-          const fileListItems = result.createdFiles.map(file => `- ${file}`).join('\n');
-          fileList.textContent = fileListItems;
-          outputElement.appendChild(fileList);
-          
-          // Create a compact selector to place right after elapsed time
-          const compactSelector = document.createElement('div');
-          compactSelector.className = 'compact-file-selector';
-          compactSelector.style.display = 'flex';
-          compactSelector.style.alignItems = 'center';
-          compactSelector.style.gap = '8px';
-          compactSelector.style.marginLeft = '20px'; // More space from elapsed time
-          
-          // Create Edit button
-          const editButton = document.createElement('button');
-          editButton.id = 'edit-button';
-          editButton.textContent = 'Edit';
-          editButton.className = 'action-button';
-          editButton.style.padding = '4px 10px';
-          editButton.style.fontSize = '13px';
-          // Add this line to match the Run button's green color:
-          editButton.style.backgroundColor = '#22c55e';
-          editButton.style.color = 'white';
-          
-          // Create select dropdown
-          const select = document.createElement('select');
-          select.id = 'output-file-select';
-          select.style.maxWidth = '250px';
-          select.style.fontSize = '13px';
-          select.style.appearance = 'auto';
-          
-          // Add each file as an option
-          result.createdFiles.forEach(file => {
-            const option = document.createElement('option');
-            option.value = file;
-            option.textContent = path.basename(file);
-            select.appendChild(option);
-          });
-          
-          // Add click handler to the Edit button
-          editButton.addEventListener('click', () => {
-            const selectedFile = select.value;
-            if (selectedFile) {
-              const tempOutput = outputElement.textContent;
-              
-              window.electronAPI.openFileInEditor(selectedFile)
-                .then(result => {
-                  if (!result.success) {
-                    outputElement.textContent = tempOutput + '\nError opening file: ' + 
-                      (result.error || 'Unknown error');
-                  }
-                })
-                .catch(error => {
-                  console.error('Error opening file in editor:', error);
-                  outputElement.textContent = tempOutput + '\nError opening file: ' + error.message;
-                });
-            }
-          });
-          
-          // Assemble the selector
-          compactSelector.appendChild(editButton);
-          compactSelector.appendChild(select);
-          
-          // Insert right after elapsed time
-          const elapsedTimeParent = elapsedTimeElement.parentNode;
-          if (elapsedTimeParent) {
-            if (elapsedTimeElement.nextSibling) {
-              elapsedTimeParent.insertBefore(compactSelector, elapsedTimeElement.nextSibling);
-            } else {
-              elapsedTimeParent.appendChild(compactSelector);
-            }
-          } else {
-            // Fallback - insert before Clear button
-            const buttonRow = document.querySelector('.button-row');
-            buttonRow.insertBefore(compactSelector, clearBtn);
-          }
-        }
+        showCreatedFiles(result.createdFiles);
 
         currentRunId = null;
       }
@@ -384,16 +379,54 @@ runBtn.addEventListener('click', async () => {
       // Only process errors for the current run
       if (error.runId === currentRunId) {
         console.error('Tool error:', error);
-        outputElement.textContent += `\n\nError: ${error.error}`;
+        if (error.fieldErrors && error.fieldErrors.length > 0) {
+          // Options were rejected before the tool started
+          outputElement.textContent += '\n\nInvalid options, please use Setup to fix:\n';
+          error.fieldErrors.forEach(fieldError => {
+            outputElement.textContent += `  ${fieldError.label}: ${fieldError.message}\n`;
+          });
+        } else {
+          outputElement.textContent += `\n\nError: ${error.error}`;
+        }
         isRunning = false;
         canClose = true; // Allow closing the window again
         stopTimer();
         
         // Re-enable buttons
+        stopBtn.disabled = true;
         runBtn.disabled = false;
         setupBtn.disabled = false;
         clearBtn.disabled = false;
         closeBtn.disabled = false;
+        batchCheckbox.disabled = false;
+        
+        currentRunId = null;
+      }
+    });
+    
+    // Listen for tool cancellation
+    window.electronAPI.onToolCancelled((result) => {
+      // Only process cancellation for the current run
+      if (result.runId === currentRunId) {
+        console.log('Tool cancelled:', result);
+        isRunning = false;
+        queuePosition = 0;
+        canClose = true; // Allow closing the window again
+        stopTimer();
+        
+        // Re-enable buttons, but require Setup again like a finished run
+        stopBtn.disabled = true;
+        setupBtn.disabled = false;
+        clearBtn.disabled = false;
+        closeBtn.disabled = false;
+        batchCheckbox.disabled = false;
+        runBtn.disabled = true;
+        setupCompleted = false;
+        
+        outputElement.textContent += `\n\nTool was cancelled.`;
+        
+        // Keep any files written before the cancellation
+        showCreatedFiles(result.createdFiles);
         
         currentRunId = null;
       }
@@ -407,13 +440,104 @@ runBtn.addEventListener('click', async () => {
     stopTimer();
     
     // Re-enable buttons
+    stopBtn.disabled = true;
     runBtn.disabled = false;
     setupBtn.disabled = false;
     clearBtn.disabled = false;
     closeBtn.disabled = false;
+    batchCheckbox.disabled = false;
   }
 });
 
+// List the files a run created and add an Edit button with a file selector
+function showCreatedFiles(createdFiles) {
+  if (createdFiles && createdFiles.length > 0) {
+    // First, log the files to the output area
+    outputElement.textContent += `\n\nFiles created/modified:`;
+    const fileList = document.createElement('pre');
+    fileList.style.marginTop = '10px';
+    fileList.style.whiteSpace = 'pre-wrap';
+    fileList.style.fontSize = '12px';
+    fileList.style.color = document.body.classList.contains('light-mode') ? '#666666' : '#aaaaaa';
+    
+    const fileListItems = createdFiles.map(file => `- ${file}`).join('\n');
+    fileList.textContent = fileListItems;
+    outputElement.appendChild(fileList);
+    
+    // Create a compact selector to place right after elapsed time
+    const compactSelector = document.createElement('div');
+    compactSelector.className = 'compact-file-selector';
+    compactSelector.style.display = 'flex';
+    compactSelector.style.alignItems = 'center';
+    compactSelector.style.gap = '8px';
+    compactSelector.style.marginLeft = '20px'; // More space from elapsed time
+    
+    // Create Edit button
+    const editButton = document.createElement('button');
+    editButton.id = 'edit-button';
+    editButton.textContent = 'Edit';
+    editButton.className = 'action-button';
+    editButton.style.padding = '4px 10px';
+    editButton.style.fontSize = '13px';
+    // Add this line to match the Run button's green color:
+    editButton.style.backgroundColor = '#22c55e';
+    editButton.style.color = 'white';
+    
+    // Create select dropdown
+    const select = document.createElement('select');
+    select.id = 'output-file-select';
+    select.style.maxWidth = '250px';
+    select.style.fontSize = '13px';
+    select.style.appearance = 'auto';
+    
+    // Add each file as an option
+    createdFiles.forEach(file => {
+      const option = document.createElement('option');
+      option.value = file;
+      option.textContent = path.basename(file);
+      select.appendChild(option);
+    });
+    
+    // Add click handler to the Edit button
+    editButton.addEventListener('click', () => {
+      const selectedFile = select.value;
+      if (selectedFile) {
+        const tempOutput = outputElement.textContent;
+        
+        window.electronAPI.openFileInEditor(selectedFile)
+          .then(result => {
+            if (!result.success) {
+              outputElement.textContent = tempOutput + '\nError opening file: ' + 
+                (result.error || 'Unknown error');
+            }
+          })
+          .catch(error => {
+            console.error('Error opening file in editor:', error);
+            outputElement.textContent = tempOutput + '\nError opening file: ' + error.message;
+          });
+      }
+    });
+    
+    // Assemble the selector
+    compactSelector.appendChild(editButton);
+    compactSelector.appendChild(select);
+    
+    // Insert right after elapsed time
+    const elapsedTimeParent = elapsedTimeElement.parentNode;
+    if (elapsedTimeParent) {
+      if (elapsedTimeElement.nextSibling) {
+        elapsedTimeParent.insertBefore(compactSelector, elapsedTimeElement.nextSibling);
+      } else {
+        elapsedTimeParent.appendChild(compactSelector);
+      }
+    } else {
+      // Fallback - insert before Clear button
+      const buttonRow = document.querySelector('.button-row');
+      buttonRow.insertBefore(compactSelector, clearBtn);
+    }
+  }
+}
+
 // Clear button handler - updated to reset elapsed time and disable Run button
 clearBtn.addEventListener('click', () => {
   // Clear output area
@@ -827,26 +951,30 @@ function validateInput(input, errorElement, option) {
   return true;
 }
 
-// Validate the options form
-function validateOptionsForm() {
-  let isValid = true;
+// Validate the options form in the main process
+// Returns the coerced option values, or null after showing each field's error
+async function validateOptionsForm() {
+  const result = await window.electronAPI.validateToolOptions(toolData.name, gatherOptionValues());
+  showFieldErrors(result.errors);
   
-  currentToolOptions.forEach(option => {
-    if (option.required) {
-      const input = document.getElementById(`option-${option.name}`);
-      const errorElement = document.getElementById(`error-${option.name}`);
-      
-      if (!input.value.trim()) {
-        errorElement.textContent = 'This field is required';
-        errorElement.style.display = 'block';
-        isValid = false;
-      } else {
-        errorElement.style.display = 'none';
-      }
-    }
+  // Errors not tied to a field (such as an unknown tool) go to the output area
+  result.errors.filter(error => !error.field).forEach(error => {
+    outputElement.textContent += `\n${error.label}: ${error.message}`;
   });
   
-  return isValid;
+  return result.valid ? result.values : null;
+}
+
+// Show validation errors next to their fields and hide the rest
+function showFieldErrors(errors) {
+  currentToolOptions.forEach(option => {
+    const errorElement = document.getElementById(`error-${option.name}`);
+    if (!errorElement) return;
+    
+    const fieldError = errors.find(error => error.field === option.name);
+    errorElement.textContent = fieldError ? fieldError.message : '';
+    errorElement.style.display = fieldError ? 'block' : 'none';
+  });
 }
 
 // Gather all option values from the form
@@ -887,6 +1015,11 @@ function stopTimer() {
 }
 
 function updateElapsedTime() {
+  if (queuePosition > 0) {
+    elapsedTimeElement.textContent = `queued: position ${queuePosition}`;
+    return;
+  }
+  
   if (!startTime) return;
   
   const currentTime = Date.now();
@@ -38,9 +38,15 @@ try {
   safeLog(`ERROR loading base modules: ${error.message}`);
 }
 
-const ClaudeAPIService = require('./client');
+const { createAIService } = require('./ai-providers');
 
 const toolRegistry = require('./registry');
+const { loadPlugins } = require('./plugin-loader');
+const { validateOptions, OptionValidationError } = require('./option-schema');
+const appState = require('./state.js');
+
+// API settings used to create a fresh AI client for every tool run
+let claudeSettings = {};
 
 function loadToolClass(toolName) {
   const hyphenatedName = toolName.replace(/_/g, '-');
@@ -122,6 +128,7 @@ const ChapterWriter = loadToolClass('chapter-writer');
 // non-AI tools:
 const DocxComments = loadToolClass('docx-comments');
 const EpubConverter = loadToolClass('epub-converter');
+const EpubBuilder = loadToolClass('epub-builder');
 
 const TOOL_DEFS = [
   { id: 'tokens_words_counter', title: `Tokens & Words Counter`, description: `This is a free call to test that your ANTHROPIC_API_KEY is working properly!  Also, use it to count the approximate tokens and words in text files (mostly for manuscript.txt).  This helps to estimate Claude API usage and context window requirements for your writing, and may help with API Settings for larger manuscripts.`, Class: TokensWordsCounter, options: [
@@ -404,7 +411,7 @@ const TOOL_DEFS = [
       "name": "chapter_markers",
       "label": "CHAPTER_MARKERS",
       "type": "text",
-      "description": "Text that marks the start of chapters (default: 'Chapter')",
+      "description": "Text that marks the start of chapters; separate several with commas, e.g. 'Chapter, Part' (default: 'Chapter')",
       "required": false,
       "default": "Chapter",
       "group": "Analysis Options"
@@ -1098,6 +1105,7 @@ const TOOL_DEFS = [
       "description": "Path to manuscript file",
       "required": true,
       "default": "manuscript.txt",
+      "must_exist": false,
       "group": "Input Files"
     },
     {
@@ -1115,7 +1123,7 @@ const TOOL_DEFS = [
       "type": "file",
       "description": "Path to world file",
       "required": false,
-      "default": "",
+      "default": "world.txt",
       "group": "Input Files"
     },
     {
@@ -1134,6 +1142,26 @@ const TOOL_DEFS = [
       "description": "Delay in seconds between processing multiple chapters (default: 15 seconds)",
       "required": false,
       "default": 15,
+      "min": 0,
+      "group": "Input Files"
+    },
+    {
+      "name": "chapter_retries",
+      "label": "chapter_retries",
+      "type": "number",
+      "description": "Times to retry a chapter after a temporary API error (overloaded, rate limited, timed out), waiting longer each time (default: 3)",
+      "required": false,
+      "default": 3,
+      "min": 0,
+      "group": "Input Files"
+    },
+    {
+      "name": "resume",
+      "label": "resume",
+      "type": "boolean",
+      "description": "Continue the last chapters_to_write run where it stopped, skipping the chapters it already wrote and appended",
+      "required": false,
+      "default": false,
       "group": "Input Files"
     },
     {
@@ -1213,6 +1241,59 @@ const TOOL_DEFS = [
           }
         ]
       }
+  ]},
+  { id: 'epub_builder', title: 'EPUB Builder', description: 'Builds an EPUB 3 ebook from your manuscript, with a table of contents, metadata from Project Settings and KDP Publishing Prep, an optional cover and front/back matter pages, then checks its structure and reports any problems before you upload it.', Class: EpubBuilder, options: [
+      {
+        "name": "manuscript_file",
+        "label": "Manuscript File",
+        "type": "file",
+        "description": "Manuscript text file; each chapter becomes a section of the ebook",
+        "required": true,
+        "default": "manuscript.txt",
+        "group": "Input Files"
+      },
+      {
+        "name": "cover_image",
+        "label": "Cover Image",
+        "type": "file",
+        "description": "Optional cover image (JPEG or PNG)",
+        "required": false,
+        "default": "cover.jpg",
+        "filters": [
+          {
+            "name": "Images",
+            "extensions": ["jpg", "jpeg", "png"]
+          }
+        ],
+        "group": "Input Files"
+      },
+      {
+        "name": "front_matter_file",
+        "label": "Front Matter File",
+        "type": "file",
+        "description": "Optional pages before the first chapter (dedication, copyright...). Each page starts with its title; separate pages with a line of ===",
+        "required": false,
+        "default": "front_matter.txt",
+        "group": "Input Files"
+      },
+      {
+        "name": "back_matter_file",
+        "label": "Back Matter File",
+        "type": "file",
+        "description": "Optional pages after the last chapter (acknowledgments, about the author...), in the same layout as the front matter",
+        "required": false,
+        "default": "back_matter.txt",
+        "group": "Input Files"
+      },
+      {
+        "name": "kdp_file",
+        "label": "KDP Publishing Prep Report",
+        "type": "file",
+        "description": "Report to take the description and keywords from; leave blank for the newest one in the project",
+        "required": false,
+        "default": "",
+        "group": "Input Files"
+      }
   ]}
 ];
 
@@ -1275,6 +1356,53 @@ function getToolPath(toolName) {
   }
 }
 
+/**
+ * Create a tool instance from a definition and add it to the registry
+ * @param {Object} def - Tool definition ({ id, title, description, Class, options })
+ * @param {Object} claudeService - AI service (Claude or Gemini) for AI tools
+ * @param {Object} settings - Claude API settings
+ * @param {boolean} isAi - Whether the tool uses the Claude API
+ */
+function registerToolDef(def, claudeService, settings, isAi) {
+  // Create tool config with all properties from definition
+  const toolConfig = {
+    name: def.id,
+    title: def.title,
+    description: def.description,
+    options: def.options || [],
+    ai: isAi,
+    // Plugins and prompt tools are listed separately from the built-ins
+    custom: Boolean(def.pluginPath),
+    ...settings
+  };
+  
+  console.log(`Creating instance of tool: ${def.id}`);
+  
+  // Create tool instance
+  let instance;
+  
+  if (!isAi) {
+    // Non-AI tools don't get Claude service
+    instance = new def.Class(def.id, toolConfig);
+    console.log(`Initialized non-AI tool ${def.id} without Claude service`);
+  } else {
+    // AI tools get Claude service as first parameter
+    console.log(`Passing claudeService to AI tool ${def.id}`);
+    instance = new def.Class(claudeService, toolConfig);
+    
+    // If the tool doesn't properly store claudeService, add it here
+    if (!instance.claudeService) {
+      console.log(`Manually setting claudeService for tool ${def.id}`);
+      instance.claudeService = claudeService;
+    }
+    
+    console.log(`Initialized AI tool ${def.id} with Claude service`);
+  }
+  
+  // Add to registry
+  toolRegistry.registerTool(def.id, instance);
+}
+
 async function initializeToolSystem(settings) {
   console.log('Initializing tool system...');
   
@@ -1283,12 +1411,13 @@ async function initializeToolSystem(settings) {
   }
   
   try {
-    // Create Claude API service with the provided settings
-    const claudeService = new ClaudeAPIService(settings);
-    console.log('Created ClaudeAPIService instance');
+    // Create the AI service (Claude or Gemini) with the provided settings
+    claudeSettings = settings;
+    const claudeService = createAIService(settings);
+    console.log(`Created ${claudeService.label} API service instance`);
     
     // Define which tools are non-AI and don't need Claude service
-    const nonAiToolIds = ['docx_comments', 'epub_converter'];
+    const nonAiToolIds = ['docx_comments', 'epub_converter', 'epub_builder'];
     
     // Register each tool with proper configuration
     let toolCount = 0;
@@ -1297,70 +1426,101 @@ async function initializeToolSystem(settings) {
         global.logToFile(`[tool-system] Registering tool #${toolCount + 1}: ${def.id}`);
       }
       
-      // Create tool config with all properties from definition
-      const toolConfig = {
-        name: def.id,
-        title: def.title,
-        description: def.description,
-        options: def.options || [],
-        ...settings
-      };
-      
-      console.log(`Creating instance of tool: ${def.id}`);
-      
-      // Create tool instance
-      let instance;
-      
-      // Check if this is a non-AI tool
-      if (nonAiToolIds.includes(def.id)) {
-        // Non-AI tools don't get Claude service
-        instance = new def.Class(def.id, toolConfig);
-        console.log(`Initialized non-AI tool ${def.id} without Claude service`);
-      } else {
-        // AI tools get Claude service as first parameter
-        console.log(`Passing claudeService to AI tool ${def.id}`);
-        instance = new def.Class(claudeService, toolConfig);
-        
-        // Verify the service was stored
-        console.log(`Tool ${def.id} has claudeService: ${!!instance.claudeService}`);
-        
-        // If the tool doesn't properly store claudeService, add it here
-        if (!instance.claudeService) {
-          console.log(`Manually setting claudeService for tool ${def.id}`);
-          instance.claudeService = claudeService;
-        }
-        
-        console.log(`Initialized AI tool ${def.id} with Claude service`);
-      }
-      
-      // Add to registry
-      toolRegistry.registerTool(def.id, instance);
-      
-      // Verify the tool in registry
-      const registeredTool = toolRegistry.getTool(def.id);
-      console.log(`Verified tool ${def.id} in registry has claudeService: ${!!registeredTool.claudeService}`);
-      
+      registerToolDef(def, claudeService, settings, !nonAiToolIds.includes(def.id));
       toolCount++;
     });
     
-    // Log registration summary
-    const allTools = toolRegistry.getAllToolIds();
-    // console.log(`Registered ${allTools.length} built-in tools:`, allTools);
+    // Register user plugins next to the built-ins; a broken plugin is
+    // reported and skipped so it can't stop the app from starting
+    const { plugins, errors: pluginErrors } = loadPlugins(new Set(toolRegistry.getAllToolIds()));
+    plugins.forEach(def => {
+      try {
+        registerToolDef(def, claudeService, settings, def.ai !== false);
+        safeLog(`Registered plugin tool: ${def.id} (${def.pluginPath})`);
+      } catch (error) {
+        pluginErrors.push({ plugin: def.id, message: error.message });
+      }
+    });
+    pluginErrors.forEach(({ plugin, message }) => {
+      safeLog(`ERROR loading plugin ${plugin}: ${message}`);
+    });
     
-    return { claudeService, toolRegistry };
+    return { claudeService, toolRegistry, pluginErrors };
   } catch (error) {
     console.error(`[tool-system] ERROR during initialization: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Create a private copy of a registered tool for a single run
+ * Each run gets its own output function, abort signal and Claude client,
+ * so concurrent runs (even of the same tool) never overwrite each other
+ * @param {Object} tool - Registered tool instance
+ * @returns {Object} - Tool instance for one run
+ */
+function createRunInstance(tool) {
+  const runTool = Object.assign(Object.create(Object.getPrototypeOf(tool)), tool);
+  
+  if (tool.claudeService) {
+    runTool.claudeService = createAIService(claudeSettings);
+  }
+  
+  return runTool;
+}
+
+/**
+ * Validate and coerce options for a tool using its option schema
+ * @param {string} toolId - Tool ID
+ * @param {Object} options - Option values from the UI, CLI or caller
+ * @returns {{valid: boolean, values: Object, errors: Object[]}} - Coerced values and field errors
+ */
+function validateToolOptions(toolId, options) {
+  const tool = toolRegistry.getTool(toolId);
+  if (!tool) {
+    throw new Error(`Tool not found: ${toolId}`);
+  }
+  
+  // Relative file paths are relative to the project, as in the tools themselves
+  const baseDir = (options && options.save_dir) || appState.CURRENT_PROJECT_PATH;
+  return validateOptions(tool.config.options || [], options || {}, { baseDir });
+}
+
+/**
+ * Report how much of a run's input came from the prompt cache
+ * The totals are added to the result's stats for run history.
+ * @param {Object} runTool - Tool instance for the run
+ * @param {Object} result - Tool execution result
+ */
+function reportCacheUsage(runTool, result) {
+  const usage = runTool.claudeService && runTool.claudeService.usage;
+  if (!usage || (!usage.cacheReadTokens && !usage.cacheWriteTokens)) {
+    return;
+  }
+  
+  runTool.emitOutput(`\nPrompt cache (${usage.requests} request${usage.requests === 1 ? '' : 's'}): ` +
+    `${usage.cacheReadTokens} tokens read from cache, ${usage.cacheWriteTokens} tokens written to cache, ` +
+    `${usage.inputTokens} uncached input tokens.\n`);
+  
+  if (result && typeof result === 'object') {
+    result.stats = { ...(result.stats || {}), cache: { ...usage } };
+  }
+}
+
 /**
  * Execute a tool by ID
+ * Options are validated and coerced against the tool's schema first; invalid
+ * options throw an OptionValidationError listing the problem with each field.
  * @param {string} toolId - Tool ID
  * @param {Object} options - Tool options
+ * @param {Object} [run] - Per-run context
+ * @param {AbortSignal} [run.signal] - Signal used to cancel the run
+ * @param {Function} [run.emitOutput] - Receives the tool's output text
+ * @param {Object} [run.batch] - Batch session (see batch-runs.js) to send the
+ *   tool's requests through the Message Batches API
  * @returns {Promise<Object>} - Tool execution result
  */
-async function executeToolById(toolId, options) {
+async function executeToolById(toolId, options, { signal = null, emitOutput = null, batch = null } = {}) {
   console.log(`Executing tool: ${toolId} with options:`, options);
   
   // Get the tool implementation
@@ -1371,55 +1531,50 @@ async function executeToolById(toolId, options) {
     throw new Error(`Tool not found: ${toolId}`);
   }
   
-  // Store the original claudeService in case we need to restore it
-  const originalClaudeService = tool.claudeService;
+  const { values, errors } = validateToolOptions(toolId, options);
+  if (errors.length > 0) {
+    throw new OptionValidationError(toolId, errors);
+  }
   
-  try {
-    console.log('*** Client before recreate:', !!tool.claudeService?.client);
-    
-    // Only try to recreate if tool has a claudeService
-    if (tool.claudeService && typeof tool.claudeService.recreate === 'function') {
-      tool.claudeService.recreate();
-    } else {
-      console.log(`Tool ${toolId} does not have a valid Claude service (has claudeService: ${!!tool.claudeService})`);
+  const runTool = createRunInstance(tool);
+  
+  // Let the tool and its API client see cancellation requests
+  runTool.abortSignal = signal;
+  if (runTool.claudeService) {
+    runTool.claudeService.abortSignal = signal;
+  }
+  if (emitOutput) {
+    runTool.emitOutput = emitOutput;
+  }
+  if (runTool.claudeService) {
+    runTool.claudeService.emitStatus = (text) => runTool.emitOutput(text);
+  }
+  if (batch) {
+    if (!runTool.claudeService || typeof runTool.claudeService.useBatchMode !== 'function') {
+      throw new Error(`${toolId} cannot run as a batch: batch mode needs an AI tool and the Claude provider`);
     }
-    
-    console.log('*** Client after recreate:', !!tool.claudeService?.client);
-    
+    runTool.claudeService.useBatchMode(batch);
+  }
+  
+  try {
     // Execute the tool
     console.log(`Starting execution of tool: ${toolId}`);
-    const result = await tool.execute(options);
+    const result = await runTool.execute(values);
     console.log(`Tool execution complete: ${toolId}`);
-    
-    // Close the client after successful execution
-    if (tool.claudeService && typeof tool.claudeService.close === 'function') {
-      try {
-        tool.claudeService.close();
-      } catch (error) {
-        console.warn(`Error closing Claude service for tool ${toolId}:`, error);
-      } finally {
-        // Don't set to null here - this might be causing the problem!
-        // tool.claudeService = null;
-      }
-    }
-    
+    reportCacheUsage(runTool, result);
     return result;
   } catch (error) {
     console.error(`Error executing tool ${toolId}:`, error);
-    
-    // Ensure the client is closed even if execution fails
-    if (tool && tool.claudeService && typeof tool.claudeService.close === 'function') {
+    throw error;
+  } finally {
+    // Each run owns its client, so closing it cannot affect other runs
+    if (runTool.claudeService && typeof runTool.claudeService.close === 'function') {
       try {
-        tool.claudeService.close();
-      } catch (closeError) {
-        console.warn(`Error closing Claude service after execution error:`, closeError);
-      } finally {
-        // Don't set to null here either
-        // tool.claudeService = null;
+        runTool.claudeService.close();
+      } catch (error) {
+        console.warn(`Error closing Claude service for tool ${toolId}:`, error);
       }
     }
-    
-    throw error;
   }
 }
 
@@ -1431,13 +1586,14 @@ async function executeToolById(toolId, options) {
 // In tool-system.js, update the reinitializeClaudeService function (around line 1559):
 
 /**
- * Reinitialize the Claude API service with updated settings
+ * Reinitialize the AI service with updated settings
  * @param {Object} settings - Claude API settings
- * @returns {Object} - New Claude API service instance
+ * @returns {Object} - New AI service instance
  */
 function reinitializeClaudeService(settings) {
-  // Create a new Claude service with the updated settings
-  const claudeService = new ClaudeAPIService(settings);
+  // Create a new AI service with the updated settings; the provider may have changed
+  claudeSettings = settings;
+  const claudeService = createAIService(settings);
   
   // Update the service in all registered tools
   for (const toolId of toolRegistry.getAllToolIds()) {
@@ -1463,6 +1619,7 @@ function reinitializeClaudeService(settings) {
 module.exports = {
   initializeToolSystem,
   executeToolById,
+  validateToolOptions,
   reinitializeClaudeService,
   toolRegistry
 };
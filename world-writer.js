@@ -39,8 +39,8 @@ class WorldWriter extends BaseTool {
     const pov = options.pov;
     const charactersFile = options.characters_file;
     const outlineFile = options.outline_file;
-    const language = options.lang || 'English';
-    const detailed = options.detailed || false;
+    const language = options.lang;
+    const detailed = options.detailed;
     
     const saveDir = options.save_dir || appState.CURRENT_PROJECT_PATH;
     const outputFiles = [];
@@ -85,9 +85,12 @@ class WorldWriter extends BaseTool {
         detailed
       );
       
+      // Create system prompt to avoid markdown
+      const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
+
       // Count tokens in prompt
       this.emitOutput(`Counting tokens in prompt...\n`);
-      const promptTokens = await this.claudeService.countTokens(prompt);
+      const promptTokens = await this.claudeService.countTokens(prompt, { system: systemPrompt });
       
       // Calculate available tokens after prompt
       const contextWindow = this.config.context_window || 200000;
@@ -144,9 +147,6 @@ class WorldWriter extends BaseTool {
       let fullResponse = "";
       let thinkingContent = "";
       
-      // Create system prompt to avoid markdown
-      const systemPrompt = "NO Markdown! Never respond with Markdown formatting, plain text only.";
-      
       try {
         // Use streaming API call
         await this.claudeService.streamWithThinking(